@@ -0,0 +1,138 @@
+// calendar.js
+// iCalendar (RFC 5545) feeds of the todos that have a due date, for calendar
+// apps that subscribe to a URL. Each todo becomes a VEVENT at its due date
+// (shown by every calendar app) or, with type 'todo', a VTODO due then (for
+// apps with task support). A todo due at midnight UTC is an all-day entry.
+//
+// Completed todos are STATUS:COMPLETED VTODOs, or VEVENTs with a check mark
+// in front of the summary. Reminders of open todos become display alarms.
+
+const ENTRY_TYPES = ['event', 'todo'];
+// iCalendar priorities run from 1 (highest) to 9 (lowest)
+const ICS_PRIORITIES = { high: 1, medium: 5, low: 9 };
+const DONE_MARK = '✓ ';
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// 20250131T170000Z
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 20250131
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+const isMidnightUTC = (date) => date.getTime() % (24 * 60 * 60 * 1000) === 0;
+
+// Content lines are folded at 75 octets, never inside a UTF-8 character
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts
+    if (size + bytes > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// ======================
+// ENTRIES
+// ======================
+
+// Minutes before the due date (negative = after it) as an alarm trigger
+const alarmLines = (summary, offsetMinutes) => [
+  'BEGIN:VALARM',
+  'ACTION:DISPLAY',
+  `DESCRIPTION:${escapeText(summary)}`,
+  `TRIGGER:${offsetMinutes > 0 ? '-' : ''}PT${Math.abs(offsetMinutes)}M`,
+  'END:VALARM'
+];
+
+const entryLines = (todo, { type, domain, now }) => {
+  const dueDate = new Date(todo.dueDate);
+  const allDay = isMidnightUTC(dueDate);
+  const event = type === 'event';
+  const component = event ? 'VEVENT' : 'VTODO';
+  const summary = event && todo.completed ? `${DONE_MARK}${todo.task}` : todo.task;
+
+  const lines = [
+    `BEGIN:${component}`,
+    `UID:todo-${todo.id}@${domain}`,
+    `DTSTAMP:${formatDateTime(todo.updatedAt ? new Date(todo.updatedAt) : now)}`,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+  if (todo.description) lines.push(`DESCRIPTION:${escapeText(todo.description)}`);
+  if (todo.tags && todo.tags.length > 0) lines.push(`CATEGORIES:${todo.tags.map(escapeText).join(',')}`);
+  lines.push(`PRIORITY:${ICS_PRIORITIES[todo.priority] || 0}`);
+  if (todo.createdAt) lines.push(`CREATED:${formatDateTime(new Date(todo.createdAt))}`);
+  if (todo.updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(new Date(todo.updatedAt))}`);
+
+  if (event) {
+    if (allDay) {
+      lines.push(`DTSTART;VALUE=DATE:${formatDate(dueDate)}`);
+      lines.push(`DTEND;VALUE=DATE:${formatDate(new Date(dueDate.getTime() + 24 * 60 * 60 * 1000))}`);
+    } else {
+      lines.push(`DTSTART:${formatDateTime(dueDate)}`);
+    }
+    // A todo does not make anyone busy
+    lines.push('TRANSP:TRANSPARENT');
+  } else {
+    lines.push(allDay ? `DUE;VALUE=DATE:${formatDate(dueDate)}` : `DUE:${formatDateTime(dueDate)}`);
+    if (todo.completed) {
+      lines.push('STATUS:COMPLETED', 'PERCENT-COMPLETE:100');
+      if (todo.completedAt) lines.push(`COMPLETED:${formatDateTime(new Date(todo.completedAt))}`);
+    } else {
+      lines.push('STATUS:NEEDS-ACTION');
+    }
+  }
+
+  if (!todo.completed) {
+    for (const offset of todo.reminders || []) {
+      lines.push(...alarmLines(todo.task, offset));
+    }
+  }
+
+  lines.push(`END:${component}`);
+  return lines;
+};
+
+// ======================
+// CALENDAR
+// ======================
+
+// The whole feed as text; todos without a due date are left out. `domain`
+// makes the entry UIDs globally unique.
+const buildCalendar = (todos, { name = 'Todos', type = 'event', domain = 'localhost', now = new Date() } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Todo API//Todo Feed//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // How often subscribers should refresh (not every app honours these)
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+  for (const todo of todos) {
+    if (todo.dueDate) lines.push(...entryLines(todo, { type, domain, now }));
+  }
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  ENTRY_TYPES,
+  buildCalendar
+};
@@ -0,0 +1,162 @@
+// mailer.js
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Todo API <no-reply@todo-api.local>';
+
+// ======================
+// TRANSPORTS
+// ======================
+// Each factory returns { send(message) }. Pick one with MAIL_TRANSPORT;
+// without it we use SMTP when SMTP_HOST is set and the console otherwise.
+
+const transports = {
+  // Local dev: print the message instead of sending it
+  console: () => ({
+    send: async (message) => {
+      console.log('📧 Mail (console transport):', {
+        to: message.to,
+        subject: message.subject,
+        text: message.text
+      });
+      return { accepted: [message.to] };
+    }
+  }),
+
+  // Local dev / tests: write each message as an .eml file into MAIL_DIR
+  file: () => {
+    const dir = process.env.MAIL_DIR || path.join(__dirname, 'mail-outbox');
+    const transport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    return {
+      send: async (message) => {
+        const info = await transport.sendMail(message);
+        await fs.promises.mkdir(dir, { recursive: true });
+        const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+        await fs.promises.writeFile(file, info.message);
+        console.log(`📧 Mail written to ${file}`);
+        return info;
+      }
+    };
+  },
+
+  // Production (or a local SMTP stand-in such as MailHog / smtp4dev)
+  smtp: () => {
+    const transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+    return {
+      send: (message) => transport.sendMail(message),
+      close: () => transport.close()
+    };
+  }
+};
+
+let activeTransport = null;
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport "${name}".`);
+    }
+    activeTransport = { name, ...factory() };
+  }
+  return activeTransport;
+};
+
+// Add (or replace) a transport; the next sendMail() picks up the change
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  activeTransport = null;
+};
+
+const sendMail = ({ to, subject, text, html }) => {
+  return getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+};
+
+const closeMailer = () => {
+  if (activeTransport && activeTransport.close) activeTransport.close();
+  activeTransport = null;
+};
+
+// ======================
+// TEMPLATES
+// ======================
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const templates = {
+  passwordReset: ({ name, link, expiresInMinutes }) => ({
+    subject: 'Reset your Todo API password',
+    text: [
+      `Hi ${name},`,
+      '',
+      'Someone (hopefully you) asked to reset the password for your account.',
+      `Use the link below within ${expiresInMinutes} minutes to choose a new one:`,
+      '',
+      link,
+      '',
+      'If you did not request this, you can ignore this email.'
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Someone (hopefully you) asked to reset the password for your account.
+      Use the link below within ${expiresInMinutes} minutes to choose a new one:</p>
+      <p><a href="${escapeHtml(link)}">Reset password</a></p>
+      <p>If you did not request this, you can ignore this email.</p>
+    `
+  }),
+
+  verifyEmail: ({ name, link, expiresInHours }) => ({
+    subject: 'Confirm your Todo API email address',
+    text: [
+      `Hi ${name},`,
+      '',
+      'Please confirm your email address by opening the link below',
+      `(valid for ${expiresInHours} hours):`,
+      '',
+      link
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Please confirm your email address by opening the link below
+      (valid for ${expiresInHours} hours):</p>
+      <p><a href="${escapeHtml(link)}">Confirm email address</a></p>
+    `
+  }),
+
+  dueReminder: ({ name, task, when, dueDate, link }) => ({
+    subject: `Reminder: "${task}" ${when}`,
+    text: [
+      `Hi ${name},`,
+      '',
+      `Your todo "${task}" ${when} (due ${dueDate.toUTCString()}).`,
+      '',
+      link
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Your todo <strong>${escapeHtml(task)}</strong> ${escapeHtml(when)}
+      (due ${escapeHtml(dueDate.toUTCString())}).</p>
+      <p><a href="${escapeHtml(link)}">Open todo</a></p>
+    `
+  })
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  closeMailer,
+  templates
+};
@@ -0,0 +1,1960 @@
+// mongo-db.js
+const mongoose = require('mongoose');
+const {
+  PRIORITIES,
+  ROLES,
+  AUTH_TOKEN_TYPES,
+  DEFAULT_LIST_COLOR,
+  SHARE_PERMISSIONS,
+  SHARE_RESOURCE_TYPES,
+  WEBHOOK_EVENTS,
+  WEBHOOK_DELIVERY_STATUSES,
+  REVISION_ACTIONS,
+  ConflictError,
+  ValidationError,
+  normalizeEmail,
+  normalizeTodoInput,
+  normalizeListInput,
+  normalizeShareInput,
+  normalizeWebhookInput,
+  highestPermission,
+  normalizeItemInput,
+  assertItemOrder,
+  normalizeListOptions,
+  normalizePageOptions,
+  pageWithCursors,
+  markMatches,
+  markedToHtml,
+  matchingTags
+} = require('./repositories');
+
+// ======================
+// DATA MODELS
+// ======================
+
+// User Model
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    minlength: [2, 'Name must be at least 2 characters'],
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email'],
+    index: true
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [6, 'Password must be at least 6 characters'],
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastLogin: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Remove password from JSON output
+userSchema.methods.toJSON = function() {
+  const user = this.toObject();
+  delete user.password;
+  delete user.__v;
+  return user;
+};
+
+const User = mongoose.model('User', userSchema);
+
+// Checklist items live inside their todo, in array order
+const todoItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Item text is required'],
+    trim: true,
+    maxlength: [200, 'Item text cannot exceed 200 characters']
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Todo Model
+const todoSchema = new mongoose.Schema({
+  task: {
+    type: String,
+    required: [true, 'Task is required'],
+    trim: true,
+    minlength: [3, 'Task must be at least 3 characters'],
+    maxlength: [500, 'Task cannot exceed 500 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  priority: {
+    type: String,
+    enum: PRIORITIES,
+    default: 'medium'
+  },
+  dueDate: {
+    type: Date
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  items: [todoItemSchema],
+  autoComplete: {
+    type: Boolean,
+    default: false
+  },
+  list: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    default: null
+  },
+  // Canonical RRULE (see recurrence.js) and the todo's place in its series
+  recurrence: {
+    type: String,
+    default: null
+  },
+  occurrence: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Minutes before the due date; unset means the scheduler defaults
+  reminders: {
+    type: [Number],
+    default: undefined
+  },
+  // When it was completed, null while open (missing on todos stored before
+  // this field existed, see connect())
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // When it went to the trash, null otherwise
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+todoSchema.index({ user: 1, completed: 1, createdAt: -1 });
+todoSchema.index({ user: 1, dueDate: 1 });
+todoSchema.index({ user: 1, list: 1 });
+todoSchema.index({ completed: 1, dueDate: 1 });
+todoSchema.index({ user: 1, deletedAt: -1 });
+// Full-text search; no stemming or stop words, like the SQLite FTS5 index
+todoSchema.index(
+  { user: 1, task: 'text', description: 'text', tags: 'text' },
+  { name: 'todo_text', weights: { task: 10, tags: 5, description: 2 }, default_language: 'none' }
+);
+
+const Todo = mongoose.model('Todo', todoSchema);
+
+// List Model (projects that group todos)
+const listSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'List name is required'],
+    trim: true,
+    maxlength: [50, 'List name cannot exceed 50 characters']
+  },
+  color: {
+    type: String,
+    default: DEFAULT_LIST_COLOR
+  },
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+const List = mongoose.model('List', listSchema);
+
+// Share Model (a todo or a whole list made visible to another user)
+const shareSchema = new mongoose.Schema({
+  resourceType: {
+    type: String,
+    enum: SHARE_RESOURCE_TYPES,
+    required: true
+  },
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  permission: {
+    type: String,
+    enum: SHARE_PERMISSIONS,
+    default: 'viewer'
+  }
+}, {
+  timestamps: true
+});
+
+shareSchema.index({ resourceType: 1, resource: 1, user: 1 }, { unique: true });
+
+const Share = mongoose.model('Share', shareSchema);
+
+// Reminder Log Model (one document per todo / offset / due date already sent)
+const reminderSchema = new mongoose.Schema({
+  todo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  offset: {
+    type: Number,
+    required: true
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: 'sentAt', updatedAt: false }
+});
+
+reminderSchema.index({ todo: 1, offset: 1, dueDate: 1 }, { unique: true });
+
+const Reminder = mongoose.model('Reminder', reminderSchema);
+
+// Notification Model (in-app notifications)
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  todo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    default: null
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+// Todo Revision Model (change history, numbered from 1 per todo)
+const todoRevisionSchema = new mongoose.Schema({
+  todo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: REVISION_ACTIONS,
+    required: true
+  },
+  changes: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  revertedTo: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+todoRevisionSchema.index({ todo: 1, revision: -1 }, { unique: true });
+todoRevisionSchema.index({ user: 1, createdAt: -1 });
+todoRevisionSchema.index({ actor: 1, createdAt: -1 });
+
+const TodoRevision = mongoose.model('TodoRevision', todoRevisionSchema);
+
+// Webhook Model (user-registered endpoints for todo events)
+const webhookSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  events: [{
+    type: String,
+    enum: WEBHOOK_EVENTS
+  }],
+  description: {
+    type: String,
+    default: null
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+// Webhook Delivery Model (the delivery log, one document per event and webhook)
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: WEBHOOK_DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+// Refresh Token Model (one document per issued token, grouped by login family)
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  replacedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Let MongoDB drop expired tokens on its own
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+// Auth Token Model (single-use tokens mailed to users: password reset, email verification)
+const authTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: AUTH_TOKEN_TYPES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+authTokenSchema.index({ user: 1, type: 1 });
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthToken = mongoose.model('AuthToken', authTokenSchema);
+
+// Calendar Feed Model (one per user, only the hash of the secret token is stored)
+const calendarFeedSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+const CalendarFeed = mongoose.model('CalendarFeed', calendarFeedSchema);
+
+// ======================
+// DOCUMENT MAPPERS
+// ======================
+
+const isValidId = (id) => mongoose.isValidObjectId(id);
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toUser = (doc) => {
+  if (!doc) return null;
+  return {
+    id: doc._id.toString(),
+    name: doc.name,
+    email: doc.email,
+    role: doc.role,
+    isActive: Boolean(doc.isActive),
+    // Accounts created before verification existed have no flag and count as verified
+    emailVerified: doc.emailVerified !== false,
+    createdAt: doc.createdAt || null,
+    lastLogin: doc.lastLogin || null
+  };
+};
+
+const toTodo = (doc) => {
+  if (!doc) return null;
+  const userId = doc.user && doc.user._id ? doc.user._id : doc.user;
+  return {
+    id: doc._id.toString(),
+    task: doc.task,
+    description: doc.description || null,
+    completed: Boolean(doc.completed),
+    priority: doc.priority,
+    dueDate: doc.dueDate || null,
+    tags: doc.tags || [],
+    autoComplete: Boolean(doc.autoComplete),
+    progress: {
+      completed: (doc.items || []).filter(item => item.completed).length,
+      total: (doc.items || []).length
+    },
+    listId: doc.list ? doc.list.toString() : null,
+    recurrence: doc.recurrence || null,
+    occurrence: doc.occurrence || 1,
+    reminders: Array.isArray(doc.reminders) ? doc.reminders : null,
+    userId: userId ? userId.toString() : null,
+    completedAt: doc.completedAt || null,
+    deletedAt: doc.deletedAt || null,
+    createdAt: doc.createdAt || null,
+    updatedAt: doc.updatedAt || null
+  };
+};
+
+const toItem = (doc, position) => ({
+  id: doc._id.toString(),
+  text: doc.text,
+  completed: Boolean(doc.completed),
+  position
+});
+
+const withItems = (doc) => {
+  if (!doc) return null;
+  return { ...toTodo(doc), items: (doc.items || []).map(toItem) };
+};
+
+// Todos reference their list through the `list` field
+const toTodoFields = ({ listId, ...fields }) => (
+  listId === undefined ? fields : { ...fields, list: listId }
+);
+
+// Set completedAt on the matching todos that were just completed; todos that
+// already were completed keep their time
+const stampCompletedAt = (filter, at = new Date()) => Todo.updateMany(
+  { ...filter, completed: true, completedAt: null },
+  { $set: { completedAt: at } }
+);
+
+const toList = (doc) => {
+  if (!doc) return null;
+  return {
+    id: doc._id.toString(),
+    name: doc.name,
+    color: doc.color,
+    archived: Boolean(doc.archived),
+    userId: doc.user.toString(),
+    createdAt: doc.createdAt || null,
+    updatedAt: doc.updatedAt || null
+  };
+};
+
+const toShare = (doc) => {
+  if (!doc) return null;
+  const idOf = (ref) => (ref && ref._id ? ref._id : ref).toString();
+  return {
+    id: doc._id.toString(),
+    resourceType: doc.resourceType,
+    resourceId: doc.resource.toString(),
+    ownerId: idOf(doc.owner),
+    userId: idOf(doc.user),
+    permission: doc.permission,
+    createdAt: doc.createdAt || null,
+    updatedAt: doc.updatedAt || null
+  };
+};
+
+const toPerson = (doc) => (doc && doc._id
+  ? { id: doc._id.toString(), name: doc.name, email: doc.email }
+  : { id: null, name: null, email: null });
+
+const toNotification = (doc) => {
+  if (!doc) return null;
+  return {
+    id: doc._id.toString(),
+    userId: doc.user.toString(),
+    todoId: doc.todo ? doc.todo.toString() : null,
+    type: doc.type,
+    title: doc.title,
+    body: doc.body || null,
+    read: Boolean(doc.readAt),
+    readAt: doc.readAt || null,
+    createdAt: doc.createdAt || null
+  };
+};
+
+// Expects actor populated with name / email
+const toRevision = (doc) => {
+  if (!doc) return null;
+  const actor = doc.actor || null;
+  return {
+    id: doc._id.toString(),
+    todoId: doc.todo.toString(),
+    userId: doc.user.toString(),
+    actor: {
+      id: actor ? (actor._id || actor).toString() : null,
+      name: (actor && actor.name) || null,
+      email: (actor && actor.email) || null
+    },
+    revision: doc.revision,
+    action: doc.action,
+    changes: doc.changes || [],
+    snapshot: doc.snapshot,
+    revertedTo: doc.revertedTo || null,
+    createdAt: doc.createdAt || null
+  };
+};
+
+const toWebhook = (doc) => {
+  if (!doc) return null;
+  return {
+    id: doc._id.toString(),
+    userId: doc.user.toString(),
+    url: doc.url,
+    events: doc.events || [],
+    description: doc.description || null,
+    active: Boolean(doc.active),
+    createdAt: doc.createdAt || null,
+    updatedAt: doc.updatedAt || null
+  };
+};
+
+const toDelivery = (doc) => {
+  if (!doc) return null;
+  const webhookId = doc.webhook && doc.webhook._id ? doc.webhook._id : doc.webhook;
+  return {
+    id: doc._id.toString(),
+    webhookId: webhookId.toString(),
+    event: doc.event,
+    payload: doc.payload,
+    status: doc.status,
+    attempts: doc.attempts || 0,
+    nextAttemptAt: doc.nextAttemptAt || null,
+    responseStatus: doc.responseStatus || null,
+    error: doc.error || null,
+    createdAt: doc.createdAt || null,
+    updatedAt: doc.updatedAt || null
+  };
+};
+
+const toRefreshToken = (doc) => {
+  if (!doc) return null;
+  return {
+    id: doc._id.toString(),
+    userId: doc.user.toString(),
+    family: doc.family,
+    tokenHash: doc.tokenHash,
+    expiresAt: doc.expiresAt,
+    revokedAt: doc.revokedAt || null,
+    replacedBy: doc.replacedBy || null,
+    createdAt: doc.createdAt || null
+  };
+};
+
+const toAuthToken = (doc) => {
+  if (!doc) return null;
+  return {
+    id: doc._id.toString(),
+    userId: doc.user.toString(),
+    type: doc.type,
+    tokenHash: doc.tokenHash,
+    expiresAt: doc.expiresAt,
+    usedAt: doc.usedAt || null,
+    createdAt: doc.createdAt || null
+  };
+};
+
+const toCalendarFeed = (doc) => {
+  if (!doc) return null;
+  return {
+    id: doc._id.toString(),
+    userId: doc.user.toString(),
+    tokenHash: doc.tokenHash,
+    createdAt: doc.createdAt || null,
+    lastAccessedAt: doc.lastAccessedAt || null
+  };
+};
+
+// ======================
+// PAGINATION
+// ======================
+
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'dueDate'];
+
+// Documents after [value, id] when reading in the given direction; null and
+// missing values sort first in ascending order
+const seekCondition = (field, [value, id], ascending) => {
+  const key = DATE_FIELDS.includes(field) && value !== null ? new Date(value) : value;
+  const _id = toObjectId(id);
+  if (key === null) {
+    return ascending
+      ? { $or: [{ [field]: { $ne: null } }, { [field]: null, _id: { $gt: _id } }] }
+      : { [field]: null, _id: { $lt: _id } };
+  }
+  return ascending
+    ? { $or: [{ [field]: { $gt: key } }, { [field]: key, _id: { $gt: _id } }] }
+    : { $or: [{ [field]: { $lt: key } }, { [field]: null }, { [field]: key, _id: { $lt: _id } }] };
+};
+
+// One page of Model.find(query) sorted by `sort` ([field, order], as named
+// in cursors), then _id. `prepare` adds projection / populate to the find;
+// `order` replaces the sort for offset paging (no keyset). See
+// pageWithCursors() for the result.
+const readPage = async (Model, { query, sort, order = null, paging, prepare = (find) => find }) => {
+  const { limit, skip, cursor } = paging;
+  if (cursor && (cursor.sort[0] !== sort[0] || cursor.sort[1] !== sort[1])) {
+    throw new ValidationError('Invalid cursor.');
+  }
+
+  const [field, sortOrder] = sort;
+  const keyset = !order;
+  const backwards = Boolean(cursor && cursor.before);
+  const ascending = (sortOrder === 'asc') !== backwards;
+  let filter = query;
+  if (keyset && cursor) {
+    const seek = seekCondition(field, cursor.after || cursor.before, ascending);
+    filter = { ...query, $and: [...(query.$and || []), seek] };
+  }
+
+  const direction = ascending ? 1 : -1;
+  const docs = await prepare(Model.find(filter))
+    .sort(order || { [field]: direction, _id: direction })
+    .skip(keyset && cursor ? 0 : skip)
+    .limit(limit + 1)
+    .lean();
+  return pageWithCursors(docs, {
+    limit,
+    skip,
+    cursor,
+    sort,
+    keyOf: keyset ? doc => [doc[field] ?? null, doc._id.toString()] : null
+  });
+};
+
+// ======================
+// USER REPOSITORY
+// ======================
+
+class MongoUserRepository {
+  async findById(id) {
+    if (!isValidId(id)) return null;
+    return toUser(await User.findById(id).lean());
+  }
+
+  async findByEmail(email, { withPassword = false } = {}) {
+    const query = User.findOne({ email: normalizeEmail(email) });
+    if (withPassword) query.select('+password');
+    const doc = await query.lean();
+    if (!doc) return null;
+    const user = toUser(doc);
+    if (withPassword) user.password = doc.password;
+    return user;
+  }
+
+  async create({ name, email, password, role = 'user' }) {
+    try {
+      const doc = await User.create({ name, email: normalizeEmail(email), password, role });
+      return toUser(doc.toObject());
+    } catch (err) {
+      // Handle duplicate email
+      if (err.code === 11000) {
+        throw new ConflictError('User with this email already exists.');
+      }
+      throw err;
+    }
+  }
+
+  async update(id, fields) {
+    if (!isValidId(id)) return null;
+    const updates = {};
+    for (const field of ['name', 'role', 'isActive', 'password', 'emailVerified']) {
+      if (fields[field] !== undefined) updates[field] = fields[field];
+    }
+    const doc = await User.findByIdAndUpdate(id, updates, { new: true, runValidators: true }).lean();
+    return toUser(doc);
+  }
+
+  async recordLogin(id) {
+    if (!isValidId(id)) return;
+    await User.findByIdAndUpdate(id, { lastLogin: new Date() });
+  }
+
+  async list(options = {}) {
+    const paging = normalizePageOptions(options, { defaultLimit: 50 });
+    const [{ rows, nextCursor, prevCursor }, total] = await Promise.all([
+      readPage(User, { query: {}, sort: ['createdAt', 'desc'], paging }),
+      User.countDocuments()
+    ]);
+    return { users: rows.map(toUser), total, nextCursor, prevCursor };
+  }
+
+  async countActiveAdmins() {
+    return User.countDocuments({ role: 'admin', isActive: true });
+  }
+
+  async delete(id) {
+    if (!isValidId(id)) return false;
+    const doc = await User.findByIdAndDelete(id).lean();
+    if (!doc) return false;
+
+    // No cascading deletes in MongoDB, clean up what belonged to the user
+    await Promise.all([
+      Todo.deleteMany({ user: id }),
+      List.deleteMany({ user: id }),
+      Share.deleteMany({ $or: [{ owner: id }, { user: id }] }),
+      Reminder.deleteMany({ user: id }),
+      Notification.deleteMany({ user: id }),
+      TodoRevision.deleteMany({ user: id }),
+      TodoRevision.updateMany({ actor: id }, { actor: null }),
+      Webhook.find({ user: id }).distinct('_id')
+        .then(webhookIds => Promise.all([
+          Webhook.deleteMany({ _id: { $in: webhookIds } }),
+          WebhookDelivery.deleteMany({ webhook: { $in: webhookIds } })
+        ])),
+      RefreshToken.deleteMany({ user: id }),
+      AuthToken.deleteMany({ user: id }),
+      CalendarFeed.deleteMany({ user: id })
+    ]);
+    return true;
+  }
+}
+
+// ======================
+// TODO REPOSITORY
+// ======================
+
+// Query for the todo list filters of one user. Words and phrases go to the
+// text index (each quoted, so all of them must match); $text has no prefix
+// matching, so prefix* words match the start of a word with a regex.
+const todoQuery = (userId, options) => {
+  const filters = normalizeListOptions(options);
+  const { completed, priorities, list, tags, tagMatch, excludeTags, search } = filters;
+
+  const query = { user: userId, deletedAt: null };
+  const and = [];
+  if (completed !== undefined) query.completed = completed;
+  if (priorities) query.priority = { $in: priorities };
+  if (list !== undefined) query.list = list;
+  if (tags || excludeTags) {
+    query.tags = {};
+    if (tags) query.tags[tagMatch === 'all' ? '$all' : '$in'] = tags;
+    if (excludeTags) query.tags.$nin = excludeTags;
+  }
+
+  if (filters.dueFrom || filters.dueTo) {
+    and.push({
+      dueDate: {
+        ...(filters.dueFrom && { $gte: filters.dueFrom }),
+        ...(filters.dueTo && { $lt: filters.dueTo })
+      }
+    });
+  }
+  if (filters.noDueDate !== undefined) {
+    and.push({ dueDate: filters.noDueDate ? null : { $ne: null } });
+  }
+  if (filters.overdue !== undefined) {
+    const overdue = { completed: false, dueDate: { $ne: null, $lt: filters.now } };
+    and.push(filters.overdue ? overdue : { $nor: [overdue] });
+  }
+  if (filters.createdAfter) query.createdAt = { $gt: filters.createdAfter };
+  if (filters.updatedAfter) query.updatedAt = { $gt: filters.updatedAfter };
+
+  if (search) {
+    const words = search.filter(term => !term.prefix);
+    if (words.length > 0) {
+      query.$text = { $search: words.map(term => `"${term.text.replace(/"/g, '')}"`).join(' ') };
+    }
+    for (const term of search.filter(candidate => candidate.prefix)) {
+      and.push({
+        $or: ['task', 'description', 'tags'].map(field => ({
+          [field]: { $regex: `(^|\\W)${escapeRegex(term.text)}`, $options: 'i' }
+        }))
+      });
+    }
+  }
+
+  if (and.length > 0) query.$and = and;
+  return query;
+};
+
+const toSearchResult = (doc, terms) => {
+  const todo = toTodo(doc);
+  return {
+    ...todo,
+    search: {
+      score: doc.score || 0,
+      highlights: {
+        task: markedToHtml(markMatches(todo.task, terms)),
+        description: markedToHtml(markMatches(todo.description, terms, { length: 120 })),
+        tags: matchingTags(todo.tags, terms)
+      }
+    }
+  };
+};
+
+class MongoTodoRepository {
+  async create(userId, input, { createdAt = null, completedAt = null } = {}) {
+    // reminders: null means "use the defaults" and is stored as a missing field
+    const { reminders, ...todo } = normalizeTodoInput(input);
+    const doc = await Todo.create({
+      ...toTodoFields(todo),
+      ...(reminders && { reminders }),
+      ...(createdAt && { createdAt }),
+      completedAt: todo.completed ? completedAt || new Date() : null,
+      user: userId
+    });
+    return toTodo(doc.toObject());
+  }
+
+  async findForUser(userId, options = {}) {
+    const paging = normalizeListOptions(options);
+    const { sortBy, sortOrder, search } = paging;
+    const query = todoQuery(userId, options);
+
+    // Relevance pages by offset
+    const scored = Boolean(query.$text);
+    let order = null;
+    if (sortBy === 'relevance') {
+      order = scored ? { score: { $meta: 'textScore' }, _id: -1 } : { createdAt: -1, _id: -1 };
+    }
+
+    const [{ rows, nextCursor, prevCursor }, total] = await Promise.all([
+      readPage(Todo, {
+        query,
+        sort: [sortBy, sortOrder],
+        order,
+        paging,
+        prepare: find => (scored ? find.select({ score: { $meta: 'textScore' } }) : find)
+      }),
+      Todo.countDocuments(query)
+    ]);
+
+    return {
+      todos: rows.map(doc => (search ? toSearchResult(doc, search) : toTodo(doc))),
+      total,
+      nextCursor,
+      prevCursor
+    };
+  }
+
+  async findIdsForUser(userId, filters = {}) {
+    const docs = await Todo.find(todoQuery(userId, filters), '_id').sort({ createdAt: 1, _id: 1 }).lean();
+    return docs.map(doc => doc._id.toString());
+  }
+
+  async listForUser(userId) {
+    const docs = await Todo.find({ user: userId, deletedAt: null }).sort({ createdAt: 1, _id: 1 }).lean();
+    return docs.map(withItems);
+  }
+
+  async findById(id, userId) {
+    if (!isValidId(id)) return null;
+    return withItems(await Todo.findOne({ _id: id, user: userId, deletedAt: null }).lean());
+  }
+
+  async update(id, userId, input) {
+    if (!isValidId(id)) return null;
+    const { reminders, ...updates } = normalizeTodoInput(input, { partial: true });
+    const change = { $set: toTodoFields(updates) };
+    if (reminders === null) change.$unset = { reminders: 1 };
+    else if (reminders !== undefined) change.$set.reminders = reminders;
+    if (updates.completed === false) change.$set.completedAt = null;
+
+    const doc = await Todo.findOneAndUpdate(
+      { _id: id, user: userId, deletedAt: null },
+      change,
+      { new: true, runValidators: true }
+    ).lean();
+    if (doc && updates.completed && !doc.completedAt) {
+      doc.completedAt = new Date();
+      await stampCompletedAt({ _id: doc._id }, doc.completedAt);
+    }
+    return withItems(doc);
+  }
+
+  async delete(id, userId) {
+    if (!isValidId(id)) return false;
+    const result = await Todo.updateOne(
+      { _id: id, user: userId, deletedAt: null },
+      { $set: { deletedAt: new Date() } },
+      { timestamps: false }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async findTrash(userId, options = {}) {
+    const paging = normalizePageOptions(options);
+    const query = { user: userId, deletedAt: { $ne: null } };
+    const [{ rows, nextCursor, prevCursor }, total] = await Promise.all([
+      readPage(Todo, { query, sort: ['deletedAt', 'desc'], paging }),
+      Todo.countDocuments(query)
+    ]);
+    return { todos: rows.map(toTodo), total, nextCursor, prevCursor };
+  }
+
+  async restore(id, userId) {
+    if (!isValidId(id)) return null;
+    const doc = await Todo.findOneAndUpdate(
+      { _id: id, user: userId, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null } },
+      { new: true }
+    ).lean();
+    if (!doc) return null;
+
+    // Its list may have been deleted while it was in the trash
+    if (doc.list && !(await List.exists({ _id: doc.list }))) {
+      await Todo.updateOne({ _id: doc._id }, { $set: { list: null } }, { timestamps: false });
+      doc.list = null;
+    }
+    return withItems(doc);
+  }
+
+  async purge({ userId, id, deletedBefore } = {}) {
+    if (id !== undefined && !isValidId(id)) return 0;
+    const filter = { deletedAt: deletedBefore ? { $ne: null, $lt: deletedBefore } : { $ne: null } };
+    if (userId !== undefined) filter.user = userId;
+    if (id !== undefined) filter._id = id;
+
+    const ids = await Todo.find(filter).distinct('_id');
+    if (ids.length === 0) return 0;
+    const result = await Todo.deleteMany({ _id: { $in: ids } });
+    await Promise.all([
+      Share.deleteMany({ resourceType: 'todo', resource: { $in: ids } }),
+      Reminder.deleteMany({ todo: { $in: ids } }),
+      TodoRevision.deleteMany({ todo: { $in: ids } })
+    ]);
+    return result.deletedCount;
+  }
+
+  async bulkUpdate(targets, { set = {}, addTags = [], removeTags = [] }) {
+    const valid = targets.filter(target => isValidId(target.id));
+    if (valid.length === 0) return [];
+
+    const updates = normalizeTodoInput(set, { partial: true });
+    if (updates.completed === false) updates.completedAt = null;
+    const change = {};
+    if (Object.keys(updates).length > 0) change.$set = updates;
+    if (addTags.length > 0) change.$addToSet = { tags: { $each: addTags } };
+    if (removeTags.length > 0) change.$pull = { tags: { $in: removeTags } };
+
+    await Todo.bulkWrite(valid.map(({ id, userId }) => ({
+      updateOne: { filter: { _id: id, user: userId, deletedAt: null }, update: change }
+    })), { ordered: false });
+
+    const filter = { $or: valid.map(({ id, userId }) => ({ _id: id, user: userId })), deletedAt: null };
+    if (updates.completed) await stampCompletedAt(filter);
+    const docs = await Todo.find(filter).lean();
+    return valid
+      .map(({ id }) => docs.find(doc => doc._id.toString() === String(id)))
+      .filter(Boolean)
+      .map(withItems);
+  }
+
+  async bulkDelete(targets) {
+    const valid = targets.filter(target => isValidId(target.id));
+    if (valid.length === 0) return [];
+
+    const filter = { $or: valid.map(({ id, userId }) => ({ _id: id, user: userId })), deletedAt: null };
+    const ids = await Todo.find(filter).distinct('_id');
+    if (ids.length === 0) return [];
+
+    const deletedAt = new Date();
+    await Todo.bulkWrite(ids.map(_id => ({
+      updateOne: { filter: { _id }, update: { $set: { deletedAt } }, timestamps: false }
+    })), { ordered: false });
+    return ids.map(id => id.toString());
+  }
+
+  async stats(userId, { listId } = {}) {
+    const match = { user: toObjectId(userId), deletedAt: null };
+    if (listId === null) match.list = null;
+    else if (listId !== undefined) match.list = toObjectId(listId);
+
+    const result = await Todo.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          completed: { $sum: { $cond: ['$completed', 1, 0] } },
+          pending: { $sum: { $cond: ['$completed', 0, 1] } },
+          highPriority: { $sum: { $cond: [{ $eq: ['$priority', 'high'] }, 1, 0] } },
+          mediumPriority: { $sum: { $cond: [{ $eq: ['$priority', 'medium'] }, 1, 0] } },
+          lowPriority: { $sum: { $cond: [{ $eq: ['$priority', 'low'] }, 1, 0] } }
+        }
+      },
+      { $project: { _id: 0 } }
+    ]);
+
+    return result[0] || {
+      total: 0, completed: 0, pending: 0,
+      highPriority: 0, mediumPriority: 0, lowPriority: 0
+    };
+  }
+
+  async statsByList(userId) {
+    const result = await Todo.aggregate([
+      { $match: { user: toObjectId(userId), deletedAt: null } },
+      {
+        $group: {
+          _id: { $ifNull: ['$list', null] },
+          total: { $sum: 1 },
+          completed: { $sum: { $cond: ['$completed', 1, 0] } },
+          pending: { $sum: { $cond: ['$completed', 0, 1] } }
+        }
+      }
+    ]);
+    return result.map(({ _id, ...counts }) => ({ listId: _id ? _id.toString() : null, ...counts }));
+  }
+
+  async analytics(userId, { periods, from, to, now: at = new Date(), listId } = {}) {
+    const match = { user: toObjectId(userId), deletedAt: null };
+    if (listId === null) match.list = null;
+    else if (listId !== undefined) match.list = toObjectId(listId);
+
+    // Counts per period by its start; overdue is counted where the period
+    // ends, or now
+    const boundaries = [...periods.map(({ start }) => start), to];
+    const cutoffs = periods.map(({ end }) => (end < at ? end : at));
+    const countPerPeriod = (field) => [
+      { $match: { [field]: { $gte: from, $lt: to } } },
+      { $bucket: { groupBy: `$${field}`, boundaries, output: { count: { $sum: 1 } } } }
+    ];
+
+    const [result] = await Todo.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          created: countPerPeriod('createdAt'),
+          completed: countPerPeriod('completedAt'),
+          overdue: [
+            { $match: { dueDate: { $ne: null, $lt: cutoffs[cutoffs.length - 1] } } },
+            {
+              $project: {
+                overdueFrom: { $max: ['$dueDate', '$createdAt'] },
+                completedAt: 1,
+                cutoff: { $literal: cutoffs }
+              }
+            },
+            { $unwind: '$cutoff' },
+            {
+              $match: {
+                $expr: {
+                  $and: [
+                    { $lt: ['$overdueFrom', '$cutoff'] },
+                    {
+                      $or: [
+                        { $eq: [{ $ifNull: ['$completedAt', null] }, null] },
+                        { $gte: ['$completedAt', '$cutoff'] }
+                      ]
+                    }
+                  ]
+                }
+              }
+            },
+            { $group: { _id: '$cutoff', count: { $sum: 1 } } }
+          ],
+          timeToComplete: [
+            { $match: { completedAt: { $gte: from, $lt: to } } },
+            {
+              $group: {
+                _id: '$priority',
+                count: { $sum: 1 },
+                averageMs: { $avg: { $subtract: ['$completedAt', '$createdAt'] } }
+              }
+            }
+          ],
+          completionDays: [
+            { $match: { completedAt: { $ne: null } } },
+            { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$completedAt' } } } },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const countAt = (entries, date) => {
+      const entry = entries.find(({ _id }) => _id.getTime() === date.getTime());
+      return entry ? entry.count : 0;
+    };
+    return {
+      series: periods.map(({ start }, index) => ({
+        created: countAt(result.created, start),
+        completed: countAt(result.completed, start),
+        overdue: countAt(result.overdue, cutoffs[index])
+      })),
+      timeToComplete: result.timeToComplete.map(({ _id, count, averageMs }) => ({
+        priority: _id,
+        count,
+        averageHours: averageMs / (60 * 60 * 1000)
+      })),
+      completionDays: result.completionDays.map(({ _id }) => _id)
+    };
+  }
+
+  async tagCounts(userId) {
+    const result = await Todo.aggregate([
+      { $match: { user: toObjectId(userId), deletedAt: null } },
+      { $unwind: '$tags' },
+      {
+        $group: {
+          _id: '$tags',
+          count: { $sum: 1 },
+          open: { $sum: { $cond: ['$completed', 0, 1] } }
+        }
+      },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+    return result.map(({ _id, ...counts }) => ({ name: _id, ...counts }));
+  }
+
+  async replaceTags(userId, tags, replacement) {
+    const filter = { user: userId, deletedAt: null, tags: { $in: tags } };
+    const ids = await Todo.find(filter).distinct('_id');
+    if (ids.length === 0) return [];
+
+    // Keeps the tag order; the replacement takes the first replaced tag's place
+    const mapped = { $map: { input: '$tags', in: { $cond: [{ $in: ['$$this', tags] }, replacement, '$$this'] } } };
+    await Todo.updateMany({ _id: { $in: ids } }, [{
+      $set: {
+        tags: {
+          $reduce: {
+            input: mapped,
+            initialValue: [],
+            in: {
+              $cond: [
+                { $or: [{ $eq: ['$$this', null] }, { $in: ['$$this', '$$value'] }] },
+                '$$value',
+                { $concatArrays: ['$$value', ['$$this']] }
+              ]
+            }
+          }
+        },
+        updatedAt: '$$NOW'
+      }
+    }], { timestamps: false });
+
+    const docs = await Todo.find({ _id: { $in: ids } }).sort({ createdAt: 1, _id: 1 }).lean();
+    return docs.map(withItems);
+  }
+
+  async reassignList(userId, fromListId, toListId) {
+    if (!isValidId(fromListId)) return 0;
+    const result = await Todo.updateMany(
+      { user: userId, list: fromListId, deletedAt: null },
+      { list: toListId || null }
+    );
+    return result.modifiedCount;
+  }
+
+  async deleteInList(userId, listId) {
+    if (!isValidId(listId)) return 0;
+    const result = await Todo.updateMany(
+      { user: userId, list: listId, deletedAt: null },
+      { $set: { deletedAt: new Date() } },
+      { timestamps: false }
+    );
+    return result.modifiedCount;
+  }
+
+  async listAll(options = {}) {
+    const paging = normalizePageOptions(options, { defaultLimit: 50 });
+    const [{ rows, nextCursor, prevCursor }, total] = await Promise.all([
+      readPage(Todo, {
+        query: { deletedAt: null },
+        sort: ['createdAt', 'desc'],
+        paging,
+        prepare: find => find.populate('user', 'name email')
+      }),
+      Todo.countDocuments({ deletedAt: null })
+    ]);
+
+    return {
+      todos: rows.map(doc => ({
+        ...toTodo(doc),
+        user: doc.user
+          ? { id: doc.user._id.toString(), name: doc.user.name, email: doc.user.email }
+          : { id: null, name: null, email: null }
+      })),
+      total,
+      nextCursor,
+      prevCursor
+    };
+  }
+
+  async listDueBetween(from, to) {
+    const docs = await Todo.find({ completed: false, deletedAt: null, dueDate: { $gt: from, $lte: to } })
+      .populate('user', 'name email isActive')
+      .sort({ dueDate: 1 })
+      .lean();
+    return docs.filter(doc => doc.user).map(doc => ({
+      ...toTodo(doc),
+      user: {
+        id: doc.user._id.toString(),
+        name: doc.user.name,
+        email: doc.user.email,
+        isActive: Boolean(doc.user.isActive)
+      }
+    }));
+  }
+
+  async ownerOf(id) {
+    if (!isValidId(id)) return null;
+    const doc = await Todo.findOne({ _id: id, deletedAt: null }).select('user list').lean();
+    if (!doc) return null;
+    return { id: doc._id.toString(), userId: doc.user.toString(), listId: doc.list ? doc.list.toString() : null };
+  }
+
+  // ======================
+  // CHECKLIST ITEMS
+  // ======================
+
+  async listItems(todoId, userId) {
+    if (!isValidId(todoId)) return null;
+    const doc = await Todo.findOne({ _id: todoId, user: userId, deletedAt: null }).select('items').lean();
+    return doc ? doc.items.map(toItem) : null;
+  }
+
+  async addItem(todoId, userId, input) {
+    const item = normalizeItemInput(input);
+    if (!isValidId(todoId)) return null;
+
+    const push = { $each: [{ text: item.text, completed: Boolean(item.completed) }] };
+    if (item.position !== undefined) push.$position = item.position;
+
+    const doc = await Todo.findOneAndUpdate(
+      { _id: todoId, user: userId, deletedAt: null },
+      { $push: { items: push } },
+      { new: true, runValidators: true }
+    ).lean();
+    if (!doc) return null;
+
+    // $position clamps to the array end, so find the new item by position
+    const position = item.position === undefined
+      ? doc.items.length - 1
+      : Math.min(item.position, doc.items.length - 1);
+    return toItem(doc.items[position], position);
+  }
+
+  async updateItem(todoId, userId, itemId, input) {
+    const updates = normalizeItemInput(input, { partial: true });
+    if (!isValidId(todoId) || !isValidId(itemId)) return null;
+
+    const set = {};
+    if (updates.text !== undefined) set['items.$.text'] = updates.text;
+    if (updates.completed !== undefined) set['items.$.completed'] = updates.completed;
+
+    const doc = await Todo.findOneAndUpdate(
+      { _id: todoId, user: userId, deletedAt: null, 'items._id': itemId },
+      { $set: set },
+      { new: true, runValidators: true }
+    ).lean();
+    if (!doc) return null;
+
+    const position = doc.items.findIndex(item => item._id.toString() === String(itemId));
+    return toItem(doc.items[position], position);
+  }
+
+  async removeItem(todoId, userId, itemId) {
+    if (!isValidId(todoId) || !isValidId(itemId)) return false;
+    const result = await Todo.updateOne(
+      { _id: todoId, user: userId, deletedAt: null, 'items._id': itemId },
+      { $pull: { items: { _id: itemId } } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async reorderItems(todoId, userId, itemIds) {
+    if (!isValidId(todoId)) return null;
+    const doc = await Todo.findOne({ _id: todoId, user: userId, deletedAt: null });
+    if (!doc) return null;
+
+    const order = assertItemOrder(doc.items.map(item => item._id), itemIds);
+    doc.items = order.map(id => doc.items.find(item => item._id.toString() === id));
+    await doc.save();
+    return doc.items.map(toItem);
+  }
+}
+
+// ======================
+// LIST REPOSITORY
+// ======================
+
+class MongoListRepository {
+  async create(userId, input) {
+    const list = normalizeListInput(input);
+    const doc = await List.create({ ...list, user: userId });
+    return toList(doc.toObject());
+  }
+
+  async findForUser(userId, { archived } = {}) {
+    const query = { user: userId };
+    if (archived !== undefined) query.archived = archived;
+    const docs = await List.find(query)
+      .collation({ locale: 'en', strength: 2 })
+      .sort({ name: 1, _id: 1 })
+      .lean();
+    return docs.map(toList);
+  }
+
+  async findById(id, userId) {
+    if (!isValidId(id)) return null;
+    return toList(await List.findOne({ _id: id, user: userId }).lean());
+  }
+
+  async update(id, userId, input) {
+    const updates = normalizeListInput(input, { partial: true });
+    if (!isValidId(id)) return null;
+    const doc = await List.findOneAndUpdate(
+      { _id: id, user: userId },
+      updates,
+      { new: true, runValidators: true }
+    ).lean();
+    return toList(doc);
+  }
+
+  async delete(id, userId) {
+    if (!isValidId(id)) return false;
+    const doc = await List.findOneAndDelete({ _id: id, user: userId }).lean();
+    if (!doc) return false;
+    await Promise.all([
+      Share.deleteMany({ resourceType: 'list', resource: doc._id }),
+      // Trashed todos of the list (the caller handles the others)
+      Todo.updateMany({ list: doc._id }, { $set: { list: null } }, { timestamps: false })
+    ]);
+    return true;
+  }
+
+  async ownerOf(id) {
+    if (!isValidId(id)) return null;
+    const doc = await List.findById(id).select('user').lean();
+    return doc ? { id: doc._id.toString(), userId: doc.user.toString() } : null;
+  }
+}
+
+// ======================
+// SHARE REPOSITORY
+// ======================
+
+class MongoShareRepository {
+  async grant({ resourceType, resourceId, ownerId, userId, permission }) {
+    const share = normalizeShareInput({ resourceType, permission });
+    const doc = await Share.findOneAndUpdate(
+      { resourceType: share.resourceType, resource: resourceId, user: userId },
+      { $set: { permission: share.permission }, $setOnInsert: { owner: ownerId } },
+      { new: true, upsert: true, runValidators: true }
+    ).lean();
+    return toShare(doc);
+  }
+
+  async revoke(resourceType, resourceId, userId) {
+    if (!isValidId(resourceId) || !isValidId(userId)) return false;
+    const result = await Share.deleteOne({ resourceType, resource: resourceId, user: userId });
+    return result.deletedCount > 0;
+  }
+
+  async permissionFor(userId, { todoId, listId }) {
+    if (!isValidId(userId)) return null;
+    const resources = [];
+    if (todoId && isValidId(todoId)) resources.push({ resourceType: 'todo', resource: todoId });
+    if (listId && isValidId(listId)) resources.push({ resourceType: 'list', resource: listId });
+    if (resources.length === 0) return null;
+
+    const docs = await Share.find({ user: userId, $or: resources }).select('permission').lean();
+    return highestPermission(docs.map(doc => doc.permission));
+  }
+
+  async listForResource(resourceType, resourceId) {
+    if (!isValidId(resourceId)) return [];
+    const docs = await Share.find({ resourceType, resource: resourceId })
+      .populate('user', 'name email')
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+    return docs.map(doc => ({ ...toShare(doc), user: toPerson(doc.user) }));
+  }
+
+  async listForUser(userId) {
+    if (!isValidId(userId)) return [];
+    const docs = await Share.find({ user: userId })
+      .populate('owner', 'name email')
+      .sort({ createdAt: -1, _id: -1 })
+      .lean();
+    return docs.map(doc => ({ ...toShare(doc), owner: toPerson(doc.owner) }));
+  }
+
+  async listByOwner(userId) {
+    if (!isValidId(userId)) return [];
+    const docs = await Share.find({ owner: userId }).sort({ createdAt: 1, _id: 1 }).lean();
+    return docs.map(toShare);
+  }
+}
+
+// ======================
+// REMINDER LOG
+// ======================
+
+class MongoReminderRepository {
+  // The unique index makes this safe to race
+  async claim({ todoId, userId, offset, dueDate }) {
+    try {
+      const result = await Reminder.updateOne(
+        { todo: todoId, offset, dueDate },
+        { $setOnInsert: { user: userId } },
+        { upsert: true }
+      );
+      return result.upsertedCount > 0;
+    } catch (err) {
+      if (err.code === 11000) return false;
+      throw err;
+    }
+  }
+}
+
+// ======================
+// NOTIFICATION REPOSITORY
+// ======================
+
+class MongoNotificationRepository {
+  async create({ userId, todoId = null, type, title, body = null }) {
+    const doc = await Notification.create({ user: userId, todo: todoId, type, title, body });
+    return toNotification(doc.toObject());
+  }
+
+  async findForUser(userId, { unread = false, limit = 50 } = {}) {
+    const query = { user: userId };
+    if (unread) query.readAt = null;
+    const docs = await Notification.find(query).sort({ createdAt: -1, _id: -1 }).limit(limit).lean();
+    return docs.map(toNotification);
+  }
+
+  async countUnread(userId) {
+    return Notification.countDocuments({ user: userId, readAt: null });
+  }
+
+  async markRead(id, userId) {
+    if (!isValidId(id)) return null;
+    await Notification.updateOne({ _id: id, user: userId, readAt: null }, { readAt: new Date() });
+    return toNotification(await Notification.findOne({ _id: id, user: userId }).lean());
+  }
+
+  async markAllRead(userId) {
+    const result = await Notification.updateMany({ user: userId, readAt: null }, { readAt: new Date() });
+    return result.modifiedCount;
+  }
+}
+
+// ======================
+// HISTORY REPOSITORY
+// ======================
+
+const withActor = (find) => find.populate('actor', 'name email');
+
+class MongoHistoryRepository {
+  async record({ todoId, userId, actorId = null, action, changes, snapshot, revertedTo = null }) {
+    // The unique (todo, revision) index turns a race for the next number
+    // into a duplicate key error; take the following number then
+    for (let attempt = 0; ; attempt++) {
+      const last = await TodoRevision.findOne({ todo: todoId }).sort({ revision: -1 }).select('revision').lean();
+      try {
+        const doc = await TodoRevision.create({
+          todo: todoId,
+          user: userId,
+          actor: actorId,
+          revision: last ? last.revision + 1 : 1,
+          action,
+          changes,
+          snapshot,
+          revertedTo
+        });
+        return toRevision(await withActor(TodoRevision.findById(doc._id)).lean());
+      } catch (err) {
+        if (err.code !== 11000 || attempt >= 4) throw err;
+      }
+    }
+  }
+
+  async latest(todoId) {
+    if (!isValidId(todoId)) return null;
+    return toRevision(await withActor(TodoRevision.findOne({ todo: todoId }).sort({ revision: -1 })).lean());
+  }
+
+  async findRevision(todoId, revision) {
+    if (!isValidId(todoId)) return null;
+    return toRevision(await withActor(TodoRevision.findOne({ todo: todoId, revision })).lean());
+  }
+
+  async listForTodo(todoId, options = {}) {
+    if (!isValidId(todoId)) return { revisions: [], total: 0, nextCursor: null, prevCursor: null };
+    return this.page({ todo: todoId }, options);
+  }
+
+  async listForUser(userId, options = {}) {
+    return this.page({ $or: [{ user: userId }, { actor: userId }] }, options);
+  }
+
+  async page(query, options) {
+    const paging = normalizePageOptions(options, { defaultLimit: 20 });
+    const [{ rows, nextCursor, prevCursor }, total] = await Promise.all([
+      readPage(TodoRevision, { query, sort: ['createdAt', 'desc'], paging, prepare: withActor }),
+      TodoRevision.countDocuments(query)
+    ]);
+    return { revisions: rows.map(toRevision), total, nextCursor, prevCursor };
+  }
+}
+
+// ======================
+// WEBHOOK REPOSITORIES
+// ======================
+
+class MongoWebhookRepository {
+  async create(userId, input) {
+    const webhook = normalizeWebhookInput(input);
+    const doc = await Webhook.create({ ...webhook, secret: input.secret, user: userId });
+    return { ...toWebhook(doc.toObject()), secret: input.secret };
+  }
+
+  async findForUser(userId) {
+    const docs = await Webhook.find({ user: userId }).sort({ createdAt: 1, _id: 1 }).lean();
+    return docs.map(toWebhook);
+  }
+
+  async findById(id, userId) {
+    if (!isValidId(id)) return null;
+    return toWebhook(await Webhook.findOne({ _id: id, user: userId }).lean());
+  }
+
+  async update(id, userId, input) {
+    const updates = normalizeWebhookInput(input, { partial: true });
+    if (!isValidId(id)) return null;
+    const doc = await Webhook.findOneAndUpdate(
+      { _id: id, user: userId },
+      updates,
+      { new: true, runValidators: true }
+    ).lean();
+    return toWebhook(doc);
+  }
+
+  async delete(id, userId) {
+    if (!isValidId(id)) return false;
+    const doc = await Webhook.findOneAndDelete({ _id: id, user: userId }).lean();
+    if (!doc) return false;
+    await WebhookDelivery.deleteMany({ webhook: doc._id });
+    return true;
+  }
+
+  async findForEvent(userId, event) {
+    const docs = await Webhook.find({ user: userId, active: true, events: event }).select('+secret').lean();
+    return docs.map(doc => ({ ...toWebhook(doc), secret: doc.secret }));
+  }
+}
+
+class MongoWebhookDeliveryRepository {
+  async create({ webhookId, event, payload }) {
+    const doc = await WebhookDelivery.create({ webhook: webhookId, event, payload, nextAttemptAt: new Date() });
+    return toDelivery(doc.toObject());
+  }
+
+  async findDue(date, limit = 20) {
+    const docs = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: date } })
+      .populate('webhook', 'url secret active')
+      .sort({ nextAttemptAt: 1, _id: 1 })
+      .limit(limit)
+      .lean();
+    return docs.filter(doc => doc.webhook).map(doc => ({
+      ...toDelivery(doc),
+      webhook: { url: doc.webhook.url, secret: doc.webhook.secret, active: Boolean(doc.webhook.active) }
+    }));
+  }
+
+  async recordAttempt(id, { status, attempts, nextAttemptAt = null, responseStatus = null, error = null }) {
+    await WebhookDelivery.updateOne({ _id: id }, { status, attempts, nextAttemptAt, responseStatus, error });
+  }
+
+  async listForWebhook(webhookId, { limit = 50 } = {}) {
+    if (!isValidId(webhookId)) return [];
+    const docs = await WebhookDelivery.find({ webhook: webhookId })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit)
+      .lean();
+    return docs.map(toDelivery);
+  }
+
+  async requeue(id, webhookId) {
+    if (!isValidId(id) || !isValidId(webhookId)) return null;
+    const doc = await WebhookDelivery.findOneAndUpdate(
+      { _id: id, webhook: webhookId },
+      { status: 'pending', nextAttemptAt: new Date() },
+      { new: true }
+    ).lean();
+    return toDelivery(doc);
+  }
+
+  async purgeOlderThan(date) {
+    await WebhookDelivery.deleteMany({ createdAt: { $lt: date } });
+  }
+}
+
+// ======================
+// REFRESH TOKEN REPOSITORY
+// ======================
+
+class MongoRefreshTokenRepository {
+  async create({ userId, family, tokenHash, expiresAt }) {
+    const doc = await RefreshToken.create({ user: userId, family, tokenHash, expiresAt });
+    return toRefreshToken(doc.toObject());
+  }
+
+  async findByHash(tokenHash) {
+    return toRefreshToken(await RefreshToken.findOne({ tokenHash }).lean());
+  }
+
+  async markUsed(id, replacedBy) {
+    // Only one caller can win the revokedAt: null race
+    const result = await RefreshToken.updateOne(
+      { _id: id, revokedAt: null },
+      { revokedAt: new Date(), replacedBy: replacedBy || null }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async revokeFamily(family) {
+    await RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+  }
+
+  async revokeAllForUser(userId) {
+    if (!isValidId(userId)) return;
+    await RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+  }
+
+  async isFamilyActive(family) {
+    const active = await RefreshToken.exists({
+      family,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    return Boolean(active);
+  }
+
+  async purgeExpired() {
+    await RefreshToken.deleteMany({ expiresAt: { $lte: new Date() } });
+  }
+
+  async listForUser(userId) {
+    if (!isValidId(userId)) return [];
+    const docs = await RefreshToken.find({ user: userId }).sort({ createdAt: 1 }).lean();
+    return docs.map(toRefreshToken);
+  }
+}
+
+// ======================
+// AUTH TOKEN REPOSITORY (password reset, email verification)
+// ======================
+
+class MongoAuthTokenRepository {
+  async create({ userId, type, tokenHash, expiresAt }) {
+    const doc = await AuthToken.create({ user: userId, type, tokenHash, expiresAt });
+    return toAuthToken(doc.toObject());
+  }
+
+  async consume(tokenHash, type) {
+    const doc = await AuthToken.findOneAndUpdate(
+      { tokenHash, type, usedAt: null, expiresAt: { $gt: new Date() } },
+      { usedAt: new Date() },
+      { new: true }
+    ).lean();
+    return toAuthToken(doc);
+  }
+
+  async invalidateForUser(userId, type) {
+    if (!isValidId(userId)) return;
+    await AuthToken.updateMany({ user: userId, type, usedAt: null }, { usedAt: new Date() });
+  }
+
+  async listForUser(userId) {
+    if (!isValidId(userId)) return [];
+    const docs = await AuthToken.find({ user: userId }).sort({ createdAt: 1 }).lean();
+    return docs.map(toAuthToken);
+  }
+}
+
+// ======================
+// CALENDAR FEED REPOSITORY
+// ======================
+
+class MongoCalendarFeedRepository {
+  async rotate(userId, tokenHash) {
+    const doc = await CalendarFeed.findOneAndUpdate(
+      { user: userId },
+      { tokenHash, createdAt: new Date(), lastAccessedAt: null },
+      { upsert: true, new: true }
+    ).lean();
+    return toCalendarFeed(doc);
+  }
+
+  async findByHash(tokenHash) {
+    return toCalendarFeed(await CalendarFeed.findOne({ tokenHash }).lean());
+  }
+
+  async findForUser(userId) {
+    if (!isValidId(userId)) return null;
+    return toCalendarFeed(await CalendarFeed.findOne({ user: userId }).lean());
+  }
+
+  async recordAccess(id) {
+    await CalendarFeed.updateOne({ _id: id }, { lastAccessedAt: new Date() });
+  }
+
+  async delete(userId) {
+    if (!isValidId(userId)) return false;
+    const result = await CalendarFeed.deleteOne({ user: userId });
+    return result.deletedCount > 0;
+  }
+}
+
+// ======================
+// CONNECTION
+// ======================
+
+class MongoDB {
+  constructor() {
+    this.type = 'mongodb';
+    this.users = new MongoUserRepository();
+    this.todos = new MongoTodoRepository();
+    this.lists = new MongoListRepository();
+    this.shares = new MongoShareRepository();
+    this.reminders = new MongoReminderRepository();
+    this.notifications = new MongoNotificationRepository();
+    this.webhooks = new MongoWebhookRepository();
+    this.webhookDeliveries = new MongoWebhookDeliveryRepository();
+    this.history = new MongoHistoryRepository();
+    this.refreshTokens = new MongoRefreshTokenRepository();
+    this.authTokens = new MongoAuthTokenRepository();
+    this.calendarFeeds = new MongoCalendarFeedRepository();
+  }
+
+  isConnected() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  close() {
+    return mongoose.connection.close(false);
+  }
+}
+
+const connect = async (uri, options) => {
+  await mongoose.connect(uri, options);
+  // Best guess for todos completed before completedAt existed
+  await Todo.updateMany(
+    { completed: true, completedAt: { $exists: false } },
+    [{ $set: { completedAt: '$updatedAt' } }]
+  );
+  return new MongoDB();
+};
+
+module.exports = {
+  connect,
+  connection: mongoose.connection,
+  User,
+  Todo,
+  List,
+  Share,
+  Reminder,
+  Notification,
+  TodoRevision,
+  Webhook,
+  WebhookDelivery,
+  RefreshToken,
+  AuthToken,
+  CalendarFeed
+};
@@ -0,0 +1,776 @@
+// openapi.js
+// The OpenAPI 3 description of the API, served at /api/openapi.json and
+// rendered at /api/docs. The paths come from the routes registered on the
+// Express app, so every route is listed; OPERATIONS describes each one
+// (group, summary, parameters, body, response) and SCHEMAS the objects of
+// repositories.js. /api/status and the homepage build their endpoint lists
+// from the same document.
+//
+// A route without an OPERATIONS entry still appears (with a bare summary),
+// and an entry whose route no longer exists is dropped; both are logged when
+// the document is first built.
+const {
+  PRIORITIES,
+  ROLES,
+  TODO_SORT_FIELDS,
+  SHARE_PERMISSIONS,
+  SHARE_RESOURCE_TYPES,
+  WEBHOOK_EVENTS,
+  WEBHOOK_DELIVERY_STATUSES,
+  TAG_MATCH_MODES,
+  DUE_PERIODS,
+  BULK_OPERATIONS,
+  BULK_MAX_TODOS,
+  ANALYTICS_INTERVALS,
+  REVISION_FIELDS,
+  REVISION_ACTIONS
+} = require('./repositories');
+const { EXPORT_FORMATS, IMPORT_MAX_ROWS } = require('./transfer');
+const { ENTRY_TYPES } = require('./calendar');
+const { version } = require('./package.json');
+
+// Endpoint groups, in the order the homepage shows them. `key` names the
+// group in /api/status, `name` is the OpenAPI tag.
+const TAGS = [
+  { key: 'auth', name: 'Authentication', title: '🔐 Authentication', description: 'Accounts, sessions and personal data.' },
+  { key: 'todos', name: 'Todos', title: '✅ Todo Management', description: 'Todos, checklist items, trash, import / export and statistics.' },
+  { key: 'activity', name: 'History & Activity', title: '🕘 History & Activity', description: 'Per-todo change history, revert and the activity feed.' },
+  { key: 'lists', name: 'Lists', title: '🗂️ Lists', description: 'Lists (projects) that group todos.' },
+  { key: 'tags', name: 'Tags', title: '🏷️ Tags', description: 'Tag counts, rename, merge and delete.' },
+  { key: 'sharing', name: 'Sharing', title: '🤝 Sharing', description: 'Sharing todos and lists with other users.' },
+  { key: 'stream', name: 'Real-time Updates', title: '📡 Real-time Updates', description: 'Todo events over Server-Sent Events.' },
+  { key: 'calendar', name: 'Calendar Feed', title: '📅 Calendar Feed', description: 'A subscribable iCalendar feed of due todos.' },
+  { key: 'webhooks', name: 'Webhooks', title: '🪝 Webhooks', description: 'Signed HTTP callbacks for todo events.' },
+  { key: 'notifications', name: 'Notifications', title: '🔔 Notifications', description: 'In-app due-date reminders.' },
+  { key: 'admin', name: 'Admin', title: '👑 Admin', description: 'User and todo administration (admin role only).' },
+  { key: 'system', name: 'System', title: '📊 System', description: 'Health, status and this documentation.' }
+];
+
+// ======================
+// SCHEMA HELPERS
+// ======================
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (items) => ({ type: 'array', items });
+const string = (extra) => ({ type: 'string', ...extra });
+const dateTime = (extra) => ({ type: 'string', format: 'date-time', ...extra });
+const boolean = (extra) => ({ type: 'boolean', ...extra });
+const integer = (extra) => ({ type: 'integer', ...extra });
+const nullable = (schema) => ({ ...schema, nullable: true });
+const object = (properties, required) => ({ type: 'object', properties, ...(required && { required }) });
+
+// The { success, data, ... } envelope every JSON response uses
+const envelope = (data, extra = {}) => object({
+  success: boolean({ example: true }),
+  ...(data && { data }),
+  ...extra
+}, ['success']);
+
+const message = string({ description: 'What happened, for people.' });
+const count = integer({ description: 'Number of items in data.' });
+
+// ======================
+// SCHEMAS
+// ======================
+
+const SCHEMAS = {
+  Error: object({
+    success: boolean({ example: false }),
+    error: string({ example: 'Todo not found.' })
+  }, ['success', 'error']),
+  Pagination: object({
+    page: integer({ description: 'Only with page-based paging.' }),
+    limit: integer(),
+    total: integer(),
+    pages: integer({ description: 'Only with page-based paging.' }),
+    nextCursor: nullable(string()),
+    prevCursor: nullable(string())
+  }),
+  User: object({
+    id: string(),
+    name: string(),
+    email: string({ format: 'email' }),
+    role: string({ enum: ROLES }),
+    isActive: boolean(),
+    emailVerified: boolean(),
+    createdAt: dateTime(),
+    lastLogin: nullable(dateTime())
+  }),
+  Session: object({
+    user: ref('User'),
+    token: string({ description: 'Access token (JWT), sent as `Authorization: Bearer <token>`.' }),
+    refreshToken: string({ description: 'Exchanged for a new token pair at /api/auth/refresh.' }),
+    expiresIn: string({ example: '15m' })
+  }),
+  Todo: object({
+    id: string(),
+    task: string(),
+    description: nullable(string()),
+    completed: boolean(),
+    priority: string({ enum: PRIORITIES }),
+    dueDate: nullable(dateTime()),
+    tags: arrayOf(string()),
+    autoComplete: boolean({ description: 'Complete the todo when all of its checklist items are.' }),
+    progress: object({ completed: integer(), total: integer() }),
+    items: arrayOf(ref('TodoItem')),
+    listId: nullable(string()),
+    recurrence: nullable(string({ description: 'RRULE, e.g. FREQ=WEEKLY;BYDAY=MO.' })),
+    occurrence: nullable(integer({ description: 'Position in its recurring series, from 1.' })),
+    reminders: nullable(arrayOf(integer({ description: 'Minutes before the due date.' }))),
+    userId: string(),
+    completedAt: nullable(dateTime()),
+    deletedAt: nullable(dateTime()),
+    createdAt: dateTime(),
+    updatedAt: dateTime()
+  }),
+  TodoInput: object({
+    task: string({ minLength: 3 }),
+    description: string(),
+    completed: boolean(),
+    priority: string({ enum: PRIORITIES }),
+    dueDate: nullable(dateTime()),
+    tags: arrayOf(string()),
+    autoComplete: boolean(),
+    listId: nullable(string()),
+    recurrence: nullable(string({ description: 'RRULE; needs a due date.' })),
+    reminders: nullable(arrayOf(integer())),
+    items: arrayOf(string({ description: 'Checklist item text (create only).' }))
+  }),
+  TodoItem: object({
+    id: string(),
+    text: string(),
+    completed: boolean(),
+    position: integer()
+  }),
+  ChecklistChange: object({
+    item: ref('TodoItem'),
+    todo: ref('Todo'),
+    next: ref('Todo')
+  }),
+  List: object({
+    id: string(),
+    name: string(),
+    color: string({ example: '#3b82f6' }),
+    archived: boolean(),
+    userId: string(),
+    createdAt: dateTime(),
+    updatedAt: dateTime()
+  }),
+  ListInput: object({
+    name: string(),
+    color: string({ example: '#3b82f6' }),
+    archived: boolean()
+  }),
+  Tag: object({
+    name: string(),
+    count: integer({ description: 'Todos with the tag.' }),
+    open: integer({ description: 'Open todos with the tag.' })
+  }),
+  Share: object({
+    id: string(),
+    resourceType: string({ enum: SHARE_RESOURCE_TYPES }),
+    resourceId: string(),
+    ownerId: string(),
+    userId: string(),
+    permission: string({ enum: SHARE_PERMISSIONS }),
+    createdAt: dateTime(),
+    updatedAt: dateTime()
+  }),
+  Revision: object({
+    id: string(),
+    todoId: string(),
+    userId: string(),
+    actor: nullable(object({ id: string(), name: string(), email: string() })),
+    revision: integer(),
+    action: string({ enum: REVISION_ACTIONS }),
+    changes: arrayOf(object({ field: string({ enum: REVISION_FIELDS }), from: {}, to: {} })),
+    snapshot: object({}),
+    revertedTo: nullable(integer()),
+    createdAt: dateTime()
+  }),
+  Notification: object({
+    id: string(),
+    userId: string(),
+    todoId: nullable(string()),
+    type: string(),
+    title: string(),
+    body: string(),
+    read: boolean(),
+    readAt: nullable(dateTime()),
+    createdAt: dateTime()
+  }),
+  Webhook: object({
+    id: string(),
+    url: string({ format: 'uri' }),
+    events: arrayOf(string({ enum: WEBHOOK_EVENTS })),
+    description: nullable(string()),
+    active: boolean(),
+    secret: string({ description: 'HMAC signing secret; only returned when the webhook is registered.' }),
+    createdAt: dateTime(),
+    updatedAt: dateTime()
+  }),
+  WebhookInput: object({
+    url: string({ format: 'uri', description: 'Must resolve to a public address; https only in production.' }),
+    events: arrayOf(string({ enum: WEBHOOK_EVENTS })),
+    description: string(),
+    active: boolean({ description: 'Update only.' })
+  }),
+  WebhookDelivery: object({
+    id: string(),
+    webhookId: string(),
+    event: string(),
+    payload: string({ description: 'The exact JSON text that was signed and sent.' }),
+    status: string({ enum: WEBHOOK_DELIVERY_STATUSES }),
+    attempts: integer(),
+    nextAttemptAt: nullable(dateTime()),
+    responseStatus: nullable(integer()),
+    error: nullable(string()),
+    createdAt: dateTime(),
+    updatedAt: dateTime()
+  }),
+  CalendarFeed: object({
+    enabled: boolean(),
+    createdAt: nullable(dateTime()),
+    lastAccessedAt: nullable(dateTime())
+  }),
+  ImportResult: object({
+    dryRun: boolean(),
+    total: integer(),
+    created: integer({ description: 'Without dryRun.' }),
+    valid: integer({ description: 'With dryRun.' }),
+    duplicates: integer(),
+    invalid: integer(),
+    results: arrayOf(object({
+      row: integer(),
+      status: string({ enum: ['created', 'valid', 'duplicate', 'invalid'] }),
+      id: string(),
+      error: string()
+    }))
+  }),
+  BulkResult: object({
+    operation: string({ enum: BULK_OPERATIONS }),
+    matched: integer(),
+    succeeded: integer(),
+    failed: integer(),
+    results: arrayOf(object({ id: string(), success: boolean(), error: string() }))
+  })
+};
+
+// ======================
+// PARAMETER HELPERS
+// ======================
+
+const param = (name, schema, description) => ({ name, in: 'query', schema, ...(description && { description }) });
+
+const PAGE_PARAMS = [
+  param('page', integer({ minimum: 1 }), 'Page number (ignored with cursor).'),
+  param('limit', integer({ minimum: 1, maximum: 100 })),
+  param('cursor', string(), 'nextCursor / prevCursor of an earlier page.')
+];
+
+const LIST_PARAM = param('list', string(), 'A list id, or "none" for todos outside any list.');
+
+const TODO_FILTERS = [
+  param('completed', boolean()),
+  param('priority', string({ enum: PRIORITIES })),
+  LIST_PARAM,
+  param('tags', string(), 'Comma-separated tags.'),
+  param('tagMatch', string({ enum: TAG_MATCH_MODES })),
+  param('excludeTags', string(), 'Comma-separated tags.'),
+  param('dueAfter', dateTime()),
+  param('dueBefore', dateTime()),
+  param('due', string({ enum: DUE_PERIODS })),
+  param('overdue', boolean()),
+  param('noDueDate', boolean()),
+  param('createdAfter', dateTime()),
+  param('updatedAfter', dateTime()),
+  param('search', string(), 'Words, "phrases", -excluded and field:word terms.')
+];
+
+const SORT_PARAMS = [
+  param('sortBy', string({ enum: TODO_SORT_FIELDS })),
+  param('sortOrder', string({ enum: ['asc', 'desc'] }))
+];
+
+// Request bodies: a schema (JSON) or { contentType: schema }
+const json = (schema) => ({ 'application/json': schema });
+
+// ======================
+// OPERATIONS
+// ======================
+// Keyed "<METHOD> <Express path>". Fields: tag (a TAGS key), summary,
+// description, public (no access token), query, body, status (of the
+// success response, 200 by default), response (its schema) and produces
+// (its content type when it is not JSON).
+
+const OPERATIONS = {
+  // Authentication
+  'POST /api/auth/register': {
+    tag: 'auth', summary: 'Register', public: true, status: 201,
+    body: json(object({ name: string(), email: string({ format: 'email' }), password: string({ minLength: 6 }), confirmPassword: string() }, ['name', 'email', 'password'])),
+    response: envelope(ref('Session'), { message })
+  },
+  'POST /api/auth/login': {
+    tag: 'auth', summary: 'Log in', public: true,
+    body: json(object({ email: string({ format: 'email' }), password: string() }, ['email', 'password'])),
+    response: envelope(ref('Session'), { message })
+  },
+  'POST /api/auth/refresh': {
+    tag: 'auth', summary: 'Exchange a refresh token for a new token pair', public: true,
+    description: 'Refresh tokens are single use; reusing one ends the whole session.',
+    body: json(object({ refreshToken: string() }, ['refreshToken'])),
+    response: envelope(object({ token: string(), refreshToken: string(), expiresIn: string() }))
+  },
+  'POST /api/auth/forgot-password': {
+    tag: 'auth', summary: 'Email a password reset link', public: true,
+    body: json(object({ email: string({ format: 'email' }) }, ['email'])),
+    response: envelope(null, { message })
+  },
+  'POST /api/auth/reset-password': {
+    tag: 'auth', summary: 'Set a new password with a reset token', public: true,
+    body: json(object({ token: string(), password: string({ minLength: 6 }), confirmPassword: string() }, ['token', 'password'])),
+    response: envelope(null, { message })
+  },
+  'GET /api/auth/verify-email': {
+    tag: 'auth', summary: 'Verify an email address', public: true,
+    query: [param('token', string(), 'The token from the verification email.')],
+    response: envelope(null, { message })
+  },
+  'POST /api/auth/resend-verification': {
+    tag: 'auth', summary: 'Send the verification email again', public: true,
+    body: json(object({ email: string({ format: 'email' }) }, ['email'])),
+    response: envelope(null, { message })
+  },
+  'GET /api/auth/profile': { tag: 'auth', summary: 'Get your profile', response: envelope(ref('User')) },
+  'PUT /api/auth/profile': {
+    tag: 'auth', summary: 'Update your profile',
+    body: json(object({ name: string() })),
+    response: envelope(ref('User'), { message })
+  },
+  'POST /api/auth/logout': {
+    tag: 'auth', summary: 'Log out',
+    body: json(object({ allDevices: boolean({ description: 'End every session, not just this one.' }) })),
+    response: envelope(null, { message })
+  },
+  'GET /api/auth/export': {
+    tag: 'auth', summary: 'Download all of your data',
+    response: envelope(object({}))
+  },
+  'DELETE /api/auth/account': {
+    tag: 'auth', summary: 'Delete your account and all of its data',
+    body: json(object({ password: string() }, ['password'])),
+    response: envelope(null, { message })
+  },
+
+  // Todos
+  'POST /api/todos': {
+    tag: 'todos', summary: 'Create a todo', status: 201,
+    body: json(ref('TodoInput')),
+    response: envelope(ref('Todo'), { message })
+  },
+  'GET /api/todos': {
+    tag: 'todos', summary: 'List your todos',
+    description: 'Page with page / limit or with cursors; filters combine with AND.',
+    query: [...PAGE_PARAMS, ...SORT_PARAMS, ...TODO_FILTERS],
+    response: envelope(arrayOf(ref('Todo')), { pagination: ref('Pagination') })
+  },
+  'GET /api/todos/trash': {
+    tag: 'todos', summary: 'List deleted todos',
+    description: 'Most recently deleted first; purgeAt is when each one is deleted for good (null = kept).',
+    query: PAGE_PARAMS,
+    response: envelope(arrayOf({ allOf: [ref('Todo'), object({ purgeAt: nullable(dateTime()) })] }), { pagination: ref('Pagination') })
+  },
+  'DELETE /api/todos/trash': { tag: 'todos', summary: 'Empty the trash', response: envelope(object({ purged: integer() }), { message }) },
+  'DELETE /api/todos/trash/:id': { tag: 'todos', summary: 'Delete a todo in the trash for good', response: envelope(null, { message }) },
+  'POST /api/todos/:id/restore': { tag: 'todos', summary: 'Restore a todo from the trash', response: envelope(ref('Todo'), { message }) },
+  'GET /api/todos/export': {
+    tag: 'todos', summary: 'Export your todos',
+    query: [param('format', string({ enum: EXPORT_FORMATS })), ...SORT_PARAMS, LIST_PARAM, ...TODO_FILTERS.filter(entry => entry.name !== 'list')],
+    produces: ['text/csv', 'application/json', 'text/plain'],
+    response: string()
+  },
+  'POST /api/todos/import': {
+    tag: 'todos', summary: 'Import todos from CSV, JSON or todo.txt',
+    description: `At most ${IMPORT_MAX_ROWS} todos. Each row is reported on its own as created, valid (dryRun), duplicate (dedupe) or invalid.`,
+    query: [param('dryRun', boolean()), param('dedupe', boolean()), param('format', string({ enum: ['csv', 'todotxt'] }), 'For a text body.')],
+    body: {
+      'text/csv': string(),
+      'text/plain': string({ description: 'todo.txt' }),
+      'application/json': object({
+        todos: arrayOf(object({})),
+        csv: string(),
+        todotxt: string(),
+        dryRun: boolean(),
+        dedupe: boolean()
+      })
+    },
+    response: envelope(ref('ImportResult'), { message })
+  },
+  'GET /api/todos/stats': {
+    tag: 'todos', summary: 'Todo statistics',
+    query: [LIST_PARAM],
+    response: envelope(object({}))
+  },
+  'GET /api/todos/analytics': {
+    tag: 'todos', summary: 'Productivity analytics',
+    query: [param('from', dateTime()), param('to', dateTime()), param('interval', string({ enum: ANALYTICS_INTERVALS })), LIST_PARAM],
+    response: envelope(object({ range: object({}), series: arrayOf(object({})), totals: object({}), timeToComplete: object({}), streaks: object({}) }))
+  },
+  'GET /api/todos/:id': { tag: 'todos', summary: 'Get a todo', response: envelope(ref('Todo')) },
+  'PUT /api/todos/:id': {
+    tag: 'todos', summary: 'Update a todo',
+    description: 'Completing a recurring todo creates its next occurrence.',
+    body: json(ref('TodoInput')),
+    response: envelope(ref('Todo'), { message })
+  },
+  'DELETE /api/todos/:id': { tag: 'todos', summary: 'Move a todo to the trash', response: envelope(null, { message }) },
+  'POST /api/todos/bulk': {
+    tag: 'todos', summary: 'Change many todos at once',
+    description: `Up to ${BULK_MAX_TODOS} todos, picked by ids or by a filter.`,
+    body: json(object({
+      ids: arrayOf(string()),
+      filter: object({}),
+      operation: string({ enum: BULK_OPERATIONS }),
+      value: {}
+    }, ['operation'])),
+    response: envelope(ref('BulkResult'), { message })
+  },
+  'GET /api/todos/:id/items': { tag: 'todos', summary: 'List checklist items', response: envelope(arrayOf(ref('TodoItem'))) },
+  'POST /api/todos/:id/items': {
+    tag: 'todos', summary: 'Add a checklist item', status: 201,
+    body: json(object({ text: string(), completed: boolean(), position: integer() }, ['text'])),
+    response: envelope(ref('ChecklistChange'), { message })
+  },
+  'PUT /api/todos/:id/items/reorder': {
+    tag: 'todos', summary: 'Reorder checklist items',
+    body: json(object({ itemIds: arrayOf(string()) }, ['itemIds'])),
+    response: envelope(arrayOf(ref('TodoItem')))
+  },
+  'PUT /api/todos/:id/items/:itemId': {
+    tag: 'todos', summary: 'Update a checklist item',
+    body: json(object({ text: string(), completed: boolean() })),
+    response: envelope(ref('ChecklistChange'), { message })
+  },
+  'DELETE /api/todos/:id/items/:itemId': { tag: 'todos', summary: 'Delete a checklist item', response: envelope(ref('ChecklistChange'), { message }) },
+
+  // History & activity
+  'GET /api/todos/:id/history': {
+    tag: 'activity', summary: 'Change history of a todo',
+    query: PAGE_PARAMS,
+    response: envelope(arrayOf(ref('Revision')), { pagination: ref('Pagination') })
+  },
+  'POST /api/todos/:id/revert': {
+    tag: 'activity', summary: 'Revert a todo to an earlier revision',
+    description: 'Every field of the revision\'s snapshot except recurrence; only the owner gets the old list back.',
+    body: json(object({ revision: integer({ minimum: 1 }) }, ['revision'])),
+    response: envelope(ref('Todo'), { message })
+  },
+  'GET /api/activity': {
+    tag: 'activity', summary: 'Recent changes to your todos',
+    query: PAGE_PARAMS,
+    response: envelope(arrayOf(ref('Revision')), { pagination: ref('Pagination') })
+  },
+
+  // Lists
+  'GET /api/lists': {
+    tag: 'lists', summary: 'List your lists',
+    query: [param('archived', boolean(), 'Include archived lists.')],
+    response: envelope(arrayOf(ref('List')))
+  },
+  'POST /api/lists': {
+    tag: 'lists', summary: 'Create a list', status: 201,
+    body: json(ref('ListInput')),
+    response: envelope(ref('List'), { message })
+  },
+  'GET /api/lists/:id': { tag: 'lists', summary: 'Get a list with its stats', response: envelope(ref('List')) },
+  'PUT /api/lists/:id': {
+    tag: 'lists', summary: 'Update a list',
+    body: json(ref('ListInput')),
+    response: envelope(ref('List'), { message })
+  },
+  'DELETE /api/lists/:id': {
+    tag: 'lists', summary: 'Delete a list',
+    query: [
+      param('todos', string({ enum: ['unassign', 'delete', 'move'] }), 'What happens to its todos (unassign by default).'),
+      param('moveTo', string(), 'Target list id for todos=move.')
+    ],
+    response: envelope(null, { message })
+  },
+
+  // Tags
+  'GET /api/tags': { tag: 'tags', summary: 'Your tags with todo counts', response: envelope(arrayOf(ref('Tag')), { count }) },
+  'POST /api/tags/merge': {
+    tag: 'tags', summary: 'Merge tags into one',
+    body: json(object({ tags: arrayOf(string()), into: string() }, ['tags', 'into'])),
+    response: envelope(object({ tags: arrayOf(string()), into: string(), todosUpdated: integer() }), { message })
+  },
+  'PUT /api/tags/:tag': {
+    tag: 'tags', summary: 'Rename a tag',
+    body: json(object({ name: string() }, ['name'])),
+    response: envelope(object({ from: string(), name: string(), todosUpdated: integer() }), { message })
+  },
+  'DELETE /api/tags/:tag': { tag: 'tags', summary: 'Remove a tag from every todo', response: envelope(object({}), { message }) },
+
+  // Sharing (the per-resource routes are added below)
+  'GET /api/shared': {
+    tag: 'sharing', summary: 'Todos and lists shared with you',
+    query: [param('type', string({ enum: SHARE_RESOURCE_TYPES }))],
+    response: envelope(object({ todos: arrayOf(ref('Todo')), lists: arrayOf(ref('List')) }))
+  },
+
+  // Real-time updates
+  'GET /api/stream': {
+    tag: 'stream', summary: 'Stream todo events (Server-Sent Events)',
+    description: `Events: ${WEBHOOK_EVENTS.join(', ')}, plus ready and reset. EventSource cannot send headers, so the access token may be passed as ?token=.`,
+    query: [param('token', string(), 'Access token, for EventSource.'), param('lastEventId', string(), 'Resume after this event.')],
+    produces: ['text/event-stream'],
+    response: string()
+  },
+
+  // Calendar feed
+  'GET /api/calendar': { tag: 'calendar', summary: 'Calendar feed status', response: envelope(ref('CalendarFeed')) },
+  'POST /api/calendar/token': {
+    tag: 'calendar', summary: 'Create or regenerate the feed URL',
+    description: 'The URL holds a secret token and is only shown in this response; 201 the first time, 200 when it replaces an older one.',
+    response: envelope(object({ url: string({ format: 'uri' }), ...SCHEMAS.CalendarFeed.properties }), { message })
+  },
+  'DELETE /api/calendar/token': { tag: 'calendar', summary: 'Turn the feed off', response: envelope(null, { message }) },
+  'GET /api/calendar/:token.ics': {
+    tag: 'calendar', summary: 'The iCalendar feed', public: true,
+    query: [
+      param('type', string({ enum: ENTRY_TYPES }), 'VEVENT (event, default) or VTODO (todo) entries.'),
+      ...TODO_FILTERS.filter(entry => ['list', 'tags', 'tagMatch', 'priority', 'completed'].includes(entry.name))
+    ],
+    produces: ['text/calendar'],
+    response: string()
+  },
+
+  // Webhooks
+  'GET /api/webhooks': { tag: 'webhooks', summary: 'List your webhooks', response: envelope(arrayOf(ref('Webhook')), { count }) },
+  'POST /api/webhooks': {
+    tag: 'webhooks', summary: 'Register a webhook', status: 201,
+    body: json(ref('WebhookInput')),
+    response: envelope(ref('Webhook'), { message })
+  },
+  'GET /api/webhooks/:id': { tag: 'webhooks', summary: 'Get a webhook', response: envelope(ref('Webhook')) },
+  'PUT /api/webhooks/:id': {
+    tag: 'webhooks', summary: 'Update a webhook',
+    body: json(ref('WebhookInput')),
+    response: envelope(ref('Webhook'), { message })
+  },
+  'DELETE /api/webhooks/:id': { tag: 'webhooks', summary: 'Delete a webhook', response: envelope(null, { message }) },
+  'POST /api/webhooks/:id/ping': { tag: 'webhooks', summary: 'Send a test event', status: 202, response: envelope(ref('WebhookDelivery'), { message }) },
+  'GET /api/webhooks/:id/deliveries': {
+    tag: 'webhooks', summary: 'Recent deliveries',
+    query: [param('limit', integer({ minimum: 1, maximum: 100 }))],
+    response: envelope(arrayOf(ref('WebhookDelivery')), { count })
+  },
+  'POST /api/webhooks/:id/deliveries/:deliveryId/redeliver': {
+    tag: 'webhooks', summary: 'Send a delivery again', status: 202,
+    response: envelope(ref('WebhookDelivery'), { message })
+  },
+
+  // Notifications
+  'GET /api/notifications': {
+    tag: 'notifications', summary: 'Your notifications, newest first',
+    query: [param('unread', boolean(), 'Only unread ones.'), param('limit', integer({ minimum: 1, maximum: 100 }))],
+    response: envelope(arrayOf(ref('Notification')), { count, unread: integer() })
+  },
+  'POST /api/notifications/read-all': { tag: 'notifications', summary: 'Mark all notifications read', response: envelope(null, { message }) },
+  'POST /api/notifications/:id/read': { tag: 'notifications', summary: 'Mark a notification read', response: envelope(ref('Notification')) },
+
+  // Admin
+  'GET /api/admin/users': {
+    tag: 'admin', summary: 'List all users',
+    query: PAGE_PARAMS,
+    response: envelope(arrayOf(ref('User')), { count, pagination: ref('Pagination') })
+  },
+  'PATCH /api/admin/users/:id': {
+    tag: 'admin', summary: 'Activate, deactivate or change the role of a user',
+    body: json(object({ isActive: boolean(), role: string({ enum: ROLES }) })),
+    response: envelope(ref('User'), { message })
+  },
+  'DELETE /api/admin/users/:id': { tag: 'admin', summary: 'Delete a user and their data', response: envelope(null, { message }) },
+  'GET /api/admin/todos': {
+    tag: 'admin', summary: 'List all todos',
+    query: PAGE_PARAMS,
+    response: envelope(arrayOf(ref('Todo')), { count, pagination: ref('Pagination') })
+  },
+
+  // System
+  'GET /api/health': { tag: 'system', summary: 'Health check', public: true, response: envelope(object({})) },
+  'GET /api/status': { tag: 'system', summary: 'API status, features and endpoints', public: true, response: envelope(object({})) },
+  'GET /api/openapi.json': { tag: 'system', summary: 'This OpenAPI document', public: true, response: object({}) },
+  'GET /api/docs': { tag: 'system', summary: 'Interactive API documentation', public: true, produces: ['text/html'], response: string() }
+};
+
+for (const [resourceType, base] of [['todo', '/api/todos'], ['list', '/api/lists']]) {
+  Object.assign(OPERATIONS, {
+    [`GET ${base}/:id/shares`]: {
+      tag: 'sharing', summary: `Who a ${resourceType} is shared with`,
+      response: envelope(arrayOf(ref('Share')), { count })
+    },
+    [`POST ${base}/:id/shares`]: {
+      tag: 'sharing', summary: `Share a ${resourceType}`, status: 201,
+      description: 'Sharing again with the same user changes the permission.',
+      body: json(object({ email: string({ format: 'email' }), permission: string({ enum: SHARE_PERMISSIONS }) }, ['email'])),
+      response: envelope(ref('Share'), { message })
+    },
+    [`DELETE ${base}/:id/shares/:userId`]: {
+      tag: 'sharing', summary: `Stop sharing a ${resourceType}`,
+      description: 'The owner can remove anyone; others can remove themselves.',
+      response: envelope(null, { message })
+    }
+  });
+}
+
+// ======================
+// ROUTES
+// ======================
+
+const PATH_PARAMS = {
+  id: 'Id of the resource.',
+  itemId: 'Id of the checklist item.',
+  userId: 'Id of the user.',
+  deliveryId: 'Id of the delivery.',
+  tag: 'Tag name.',
+  token: 'The secret feed token.'
+};
+
+// The app's routes under /api, in registration order: [{ method, path }]
+const listRoutes = (app) => {
+  const routes = [];
+  for (const layer of app._router.stack) {
+    const { route } = layer;
+    if (!route || typeof route.path !== 'string' || !route.path.startsWith('/api/')) continue;
+    for (const method of Object.keys(route.methods)) {
+      routes.push({ method: method.toUpperCase(), path: route.path });
+    }
+  }
+  return routes;
+};
+
+// /api/todos/:id -> /api/todos/{id}
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+const toExpressPath = (path) => path.replace(/\{(\w+)\}/g, ':$1');
+
+// Fallback group for an undescribed route: the one its first segment names
+const guessTag = (path) => {
+  const tag = TAGS.find(entry => entry.key === path.split('/')[2]);
+  return tag ? tag.key : 'system';
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } }
+});
+
+const operationObject = (method, path, spec) => {
+  const tag = TAGS.find(entry => entry.key === spec.tag) || TAGS[TAGS.length - 1];
+  const pathParams = [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: string(),
+    description: PATH_PARAMS[name] || name
+  }));
+  const status = String(spec.status || 200);
+  const content = Object.fromEntries((spec.produces || ['application/json'])
+    .map(type => [type, { schema: spec.response || envelope(null) }]));
+
+  const responses = {
+    [status]: { description: spec.summary, content },
+    400: errorResponse('Invalid input.')
+  };
+  if (!spec.public) {
+    responses[401] = errorResponse('Missing, invalid or expired access token.');
+    responses[403] = errorResponse('Not allowed.');
+  }
+  if (pathParams.length > 0) responses[404] = errorResponse('Not found.');
+
+  return {
+    tags: [tag.name],
+    summary: spec.summary,
+    ...(spec.description && { description: spec.description }),
+    operationId: `${method.toLowerCase()}${path.replace(/[^A-Za-z0-9]+(\w)?/g, (match, char) => (char || '').toUpperCase())}`,
+    ...(spec.public && { security: [] }),
+    ...((pathParams.length > 0 || spec.query) && { parameters: [...pathParams, ...(spec.query || [])] }),
+    ...(spec.body && {
+      requestBody: {
+        required: true,
+        content: Object.fromEntries(Object.entries(spec.body).map(([type, schema]) => [type, { schema }]))
+      }
+    }),
+    responses
+  };
+};
+
+// ======================
+// DOCUMENT
+// ======================
+
+let cached = null;
+
+// The document for `app` (built once, after every route is registered);
+// `serverUrl` is the API's base URL as the caller sees it
+const openApiDocument = (app, { serverUrl } = {}) => {
+  if (!cached) {
+    const routes = listRoutes(app);
+    const registered = new Set(routes.map(({ method, path }) => `${method} ${path}`));
+    const paths = {};
+
+    for (const { method, path } of routes) {
+      const key = `${method} ${path}`;
+      let spec = OPERATIONS[key];
+      if (!spec) {
+        console.warn(`⚠️ OpenAPI: ${key} is not described in openapi.js`);
+        spec = { tag: guessTag(path), summary: key };
+      }
+      const openApiPath = toOpenApiPath(path);
+      paths[openApiPath] = paths[openApiPath] || {};
+      paths[openApiPath][method.toLowerCase()] = operationObject(method, path, spec);
+    }
+    for (const key of Object.keys(OPERATIONS)) {
+      if (!registered.has(key)) console.warn(`⚠️ OpenAPI: ${key} is described in openapi.js but not registered`);
+    }
+
+    cached = {
+      openapi: '3.0.3',
+      info: {
+        title: 'Todo API',
+        version,
+        description: 'Todos with lists, tags, sharing, reminders, webhooks and real-time updates. ' +
+          'Responses are JSON objects with a boolean `success`; failures carry an `error` message.'
+      },
+      tags: TAGS.map(({ name, description }) => ({ name, description })),
+      paths,
+      components: {
+        schemas: SCHEMAS,
+        securitySchemes: {
+          bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+        }
+      },
+      security: [{ bearerAuth: [] }]
+    };
+  }
+
+  return serverUrl ? { ...cached, servers: [{ url: serverUrl }] } : cached;
+};
+
+// The document's endpoints by group, in TAGS order:
+// [{ key, title, endpoints: [{ method, path, summary }] }] (Express-style paths)
+const endpointGroups = (doc) => TAGS
+  .map(({ key, name, title }) => ({
+    key,
+    title,
+    endpoints: Object.entries(doc.paths).flatMap(([path, operations]) => Object.entries(operations)
+      .filter(([, operation]) => operation.tags.includes(name))
+      .map(([method, operation]) => ({ method: method.toUpperCase(), path: toExpressPath(path), summary: operation.summary })))
+  }))
+  .filter(group => group.endpoints.length > 0);
+
+module.exports = {
+  TAGS,
+  openApiDocument,
+  endpointGroups
+};
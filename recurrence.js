@@ -0,0 +1,245 @@
+// recurrence.js
+// Recurring todos: a subset of RFC 5545 RRULEs
+//
+//   FREQ=DAILY|WEEKLY|MONTHLY|YEARLY   required
+//   INTERVAL=n                         every n days / weeks / months / years
+//   BYDAY=MO,TU,...                    DAILY and WEEKLY only (no numeric prefixes)
+//   BYMONTHDAY=1,15,-1                 MONTHLY only (-1 is the last day of the month)
+//   COUNT=n                            the series ends after n occurrences
+//   UNTIL=20251231 | 20251231T170000Z  no occurrence after this moment
+//
+// The presets daily / weekly / monthly / yearly are shorthands for FREQ=...
+// Weeks start on Monday and all date math is done in UTC.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const PRESETS = {
+  daily: 'FREQ=DAILY',
+  weekly: 'FREQ=WEEKLY',
+  monthly: 'FREQ=MONTHLY',
+  yearly: 'FREQ=YEARLY'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Same shape as the storage errors so the errorHandler answers with 400
+class RecurrenceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecurrenceError';
+    this.statusCode = 400;
+  }
+}
+
+// ======================
+// PARSING
+// ======================
+
+const parsePositive = (name, value) => {
+  if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+    throw new RecurrenceError(`${name} must be a positive integer.`);
+  }
+  return parseInt(value, 10);
+};
+
+// UNTIL as a date (inclusive, end of that day) or a UTC date-time
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(value);
+  if (!match) {
+    throw new RecurrenceError('UNTIL must look like 20251231 or 20251231T170000Z.');
+  }
+  const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+  const until = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+  if (Number.isNaN(until.getTime()) || until.getUTCDate() !== Number(day)) {
+    throw new RecurrenceError('UNTIL is not a valid date.');
+  }
+  return until;
+};
+
+// Turn a preset or RRULE string into { freq, interval, byDay, byMonthDay, count, until }
+const parseRule = (input) => {
+  if (typeof input !== 'string' || !input.trim()) {
+    throw new RecurrenceError('Recurrence must be a preset (daily, weekly, monthly, yearly) or an RRULE.');
+  }
+
+  const text = PRESETS[input.trim().toLowerCase()] || input.trim().replace(/^RRULE:/i, '');
+  const rule = { interval: 1, byDay: [], byMonthDay: [] };
+
+  for (const part of text.split(';').filter(Boolean)) {
+    const [rawName, value = ''] = part.split('=');
+    const name = rawName.trim().toUpperCase();
+
+    switch (name) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value.toUpperCase())) {
+          throw new RecurrenceError(`FREQ must be one of: ${FREQUENCIES.join(', ')}.`);
+        }
+        rule.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = parsePositive('INTERVAL', value);
+        break;
+      case 'COUNT':
+        rule.count = parsePositive('COUNT', value);
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value.toUpperCase());
+        break;
+      case 'BYDAY':
+        rule.byDay = value.toUpperCase().split(',').map(day => {
+          if (!WEEKDAYS.includes(day)) {
+            throw new RecurrenceError(`BYDAY values must be among: ${WEEKDAYS.join(', ')}.`);
+          }
+          return day;
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(day => {
+          const number = parseInt(day, 10);
+          if (!/^-?\d+$/.test(day) || number === 0 || number < -31 || number > 31) {
+            throw new RecurrenceError('BYMONTHDAY values must be between 1 and 31 (or -31 and -1).');
+          }
+          return number;
+        });
+        break;
+      default:
+        throw new RecurrenceError(`Unsupported recurrence part "${name}".`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new RecurrenceError('Recurrence needs a FREQ.');
+  }
+  if (rule.count && rule.until) {
+    throw new RecurrenceError('Use either COUNT or UNTIL, not both.');
+  }
+  if (rule.byDay.length > 0 && !['DAILY', 'WEEKLY'].includes(rule.freq)) {
+    throw new RecurrenceError('BYDAY is only supported with FREQ=DAILY or FREQ=WEEKLY.');
+  }
+  if (rule.byMonthDay.length > 0 && rule.freq !== 'MONTHLY') {
+    throw new RecurrenceError('BYMONTHDAY is only supported with FREQ=MONTHLY.');
+  }
+
+  return rule;
+};
+
+const formatUntil = (date) => `${date.toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`;
+
+// Canonical RRULE text, so equal rules are stored the same way
+const formatRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length > 0) {
+    const order = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+    parts.push(`BYDAY=${[...new Set(rule.byDay)].sort((a, b) => order.indexOf(a) - order.indexOf(b)).join(',')}`);
+  }
+  if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${[...new Set(rule.byMonthDay)].join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${formatUntil(rule.until)}`);
+  return parts.join(';');
+};
+
+// Validated, canonical rule text; empty input clears the recurrence
+const normalizeRule = (input) => {
+  if (input === null || input === undefined || input === '') return null;
+  return formatRule(parseRule(input));
+};
+
+// ======================
+// NEXT OCCURRENCE
+// ======================
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Same time of day as `date`, on the given year / month / day
+const atDay = (date, year, month, day) => new Date(Date.UTC(
+  year, month, day,
+  date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(), date.getUTCMilliseconds()
+));
+
+// Days of the month a MONTHLY rule hits, in order (-1 = last day)
+const monthDays = (rule, year, month, fallbackDay) => {
+  const length = daysInMonth(year, month);
+  const wanted = rule.byMonthDay.length > 0 ? rule.byMonthDay : [fallbackDay];
+  return [...new Set(wanted.map(day => (day < 0 ? length + day + 1 : day)))]
+    .filter(day => day >= 1 && day <= length)
+    .sort((a, b) => a - b);
+};
+
+const nextDate = (rule, from) => {
+  const weekday = (date) => WEEKDAYS[date.getUTCDay()];
+
+  if (rule.freq === 'DAILY') {
+    if (rule.byDay.length === 0) return addDays(from, rule.interval);
+
+    // Seven steps reach every weekday the interval can land on
+    for (let step = 1; step <= 7; step++) {
+      const candidate = addDays(from, step * rule.interval);
+      if (rule.byDay.includes(weekday(candidate))) return candidate;
+    }
+    return null;
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    if (rule.byDay.length === 0) return addDays(from, 7 * rule.interval);
+
+    // Remaining days of this week first, then the first day of the next matching week
+    const mondayOffset = (from.getUTCDay() + 6) % 7;
+    for (let offset = mondayOffset + 1; offset < 7; offset++) {
+      const candidate = addDays(from, offset - mondayOffset);
+      if (rule.byDay.includes(weekday(candidate))) return candidate;
+    }
+    const nextWeek = addDays(from, 7 * rule.interval - mondayOffset);
+    for (let offset = 0; offset < 7; offset++) {
+      const candidate = addDays(nextWeek, offset);
+      if (rule.byDay.includes(weekday(candidate))) return candidate;
+    }
+  }
+
+  if (rule.freq === 'MONTHLY') {
+    const year = from.getUTCFullYear();
+    const month = from.getUTCMonth();
+    const later = monthDays(rule, year, month, from.getUTCDate()).filter(day => day > from.getUTCDate());
+    if (later.length > 0) return atDay(from, year, month, later[0]);
+
+    // Months without a matching day (the 31st in April) are skipped, as in RFC 5545
+    for (let step = 1; step <= 48; step++) {
+      const target = new Date(Date.UTC(year, month + step * rule.interval, 1));
+      const days = monthDays(rule, target.getUTCFullYear(), target.getUTCMonth(), from.getUTCDate());
+      if (days.length > 0) return atDay(from, target.getUTCFullYear(), target.getUTCMonth(), days[0]);
+    }
+  }
+
+  if (rule.freq === 'YEARLY') {
+    // February 29th only comes back in leap years
+    for (let step = 1; step <= 8; step++) {
+      const year = from.getUTCFullYear() + step * rule.interval;
+      if (from.getUTCDate() <= daysInMonth(year, from.getUTCMonth())) {
+        return atDay(from, year, from.getUTCMonth(), from.getUTCDate());
+      }
+    }
+  }
+
+  return null;
+};
+
+// Due date of occurrence number `occurrence + 1`, or null once the series is over
+const nextOccurrence = (ruleText, from, { occurrence = 1 } = {}) => {
+  const rule = parseRule(ruleText);
+  if (rule.count && occurrence >= rule.count) return null;
+
+  const next = nextDate(rule, new Date(from));
+  if (!next || (rule.until && next > rule.until)) return null;
+  return next;
+};
+
+module.exports = {
+  PRESETS,
+  RecurrenceError,
+  parseRule,
+  formatRule,
+  normalizeRule,
+  nextOccurrence
+};
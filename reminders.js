@@ -0,0 +1,165 @@
+// reminders.js
+// Due-date reminders: a small in-process scheduler that looks for open todos
+// whose reminder time has come and hands each reminder to the configured
+// notification channels.
+//
+// A todo's `reminders` are minutes before its due date (negative = after it,
+// for overdue nudges); todos without their own use REMINDER_OFFSETS. Each
+// todo / offset / due date fires once: db.reminders.claim() records it before
+// sending, so moving the due date re-arms the reminders.
+const { sendMail, templates } = require('./mailer');
+const { startWorker } = require('./worker');
+const { REMINDER_OFFSET_MIN, REMINDER_OFFSET_MAX, normalizeReminderOffsets } = require('./repositories');
+
+const MINUTE_MS = 60 * 1000;
+
+const parseList = (value) => String(value).split(',').map(part => part.trim()).filter(Boolean);
+
+const readConfig = () => ({
+  enabled: process.env.REMINDERS_ENABLED !== 'false',
+  intervalMs: (parseFloat(process.env.REMINDER_INTERVAL_SECONDS) || 60) * 1000,
+  offsets: normalizeReminderOffsets(parseList(process.env.REMINDER_OFFSETS || '1440,0')),
+  channels: parseList(process.env.REMINDER_CHANNELS || 'email,in-app'),
+  // Reminders that came due while the server was down are still sent if they
+  // are at most this old; older ones are skipped
+  lookbackMs: (parseFloat(process.env.REMINDER_LOOKBACK_HOURS) || 24) * 60 * MINUTE_MS
+});
+
+// "is due in 2 hours", "is due now", "was due 1 day ago"; from the actual time
+// left, since a reminder can fire later than planned (server downtime)
+const describeDue = (dueDate, now) => {
+  const left = Math.round((dueDate.getTime() - now) / MINUTE_MS);
+  const minutes = Math.abs(left);
+  if (minutes < 1) return 'is due now';
+
+  const [amount, unit] = minutes >= 2 * 1440 ? [Math.round(minutes / 1440), 'day']
+    : minutes >= 120 ? [Math.round(minutes / 60), 'hour']
+      : [minutes, 'minute'];
+  const span = `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+  return left > 0 ? `is due in ${span}` : `was due ${span} ago`;
+};
+
+// ======================
+// CHANNELS
+// ======================
+// Each factory receives { db } and returns { send(reminder) } where reminder
+// is { todo, user, offset, when, link }. Pick them with REMINDER_CHANNELS.
+
+const channels = {
+  email: () => ({
+    send: ({ todo, user, when, link }) => sendMail({
+      to: user.email,
+      ...templates.dueReminder({ name: user.name, task: todo.task, when, dueDate: todo.dueDate, link })
+    })
+  }),
+
+  // POSTs JSON to REMINDER_WEBHOOK_URL (chat bots, automation tools)
+  webhook: () => ({
+    send: async ({ todo, user, offset, when, link }) => {
+      const url = process.env.REMINDER_WEBHOOK_URL;
+      if (!url) throw new Error('REMINDER_WEBHOOK_URL is not set.');
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          event: 'todo.reminder',
+          text: `"${todo.task}" ${when}`,
+          offsetMinutes: offset,
+          link,
+          todo: { id: todo.id, task: todo.task, dueDate: todo.dueDate, priority: todo.priority },
+          user: { id: user.id, name: user.name, email: user.email }
+        }),
+        signal: AbortSignal.timeout(10000)
+      });
+      if (!response.ok) throw new Error(`Webhook answered ${response.status}.`);
+    }
+  }),
+
+  // Stored for GET /api/notifications
+  'in-app': ({ db }) => ({
+    send: ({ todo, user, when }) => db.notifications.create({
+      userId: user.id,
+      todoId: todo.id,
+      type: 'reminder',
+      title: `"${todo.task}" ${when}`,
+      body: `Due ${todo.dueDate.toISOString()}`
+    })
+  })
+};
+
+// Add (or replace) a channel; takes effect for schedulers started afterwards
+const registerChannel = (name, factory) => {
+  channels[name] = factory;
+};
+
+// ======================
+// SCHEDULER
+// ======================
+
+// Send every reminder that is due at `now`; resolves to the number sent
+const runDueReminders = async (db, config, active, todoUrl, now = Date.now()) => {
+  // Widest window any offset can reach
+  const todos = await db.todos.listDueBetween(
+    new Date(now - config.lookbackMs + REMINDER_OFFSET_MIN * MINUTE_MS),
+    new Date(now + REMINDER_OFFSET_MAX * MINUTE_MS)
+  );
+
+  let sent = 0;
+  for (const todo of todos) {
+    if (!todo.user.isActive) continue;
+
+    for (const offset of todo.reminders || config.offsets) {
+      const fireAt = todo.dueDate.getTime() - offset * MINUTE_MS;
+      if (fireAt > now || fireAt <= now - config.lookbackMs) continue;
+
+      const claimed = await db.reminders.claim({
+        todoId: todo.id,
+        userId: todo.user.id,
+        offset,
+        dueDate: todo.dueDate
+      });
+      if (!claimed) continue;
+
+      const reminder = { todo, user: todo.user, offset, when: describeDue(todo.dueDate, now), link: todoUrl(todo) };
+      for (const { name, channel } of active) {
+        try {
+          await channel.send(reminder);
+        } catch (err) {
+          console.error(`❌ Reminder via ${name} failed for todo ${todo.id}:`, err.message);
+        }
+      }
+      sent++;
+    }
+  }
+  return sent;
+};
+
+// Start polling (see worker.js for the returned handle)
+const startReminderScheduler = (db, { todoUrl = (todo) => `/api/todos/${todo.id}` } = {}) => {
+  const config = readConfig();
+
+  const active = config.channels
+    .filter(name => {
+      if (channels[name]) return true;
+      console.error(`❌ Unknown reminder channel "${name}", skipping it.`);
+      return false;
+    })
+    .map(name => ({ name, channel: channels[name]({ db }) }));
+
+  if (config.enabled) {
+    console.log(`⏰ Reminders: every ${config.intervalMs / 1000}s via ${active.map(c => c.name).join(', ') || 'no channels'}`);
+  }
+
+  return startWorker('Reminder run', config.intervalMs, async () => {
+    const sent = await runDueReminders(db, config, active, todoUrl);
+    if (sent > 0) console.log(`⏰ Sent ${sent} due-date reminder${sent === 1 ? '' : 's'}`);
+    return sent;
+  }, { enabled: config.enabled });
+};
+
+module.exports = {
+  registerChannel,
+  startReminderScheduler,
+  describeDue
+};
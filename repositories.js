@@ -0,0 +1,1023 @@
+// ============================================
+// STORAGE REPOSITORIES (shared contract)
+// ============================================
+// connectDB() picks one backend (mongo-db.js or sqlite-db.js) and every
+// route talks to it through the same repositories:
+//
+//   db.type                          'mongodb' | 'sqlite'
+//   db.isConnected()                 boolean
+//   db.close()                       Promise
+//
+//   db.users.findById(id)            User | null
+//   db.users.findByEmail(email, { withPassword })
+//                                    User (+ password hash) | null
+//   db.users.create({ name, email, password, role })
+//                                    User
+//   db.users.update(id, fields)      User | null
+//   db.users.recordLogin(id)         void
+//   db.users.list({ page, limit, cursor })
+//                                    { users: User[], total, nextCursor, prevCursor }
+//                                    (newest first)
+//   db.users.countActiveAdmins()     number
+//   db.users.delete(id)              boolean (also removes the user's todos, lists,
+//                                    shares and tokens)
+//
+//   Deleted todos go to the trash (deletedAt is set) and are left out of every
+//   todo method below except the trash ones, until purged.
+//   db.todos.create(userId, input, { createdAt, completedAt })
+//                                    Todo (the dates replace "now", for imports)
+//   db.todos.findForUser(userId, { page, limit, cursor, sortBy, sortOrder, ...filters })
+//                                    { todos: Todo[], total, nextCursor, prevCursor }
+//                                    (filters: see TODO_FILTER_PARAMS /
+//                                    normalizeTodoFilters; cursors: see PAGINATION)
+//                                    search is full-text (see parseSearchQuery);
+//                                    each todo then also has search: { score,
+//                                    highlights: { task, description, tags } }
+//                                    with matches in <mark> (HTML-escaped)
+//   db.todos.findIdsForUser(userId, filters)
+//                                    ids of every matching todo (no paging)
+//   db.todos.listForUser(userId)     Todo[] (every todo with its items, no paging)
+//   db.todos.findById(id, userId)    Todo (with items) | null
+//   db.todos.update(id, userId, input)
+//                                    Todo | null
+//   db.todos.delete(id, userId)      boolean (moved to the trash)
+//
+//   db.todos.findTrash(userId, { page, limit, cursor })
+//                                    { todos: Todo[], total, nextCursor, prevCursor }
+//                                    (most recently deleted first)
+//   db.todos.restore(id, userId)     Todo | null (only todos in the trash)
+//   db.todos.purge({ userId, id, deletedBefore })
+//                                    number of trashed todos removed for good
+//                                    (every option narrows it; {} = whole trash)
+//
+//   Bulk changes; targets are [{ id, userId }] (a todo id and its owner), all
+//   applied in one transaction (one bulkWrite on MongoDB). Targets that are
+//   gone are skipped.
+//   db.todos.bulkUpdate(targets, { set, addTags, removeTags })
+//                                    Todo[] that were updated
+//   db.todos.bulkDelete(targets)     ids that were moved to the trash
+//   db.todos.stats(userId, { listId })
+//                                    { total, completed, pending,
+//                                      highPriority, mediumPriority, lowPriority }
+//   db.todos.statsByList(userId)     [{ listId, total, completed, pending }]
+//   db.todos.tagCounts(userId)       [{ name, count, open }] (most used first)
+//   db.todos.replaceTags(userId, tags, replacement)
+//                                    Todo[] that had one of tags; they now have
+//                                    replacement instead (null = just remove them)
+//   db.todos.reassignList(userId, fromListId, toListId)
+//                                    number of todos moved (toListId null = no list)
+//   db.todos.deleteInList(userId, listId)
+//                                    number of todos moved to the trash
+//   db.todos.listAll({ page, limit, cursor })
+//                                    { todos: Todo[], total, nextCursor, prevCursor }
+//                                    (newest first, each with user: { id, name, email })
+//   db.todos.ownerOf(id)             { id, userId, listId } | null (no owner check)
+//   db.todos.analytics(userId, { periods, from, to, now, listId })
+//                                    { series: [{ created, completed, overdue }]
+//                                      (one per period: created / completed in
+//                                      [start, end), overdue open at min(end, now)),
+//                                      timeToComplete: [{ priority, count, averageHours }]
+//                                      (todos completed in [from, to)),
+//                                      completionDays: ['YYYY-MM-DD'] (UTC, ascending,
+//                                      every day with a completion, any date) }
+//                                    (see normalizeAnalyticsOptions; listId null =
+//                                    todos outside any list, undefined = all)
+//   db.todos.listDueBetween(from, to)
+//                                    open todos due in (from, to], every user
+//                                    (each with user: { id, name, email, isActive })
+//
+//   Checklist items; each resolves to null when the todo is not the user's
+//   db.todos.listItems(todoId, userId)
+//                                    TodoItem[]
+//   db.todos.addItem(todoId, userId, { text, position })
+//                                    TodoItem | null
+//   db.todos.updateItem(todoId, userId, itemId, { text, completed })
+//                                    TodoItem | null
+//   db.todos.removeItem(todoId, userId, itemId)
+//                                    boolean
+//   db.todos.reorderItems(todoId, userId, itemIds)
+//                                    TodoItem[] | null
+//
+//   db.lists.create(userId, { name, color, archived })
+//                                    List
+//   db.lists.findForUser(userId, { archived })
+//                                    List[] (archived: true | false | undefined = all)
+//   db.lists.findById(id, userId)    List | null
+//   db.lists.update(id, userId, input)
+//                                    List | null
+//   db.lists.delete(id, userId)      boolean (todos are handled by the caller;
+//                                    trashed ones end up outside any list)
+//   db.lists.ownerOf(id)             { id, userId } | null (no owner check)
+//
+//   Shares grant another user access to a todo or a whole list; ownerId is
+//   always the owner of the shared resource
+//   db.shares.grant({ resourceType, resourceId, ownerId, userId, permission })
+//                                    Share (updates the permission if one exists)
+//   db.shares.revoke(resourceType, resourceId, userId)
+//                                    boolean
+//   db.shares.permissionFor(userId, { todoId, listId })
+//                                    highest SHARE_PERMISSIONS entry granted on
+//                                    the todo or the list, or null
+//   db.shares.listForResource(resourceType, resourceId)
+//                                    Share[] (each with user: { id, name, email })
+//   db.shares.listForUser(userId)    Share[] shared with the user
+//                                    (each with owner: { id, name, email })
+//   db.shares.listByOwner(userId)    Share[] the user's resources shared with others
+//
+//   Due-date reminders (see reminders.js)
+//   db.reminders.claim({ todoId, userId, offset, dueDate })
+//                                    boolean (false if this reminder was already
+//                                    sent for this due date)
+//
+//   In-app notifications
+//   db.notifications.create({ userId, todoId, type, title, body })
+//                                    Notification
+//   db.notifications.findForUser(userId, { unread, limit })
+//                                    Notification[] (newest first)
+//   db.notifications.countUnread(userId)
+//                                    number
+//   db.notifications.markRead(id, userId)
+//                                    Notification | null
+//   db.notifications.markAllRead(userId)
+//                                    number of notifications marked
+//
+//   Outgoing webhooks (see webhooks.js); the secret is only returned where noted
+//   db.webhooks.create(userId, { url, events, description, secret })
+//                                    Webhook (with secret)
+//   db.webhooks.findForUser(userId)  Webhook[]
+//   db.webhooks.findById(id, userId) Webhook | null
+//   db.webhooks.update(id, userId, { url, events, description, active })
+//                                    Webhook | null
+//   db.webhooks.delete(id, userId)   boolean (also removes its deliveries)
+//   db.webhooks.findForEvent(userId, event)
+//                                    active Webhook[] subscribed to event (with secret)
+//
+//   db.webhookDeliveries.create({ webhookId, event, payload })
+//                                    WebhookDelivery (pending, due now)
+//   db.webhookDeliveries.findDue(now, limit)
+//                                    pending WebhookDelivery[] due by now (each
+//                                    with webhook: { url, secret, active })
+//   db.webhookDeliveries.recordAttempt(id, { status, attempts, nextAttemptAt,
+//                        responseStatus, error })
+//                                    void
+//   db.webhookDeliveries.listForWebhook(webhookId, { limit })
+//                                    WebhookDelivery[] (newest first)
+//   db.webhookDeliveries.requeue(id, webhookId)
+//                                    WebhookDelivery | null (pending again, due now)
+//   db.webhookDeliveries.purgeOlderThan(date)
+//                                    void
+//
+//   Todo history: one Revision per change, numbered from 1 per todo. Removed
+//   with the todo when it is purged.
+//   db.history.record({ todoId, userId, actorId, action, changes, snapshot, revertedTo })
+//                                    Revision (userId is the todo's owner)
+//   db.history.latest(todoId)        Revision | null
+//   db.history.findRevision(todoId, revision)
+//                                    Revision | null
+//   db.history.listForTodo(todoId, { page, limit, cursor })
+//                                    { revisions: Revision[], total, nextCursor, prevCursor }
+//                                    (newest first)
+//   db.history.listForUser(userId, { page, limit, cursor })
+//                                    same, for the changes to the user's todos and
+//                                    the changes the user made to shared ones
+//
+//   db.refreshTokens.create({ userId, family, tokenHash, expiresAt })
+//                                    RefreshToken
+//   db.refreshTokens.findByHash(tokenHash)
+//                                    RefreshToken | null
+//   db.refreshTokens.markUsed(id, replacedBy)
+//                                    boolean (false if it was already used/revoked)
+//   db.refreshTokens.revokeFamily(family)
+//                                    void
+//   db.refreshTokens.revokeAllForUser(userId)
+//                                    void
+//   db.refreshTokens.isFamilyActive(family)
+//                                    boolean
+//   db.refreshTokens.purgeExpired()  void
+//   db.refreshTokens.listForUser(userId)
+//                                    RefreshToken[]
+//
+//   db.authTokens.create({ userId, type, tokenHash, expiresAt })   type: AUTH_TOKEN_TYPES
+//                                    AuthToken
+//   db.authTokens.consume(tokenHash, type)
+//                                    AuthToken | null (marks it used; null if
+//                                    unknown, expired or already used)
+//   db.authTokens.invalidateForUser(userId, type)
+//                                    void
+//   db.authTokens.listForUser(userId)
+//                                    AuthToken[]
+//
+//   Calendar feeds: at most one per user, found by the hash of its secret token
+//   db.calendarFeeds.rotate(userId, tokenHash)
+//                                    CalendarFeed (replaces the user's feed, if any)
+//   db.calendarFeeds.findByHash(tokenHash)
+//                                    CalendarFeed | null
+//   db.calendarFeeds.findForUser(userId)
+//                                    CalendarFeed | null
+//   db.calendarFeeds.recordAccess(id)
+//                                    void
+//   db.calendarFeeds.delete(userId)  boolean
+//
+// Both backends return plain objects of the same shape:
+//
+//   User  { id, name, email, role, isActive, emailVerified, createdAt, lastLogin }
+//   Todo  { id, task, description, completed, priority, dueDate, tags,
+//           autoComplete, progress: { completed, total }, listId,
+//           recurrence, occurrence, reminders, userId, completedAt,
+//           deletedAt, createdAt, updatedAt }
+//           (completedAt is when it was last completed, null while open;
+//           deletedAt is when it went to the trash, null otherwise;
+//           recurrence is a canonical RRULE or null, see recurrence.js;
+//           occurrence counts the todos of the series so far, from 1;
+//           reminders lists minutes before the due date, null = defaults)
+//   TodoItem { id, text, completed, position }
+//   List  { id, name, color, archived, userId, createdAt, updatedAt }
+//   Share { id, resourceType, resourceId, ownerId, userId, permission,
+//           createdAt, updatedAt }
+//   RefreshToken { id, userId, family, tokenHash, expiresAt, revokedAt,
+//                  replacedBy, createdAt }
+//   AuthToken { id, userId, type, tokenHash, expiresAt, usedAt, createdAt }
+//   CalendarFeed { id, userId, tokenHash, createdAt, lastAccessedAt }
+//   Notification { id, userId, todoId, type, title, body, read, readAt, createdAt }
+//   Webhook { id, userId, url, events, description, active, createdAt, updatedAt }
+//   Revision { id, todoId, userId, actor: { id, name, email }, revision,
+//              action, changes: [{ field, from, to }], snapshot, revertedTo,
+//              createdAt }
+//              (action: REVISION_ACTIONS; snapshot holds the REVISION_FIELDS
+//              after the change, see todoSnapshot(); revertedTo is the
+//              revision a revert went back to)
+//   WebhookDelivery { id, webhookId, event, payload, status, attempts,
+//                     nextAttemptAt, responseStatus, error, createdAt, updatedAt }
+//                     (status: WEBHOOK_DELIVERY_STATUSES, payload is the exact
+//                     JSON text that is signed and sent)
+//
+// Ids (and every userId, listId, todoId... that refers to one) are strings,
+// booleans are real booleans, dates are Date objects (or null), tags is
+// always an array. Unknown ids resolve to null instead of throwing.
+
+const { normalizeRule } = require('./recurrence');
+
+const PRIORITIES = ['low', 'medium', 'high'];
+const ROLES = ['user', 'admin'];
+const TODO_SORT_FIELDS = ['createdAt', 'dueDate', 'priority', 'task'];
+const AUTH_TOKEN_TYPES = ['password_reset', 'email_verification'];
+const DEFAULT_LIST_COLOR = '#667eea';
+// Ordered from least to most access
+const SHARE_PERMISSIONS = ['viewer', 'editor', 'owner'];
+const SHARE_RESOURCE_TYPES = ['todo', 'list'];
+const WEBHOOK_EVENTS = ['todo.created', 'todo.updated', 'todo.completed', 'todo.deleted', 'todo.restored'];
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+const TAG_MATCH_MODES = ['any', 'all'];
+const BULK_OPERATIONS = ['complete', 'reopen', 'priority', 'addTags', 'removeTags', 'delete'];
+const BULK_MAX_TODOS = 500;
+// Reminder offsets in minutes before the due date (negative = after it)
+const REMINDER_OFFSET_MIN = -7 * 24 * 60;
+const REMINDER_OFFSET_MAX = 30 * 24 * 60;
+
+// Errors raised by the storage layer carry an HTTP status code so the
+// global errorHandler can answer with it directly.
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+    this.statusCode = 400;
+  }
+}
+
+class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+    this.statusCode = 409;
+  }
+}
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+// Trimmed, non-empty, de-duplicated tag list
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) return [];
+  const seen = new Set();
+  for (const tag of tags) {
+    if (typeof tag !== 'string') continue;
+    const trimmed = tag.trim();
+    if (trimmed) seen.add(trimmed);
+  }
+  return [...seen];
+};
+
+// A single tag name (tag rename / merge / delete)
+const normalizeTagName = (name) => {
+  const [tag] = typeof name === 'string' ? normalizeTags([name]) : [];
+  if (!tag) {
+    throw new ValidationError('Tag name is required.');
+  }
+  return tag;
+};
+
+// Parse anything a backend may hand back (Date, ISO string, SQLite
+// "YYYY-MM-DD HH:MM:SS" UTC timestamp, epoch milliseconds) into a Date
+const toDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return value;
+  if (typeof value === 'number') return new Date(value);
+  const text = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)
+    ? `${value.replace(' ', 'T')}Z`
+    : value;
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Validate and clean todo input. With `partial` only the provided fields
+// are checked (updates); otherwise defaults are filled in (creates).
+const normalizeTodoInput = (input, { partial = false } = {}) => {
+  const result = {};
+  const has = (field) => input[field] !== undefined;
+
+  if (!partial || has('task')) {
+    const task = typeof input.task === 'string' ? input.task.trim() : '';
+    if (task.length < 3) {
+      throw new ValidationError('Task is required and must be at least 3 characters.');
+    }
+    if (task.length > 500) {
+      throw new ValidationError('Task cannot exceed 500 characters.');
+    }
+    result.task = task;
+  }
+
+  if (!partial || has('description')) {
+    const description = input.description ? String(input.description).trim() : '';
+    if (description.length > 1000) {
+      throw new ValidationError('Description cannot exceed 1000 characters.');
+    }
+    result.description = description || null;
+  }
+
+  if (has('completed')) {
+    result.completed = input.completed === true || input.completed === 'true';
+  } else if (!partial) {
+    result.completed = false;
+  }
+
+  if (!partial || has('priority')) {
+    const priority = input.priority || 'medium';
+    if (!PRIORITIES.includes(priority)) {
+      throw new ValidationError(`Priority must be one of: ${PRIORITIES.join(', ')}.`);
+    }
+    result.priority = priority;
+  }
+
+  if (!partial || has('dueDate')) {
+    if (input.dueDate) {
+      const dueDate = new Date(input.dueDate);
+      if (Number.isNaN(dueDate.getTime())) {
+        throw new ValidationError('Due date is not a valid date.');
+      }
+      result.dueDate = dueDate;
+    } else {
+      result.dueDate = null;
+    }
+  }
+
+  if (!partial || has('tags')) {
+    result.tags = normalizeTags(input.tags);
+  }
+
+  // Ownership of the list is checked by the caller
+  if (has('listId')) {
+    result.listId = input.listId || null;
+  } else if (!partial) {
+    result.listId = null;
+  }
+
+  if (has('recurrence')) {
+    result.recurrence = normalizeRule(input.recurrence);
+  } else if (!partial) {
+    result.recurrence = null;
+  }
+
+  if (has('reminders')) {
+    result.reminders = normalizeReminderOffsets(input.reminders);
+  } else if (!partial) {
+    result.reminders = null;
+  }
+
+  // Position in a recurring series; set when the next occurrence is created
+  if (has('occurrence')) {
+    const occurrence = parseInt(input.occurrence, 10);
+    if (Number.isNaN(occurrence) || occurrence < 1) {
+      throw new ValidationError('Occurrence must be a positive integer.');
+    }
+    result.occurrence = occurrence;
+  } else if (!partial) {
+    result.occurrence = 1;
+  }
+
+  // Complete the todo automatically once every checklist item is done
+  if (has('autoComplete')) {
+    result.autoComplete = input.autoComplete === true || input.autoComplete === 'true';
+  } else if (!partial) {
+    result.autoComplete = false;
+  }
+
+  return result;
+};
+
+// Per-todo reminder offsets: null falls back to the defaults, [] turns them off
+const normalizeReminderOffsets = (offsets) => {
+  if (offsets === null) return null;
+  if (!Array.isArray(offsets)) {
+    throw new ValidationError('Reminders must be an array of minutes before the due date.');
+  }
+  const minutes = offsets.map(offset => Number(offset));
+  if (minutes.some(m => !Number.isInteger(m) || m < REMINDER_OFFSET_MIN || m > REMINDER_OFFSET_MAX)) {
+    throw new ValidationError(
+      `Reminder offsets must be whole minutes between ${REMINDER_OFFSET_MIN} and ${REMINDER_OFFSET_MAX}.`
+    );
+  }
+  if (minutes.length > 10) {
+    throw new ValidationError('A todo can have at most 10 reminders.');
+  }
+  return [...new Set(minutes)].sort((a, b) => b - a);
+};
+
+// Validate and clean webhook input
+const normalizeWebhookInput = (input, { partial = false } = {}) => {
+  const result = {};
+
+  if (!partial || input.url !== undefined) {
+    let url;
+    try {
+      url = new URL(String(input.url || ''));
+    } catch (err) {
+      throw new ValidationError('Webhook url must be a valid http(s) URL.');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new ValidationError('Webhook url must be a valid http(s) URL.');
+    }
+    result.url = url.toString();
+  }
+
+  if (!partial || input.events !== undefined) {
+    const events = input.events === undefined ? WEBHOOK_EVENTS : input.events;
+    if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+      throw new ValidationError(`Events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}.`);
+    }
+    result.events = [...new Set(events)];
+  }
+
+  if (!partial || input.description !== undefined) {
+    const description = input.description ? String(input.description).trim() : '';
+    if (description.length > 200) {
+      throw new ValidationError('Description cannot exceed 200 characters.');
+    }
+    result.description = description || null;
+  }
+
+  if (input.active !== undefined) {
+    result.active = input.active === true || input.active === 'true';
+  } else if (!partial) {
+    result.active = true;
+  }
+
+  return result;
+};
+
+// Validate and clean list (project) input
+const normalizeListInput = (input, { partial = false } = {}) => {
+  const result = {};
+
+  if (!partial || input.name !== undefined) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) {
+      throw new ValidationError('List name is required.');
+    }
+    if (name.length > 50) {
+      throw new ValidationError('List name cannot exceed 50 characters.');
+    }
+    result.name = name;
+  }
+
+  if (!partial || input.color !== undefined) {
+    const color = input.color || DEFAULT_LIST_COLOR;
+    if (!/^#[0-9a-fA-F]{6}$/.test(color)) {
+      throw new ValidationError('Color must be a hex value like #667eea.');
+    }
+    result.color = color.toLowerCase();
+  }
+
+  if (input.archived !== undefined) {
+    result.archived = input.archived === true || input.archived === 'true';
+  } else if (!partial) {
+    result.archived = false;
+  }
+
+  return result;
+};
+
+// True when `permission` grants at least what `required` does
+const permissionAtLeast = (permission, required) =>
+  SHARE_PERMISSIONS.indexOf(permission) >= SHARE_PERMISSIONS.indexOf(required);
+
+const highestPermission = (permissions) => permissions.reduce(
+  (best, permission) => (!best || permissionAtLeast(permission, best) ? permission : best),
+  null
+);
+
+// Validate a share before it is stored
+const normalizeShareInput = ({ resourceType, permission = 'viewer' }) => {
+  if (!SHARE_RESOURCE_TYPES.includes(resourceType)) {
+    throw new ValidationError(`Resource type must be one of: ${SHARE_RESOURCE_TYPES.join(', ')}.`);
+  }
+  if (!SHARE_PERMISSIONS.includes(permission)) {
+    throw new ValidationError(`Permission must be one of: ${SHARE_PERMISSIONS.join(', ')}.`);
+  }
+  return { resourceType, permission };
+};
+
+// Validate and clean checklist item input
+const normalizeItemInput = (input, { partial = false } = {}) => {
+  const result = {};
+
+  if (!partial || input.text !== undefined) {
+    const text = typeof input.text === 'string' ? input.text.trim() : '';
+    if (!text) {
+      throw new ValidationError('Item text is required.');
+    }
+    if (text.length > 200) {
+      throw new ValidationError('Item text cannot exceed 200 characters.');
+    }
+    result.text = text;
+  }
+
+  if (input.completed !== undefined) {
+    result.completed = input.completed === true || input.completed === 'true';
+  }
+
+  if (input.position !== undefined && input.position !== null) {
+    const position = parseInt(input.position, 10);
+    if (Number.isNaN(position) || position < 0) {
+      throw new ValidationError('Item position must be a non-negative integer.');
+    }
+    result.position = position;
+  }
+
+  return result;
+};
+
+// The new item order must name every existing item exactly once
+const assertItemOrder = (currentIds, itemIds) => {
+  const wanted = Array.isArray(itemIds) ? itemIds.map(String) : [];
+  const current = currentIds.map(String);
+  const sameItems = wanted.length === current.length &&
+    new Set(wanted).size === wanted.length &&
+    wanted.every(id => current.includes(id));
+  if (!sameItems) {
+    throw new ValidationError('itemIds must list every item of the todo exactly once.');
+  }
+  return wanted;
+};
+
+// Turn a bulk request's { operation, value } into what db.todos.bulkUpdate
+// expects, or { delete: true }
+const normalizeBulkOperation = ({ operation, value } = {}) => {
+  switch (operation) {
+    case 'complete':
+      return { set: { completed: true } };
+    case 'reopen':
+      return { set: { completed: false } };
+    case 'priority':
+      if (!PRIORITIES.includes(value)) {
+        throw new ValidationError(`Priority must be one of: ${PRIORITIES.join(', ')}.`);
+      }
+      return { set: { priority: value } };
+    case 'addTags':
+    case 'removeTags': {
+      const tags = normalizeTags(Array.isArray(value) ? value : [value]);
+      if (tags.length === 0) {
+        throw new ValidationError('Value must be a tag or a list of tags.');
+      }
+      return { [operation]: tags };
+    }
+    case 'delete':
+      return { delete: true };
+    default:
+      throw new ValidationError(`Operation must be one of: ${BULK_OPERATIONS.join(', ')}.`);
+  }
+};
+
+// ======================
+// FULL-TEXT SEARCH
+// ======================
+
+// Backends mark matches with these characters; markedToHtml() turns them into <mark>
+const SEARCH_MARK_START = '\u0002';
+const SEARCH_MARK_END = '\u0003';
+const SEARCH_MAX_LENGTH = 200;
+
+// Search text -> terms: "quoted phrases", plain words and prefix* words,
+// all of which must match (task, description or tags)
+const parseSearchQuery = (input) => {
+  const text = String(input).trim();
+  if (text.length > SEARCH_MAX_LENGTH) {
+    throw new ValidationError(`Search cannot exceed ${SEARCH_MAX_LENGTH} characters.`);
+  }
+
+  const terms = [];
+  for (const [, quoted, word] of text.matchAll(/"([^"]*)"?|(\S+)/g)) {
+    const prefix = word !== undefined && word.endsWith('*');
+    // Punctuation around a word is not part of it ("milk," "(today)")
+    const cleaned = (quoted !== undefined ? quoted : word)
+      .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '')
+      .replace(/\s+/g, ' ');
+    if (cleaned) terms.push({ text: cleaned, phrase: quoted !== undefined, prefix });
+  }
+
+  if (terms.length === 0) {
+    throw new ValidationError('Search needs at least one word.');
+  }
+  return terms;
+};
+
+// Case-insensitive pattern for one term, matching at word boundaries
+const termPattern = ({ text, prefix }) => {
+  const body = text.split(' ').map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[^\\p{L}\\p{N}]+');
+  return `(?<![\\p{L}\\p{N}])${body}${prefix ? '' : '(?![\\p{L}\\p{N}])'}`;
+};
+
+// Mark the matches of `terms` in text; longer texts are cut to about
+// `length` characters around the first match (like FTS5 snippet())
+const markMatches = (text, terms, { length = Infinity } = {}) => {
+  if (!text) return null;
+  const pattern = new RegExp(terms.map(termPattern).join('|'), 'giu');
+  const first = text.search(pattern);
+  if (first === -1 && length !== Infinity) return null;
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > length) {
+    start = Math.max(Math.max(first, 0) - Math.floor(length / 3), 0);
+    end = Math.min(start + length, text.length);
+  }
+  const marked = text.slice(start, end).replace(pattern, match => `${SEARCH_MARK_START}${match}${SEARCH_MARK_END}`);
+  return `${start > 0 ? '…' : ''}${marked}${end < text.length ? '…' : ''}`;
+};
+
+// HTML-escape marked text and wrap the matches in <mark>
+const markedToHtml = (text) => {
+  if (text === null || text === undefined) return null;
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .split(SEARCH_MARK_START).join('<mark>')
+    .split(SEARCH_MARK_END).join('</mark>');
+};
+
+// Tags that one of the terms matches
+const matchingTags = (tags, terms) => {
+  const pattern = new RegExp(terms.map(termPattern).join('|'), 'iu');
+  return (tags || []).filter(tag => pattern.test(tag));
+};
+
+// ======================
+// TODO LIST FILTERS
+// ======================
+
+// Query params GET /api/todos (and bulk filters) accept
+const TODO_FILTER_PARAMS = [
+  'completed', 'priority', 'list', 'tags', 'tagMatch', 'excludeTags',
+  'dueAfter', 'dueBefore', 'due', 'overdue', 'noDueDate',
+  'createdAfter', 'updatedAfter', 'search'
+];
+// Named due date windows, in UTC; weeks start on Monday
+const DUE_PERIODS = ['today', 'tomorrow', 'thisWeek', 'nextWeek'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const parseBooleanParam = (name, value) => {
+  if (isBlank(value)) return undefined;
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw new ValidationError(`${name} must be true or false.`);
+};
+
+const parseDateParam = (name, value) => {
+  if (isBlank(value)) return undefined;
+  const date = toDate(value);
+  if (!date) {
+    throw new ValidationError(`${name} must be a valid date, like 2025-01-31 or 2025-01-31T09:00:00Z.`);
+  }
+  return date;
+};
+
+// An array or comma-separated text
+const parseListParam = (value) => (Array.isArray(value) ? value : String(isBlank(value) ? '' : value).split(','));
+
+// [from, to) of a named due period
+const duePeriod = (period, now) => {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const monday = today - ((now.getUTCDay() + 6) % 7) * DAY_MS;
+  const [from, days] = {
+    today: [today, 1],
+    tomorrow: [today + DAY_MS, 1],
+    thisWeek: [monday, 7],
+    nextWeek: [monday + 7 * DAY_MS, 7]
+  }[period];
+  return [new Date(from), new Date(from + days * DAY_MS)];
+};
+
+// Validate the todo list filters. Due dates end up as one [dueFrom, dueTo)
+// range: dueAfter is inclusive, dueBefore exclusive, and `due` narrows it to
+// a named period. overdue means open and due before `now`.
+const normalizeTodoFilters = (options = {}, now = new Date()) => {
+  const completed = parseBooleanParam('completed', options.completed);
+
+  const priorities = [...new Set(parseListParam(options.priority).map(p => p.trim()).filter(Boolean))];
+  if (priorities.some(priority => !PRIORITIES.includes(priority))) {
+    throw new ValidationError(`Priority must be one or more of: ${PRIORITIES.join(', ')}.`);
+  }
+
+  // tags: tagMatch 'any' (default) or 'all' of them; excludeTags: none of them
+  const tags = normalizeTags(parseListParam(options.tags));
+  const excludeTags = normalizeTags(parseListParam(options.excludeTags));
+  const tagMatch = isBlank(options.tagMatch) ? 'any' : options.tagMatch;
+  if (!TAG_MATCH_MODES.includes(tagMatch)) {
+    throw new ValidationError(`tagMatch must be one of: ${TAG_MATCH_MODES.join(', ')}.`);
+  }
+
+  // list: an id, or 'none' for todos outside any list
+  let list;
+  if (options.list === 'none' || options.list === null) list = null;
+  else if (options.list) list = options.list;
+
+  let dueFrom = parseDateParam('dueAfter', options.dueAfter);
+  let dueTo = parseDateParam('dueBefore', options.dueBefore);
+  if (dueFrom && dueTo && dueFrom >= dueTo) {
+    throw new ValidationError('dueAfter must be earlier than dueBefore.');
+  }
+  if (!isBlank(options.due)) {
+    if (!DUE_PERIODS.includes(options.due)) {
+      throw new ValidationError(`due must be one of: ${DUE_PERIODS.join(', ')}.`);
+    }
+    const [from, to] = duePeriod(options.due, now);
+    if (!dueFrom || from > dueFrom) dueFrom = from;
+    if (!dueTo || to < dueTo) dueTo = to;
+  }
+
+  return {
+    completed,
+    priorities: priorities.length > 0 ? priorities : undefined,
+    list,
+    tags: tags.length > 0 ? tags : undefined,
+    tagMatch,
+    excludeTags: excludeTags.length > 0 ? excludeTags : undefined,
+    dueFrom,
+    dueTo,
+    overdue: parseBooleanParam('overdue', options.overdue),
+    noDueDate: parseBooleanParam('noDueDate', options.noDueDate),
+    createdAfter: parseDateParam('createdAfter', options.createdAfter),
+    updatedAfter: parseDateParam('updatedAfter', options.updatedAfter),
+    now,
+    search: isBlank(options.search) ? undefined : parseSearchQuery(options.search)
+  };
+};
+
+// Shared list options: whitelisted sort field, numeric paging and the filters
+// above. Searches sort by relevance unless another sort field is asked for.
+const normalizeListOptions = (options = {}) => {
+  const paging = normalizePageOptions(options);
+  const filters = normalizeTodoFilters(options);
+  let sortBy = TODO_SORT_FIELDS.includes(options.sortBy) ? options.sortBy
+    : filters.search ? 'relevance' : 'createdAt';
+  let sortOrder = String(options.sortOrder).toLowerCase() === 'asc' ? 'asc' : 'desc';
+
+  // A cursor continues the listing it came from, in that order
+  if (paging.cursor) {
+    [sortBy, sortOrder] = paging.cursor.sort;
+    if (!(TODO_SORT_FIELDS.includes(sortBy) || (sortBy === 'relevance' && filters.search))) {
+      throw new ValidationError('Invalid cursor.');
+    }
+  }
+
+  return {
+    ...paging,
+    sortBy,
+    sortOrder,
+    ...filters
+  };
+};
+
+// ======================
+// PAGINATION
+// ======================
+// Listings are read by page/limit (offset) or by opaque cursors. A cursor is
+// base64url JSON: { sort: [field, order], after | before: [value, id] } marks
+// the row to continue from (keyset, so rows added meanwhile do not shift the
+// pages), or { sort, offset } for orders without a stable key (relevance).
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (text) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(text), 'base64url').toString('utf8'));
+  } catch (err) {
+    payload = null;
+  }
+
+  const isKey = (key) => Array.isArray(key) && key.length === 2;
+  const valid = payload && typeof payload === 'object' &&
+    Array.isArray(payload.sort) && payload.sort.length === 2 && ['asc', 'desc'].includes(payload.sort[1]) &&
+    (isKey(payload.after) || isKey(payload.before) || (Number.isInteger(payload.offset) && payload.offset >= 0));
+  if (!valid) {
+    throw new ValidationError('Invalid cursor.');
+  }
+  return payload;
+};
+
+// { page, limit, skip, cursor }; page is null when reading by cursor
+const normalizePageOptions = (options = {}, { defaultLimit = 10, maxLimit = 100 } = {}) => {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || defaultLimit, 1), maxLimit);
+  const cursor = isBlank(options.cursor) ? null : decodeCursor(options.cursor);
+  if (cursor) {
+    return { page: null, limit, skip: cursor.offset || 0, cursor };
+  }
+  const page = Math.max(parseInt(options.page, 10) || 1, 1);
+  return { page, limit, skip: (page - 1) * limit, cursor: null };
+};
+
+// Trim the limit + 1 rows a backend read into one page and work out its
+// cursors. Rows read before a cursor come in reverse order. `keyOf(row)`
+// gives [sort value, id]; without it the cursors are offsets.
+const pageWithCursors = (fetched, { limit, skip, cursor, sort, keyOf }) => {
+  const backwards = Boolean(cursor && cursor.before);
+  const more = fetched.length > limit;
+  const rows = fetched.slice(0, limit);
+  if (backwards) rows.reverse();
+
+  let next = null;
+  let prev = null;
+  if (!keyOf) {
+    if (more) next = { sort, offset: skip + limit };
+    if (skip > 0) prev = { sort, offset: Math.max(skip - limit, 0) };
+  } else if (rows.length > 0) {
+    if (backwards || more) next = { sort, after: keyOf(rows[rows.length - 1]) };
+    if (backwards ? more : Boolean(cursor) || skip > 0) prev = { sort, before: keyOf(rows[0]) };
+  }
+
+  return {
+    rows,
+    nextCursor: next && encodeCursor(next),
+    prevCursor: prev && encodeCursor(prev)
+  };
+};
+
+// ======================
+// ANALYTICS
+// ======================
+// Productivity analytics are bucketed into UTC days or ISO weeks (Monday
+// first), like the due periods above. Completion times come from completedAt,
+// which is set when a todo is completed and cleared when it is reopened.
+
+const ANALYTICS_INTERVALS = ['day', 'week'];
+const ANALYTICS_MAX_PERIODS = 366;
+
+const startOfPeriod = (time, interval) => {
+  const date = new Date(time);
+  const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  return interval === 'week' ? day - ((date.getUTCDay() + 6) % 7) * DAY_MS : day;
+};
+
+// { interval, from, to, periods: [{ start, end }] }: every period that
+// touches [from, to], so to=2025-01-31 includes that whole day. Defaults to
+// the last 30 days or 12 weeks.
+const normalizeAnalyticsOptions = (options = {}, now = new Date()) => {
+  const interval = isBlank(options.interval) ? 'day' : options.interval;
+  if (!ANALYTICS_INTERVALS.includes(interval)) {
+    throw new ValidationError(`interval must be one of: ${ANALYTICS_INTERVALS.join(', ')}.`);
+  }
+  const step = (interval === 'week' ? 7 : 1) * DAY_MS;
+
+  const to = parseDateParam('to', options.to) || now;
+  const from = parseDateParam('from', options.from) ||
+    new Date(startOfPeriod(to, interval) - (interval === 'week' ? 11 : 29) * step);
+  if (from > to) {
+    throw new ValidationError('from must not be after to.');
+  }
+
+  const periods = [];
+  for (let start = startOfPeriod(from, interval); start <= to.getTime(); start += step) {
+    if (periods.length === ANALYTICS_MAX_PERIODS) {
+      throw new ValidationError(`The range can span at most ${ANALYTICS_MAX_PERIODS} ${interval}s.`);
+    }
+    periods.push({ start: new Date(start), end: new Date(start + step) });
+  }
+
+  return {
+    interval,
+    from: periods[0].start,
+    to: periods[periods.length - 1].end,
+    periods
+  };
+};
+
+// { current, longest } runs of consecutive days with a completion, from
+// ascending 'YYYY-MM-DD' days. The current streak is still alive when the
+// last completion was yesterday.
+const completionStreaks = (days, now = new Date()) => {
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  for (const day of days) {
+    const time = Date.parse(`${day}T00:00:00Z`);
+    run = previous !== null && time - previous === DAY_MS ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = time;
+  }
+
+  const today = startOfPeriod(now, 'day');
+  const current = previous !== null && today - previous <= DAY_MS ? run : 0;
+  return { current, longest, lastCompletedOn: days.length > 0 ? days[days.length - 1] : null };
+};
+
+// ======================
+// HISTORY
+// ======================
+
+// What a revision records (and a revert puts back)
+const REVISION_FIELDS = [
+  'task', 'description', 'completed', 'priority', 'dueDate', 'tags',
+  'autoComplete', 'listId', 'recurrence', 'reminders'
+];
+const REVISION_ACTIONS = ['created', 'updated', 'completed', 'reopened', 'deleted', 'restored', 'reverted'];
+
+// JSON-ready copy of a todo's REVISION_FIELDS
+const todoSnapshot = (todo) => Object.fromEntries(REVISION_FIELDS.map(field => {
+  const value = todo[field] === undefined ? null : todo[field];
+  return [field, field === 'dueDate' && value ? toDate(value).toISOString() : value];
+}));
+
+// What a new todo is compared with
+const EMPTY_SNAPSHOT = todoSnapshot({ tags: [], completed: false, autoComplete: false });
+
+// [{ field, from, to }] for every field that differs
+const diffSnapshots = (before, after) => REVISION_FIELDS
+  .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+  .map(field => ({ field, from: before[field], to: after[field] }));
+
+module.exports = {
+  PRIORITIES,
+  ROLES,
+  TODO_SORT_FIELDS,
+  AUTH_TOKEN_TYPES,
+  DEFAULT_LIST_COLOR,
+  SHARE_PERMISSIONS,
+  SHARE_RESOURCE_TYPES,
+  REMINDER_OFFSET_MIN,
+  REMINDER_OFFSET_MAX,
+  WEBHOOK_EVENTS,
+  WEBHOOK_DELIVERY_STATUSES,
+  TAG_MATCH_MODES,
+  TODO_FILTER_PARAMS,
+  DUE_PERIODS,
+  BULK_OPERATIONS,
+  BULK_MAX_TODOS,
+  ANALYTICS_INTERVALS,
+  REVISION_FIELDS,
+  REVISION_ACTIONS,
+  EMPTY_SNAPSHOT,
+  SEARCH_MARK_START,
+  SEARCH_MARK_END,
+  ValidationError,
+  ConflictError,
+  normalizeEmail,
+  normalizeTags,
+  normalizeTagName,
+  toDate,
+  normalizeTodoInput,
+  normalizeReminderOffsets,
+  normalizeListInput,
+  normalizeShareInput,
+  normalizeWebhookInput,
+  permissionAtLeast,
+  highestPermission,
+  normalizeItemInput,
+  assertItemOrder,
+  normalizeBulkOperation,
+  normalizePageOptions,
+  pageWithCursors,
+  parseSearchQuery,
+  normalizeTodoFilters,
+  markMatches,
+  markedToHtml,
+  matchingTags,
+  normalizeListOptions,
+  normalizeAnalyticsOptions,
+  completionStreaks,
+  todoSnapshot,
+  diffSnapshots
+};
@@ -5,16 +5,69 @@
 require('dotenv').config();
 
 const express = require('express');
-const mongoose = require('mongoose');
 const cors = require('cors');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { once } = require('events');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const app = express();
 
-// SQLite Database
+// Storage backends
 const { getInstance: getSQLiteDB } = require('./sqlite-db');
+const { connect: connectMongo, connection: mongoConnection } = require('./mongo-db');
+const {
+  PRIORITIES,
+  ROLES,
+  SHARE_PERMISSIONS,
+  ValidationError,
+  ConflictError,
+  permissionAtLeast,
+  normalizePageOptions,
+  normalizeAnalyticsOptions,
+  completionStreaks,
+  normalizeItemInput,
+  normalizeBulkOperation,
+  normalizeTagName,
+  normalizeTodoInput,
+  normalizeWebhookInput,
+  BULK_MAX_TODOS,
+  TODO_FILTER_PARAMS,
+  REVISION_FIELDS,
+  EMPTY_SNAPSHOT,
+  todoSnapshot,
+  diffSnapshots
+} = require('./repositories');
+const { sendMail, closeMailer, templates } = require('./mailer');
+const { nextOccurrence } = require('./recurrence');
+const { startReminderScheduler } = require('./reminders');
+const { startTrashPurger, purgeAt } = require('./trash');
+const {
+  EXPORT_FORMATS,
+  IMPORT_MAX_ROWS,
+  csvRecords,
+  exportRecord,
+  csvHeader,
+  csvRow,
+  todoTxtRecords,
+  todoTxtLine,
+  importInput,
+  parseFlag,
+  duplicateKey
+} = require('./transfer');
+const { ENTRY_TYPES, buildCalendar } = require('./calendar');
+const {
+  generateSecret,
+  queueDelivery,
+  emitEvent,
+  pokeWorker,
+  checkDestination,
+  startWebhookWorker
+} = require('./webhooks');
+const stream = require('./stream');
+const { openApiDocument, endpointGroups } = require('./openapi');
+const swaggerUiDist = require('swagger-ui-dist');
 
 // ======================
 // ENVIRONMENT CONFIG
@@ -65,7 +118,7 @@ app.use(cors({
     return callback(new Error('Not allowed by CORS'));
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
   exposedHeaders: ['Authorization'],
 }));
@@ -104,7 +157,7 @@ app.use(express.static('public'));
 // ======================
 // DATABASE CONNECTION
 // ======================
-let sqliteDB = null; // SQLite instance
+let db = null; // Active storage backend (see repositories.js)
 
 const connectDB = async () => {
   try {
@@ -112,11 +165,8 @@ const connectDB = async () => {
     
     if (!mongoURI) {
       console.log('ℹ️  No MongoDB URI provided. Using SQLite fallback.');
-      if (typeof getSQLiteDB === 'function') {
-        sqliteDB = getSQLiteDB();
-      } else {
-        sqliteDB = getSQLiteDB;
-      }
+      db = getSQLiteDB();
+      await db.ready;
       return true;
     }
 
@@ -127,10 +177,10 @@ const connectDB = async () => {
       socketTimeoutMS: 45000,
     };
 
-    await mongoose.connect(mongoURI, options);
+    db = await connectMongo(mongoURI, options);
     
     console.log('✅ MongoDB Connected Successfully');
-    console.log(`📊 Database: ${mongoose.connection.db.databaseName}`);
+    console.log(`📊 Database: ${mongoConnection.db.databaseName}`);
     
     return true;
   } catch (error) {
@@ -138,10 +188,13 @@ const connectDB = async () => {
     
     // Fallback to SQLite
     console.log('🔄 Falling back to SQLite database...');
-    if (typeof getSQLiteDB === 'function') {
-      sqliteDB = getSQLiteDB();
-    } else {
-      sqliteDB = getSQLiteDB;
+    try {
+      db = getSQLiteDB();
+      await db.ready;
+    } catch (sqliteError) {
+      console.error('❌ SQLite Initialization Error:', sqliteError.message);
+      db = null;
+      return false;
     }
     
     return true; // Return true because SQLite is available
@@ -150,134 +203,71 @@ const connectDB = async () => {
 
 // Helper to check DB connection
 const canUseDB = () => {
-  // Check MongoDB connection
-  if (mongoose.connection.readyState === 1) {
-    return { type: 'mongodb', connected: true };
+  if (db && db.isConnected()) {
+    return { type: db.type, connected: true };
   }
   
-  // Check SQLite connection
-  if (sqliteDB !== null) {
-    return { type: 'sqlite', connected: true };
+  return { type: db ? db.type : 'none', connected: false };
+};
+
+// Reject requests early when no backend is usable
+const requireDB = (req, res, next) => {
+  if (!canUseDB().connected) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database service unavailable.'
+    });
   }
-  
-  return { type: 'none', connected: false };
+  next();
 };
 
 // ======================
-// DATA MODELS (MongoDB Only)
+// UTILITY FUNCTIONS
 // ======================
 
-// User Model
-const userSchema = new mongoose.Schema({
-  name: {
-    type: String,
-    required: [true, 'Name is required'],
-    trim: true,
-    minlength: [2, 'Name must be at least 2 characters'],
-    maxlength: [50, 'Name cannot exceed 50 characters']
-  },
-  email: {
-    type: String,
-    required: [true, 'Email is required'],
-    unique: true,
-    lowercase: true,
-    trim: true,
-    match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email'],
-    index: true
-  },
-  password: {
-    type: String,
-    required: [true, 'Password is required'],
-    minlength: [6, 'Password must be at least 6 characters'],
-    select: false
-  },
-  role: {
-    type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
-  },
-  isActive: {
-    type: Boolean,
-    default: true
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now
-  },
-  lastLogin: {
-    type: Date
-  }
-}, {
-  timestamps: true
-});
+const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-change-in-production';
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_EXPIRE || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
 
-// Remove password from JSON output
-userSchema.methods.toJSON = function() {
-  const user = this.toObject();
-  delete user.password;
-  delete user.__v;
-  return user;
+// Generate JWT access token, bound to a login session (refresh token family)
+const generateToken = (userId, sessionId) => {
+  return jwt.sign(
+    { id: userId, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRE }
+  );
 };
 
-const User = mongoose.model('User', userSchema);
+// Refresh tokens are opaque; only their SHA-256 hash is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
-// Todo Model
-const todoSchema = new mongoose.Schema({
-  task: {
-    type: String,
-    required: [true, 'Task is required'],
-    trim: true,
-    minlength: [3, 'Task must be at least 3 characters'],
-    maxlength: [500, 'Task cannot exceed 500 characters']
-  },
-  description: {
-    type: String,
-    trim: true,
-    maxlength: [1000, 'Description cannot exceed 1000 characters']
-  },
-  completed: {
-    type: Boolean,
-    default: false
-  },
-  priority: {
-    type: String,
-    enum: ['low', 'medium', 'high'],
-    default: 'medium'
-  },
-  dueDate: {
-    type: Date
-  },
-  user: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true,
-    index: true
-  },
-  tags: [{
-    type: String,
-    trim: true
-  }]
-}, {
-  timestamps: true
-});
+const createRefreshToken = () => {
+  const token = crypto.randomBytes(40).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
 
-// Index for efficient queries
-todoSchema.index({ user: 1, completed: 1, createdAt: -1 });
-todoSchema.index({ user: 1, dueDate: 1 });
+const storeRefreshToken = (userId, family, tokenHash) => {
+  return db.refreshTokens.create({
+    userId,
+    family,
+    tokenHash,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+};
 
-const Todo = mongoose.model('Todo', todoSchema);
+// Start a new login session: a fresh token family plus its first refresh token
+const createSession = async (userId) => {
+  const family = crypto.randomUUID();
+  const { token: refreshToken, tokenHash } = createRefreshToken();
 
-// ======================
-// UTILITY FUNCTIONS
-// ======================
+  await db.refreshTokens.purgeExpired();
+  await storeRefreshToken(userId, family, tokenHash);
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { id: userId },
-    process.env.JWT_SECRET || 'fallback-secret-change-in-production',
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
-  );
+  return {
+    token: generateToken(userId, family),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRE
+  };
 };
 
 // Hash Password
@@ -292,6 +282,261 @@ const isValidEmail = (email) => {
   return emailRegex.test(email);
 };
 
+// Validate a new password, returns an error message or null
+const validateNewPassword = (password, confirmPassword) => {
+  if (password !== confirmPassword) {
+    return 'Passwords do not match.';
+  }
+  if (typeof password !== 'string' || password.length < 6) {
+    return 'Password must be at least 6 characters.';
+  }
+  return null;
+};
+
+// Single-use tokens mailed to a user (password reset, email verification); only their hash is stored
+const RESET_TOKEN_MINUTES = parseInt(process.env.RESET_TOKEN_EXPIRE_MINUTES) || 60;
+const VERIFY_TOKEN_HOURS = parseInt(process.env.VERIFY_TOKEN_EXPIRE_HOURS) || 24;
+
+const issueAuthToken = async (userId, type, expiresInMinutes) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await db.authTokens.invalidateForUser(userId, type);
+  await db.authTokens.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+  });
+  return token;
+};
+
+const buildUrl = (base, pathname, params) => {
+  const url = new URL(pathname, base);
+  for (const [key, value] of Object.entries(params || {})) {
+    url.searchParams.set(key, value);
+  }
+  return url.toString();
+};
+
+// Links in emails point at the frontend when there is one...
+const appUrl = (pathname, params) => {
+  return buildUrl(process.env.FRONTEND_URL || `http://localhost:${PORT}`, pathname, params);
+};
+
+// ...or straight at this API for links it handles itself
+const apiUrl = (req, pathname, params) => {
+  return buildUrl(process.env.API_URL || `${req.protocol}://${req.get('host')}`, pathname, params);
+};
+
+// Mail a fresh email verification link (invalidates earlier ones)
+const sendVerificationEmail = async (req, user) => {
+  const token = await issueAuthToken(user.id, 'email_verification', VERIFY_TOKEN_HOURS * 60);
+  const message = templates.verifyEmail({
+    name: user.name,
+    link: apiUrl(req, '/api/auth/verify-email', { token }),
+    expiresInHours: VERIFY_TOKEN_HOURS
+  });
+
+  try {
+    await sendMail({ to: user.email, ...message });
+  } catch (mailError) {
+    console.error('❌ Could not send verification email:', mailError.message);
+  }
+};
+
+// Completing a recurring todo creates the next one of its series (due on the
+// rule's next date after this one's due date, or after now without one). The
+// rule moves on to the new todo, so re-opening and completing this one again
+// does not create a second copy.
+const createNextOccurrence = async (todo, ownerId) => {
+  if (!todo.recurrence) return null;
+
+  const dueDate = nextOccurrence(todo.recurrence, todo.dueDate || new Date(), { occurrence: todo.occurrence });
+  await db.todos.update(todo.id, ownerId, { recurrence: null });
+  if (!dueDate) return null;
+
+  const next = await db.todos.create(ownerId, {
+    task: todo.task,
+    description: todo.description,
+    priority: todo.priority,
+    dueDate,
+    tags: todo.tags,
+    autoComplete: todo.autoComplete,
+    listId: todo.listId,
+    reminders: todo.reminders,
+    recurrence: todo.recurrence,
+    occurrence: todo.occurrence + 1
+  });
+
+  // Fresh checklist and the same collaborators as the completed todo
+  for (const item of todo.items || []) {
+    await db.todos.addItem(next.id, ownerId, { text: item.text });
+  }
+  for (const share of await db.shares.listForResource('todo', todo.id)) {
+    await db.shares.grant({
+      resourceType: 'todo',
+      resourceId: next.id,
+      ownerId,
+      userId: share.userId,
+      permission: share.permission
+    });
+  }
+
+  return db.todos.findById(next.id, ownerId);
+};
+
+// Users who can see a todo: its owner and everyone it (or its list) is shared with
+const todoAudience = async (todo) => {
+  const shares = await Promise.all([
+    db.shares.listForResource('todo', todo.id),
+    todo.listId ? db.shares.listForResource('list', todo.listId) : []
+  ]);
+  return [todo.userId, ...shares.flat().map(share => share.userId)];
+};
+
+// Add a revision to the todo's history for `event`. It is compared with the
+// latest revision, or with `before` for todos from before the history
+// existed. Updates that changed none of the REVISION_FIELDS (checklist
+// edits, the todo.completed that follows a todo.updated) are not recorded.
+const recordRevision = async (event, todo, actor, { before, action, revertedTo } = {}) => {
+  const snapshot = todoSnapshot(todo);
+  const latest = await db.history.latest(todo.id);
+  let previous = null;
+  if (latest) previous = latest.snapshot;
+  else if (before) previous = todoSnapshot(before);
+  else if (event === 'todo.created') previous = EMPTY_SNAPSHOT;
+  const changes = previous ? diffSnapshots(previous, snapshot) : [];
+
+  if (!action) {
+    action = { 'todo.created': 'created', 'todo.deleted': 'deleted', 'todo.restored': 'restored' }[event];
+  }
+  if (!action) {
+    if (changes.length === 0 && latest) return null;
+    const completion = changes.find(change => change.field === 'completed');
+    action = completion ? (completion.to ? 'completed' : 'reopened') : 'updated';
+  }
+
+  return db.history.record({
+    todoId: todo.id,
+    userId: todo.userId,
+    actorId: actor.id,
+    action,
+    changes,
+    snapshot,
+    revertedTo: revertedTo || null
+  });
+};
+
+// Record a todo event in the todo's history, publish it to the open streams
+// of everyone who can see the todo and queue deliveries on the owner's
+// webhooks. Pass `audience` when the shares are gone by now (deleted todos),
+// `before` with the todo as it was before an update, and `action` /
+// `revertedTo` for reverts. None of this ever fails the request that caused
+// the event.
+const emitTodoEvent = async (event, todo, actor, { audience, before, action, revertedTo } = {}) => {
+  const data = {
+    todo,
+    actor: { id: actor.id, name: actor.name, email: actor.email }
+  };
+
+  try {
+    await recordRevision(event, todo, actor, { before, action, revertedTo });
+  } catch (error) {
+    console.error(`❌ Could not record ${event} history:`, error.message);
+  }
+
+  try {
+    stream.publish(audience || await todoAudience(todo), event, data);
+  } catch (error) {
+    console.error(`❌ Could not stream ${event}:`, error.message);
+  }
+
+  try {
+    await emitEvent(db, todo.userId, event, data);
+  } catch (error) {
+    console.error(`❌ Could not queue ${event} webhooks:`, error.message);
+  }
+};
+
+// Keep an autoComplete todo's completed flag in line with its checklist.
+// Resolves to { todo, before, next }: `before` is the todo as it was when the
+// flag changed, `next` the occurrence created by completing a recurring todo
+const syncChecklistCompletion = async (todoId, userId) => {
+  const todo = await db.todos.findById(todoId, userId);
+  const unchanged = { todo, before: null, next: null };
+  if (!todo || !todo.autoComplete) return unchanged;
+
+  const allDone = todo.progress.total > 0 && todo.progress.completed === todo.progress.total;
+  if (todo.completed === allDone) return unchanged;
+
+  const updated = await db.todos.update(todoId, userId, { completed: allDone });
+  const next = allDone ? await createNextOccurrence(updated, userId) : null;
+  return { todo: await db.todos.findById(todoId, userId), before: todo, next };
+};
+
+// The events and history PUT /api/todos/:id records for a completion change
+const emitCompletionChange = async ({ todo, before, next }, actor) => {
+  if (!before) return;
+  await emitTodoEvent('todo.updated', todo, actor, { before });
+  if (!before.completed && todo.completed) await emitTodoEvent('todo.completed', todo, actor);
+  if (next) await emitTodoEvent('todo.created', next, actor);
+};
+
+// A todo may only be filed under one of its owner's lists
+const assertOwnList = async (listId, userId) => {
+  if (!listId) return null;
+  const list = await db.lists.findById(listId, userId);
+  if (!list) {
+    throw new ValidationError('List not found.');
+  }
+  return list;
+};
+
+// Owner of a list the user may file todos into (their own, or shared with
+// them as editor); a todo always belongs to the owner of its list
+const listOwnerFor = async (listId, userId) => {
+  const access = await resolveAccess('list', listId, userId);
+  if (!access || !permissionAtLeast(access.permission, 'editor')) {
+    throw new ValidationError('List not found.');
+  }
+  return access.ownerId;
+};
+
+// What a user may do with a todo or list: 'owner' for their own, otherwise the
+// highest permission shared with them (a todo also inherits its list's shares)
+const resolveAccess = async (resourceType, id, userId) => {
+  const ref = resourceType === 'todo' ? await db.todos.ownerOf(id) : await db.lists.ownerOf(id);
+  if (!ref) return null;
+
+  if (ref.userId === userId) {
+    return { id: ref.id, ownerId: ref.userId, permission: 'owner', shared: false };
+  }
+
+  const permission = await db.shares.permissionFor(userId, resourceType === 'todo'
+    ? { todoId: ref.id, listId: ref.listId }
+    : { listId: ref.id });
+  return permission ? { id: ref.id, ownerId: ref.userId, permission, shared: true } : null;
+};
+
+// `pagination` of a listing response: page / pages only in page mode, plus
+// the cursors to follow from here
+const pageInfo = (query, { total, nextCursor, prevCursor }, { defaultLimit } = {}) => {
+  const { page, limit } = normalizePageOptions(query, { defaultLimit });
+  return {
+    ...(page && { page }),
+    limit,
+    total,
+    ...(page && { pages: Math.ceil(total / limit) }),
+    nextCursor,
+    prevCursor
+  };
+};
+
+// True when this change would leave no active admin behind
+const removesLastAdmin = async (user) => {
+  if (user.role !== 'admin' || !user.isActive) return false;
+  return (await db.users.countActiveAdmins()) <= 1;
+};
+
 // ======================
 // MIDDLEWARE
 // ======================
@@ -336,26 +581,25 @@ const protect = async (req, res, next) => {
     }
 
     // Verify token
-    const decoded = jwt.verify(
-      token, 
-      process.env.JWT_SECRET || 'fallback-secret-change-in-production'
-    );
+    const decoded = jwt.verify(token, JWT_SECRET);
 
-    // Find user based on database type
-    const dbStatus = canUseDB();
-    let user;
-    
-    if (dbStatus.type === 'mongodb') {
-      user = await User.findById(decoded.id).select('-__v');
-    } else if (dbStatus.type === 'sqlite') {
-      user = await sqliteDB.findUserById(decoded.id);
-    } else {
+    if (!canUseDB().connected) {
       return res.status(500).json({
         success: false,
         error: 'Database not available.'
       });
     }
 
+    // Reject tokens whose session was logged out or revoked
+    if (!decoded.sid || !(await db.refreshTokens.isFamilyActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session has ended. Please login again.'
+      });
+    }
+
+    const user = await db.users.findById(decoded.id);
+
     if (!user) {
       return res.status(401).json({
         success: false,
@@ -370,8 +614,17 @@ const protect = async (req, res, next) => {
       });
     }
 
+    const verificationError = unverifiedAccessError(req, user);
+    if (verificationError) {
+      return res.status(403).json({
+        success: false,
+        error: verificationError
+      });
+    }
+
     req.user = user;
-    req.dbType = dbStatus.type; // Pass db type to routes
+    req.sessionId = decoded.sid;
+    req.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -390,6 +643,28 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Unverified accounts get full access for a grace period, then UNVERIFIED_POLICY
+// applies: 'allow', 'read-only' (no writes) or 'block'. Auth routes stay open
+// so the user can still resend the email, log out or manage the account.
+const UNVERIFIED_POLICY = process.env.UNVERIFIED_POLICY || 'read-only';
+const UNVERIFIED_GRACE_HOURS = parseFloat(process.env.UNVERIFIED_GRACE_HOURS || '24');
+
+const unverifiedAccessError = (req, user) => {
+  if (user.emailVerified || UNVERIFIED_POLICY === 'allow') return null;
+  if (req.originalUrl.startsWith('/api/auth/')) return null;
+
+  const graceEndsAt = new Date(user.createdAt).getTime() + UNVERIFIED_GRACE_HOURS * 60 * 60 * 1000;
+  if (Date.now() < graceEndsAt) return null;
+
+  if (UNVERIFIED_POLICY === 'block') {
+    return 'Please verify your email address to continue.';
+  }
+  if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+    return 'Please verify your email address to make changes.';
+  }
+  return null;
+};
+
 // 3. Role-based Authorization
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -411,12 +686,41 @@ const authorize = (...roles) => {
   };
 };
 
+// 4. Sharing: resolve the caller's access to the todo / list in req.params.id
+const requireAccess = (resourceType, permission) => {
+  const label = resourceType === 'todo' ? 'Todo' : 'List';
+  return async (req, res, next) => {
+    try {
+      const access = await resolveAccess(resourceType, req.params.id, req.user.id);
+
+      if (!access) {
+        return res.status(404).json({
+          success: false,
+          error: `${label} not found or you do not have permission to access it.`
+        });
+      }
+
+      if (!permissionAtLeast(access.permission, permission)) {
+        return res.status(403).json({
+          success: false,
+          error: `${label} is shared with you as ${access.permission}; ${permission} access is required.`
+        });
+      }
+
+      req.access = access;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 // ======================
 // AUTHENTICATION ROUTES
 // ======================
 
 // Register User
-app.post('/api/auth/register', async (req, res, next) => {
+app.post('/api/auth/register', requireDB, async (req, res, next) => {
   try {
     const { name, email, password, confirmPassword } = req.body;
 
@@ -428,17 +732,11 @@ app.post('/api/auth/register', async (req, res, next) => {
       });
     }
 
-    if (password !== confirmPassword) {
-      return res.status(400).json({
-        success: false,
-        error: 'Passwords do not match.'
-      });
-    }
-
-    if (password.length < 6) {
+    const passwordError = validateNewPassword(password, confirmPassword);
+    if (passwordError) {
       return res.status(400).json({
         success: false,
-        error: 'Password must be at least 6 characters.'
+        error: passwordError
       });
     }
 
@@ -449,23 +747,8 @@ app.post('/api/auth/register', async (req, res, next) => {
       });
     }
 
-    // Check database type
-    const dbStatus = canUseDB();
-    if (!dbStatus.connected) {
-      return res.status(503).json({
-        success: false,
-        error: 'Database service unavailable.'
-      });
-    }
-
     // Check if user exists
-    let existingUser;
-    if (dbStatus.type === 'mongodb') {
-      existingUser = await User.findOne({ email });
-    } else {
-      existingUser = await sqliteDB.findUserByEmail(email);
-    }
-
+    const existingUser = await db.users.findByEmail(email);
     if (existingUser) {
       return res.status(409).json({
         success: false,
@@ -477,42 +760,84 @@ app.post('/api/auth/register', async (req, res, next) => {
     const hashedPassword = await hashPassword(password);
 
     // Create user
-    let user;
-    if (dbStatus.type === 'mongodb') {
-      user = await User.create({
-        name,
-        email,
-        password: hashedPassword
-      });
-      user = user.toObject();
-      user.id = user._id.toString();
-    } else {
-      user = await sqliteDB.createUser({
-        name,
-        email,
-        password: hashedPassword
+    const user = await db.users.create({
+      name,
+      email,
+      password: hashedPassword
+    });
+    await db.users.recordLogin(user.id);
+
+    // Ask the user to confirm the address
+    await sendVerificationEmail(req, user);
+
+    // Start session
+    const session = await createSession(user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully. Please check your email to verify your address.',
+      data: {
+        user,
+        ...session
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Login User
+app.post('/api/auth/login', requireDB, async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and password are required.'
+      });
+    }
+
+    const user = await db.users.findByEmail(email, { withPassword: true });
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials.'
       });
-      await sqliteDB.updateUserLastLogin(user.id);
     }
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Check password
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials.'
+      });
+    }
 
-    // Update last login for SQLite (MongoDB does this in pre-save)
-    if (dbStatus.type === 'sqlite') {
-      await sqliteDB.updateUserLastLogin(user.id);
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'User account is deactivated.'
+      });
     }
 
+    // Update last login
+    await db.users.recordLogin(user.id);
+
+    // Start session
+    const session = await createSession(user.id);
+
     // Remove password from response
     delete user.password;
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'User registered successfully.',
+      message: 'Login successful.',
       data: {
         user,
-        token,
-        expiresIn: process.env.JWT_EXPIRE || '7d'
+        ...session
       }
     });
   } catch (error) {
@@ -520,366 +845,2092 @@ app.post('/api/auth/register', async (req, res, next) => {
   }
 });
 
-// Login User
-app.post('/api/auth/login', async (req, res, next) => {
+// Refresh Access Token (rotates the refresh token)
+app.post('/api/auth/refresh', requireDB, async (req, res, next) => {
   try {
-    const { email, password } = req.body;
+    const { refreshToken } = req.body;
 
-    if (!email || !password) {
+    if (!refreshToken) {
       return res.status(400).json({
         success: false,
-        error: 'Email and password are required.'
+        error: 'Refresh token is required.'
       });
     }
 
-    const dbStatus = canUseDB();
-    if (!dbStatus.connected) {
-      return res.status(503).json({
+    const stored = await db.refreshTokens.findByHash(hashToken(refreshToken));
+
+    if (!stored) {
+      return res.status(401).json({
         success: false,
-        error: 'Database service unavailable.'
+        error: 'Invalid refresh token.'
       });
     }
 
-    let user;
-    if (dbStatus.type === 'mongodb') {
-      user = await User.findOne({ email }).select('+password');
-      if (user) user = user.toObject();
-    } else {
-      user = await sqliteDB.findUserByEmail(email);
+    // A rotated or revoked token coming back means it leaked: end the whole session
+    if (stored.revokedAt) {
+      await db.refreshTokens.revokeFamily(stored.family);
+      console.warn(`🚨 Refresh token reuse detected for user ${stored.userId}, session revoked`);
+      return res.status(401).json({
+        success: false,
+        error: 'Refresh token has already been used. Please login again.'
+      });
     }
 
-    if (!user) {
+    if (stored.expiresAt <= new Date()) {
       return res.status(401).json({
         success: false,
-        error: 'Invalid credentials.'
+        error: 'Refresh token expired. Please login again.'
       });
     }
 
-    // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
+    const user = await db.users.findById(stored.userId);
+    if (!user || !user.isActive) {
+      await db.refreshTokens.revokeFamily(stored.family);
+      return res.status(401).json({
+        success: false,
+        error: 'User not found or account is deactivated.'
+      });
+    }
+
+    // Rotate: retire the presented token, hand out its successor
+    const { token: nextRefreshToken, tokenHash } = createRefreshToken();
+    const rotated = await db.refreshTokens.markUsed(stored.id, tokenHash);
+    if (!rotated) {
+      // Lost a race with another request presenting the same token
+      await db.refreshTokens.revokeFamily(stored.family);
       return res.status(401).json({
         success: false,
-        error: 'Invalid credentials.'
+        error: 'Refresh token has already been used. Please login again.'
+      });
+    }
+    await storeRefreshToken(user.id, stored.family, tokenHash);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully.',
+      data: {
+        token: generateToken(user.id, stored.family),
+        refreshToken: nextRefreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRE
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Forgot Password (always answers the same way so emails cannot be probed)
+app.post('/api/auth/forgot-password', requireDB, async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || !isValidEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please enter a valid email address.'
+      });
+    }
+
+    const user = await db.users.findByEmail(email);
+
+    if (user && user.isActive) {
+      const token = await issueAuthToken(user.id, 'password_reset', RESET_TOKEN_MINUTES);
+      const message = templates.passwordReset({
+        name: user.name,
+        link: appUrl('/reset-password', { token }),
+        expiresInMinutes: RESET_TOKEN_MINUTES
+      });
+
+      try {
+        await sendMail({ to: user.email, ...message });
+      } catch (mailError) {
+        console.error('❌ Could not send password reset email:', mailError.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reset Password (consumes the emailed token and ends every session)
+app.post('/api/auth/reset-password', requireDB, async (req, res, next) => {
+  try {
+    const { token, password, confirmPassword } = req.body;
+
+    if (!token || !password || !confirmPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token, password and confirmPassword are required.'
+      });
+    }
+
+    const passwordError = validateNewPassword(password, confirmPassword);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        error: passwordError
+      });
+    }
+
+    const resetToken = await db.authTokens.consume(hashToken(String(token)), 'password_reset');
+    if (!resetToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset token is invalid or has expired.'
+      });
+    }
+
+    const user = await db.users.update(resetToken.userId, { password: await hashPassword(password) });
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset token is invalid or has expired.'
+      });
+    }
+
+    await db.refreshTokens.revokeAllForUser(user.id);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please login with your new password.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Verify Email (link from the verification email)
+app.get('/api/auth/verify-email', requireDB, async (req, res, next) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification token is required.'
+      });
+    }
+
+    const verifyToken = await db.authTokens.consume(hashToken(String(token)), 'email_verification');
+    if (!verifyToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification link is invalid or has expired.'
+      });
+    }
+
+    const user = await db.users.update(verifyToken.userId, { emailVerified: true });
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification link is invalid or has expired.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email address verified successfully.',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Resend Verification Email (public, answers the same way for any address)
+app.post('/api/auth/resend-verification', requireDB, async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || !isValidEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please enter a valid email address.'
+      });
+    }
+
+    const user = await db.users.findByEmail(email);
+    if (user && user.isActive && !user.emailVerified) {
+      await sendVerificationEmail(req, user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If that account still needs verification, a new link has been sent.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get Current User Profile
+app.get('/api/auth/profile', protect, async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: req.user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update Profile
+app.put('/api/auth/profile', protect, async (req, res, next) => {
+  try {
+    const { name } = req.body;
+
+    if (name && name.trim().length < 2) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name must be at least 2 characters.'
+      });
+    }
+
+    const updatedUser = await db.users.update(req.user.id, { name: name || req.user.name });
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully.',
+      data: updatedUser
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Logout (revokes this session, or every session with allDevices)
+app.post('/api/auth/logout', protect, async (req, res, next) => {
+  try {
+    if (req.body && req.body.allDevices) {
+      await db.refreshTokens.revokeAllForUser(req.user.id);
+    } else {
+      await db.refreshTokens.revokeFamily(req.sessionId);
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Export Personal Data (profile, todos and related records as one JSON archive)
+app.get('/api/auth/export', protect, async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const [
+      todos, lists, sharesGranted, sharesReceived, notifications, webhooks, sessions, authTokens, calendarFeed
+    ] = await Promise.all([
+      db.todos.listForUser(userId),
+      db.lists.findForUser(userId),
+      db.shares.listByOwner(userId),
+      db.shares.listForUser(userId),
+      db.notifications.findForUser(userId, { limit: 1000 }),
+      db.webhooks.findForUser(userId),
+      db.refreshTokens.listForUser(userId),
+      db.authTokens.listForUser(userId),
+      db.calendarFeeds.findForUser(userId)
+    ]);
+
+    // Token hashes are secrets of the server, not personal data
+    const archive = {
+      exportedAt: new Date().toISOString(),
+      profile: req.user,
+      lists,
+      todos,
+      shares: { granted: sharesGranted, received: sharesReceived },
+      notifications,
+      webhooks,
+      sessions: sessions.map(({ tokenHash, replacedBy, ...session }) => session),
+      emailTokens: authTokens.map(({ tokenHash, ...token }) => token),
+      calendarFeed: calendarFeed && { createdAt: calendarFeed.createdAt, lastAccessedAt: calendarFeed.lastAccessedAt }
+    };
+
+    const date = archive.exportedAt.slice(0, 10);
+    res.setHeader('Content-Disposition', `attachment; filename="todo-api-export-${userId}-${date}.json"`);
+    res.json({
+      success: true,
+      data: archive
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete Own Account (requires the current password)
+app.delete('/api/auth/account', protect, async (req, res, next) => {
+  try {
+    const { password } = req.body || {};
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please confirm your password to delete the account.'
+      });
+    }
+
+    const account = await db.users.findByEmail(req.user.email, { withPassword: true });
+    const isPasswordValid = account && await bcrypt.compare(password, account.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Password is incorrect.'
+      });
+    }
+
+    if (await removesLastAdmin(req.user)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot delete the last remaining admin. Promote another admin first.'
+      });
+    }
+
+    await db.users.delete(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Account and all of its data deleted successfully.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ======================
+// TODO ROUTES (PROTECTED)
+// ======================
+
+// Create Todo
+app.post('/api/todos', protect, async (req, res, next) => {
+  try {
+    const { task, description, priority, dueDate, tags, autoComplete, listId, recurrence, reminders, items } = req.body;
+
+    if (!task || task.trim().length < 3) {
+      return res.status(400).json({
+        success: false,
+        error: 'Task is required and must be at least 3 characters.'
+      });
+    }
+
+    const ownerId = listId ? await listOwnerFor(listId, req.user.id) : req.user.id;
+
+    if (items !== undefined && !Array.isArray(items)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Items must be an array.'
+      });
+    }
+
+    // Optional initial checklist, given as strings or { text, completed }
+    const checklist = (items || []).map(item => normalizeItemInput(typeof item === 'string' ? { text: item } : item));
+
+    let todo = await db.todos.create(ownerId, {
+      task,
+      description,
+      priority,
+      dueDate,
+      tags,
+      autoComplete,
+      listId,
+      recurrence,
+      reminders
+    });
+
+    let nextTodo = null;
+    if (checklist.length > 0) {
+      for (const item of checklist) {
+        await db.todos.addItem(todo.id, ownerId, { text: item.text, completed: item.completed });
+      }
+      ({ todo, next: nextTodo } = await syncChecklistCompletion(todo.id, ownerId));
+    }
+
+    await emitTodoEvent('todo.created', todo, req.user);
+    if (nextTodo) await emitTodoEvent('todo.created', nextTodo, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Todo created successfully.',
+      data: todo,
+      ...(nextTodo && { next: nextTodo })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get User's Todos (with pagination, filtering, sorting, full-text ?search=).
+// Pages by ?page=&limit= or by the opaque nextCursor / prevCursor returned
+// with each page (?cursor=, which keeps the sort it was issued with).
+// Filters: completed, priority (comma-separated), list, tags + tagMatch=any|all,
+// excludeTags, dueAfter / dueBefore, due=today|tomorrow|thisWeek|nextWeek,
+// overdue, noDueDate, createdAfter, updatedAfter
+app.get('/api/todos', protect, async (req, res, next) => {
+  try {
+    const { 
+      page = 1, 
+      limit = 10, 
+      cursor,
+      sortBy, 
+      sortOrder = 'desc',
+      list
+    } = req.query;
+    const filters = Object.fromEntries(
+      TODO_FILTER_PARAMS
+        .filter(name => req.query[name] !== undefined)
+        .map(name => [name, req.query[name]])
+    );
+
+    // ?list=<id> for one list (own or shared with you), ?list=none for todos outside any list
+    let ownerId = req.user.id;
+    if (list && list !== 'none') {
+      const access = await resolveAccess('list', list, req.user.id);
+      if (!access) {
+        throw new ValidationError('List not found.');
+      }
+      ownerId = access.ownerId;
+    }
+
+    const result = await db.todos.findForUser(ownerId, {
+      ...filters,
+      page,
+      limit,
+      cursor,
+      sortBy,
+      sortOrder
+    });
+
+    res.json({
+      success: true,
+      data: result.todos,
+      pagination: pageInfo({ page, limit, cursor }, result)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Trash: deleted todos, most recently deleted first, each with the time it
+// will be purged (null = kept). The trash routes are registered before
+// /api/todos/:id so "trash" is not taken as an id.
+app.get('/api/todos/trash', protect, async (req, res, next) => {
+  try {
+    const { page, limit, cursor } = req.query;
+    const result = await db.todos.findTrash(req.user.id, { page, limit, cursor });
+
+    res.json({
+      success: true,
+      data: result.todos.map(todo => ({ ...todo, purgeAt: purgeAt(todo) })),
+      pagination: pageInfo({ page, limit, cursor }, result)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Empty the Trash (for good)
+app.delete('/api/todos/trash', protect, async (req, res, next) => {
+  try {
+    const purged = await db.todos.purge({ userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Trash emptied.',
+      data: { purged }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a Todo in the Trash for good
+app.delete('/api/todos/trash/:id', protect, async (req, res, next) => {
+  try {
+    const purged = await db.todos.purge({ userId: req.user.id, id: req.params.id });
+
+    if (purged === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Todo not found in the trash.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Todo deleted permanently.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Restore a Todo from the Trash (only the owner deletes todos, so only the
+// owner has them in the trash)
+app.post('/api/todos/:id/restore', protect, async (req, res, next) => {
+  try {
+    const todo = await db.todos.restore(req.params.id, req.user.id);
+
+    if (!todo) {
+      return res.status(404).json({
+        success: false,
+        error: 'Todo not found in the trash.'
+      });
+    }
+
+    await emitTodoEvent('todo.restored', todo, req.user);
+
+    res.json({
+      success: true,
+      message: 'Todo restored successfully.',
+      data: todo
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ======================
+// IMPORT & EXPORT (PROTECTED)
+// ======================
+// Registered before /api/todos/:id so "export" is not taken as an id.
+// File formats: see transfer.js.
+
+// How each export format starts, writes one exported todo (exportRecord) and ends
+const EXPORT_WRITERS = {
+  csv: {
+    contentType: 'text/csv',
+    extension: 'csv',
+    start: () => csvHeader(),
+    todo: (record) => csvRow(record),
+    end: () => ''
+  },
+  json: {
+    contentType: 'application/json',
+    extension: 'json',
+    start: () => '[',
+    todo: (record, index) => `${index === 0 ? '\n' : ',\n'}${JSON.stringify(record)}`,
+    end: (count) => (count === 0 ? ']\n' : '\n]\n')
+  },
+  todotxt: {
+    contentType: 'text/plain',
+    extension: 'txt',
+    start: () => '',
+    todo: (record) => todoTxtLine(record),
+    end: () => ''
+  }
+};
+
+// Export Todos as a CSV, JSON or todo.txt download (?format=csv|json|todotxt,
+// csv by default). Takes the GET /api/todos filters and sort; the file is
+// written page by page, so large exports are streamed.
+app.get('/api/todos/export', protect, async (req, res, next) => {
+  try {
+    const { format = 'csv', sortBy, sortOrder = 'desc', list } = req.query;
+    const filters = Object.fromEntries(
+      TODO_FILTER_PARAMS
+        .filter(name => req.query[name] !== undefined)
+        .map(name => [name, req.query[name]])
+    );
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}.`
+      });
+    }
+
+    let ownerId = req.user.id;
+    if (list && list !== 'none') {
+      const access = await resolveAccess('list', list, req.user.id);
+      if (!access) {
+        throw new ValidationError('List not found.');
+      }
+      ownerId = access.ownerId;
+    }
+
+    const listNames = new Map((await db.lists.findForUser(ownerId)).map(entry => [entry.id, entry.name]));
+    const fetchPage = (cursor) => db.todos.findForUser(ownerId, { ...filters, limit: 100, cursor, sortBy, sortOrder });
+
+    // The first page is read before anything is sent, so bad filters still get a 400
+    let result = await fetchPage();
+    const writer = EXPORT_WRITERS[format];
+    const date = new Date().toISOString().slice(0, 10);
+    res.status(200).set({
+      'Content-Type': `${writer.contentType}; charset=utf-8`,
+      'Content-Disposition': `attachment; filename="todos-${date}.${writer.extension}"`
+    });
+
+    const write = async (chunk) => {
+      if (!res.write(chunk)) await once(res, 'drain');
+    };
+
+    let count = 0;
+    await write(writer.start());
+    for (;;) {
+      for (const todo of result.todos) {
+        await write(writer.todo(exportRecord(todo, listNames), count));
+        count++;
+      }
+      if (!result.nextCursor || res.destroyed) break;
+      result = await fetchPage(result.nextCursor);
+    }
+    res.end(writer.end(count));
+  } catch (error) {
+    // Too late for an error response once the download has started
+    if (res.headersSent) return res.destroy(error);
+    next(error);
+  }
+});
+
+// Import Todos from CSV (a text/csv body, or { csv } in JSON), todo.txt (a
+// text/plain body, or { todotxt } in JSON) or JSON ({ todos: [...] } or a
+// bare array); ?format=csv|todotxt overrides the Content-Type of a text
+// body. Each row is validated on its own and reported as created, valid (dry
+// run), duplicate or invalid; rows are numbered from 1, not counting the CSV
+// header or blank todo.txt lines. Options (body or query): dryRun only
+// validates, dedupe skips rows with the same task and due date as one of
+// your todos or an earlier row.
+app.post('/api/todos/import', protect, express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), async (req, res, next) => {
+  try {
+    const body = req.body;
+    const options = { ...req.query, ...(body && typeof body === 'object' && !Array.isArray(body) ? body : {}) };
+    const dryRun = options.dryRun !== undefined && parseFlag('dryRun', options.dryRun);
+    const dedupe = options.dedupe !== undefined && parseFlag('dedupe', options.dedupe);
+
+    let records;
+    if (typeof body === 'string') {
+      const format = options.format || (req.is('text/csv') ? 'csv' : 'todotxt');
+      if (!['csv', 'todotxt'].includes(format)) {
+        throw new ValidationError('Format must be csv or todotxt for a text body.');
+      }
+      records = format === 'csv' ? csvRecords(body) : todoTxtRecords(body);
+    } else if (Array.isArray(body)) {
+      records = body;
+    } else if (typeof options.csv === 'string') {
+      records = csvRecords(options.csv);
+    } else if (typeof options.todotxt === 'string') {
+      records = todoTxtRecords(options.todotxt);
+    } else if (Array.isArray(options.todos)) {
+      records = options.todos;
+    } else {
+      throw new ValidationError('Send CSV (Content-Type: text/csv or { csv }), todo.txt (Content-Type: text/plain or { todotxt }) or JSON with a todos array.');
+    }
+
+    if (records.length === 0) {
+      throw new ValidationError('There are no todos to import.');
+    }
+    if (records.length > IMPORT_MAX_ROWS) {
+      throw new ValidationError(`At most ${IMPORT_MAX_ROWS} todos can be imported at once.`);
+    }
+
+    const listIds = new Map((await db.lists.findForUser(req.user.id)).map(entry => [entry.name.toLowerCase(), entry.id]));
+    const seen = new Set(dedupe ? (await db.todos.listForUser(req.user.id)).map(duplicateKey) : []);
+
+    const results = [];
+    for (const [index, record] of records.entries()) {
+      const row = index + 1;
+      try {
+        const { input, list, dates } = importInput(record);
+        if (list) {
+          input.listId = listIds.get(list.toLowerCase());
+          if (!input.listId) {
+            throw new ValidationError(`List "${list}" not found.`);
+          }
+        }
+
+        const key = duplicateKey(normalizeTodoInput(input));
+        if (dedupe && seen.has(key)) {
+          results.push({ row, status: 'duplicate' });
+          continue;
+        }
+        seen.add(key);
+
+        if (dryRun) {
+          results.push({ row, status: 'valid' });
+          continue;
+        }
+        const todo = await db.todos.create(req.user.id, input, dates);
+        await emitTodoEvent('todo.created', todo, req.user);
+        results.push({ row, status: 'created', id: todo.id });
+      } catch (error) {
+        // Validation problems belong to the row, anything else fails the request
+        if (error.statusCode !== 400) throw error;
+        results.push({ row, status: 'invalid', error: error.message });
+      }
+    }
+
+    const count = (status) => results.filter(result => result.status === status).length;
+    const accepted = count(dryRun ? 'valid' : 'created');
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `${accepted} of ${results.length} todo${results.length === 1 ? '' : 's'} can be imported.`
+        : `${accepted} of ${results.length} todo${results.length === 1 ? '' : 's'} imported.`,
+      data: {
+        dryRun,
+        total: results.length,
+        [dryRun ? 'valid' : 'created']: accepted,
+        duplicates: count('duplicate'),
+        invalid: count('invalid'),
+        results
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ======================
+// STATISTICS & ANALYTICS
+// ======================
+
+// Get Todo Statistics (registered before /api/todos/:id so "stats" is not taken as an id)
+app.get('/api/todos/stats', protect, async (req, res, next) => {
+  try {
+    const { list } = req.query;
+
+    // ?list=<id> narrows the totals to one list (own or shared with you),
+    // ?list=none to your todos outside any list
+    if (list) {
+      let ownerId = req.user.id;
+      if (list !== 'none') {
+        const access = await resolveAccess('list', list, req.user.id);
+        if (!access) {
+          throw new ValidationError('List not found.');
+        }
+        ownerId = access.ownerId;
+      }
+      const stats = await db.todos.stats(ownerId, { listId: list === 'none' ? null : list });
+      return res.json({
+        success: true,
+        data: stats
+      });
+    }
+
+    const [stats, perList, lists] = await Promise.all([
+      db.todos.stats(req.user.id),
+      db.todos.statsByList(req.user.id),
+      db.lists.findForUser(req.user.id)
+    ]);
+
+    // One entry per list (empty lists included), plus todos without a list
+    const countsFor = (listId) => perList.find(entry => entry.listId === listId) ||
+      { total: 0, completed: 0, pending: 0 };
+    const byList = lists.map(({ id, name, color, archived }) => {
+      const { total, completed, pending } = countsFor(id);
+      return { listId: id, name, color, archived, total, completed, pending };
+    });
+    const unlisted = perList.find(entry => entry.listId === null);
+    if (unlisted) {
+      const { total, completed, pending } = unlisted;
+      byList.push({ listId: null, name: null, color: null, archived: false, total, completed, pending });
+    }
+
+    res.json({
+      success: true,
+      data: { ...stats, lists: byList }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Productivity analytics over ?from=&to= (default: the last 30 days, or 12
+// weeks with ?interval=week): created / completed / overdue per period,
+// average time to complete by priority and completion streaks. UTC periods.
+app.get('/api/todos/analytics', protect, async (req, res, next) => {
+  try {
+    const { list } = req.query;
+    const now = new Date();
+    const { interval, from, to, periods } = normalizeAnalyticsOptions(req.query, now);
+
+    // ?list=<id> may be a list shared with you, as for the stats
+    let ownerId = req.user.id;
+    if (list && list !== 'none') {
+      const access = await resolveAccess('list', list, req.user.id);
+      if (!access) {
+        throw new ValidationError('List not found.');
+      }
+      ownerId = access.ownerId;
+    }
+    const listId = list ? (list === 'none' ? null : list) : undefined;
+    const { series, timeToComplete, completionDays } = await db.todos.analytics(ownerId, {
+      periods,
+      from,
+      to,
+      now,
+      listId
+    });
+
+    const hours = (value) => (value === null ? null : Math.round(value * 100) / 100);
+    const byPriority = Object.fromEntries(PRIORITIES.map(priority => {
+      const entry = timeToComplete.find(row => row.priority === priority);
+      return [priority, { count: entry ? entry.count : 0, averageHours: entry ? hours(entry.averageHours) : null }];
+    }));
+    const completedCount = timeToComplete.reduce((sum, row) => sum + row.count, 0);
+    const totalHours = timeToComplete.reduce((sum, row) => sum + row.count * row.averageHours, 0);
+
+    res.json({
+      success: true,
+      data: {
+        range: { from, to, interval },
+        series: periods.map(({ start, end }, index) => ({ start, end, ...series[index] })),
+        totals: {
+          created: series.reduce((sum, period) => sum + period.created, 0),
+          completed: series.reduce((sum, period) => sum + period.completed, 0)
+        },
+        timeToComplete: {
+          count: completedCount,
+          averageHours: completedCount > 0 ? hours(totalHours / completedCount) : null,
+          byPriority
+        },
+        streaks: completionStreaks(completionDays, now)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get Single Todo
+app.get('/api/todos/:id', protect, requireAccess('todo', 'viewer'), async (req, res, next) => {
+  try {
+    const todo = await db.todos.findById(req.access.id, req.access.ownerId);
+
+    if (!todo) {
+      return res.status(404).json({
+        success: false,
+        error: 'Todo not found or you do not have permission to view it.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { ...todo, permission: req.access.permission }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update Todo (editor access; moving it to another list needs owner access)
+app.put('/api/todos/:id', protect, requireAccess('todo', 'editor'), async (req, res, next) => {
+  try {
+    const { id, ownerId } = req.access;
+    const {
+      task, description, completed, priority, dueDate, tags, autoComplete, listId, recurrence, reminders
+    } = req.body;
+
+    // Validation
+    if (task !== undefined && (typeof task !== 'string' || task.trim().length < 3)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Task must be at least 3 characters.'
+      });
+    }
+
+    if (listId !== undefined && req.access.permission !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        error: 'Only owners can move a todo to another list.'
+      });
+    }
+
+    await assertOwnList(listId, ownerId);
+
+    const before = await db.todos.findById(id, ownerId);
+
+    let todo = await db.todos.update(id, ownerId, {
+      task,
+      description,
+      completed,
+      priority,
+      dueDate,
+      tags,
+      autoComplete,
+      listId,
+      recurrence,
+      reminders
+    });
+
+    // Switching autoComplete on applies it to the current checklist
+    let nextTodo = null;
+    if (todo && autoComplete === true) {
+      ({ todo, next: nextTodo } = await syncChecklistCompletion(id, ownerId));
+    }
+
+    if (!todo) {
+      return res.status(404).json({
+        success: false,
+        error: 'Todo not found or you do not have permission to update it.'
+      });
+    }
+
+    // Completing a recurring todo schedules the next one
+    const justCompleted = before && !before.completed && todo.completed;
+    if (justCompleted && todo.recurrence) {
+      nextTodo = await createNextOccurrence(todo, ownerId);
+      todo = await db.todos.findById(id, ownerId);
+    }
+
+    await emitTodoEvent('todo.updated', todo, req.user, { before });
+    if (justCompleted) await emitTodoEvent('todo.completed', todo, req.user);
+    if (nextTodo) await emitTodoEvent('todo.created', nextTodo, req.user);
+
+    res.json({
+      success: true,
+      message: 'Todo updated successfully.',
+      data: todo,
+      ...(nextTodo && { next: nextTodo })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete Todo (moves it to the trash)
+app.delete('/api/todos/:id', protect, requireAccess('todo', 'owner'), async (req, res, next) => {
+  try {
+    const todo = await db.todos.findById(req.access.id, req.access.ownerId);
+    const audience = todo && await todoAudience(todo);
+    const deleted = todo && await db.todos.delete(req.access.id, req.access.ownerId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Todo not found or you do not have permission to delete it.'
+      });
+    }
+
+    await emitTodoEvent('todo.deleted', todo, req.user, { audience });
+
+    res.json({
+      success: true,
+      message: 'Todo moved to the trash.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Bulk Todo Changes: { operation, value } plus either ids or a filter with the
+// GET /api/todos filter params (completed, priority, list, tags, ...). Applied
+// in one transaction; answers with a result per todo.
+app.post('/api/todos/bulk', protect, async (req, res, next) => {
+  try {
+    const { ids, filter } = req.body;
+    const operation = normalizeBulkOperation(req.body);
+    const required = operation.delete ? 'owner' : 'editor';
+
+    if ((ids === undefined) === (filter === undefined)) {
+      throw new ValidationError('Provide either ids or filter.');
+    }
+
+    // [{ id, access }] in request order; access is null when the todo is not visible
+    let candidates;
+    if (ids !== undefined) {
+      if (!Array.isArray(ids) || ids.length === 0) {
+        throw new ValidationError('ids must be a non-empty array.');
+      }
+      const unique = [...new Set(ids.map(String))];
+      if (unique.length > BULK_MAX_TODOS) {
+        throw new ValidationError(`At most ${BULK_MAX_TODOS} todos can be changed at once.`);
+      }
+      candidates = await Promise.all(unique.map(async (id) => ({
+        id,
+        access: await resolveAccess('todo', id, req.user.id)
+      })));
+    } else {
+      if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+        throw new ValidationError('filter must be an object.');
+      }
+      let listAccess = { ownerId: req.user.id, permission: 'owner' };
+      if (filter.list && filter.list !== 'none') {
+        listAccess = await resolveAccess('list', filter.list, req.user.id);
+        if (!listAccess) {
+          throw new ValidationError('List not found.');
+        }
+      }
+      const matched = await db.todos.findIdsForUser(listAccess.ownerId, filter);
+      if (matched.length > BULK_MAX_TODOS) {
+        throw new ValidationError(`The filter matches ${matched.length} todos; at most ${BULK_MAX_TODOS} can be changed at once.`);
+      }
+      candidates = matched.map(id => ({
+        id,
+        access: { id, ownerId: listAccess.ownerId, permission: listAccess.permission }
+      }));
+    }
+
+    const results = new Map();
+    const notFound = (id) => ({ id, success: false, error: 'Todo not found.' });
+    const targets = [];
+    for (const { id, access } of candidates) {
+      if (!access) {
+        results.set(id, notFound(id));
+      } else if (!permissionAtLeast(access.permission, required)) {
+        results.set(id, { id, success: false, error: `You need ${required} access to this todo.` });
+      } else {
+        targets.push({ id: access.id, userId: access.ownerId, key: id });
+      }
+    }
+
+    // State before the change, for completion, history and delete events
+    const before = new Map();
+    for (const target of targets) {
+      before.set(target.key, await db.todos.findById(target.id, target.userId));
+    }
+
+    if (operation.delete) {
+      const audiences = new Map();
+      for (const target of targets) {
+        if (before.get(target.key)) audiences.set(target.key, await todoAudience(before.get(target.key)));
+      }
+
+      const deleted = (await db.todos.bulkDelete(targets)).map(String);
+      for (const target of targets) {
+        if (!deleted.includes(String(target.id))) {
+          results.set(target.key, notFound(target.key));
+          continue;
+        }
+        results.set(target.key, { id: target.key, success: true });
+        await emitTodoEvent('todo.deleted', before.get(target.key), req.user, { audience: audiences.get(target.key) });
+      }
+    } else {
+      const updated = await db.todos.bulkUpdate(targets, operation);
+      for (const target of targets) {
+        let todo = updated.find(candidate => String(candidate.id) === String(target.id));
+        if (!todo) {
+          results.set(target.key, notFound(target.key));
+          continue;
+        }
+
+        // Same follow-ups as PUT /api/todos/:id
+        const previous = before.get(target.key);
+        const justCompleted = previous && !previous.completed && todo.completed;
+        let nextTodo = null;
+        if (justCompleted && todo.recurrence) {
+          nextTodo = await createNextOccurrence(todo, target.userId);
+          todo = await db.todos.findById(target.id, target.userId);
+        }
+
+        await emitTodoEvent('todo.updated', todo, req.user, { before: previous });
+        if (justCompleted) await emitTodoEvent('todo.completed', todo, req.user);
+        if (nextTodo) await emitTodoEvent('todo.created', nextTodo, req.user);
+
+        results.set(target.key, { id: target.key, success: true, data: todo, ...(nextTodo && { next: nextTodo }) });
+      }
+    }
+
+    const data = candidates.map(({ id }) => results.get(id));
+    const succeeded = data.filter(result => result.success).length;
+
+    res.json({
+      success: true,
+      message: `${succeeded} of ${data.length} todo${data.length === 1 ? '' : 's'} changed.`,
+      data: {
+        operation: req.body.operation,
+        matched: data.length,
+        succeeded,
+        failed: data.length - succeeded,
+        results: data
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ======================
+// CHECKLIST ITEMS (PROTECTED)
+// ======================
+
+const todoNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Todo not found or you do not have permission to access it.'
+});
+
+// Get Checklist Items
+app.get('/api/todos/:id/items', protect, requireAccess('todo', 'viewer'), async (req, res, next) => {
+  try {
+    const items = await db.todos.listItems(req.access.id, req.access.ownerId);
+    if (!items) return todoNotFound(res);
+
+    res.json({
+      success: true,
+      count: items.length,
+      data: items
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add Checklist Item (appended, or inserted at `position`)
+app.post('/api/todos/:id/items', protect, requireAccess('todo', 'editor'), async (req, res, next) => {
+  try {
+    const { text, completed, position } = req.body;
+
+    const item = await db.todos.addItem(req.access.id, req.access.ownerId, { text, completed, position });
+    if (!item) return todoNotFound(res);
+
+    const synced = await syncChecklistCompletion(req.access.id, req.access.ownerId);
+    await emitCompletionChange(synced, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Item added successfully.',
+      data: { item, todo: synced.todo, ...(synced.next && { next: synced.next }) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reorder Checklist Items (registered before /items/:itemId)
+app.put('/api/todos/:id/items/reorder', protect, requireAccess('todo', 'editor'), async (req, res, next) => {
+  try {
+    const items = await db.todos.reorderItems(req.access.id, req.access.ownerId, req.body.itemIds);
+    if (!items) return todoNotFound(res);
+
+    const todo = await db.todos.findById(req.access.id, req.access.ownerId);
+
+    res.json({
+      success: true,
+      message: 'Items reordered successfully.',
+      data: { todo }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update Checklist Item (text and/or completed)
+app.put('/api/todos/:id/items/:itemId', protect, requireAccess('todo', 'editor'), async (req, res, next) => {
+  try {
+    const { text, completed } = req.body;
+
+    if (text === undefined && completed === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide text and/or completed to update.'
+      });
+    }
+
+    const item = await db.todos.updateItem(req.access.id, req.access.ownerId, req.params.itemId, { text, completed });
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found or you do not have permission to update it.'
+      });
+    }
+
+    const synced = await syncChecklistCompletion(req.access.id, req.access.ownerId);
+    await emitCompletionChange(synced, req.user);
+
+    res.json({
+      success: true,
+      message: 'Item updated successfully.',
+      data: { item, todo: synced.todo, ...(synced.next && { next: synced.next }) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete Checklist Item
+app.delete('/api/todos/:id/items/:itemId', protect, requireAccess('todo', 'editor'), async (req, res, next) => {
+  try {
+    const deleted = await db.todos.removeItem(req.access.id, req.access.ownerId, req.params.itemId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found or you do not have permission to delete it.'
+      });
+    }
+
+    const synced = await syncChecklistCompletion(req.access.id, req.access.ownerId);
+    await emitCompletionChange(synced, req.user);
+
+    res.json({
+      success: true,
+      message: 'Item deleted successfully.',
+      data: { todo: synced.todo, ...(synced.next && { next: synced.next }) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ======================
+// HISTORY & ACTIVITY (PROTECTED)
+// ======================
+
+// Todo History (newest revision first)
+app.get('/api/todos/:id/history', protect, requireAccess('todo', 'viewer'), async (req, res, next) => {
+  try {
+    const { page, limit, cursor } = req.query;
+    const result = await db.history.listForTodo(req.access.id, { page, limit, cursor });
+
+    res.json({
+      success: true,
+      data: result.revisions,
+      pagination: pageInfo({ page, limit, cursor }, result, { defaultLimit: 20 })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revert a Todo to an earlier revision: its fields are set back to that
+// revision's snapshot and the change is recorded as a new 'reverted' revision.
+// Only the owner can move it back to its old list, and only if the list
+// still exists. The recurrence rule stays as it is: once a recurring todo is
+// completed the rule belongs to its next occurrence (see createNextOccurrence),
+// and bringing it back would let the same occurrence be created twice.
+const REVERTED_FIELDS = REVISION_FIELDS.filter(field => field !== 'listId' && field !== 'recurrence');
+
+app.post('/api/todos/:id/revert', protect, requireAccess('todo', 'editor'), async (req, res, next) => {
+  try {
+    const { id, ownerId, permission } = req.access;
+    const number = Number(req.body.revision);
+
+    if (!Number.isInteger(number) || number < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Revision must be a positive integer.'
+      });
+    }
+
+    const revision = await db.history.findRevision(id, number);
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found.'
+      });
+    }
+
+    const changes = {};
+    for (const field of REVERTED_FIELDS) {
+      changes[field] = revision.snapshot[field];
+    }
+    if (permission === 'owner') {
+      const listId = revision.snapshot.listId;
+      changes.listId = listId && await db.lists.findById(listId, ownerId) ? listId : null;
+    }
+
+    const before = await db.todos.findById(id, ownerId);
+    const todo = await db.todos.update(id, ownerId, changes);
+    if (!todo) {
+      return res.status(404).json({
+        success: false,
+        error: 'Todo not found or you do not have permission to update it.'
+      });
+    }
+
+    await emitTodoEvent('todo.updated', todo, req.user, { before, action: 'reverted', revertedTo: number });
+
+    res.json({
+      success: true,
+      message: `Todo reverted to revision ${number}.`,
+      data: todo
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Activity Feed: changes to the user's todos and the changes they made to
+// todos shared with them, newest first
+app.get('/api/activity', protect, async (req, res, next) => {
+  try {
+    const { page, limit, cursor } = req.query;
+    const result = await db.history.listForUser(req.user.id, { page, limit, cursor });
+
+    res.json({
+      success: true,
+      data: result.revisions,
+      pagination: pageInfo({ page, limit, cursor }, result, { defaultLimit: 20 })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ======================
+// LIST ROUTES (PROTECTED)
+// ======================
+
+const LIST_DELETE_MODES = ['unassign', 'delete', 'move'];
+
+const listNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'List not found or you do not have permission to access it.'
+});
+
+// Get User's Lists (?archived=true|false|all, active lists by default)
+app.get('/api/lists', protect, async (req, res, next) => {
+  try {
+    const { archived = 'false' } = req.query;
+    const lists = await db.lists.findForUser(req.user.id, {
+      archived: archived === 'all' ? undefined : archived === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: lists
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create List
+app.post('/api/lists', protect, async (req, res, next) => {
+  try {
+    const { name, color, archived } = req.body;
+    const list = await db.lists.create(req.user.id, { name, color, archived });
+
+    res.status(201).json({
+      success: true,
+      message: 'List created successfully.',
+      data: list
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get Single List (with its todo counts)
+app.get('/api/lists/:id', protect, requireAccess('list', 'viewer'), async (req, res, next) => {
+  try {
+    const list = await db.lists.findById(req.access.id, req.access.ownerId);
+    if (!list) return listNotFound(res);
+
+    const stats = await db.todos.stats(req.access.ownerId, { listId: list.id });
+
+    res.json({
+      success: true,
+      data: { ...list, stats, permission: req.access.permission }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update List (rename, recolor, archive / unarchive)
+app.put('/api/lists/:id', protect, requireAccess('list', 'editor'), async (req, res, next) => {
+  try {
+    const { name, color, archived } = req.body;
+    const list = await db.lists.update(req.access.id, req.access.ownerId, { name, color, archived });
+    if (!list) return listNotFound(res);
+
+    res.json({
+      success: true,
+      message: 'List updated successfully.',
+      data: list
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete List (?todos=unassign|delete|move&moveTo=<listId>, unassign by default)
+app.delete('/api/lists/:id', protect, requireAccess('list', 'owner'), async (req, res, next) => {
+  try {
+    const { todos: mode = 'unassign', moveTo } = req.query;
+    const { ownerId } = req.access;
+
+    if (!LIST_DELETE_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `todos must be one of: ${LIST_DELETE_MODES.join(', ')}.`
+      });
+    }
+
+    const list = await db.lists.findById(req.access.id, ownerId);
+    if (!list) return listNotFound(res);
+
+    let affected;
+    if (mode === 'move') {
+      const target = moveTo && await db.lists.findById(moveTo, ownerId);
+      if (!target || target.id === list.id) {
+        return res.status(400).json({
+          success: false,
+          error: 'moveTo must be another one of your lists.'
+        });
+      }
+      affected = await db.todos.reassignList(ownerId, list.id, target.id);
+    } else if (mode === 'delete') {
+      affected = await db.todos.deleteInList(ownerId, list.id);
+    } else {
+      affected = await db.todos.reassignList(ownerId, list.id, null);
+    }
+
+    await db.lists.delete(list.id, ownerId);
+
+    res.json({
+      success: true,
+      message: 'List deleted successfully.',
+      data: { todos: mode, affected }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ======================
+// TAG ROUTES (PROTECTED)
+// ======================
+// Tags are plain strings on the todos; these routes work across all of the
+// user's own todos.
+
+// Replace tags on the user's todos and tell streams / webhooks about each changed todo
+const replaceTags = async (user, tags, replacement) => {
+  const todos = await db.todos.replaceTags(user.id, tags, replacement);
+  for (const todo of todos) {
+    await emitTodoEvent('todo.updated', todo, user);
+  }
+  return todos.length;
+};
+
+const tagNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Tag not found.'
+});
+
+// Get User's Tags (with usage counts, most used first)
+app.get('/api/tags', protect, async (req, res, next) => {
+  try {
+    const tags = await db.todos.tagCounts(req.user.id);
+
+    res.json({
+      success: true,
+      count: tags.length,
+      data: tags
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Merge Tags (every todo tagged with one of `tags` gets `into` instead)
+app.post('/api/tags/merge', protect, async (req, res, next) => {
+  try {
+    const { tags, into } = req.body;
+    if (!Array.isArray(tags)) {
+      throw new ValidationError('tags must be a list of tag names.');
+    }
+    const target = normalizeTagName(into);
+    const sources = tags.map(normalizeTagName).filter(tag => tag !== target);
+    if (sources.length === 0) {
+      throw new ValidationError('Name at least one tag to merge into another.');
+    }
+
+    const updated = await replaceTags(req.user, sources, target);
+
+    res.json({
+      success: true,
+      message: `Merged ${sources.length} tag${sources.length === 1 ? '' : 's'} into "${target}".`,
+      data: { tags: sources, into: target, todosUpdated: updated }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rename Tag (use merge to combine it with a tag that already exists)
+app.put('/api/tags/:tag', protect, async (req, res, next) => {
+  try {
+    const tag = normalizeTagName(req.params.tag);
+    const name = normalizeTagName(req.body.name);
+
+    const existing = (await db.todos.tagCounts(req.user.id)).map(entry => entry.name);
+    if (!existing.includes(tag)) return tagNotFound(res);
+    if (name !== tag && existing.includes(name)) {
+      throw new ConflictError(`Tag "${name}" already exists. Merge the tags instead.`);
+    }
+
+    const updated = name === tag ? 0 : await replaceTags(req.user, [tag], name);
+
+    res.json({
+      success: true,
+      message: 'Tag renamed successfully.',
+      data: { from: tag, name, todosUpdated: updated }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete Tag (removes it from every todo; the todos stay)
+app.delete('/api/tags/:tag', protect, async (req, res, next) => {
+  try {
+    const tag = normalizeTagName(req.params.tag);
+    const updated = await replaceTags(req.user, [tag], null);
+    if (updated === 0) return tagNotFound(res);
+
+    res.json({
+      success: true,
+      message: 'Tag deleted successfully.',
+      data: { name: tag, todosUpdated: updated }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ======================
+// SHARING ROUTES (PROTECTED)
+// ======================
+
+// The same share endpoints exist for todos and lists:
+//   GET    <base>/:id/shares          who has access (anyone with access)
+//   POST   <base>/:id/shares          { email, permission } (owner access)
+//   DELETE <base>/:id/shares/:userId  revoke (owner access, or leave it yourself)
+const SHARE_ROUTES = [
+  ['todo', '/api/todos'],
+  ['list', '/api/lists']
+];
+
+for (const [resourceType, base] of SHARE_ROUTES) {
+  app.get(`${base}/:id/shares`, protect, requireAccess(resourceType, 'viewer'), async (req, res, next) => {
+    try {
+      const shares = await db.shares.listForResource(resourceType, req.access.id);
+
+      res.json({
+        success: true,
+        count: shares.length,
+        data: shares
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post(`${base}/:id/shares`, protect, requireAccess(resourceType, 'owner'), async (req, res, next) => {
+    try {
+      const { email, permission = 'viewer' } = req.body;
+
+      if (!email || !isValidEmail(email)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Please provide the email address of a registered user.'
+        });
+      }
+
+      if (!SHARE_PERMISSIONS.includes(permission)) {
+        return res.status(400).json({
+          success: false,
+          error: `Permission must be one of: ${SHARE_PERMISSIONS.join(', ')}.`
+        });
+      }
+
+      const recipient = await db.users.findByEmail(email);
+      if (!recipient) {
+        return res.status(404).json({
+          success: false,
+          error: 'No registered user with that email.'
+        });
+      }
+
+      if (recipient.id === req.access.ownerId) {
+        return res.status(400).json({
+          success: false,
+          error: 'The owner already has full access.'
+        });
+      }
+
+      const share = await db.shares.grant({
+        resourceType,
+        resourceId: req.access.id,
+        ownerId: req.access.ownerId,
+        userId: recipient.id,
+        permission
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Shared with ${recipient.email} as ${permission}.`,
+        data: { ...share, user: { id: recipient.id, name: recipient.name, email: recipient.email } }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.delete(`${base}/:id/shares/:userId`, protect, requireAccess(resourceType, 'viewer'), async (req, res, next) => {
+    try {
+      const leaving = String(req.params.userId) === String(req.user.id);
+
+      if (!leaving && req.access.permission !== 'owner') {
+        return res.status(403).json({
+          success: false,
+          error: 'Only owners can remove other people.'
+        });
+      }
+
+      const revoked = await db.shares.revoke(resourceType, req.access.id, req.params.userId);
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          error: 'Share not found.'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: leaving ? 'You no longer have access.' : 'Access revoked successfully.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+}
+
+// Shared With Me (?type=todo|list narrows it to one kind)
+app.get('/api/shared', protect, async (req, res, next) => {
+  try {
+    const { type } = req.query;
+    const shares = (await db.shares.listForUser(req.user.id))
+      .filter(share => !type || share.resourceType === type);
+
+    const todos = [];
+    const lists = [];
+    for (const share of shares) {
+      const sharing = { permission: share.permission, sharedBy: share.owner, sharedAt: share.createdAt };
+      if (share.resourceType === 'todo') {
+        const todo = await db.todos.findById(share.resourceId, share.ownerId);
+        if (todo) todos.push({ ...todo, ...sharing });
+      } else {
+        const list = await db.lists.findById(share.resourceId, share.ownerId);
+        if (list) lists.push({ ...list, ...sharing });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: { todos, lists }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ======================
+// REAL-TIME UPDATES (PROTECTED)
+// ======================
+
+// EventSource cannot send headers, so the stream also takes the access token
+// as ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// Todo Event Stream (Server-Sent Events; resumes from Last-Event-ID)
+app.get('/api/stream', tokenFromQuery, protect, async (req, res, next) => {
+  try {
+    if (stream.connectionCount(req.user.id) >= stream.maxConnectionsPerUser) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many open streams for this account.'
+      });
+    }
+
+    const sessionId = req.sessionId;
+    stream.subscribe(req, res, {
+      userId: req.user.id,
+      lastEventId: req.get('Last-Event-ID') || req.query.lastEventId,
+      expiresAt: req.tokenExpiresAt,
+      stillValid: async () => {
+        if (!(await db.refreshTokens.isFamilyActive(sessionId))) return false;
+        const user = await db.users.findById(req.user.id);
+        return Boolean(user && user.isActive);
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ======================
+// CALENDAR FEED
+// ======================
+// Calendar apps subscribe to a secret URL and cannot send a Bearer header,
+// so the feed itself is public and the token in its path is the credential.
+// Only the token's hash is stored: the URL is shown when it is created and
+// regenerating it turns the old one off.
+
+// Query params the feed accepts (besides ?type=event|todo)
+const CALENDAR_FILTER_PARAMS = ['list', 'tags', 'tagMatch', 'priority', 'completed'];
+
+const calendarFeedInfo = (feed) => ({
+  enabled: Boolean(feed),
+  createdAt: feed ? feed.createdAt : null,
+  lastAccessedAt: feed ? feed.lastAccessedAt : null
+});
+
+// Get Calendar Feed Status
+app.get('/api/calendar', protect, async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: calendarFeedInfo(await db.calendarFeeds.findForUser(req.user.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create or Regenerate the Calendar Feed URL (only shown in this response)
+app.post('/api/calendar/token', protect, async (req, res, next) => {
+  try {
+    const existing = await db.calendarFeeds.findForUser(req.user.id);
+    const token = crypto.randomBytes(32).toString('hex');
+    const feed = await db.calendarFeeds.rotate(req.user.id, hashToken(token));
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: existing
+        ? 'Calendar feed URL regenerated; the old URL no longer works.'
+        : 'Calendar feed created. Store the URL now, it is not shown again.',
+      data: {
+        ...calendarFeedInfo(feed),
+        url: apiUrl(req, `/api/calendar/${token}.ics`),
+        filters: [...CALENDAR_FILTER_PARAMS, 'type']
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Turn the Calendar Feed off
+app.delete('/api/calendar/token', protect, async (req, res, next) => {
+  try {
+    const deleted = await db.calendarFeeds.delete(req.user.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'There is no calendar feed to turn off.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Calendar feed turned off.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Calendar Feed (public, text/calendar): the user's todos with a due date.
+// ?type=event|todo picks VEVENT (default) or VTODO entries; list, tags,
+// tagMatch, priority and completed filter like GET /api/todos.
+app.get('/api/calendar/:token.ics', requireDB, async (req, res, next) => {
+  try {
+    const feed = await db.calendarFeeds.findByHash(hashToken(req.params.token));
+    const user = feed && await db.users.findById(feed.userId);
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Calendar feed not found.'
+      });
+    }
+
+    const { type = 'event', list } = req.query;
+    if (!ENTRY_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Type must be one of: ${ENTRY_TYPES.join(', ')}.`
       });
     }
+    const filters = Object.fromEntries(
+      CALENDAR_FILTER_PARAMS
+        .filter(name => req.query[name] !== undefined)
+        .map(name => [name, req.query[name]])
+    );
 
-    // Update last login
-    if (dbStatus.type === 'mongodb') {
-      await User.findByIdAndUpdate(user._id, { lastLogin: new Date() });
-    } else {
-      await sqliteDB.updateUserLastLogin(user.id);
+    let ownerId = user.id;
+    let name = 'Todos';
+    if (list && list !== 'none') {
+      const access = await resolveAccess('list', list, user.id);
+      if (!access) {
+        throw new ValidationError('List not found.');
+      }
+      ownerId = access.ownerId;
+      const found = await db.lists.findById(list, ownerId);
+      if (found) name = `Todos: ${found.name}`;
     }
 
-    // Generate token
-    const token = generateToken(dbStatus.type === 'mongodb' ? user._id : user.id);
+    const todos = [];
+    let cursor;
+    do {
+      const result = await db.todos.findForUser(ownerId, {
+        ...filters,
+        noDueDate: false,
+        limit: 100,
+        cursor,
+        sortBy: 'dueDate',
+        sortOrder: 'asc'
+      });
+      todos.push(...result.todos);
+      cursor = result.nextCursor;
+    } while (cursor);
 
-    // Remove password from response
-    delete user.password;
-    if (user._id) {
-      user.id = user._id.toString();
-      delete user._id;
-    }
+    await db.calendarFeeds.recordAccess(feed.id);
 
-    res.json({
-      success: true,
-      message: 'Login successful.',
-      data: {
-        user,
-        token,
-        expiresIn: process.env.JWT_EXPIRE || '7d'
-      }
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="todos.ics"',
+      'Cache-Control': 'private, max-age=300'
     });
+    res.send(buildCalendar(todos, { name, type, domain: new URL(apiUrl(req, '/')).hostname }));
   } catch (error) {
     next(error);
   }
 });
 
-// Get Current User Profile
-app.get('/api/auth/profile', protect, async (req, res, next) => {
+// ======================
+// WEBHOOK ROUTES (PROTECTED)
+// ======================
+
+const webhookNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Webhook not found or you do not have permission to access it.'
+});
+
+// Plain http endpoints are fine for local development only, and the host has
+// to resolve to public addresses. The url is checked as the repository will
+// store it, since new URL() also accepts forms like "http:127.0.0.1/".
+const assertWebhookDestination = async (url) => {
+  if (url === undefined) return undefined;
+  const normalized = normalizeWebhookInput({ url }, { partial: true }).url;
+  if (isProduction && !normalized.startsWith('https://')) {
+    throw new ValidationError('Webhook url must use https.');
+  }
+
+  const blocked = await checkDestination(normalized);
+  if (blocked) throw new ValidationError(blocked);
+  return normalized;
+};
+
+// Get User's Webhooks
+app.get('/api/webhooks', protect, async (req, res, next) => {
   try {
+    const webhooks = await db.webhooks.findForUser(req.user.id);
+
     res.json({
       success: true,
-      data: req.user
+      count: webhooks.length,
+      data: webhooks
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Update Profile
-app.put('/api/auth/profile', protect, async (req, res, next) => {
+// Register Webhook (the signing secret is only shown in this response)
+app.post('/api/webhooks', protect, async (req, res, next) => {
   try {
-    const { name } = req.body;
+    const { events, description } = req.body;
+    const url = await assertWebhookDestination(req.body.url);
+
+    const webhook = await db.webhooks.create(req.user.id, {
+      url,
+      events,
+      description,
+      secret: generateSecret()
+    });
 
-    if (name && name.trim().length < 2) {
-      return res.status(400).json({
-        success: false,
-        error: 'Name must be at least 2 characters.'
-      });
-    }
+    res.status(201).json({
+      success: true,
+      message: 'Webhook registered. Store the secret now, it is not shown again.',
+      data: webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    let updatedUser;
-    if (req.dbType === 'mongodb') {
-      updatedUser = await User.findByIdAndUpdate(
-        req.user._id || req.user.id,
-        { name: name || req.user.name },
-        { new: true, runValidators: true }
-      );
-      updatedUser = updatedUser.toObject();
-      delete updatedUser.password;
-    } else {
-      await sqliteDB.updateUserName(req.user.id, name || req.user.name);
-      updatedUser = await sqliteDB.findUserById(req.user.id);
-    }
+// Get Single Webhook
+app.get('/api/webhooks/:id', protect, async (req, res, next) => {
+  try {
+    const webhook = await db.webhooks.findById(req.params.id, req.user.id);
+    if (!webhook) return webhookNotFound(res);
 
     res.json({
       success: true,
-      message: 'Profile updated successfully.',
-      data: updatedUser
+      data: webhook
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Logout (Client-side)
-app.post('/api/auth/logout', protect, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logged out successfully. Please remove the token from client storage.'
-  });
-});
-
-// ======================
-// TODO ROUTES (PROTECTED)
-// ======================
-
-// Create Todo
-app.post('/api/todos', protect, async (req, res, next) => {
+// Update Webhook (url, events, description, active)
+app.put('/api/webhooks/:id', protect, async (req, res, next) => {
   try {
-    const { task, description, priority, dueDate, tags } = req.body;
+    const { events, description, active } = req.body;
+    const url = await assertWebhookDestination(req.body.url);
 
-    if (!task || task.trim().length < 3) {
-      return res.status(400).json({
-        success: false,
-        error: 'Task is required and must be at least 3 characters.'
-      });
-    }
+    const webhook = await db.webhooks.update(req.params.id, req.user.id, { url, events, description, active });
+    if (!webhook) return webhookNotFound(res);
 
-    const userId = req.user._id || req.user.id;
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully.',
+      data: webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    let todo;
-    if (req.dbType === 'mongodb') {
-      todo = await Todo.create({
-        task: task.trim(),
-        description: description ? description.trim() : undefined,
-        priority: priority || 'medium',
-        dueDate: dueDate ? new Date(dueDate) : undefined,
-        tags: tags && Array.isArray(tags) ? tags.map(tag => tag.trim()) : [],
-        user: userId
-      });
-      todo = todo.toObject();
-    } else {
-      todo = await sqliteDB.createTodo({
-        task: task.trim(),
-        description: description ? description.trim() : undefined,
-        priority: priority || 'medium',
-        dueDate: dueDate ? new Date(dueDate) : undefined,
-        userId: userId,
-        tags: tags && Array.isArray(tags) ? tags.map(tag => tag.trim()) : []
-      });
-    }
+// Delete Webhook (and its delivery log)
+app.delete('/api/webhooks/:id', protect, async (req, res, next) => {
+  try {
+    const deleted = await db.webhooks.delete(req.params.id, req.user.id);
+    if (!deleted) return webhookNotFound(res);
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Todo created successfully.',
-      data: todo
+      message: 'Webhook deleted successfully.'
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Get User's Todos (with pagination, filtering, sorting)
-app.get('/api/todos', protect, async (req, res, next) => {
+// Send a Test Event
+app.post('/api/webhooks/:id/ping', protect, async (req, res, next) => {
   try {
-    const { 
-      page = 1, 
-      limit = 10, 
-      completed, 
-      priority, 
-      sortBy = 'createdAt', 
-      sortOrder = 'desc',
-      search 
-    } = req.query;
+    const webhook = await db.webhooks.findById(req.params.id, req.user.id);
+    if (!webhook) return webhookNotFound(res);
 
-    const userId = req.user._id || req.user.id;
-
-    let todos, total;
-    if (req.dbType === 'mongodb') {
-      // Build query
-      const query = { user: userId };
-      if (completed !== undefined) query.completed = completed === 'true';
-      if (priority) query.priority = priority;
-      if (search) query.task = { $regex: search, $options: 'i' };
-
-      // MongoDB query
-      const skip = (parseInt(page) - 1) * parseInt(limit);
-      
-      todos = await Todo.find(query)
-        .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
-        .skip(skip)
-        .limit(parseInt(limit))
-        .lean();
-
-      total = await Todo.countDocuments(query);
-    } else {
-      // SQLite query
-      const filters = {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        completed,
-        priority,
-        sortBy,
-        sortOrder,
-        search
-      };
-      
-      todos = await sqliteDB.getTodosByUser(userId, filters);
-      
-      // For total count, we need a separate query
-      const allTodos = await sqliteDB.getTodosByUser(userId, {});
-      total = allTodos.length;
-    }
+    const delivery = await queueDelivery(db, webhook.id, 'ping', { webhook });
+    pokeWorker();
 
-    res.json({
+    res.status(202).json({
       success: true,
-      data: todos,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit))
-      }
+      message: 'Ping queued.',
+      data: delivery
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Get Single Todo
-app.get('/api/todos/:id', protect, async (req, res, next) => {
+// Delivery Log (?limit=, newest first)
+app.get('/api/webhooks/:id/deliveries', protect, async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const userId = req.user._id || req.user.id;
+    const webhook = await db.webhooks.findById(req.params.id, req.user.id);
+    if (!webhook) return webhookNotFound(res);
 
-    let todo;
-    if (req.dbType === 'mongodb') {
-      todo = await Todo.findOne({ _id: id, user: userId }).lean();
-    } else {
-      todo = await sqliteDB.getTodoById(id, userId);
-    }
-
-    if (!todo) {
-      return res.status(404).json({
-        success: false,
-        error: 'Todo not found or you do not have permission to view it.'
-      });
-    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const deliveries = await db.webhookDeliveries.listForWebhook(webhook.id, { limit });
 
     res.json({
       success: true,
-      data: todo
+      count: deliveries.length,
+      data: deliveries
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Update Todo
-app.put('/api/todos/:id', protect, async (req, res, next) => {
+// Redeliver (queue a logged delivery again, e.g. after fixing the endpoint)
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', protect, async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { task, description, completed, priority, dueDate, tags } = req.body;
-    const userId = req.user._id || req.user.id;
+    const webhook = await db.webhooks.findById(req.params.id, req.user.id);
+    if (!webhook) return webhookNotFound(res);
 
-    // Validation
-    if (task && task.trim().length < 3) {
-      return res.status(400).json({
+    const delivery = await db.webhookDeliveries.requeue(req.params.deliveryId, webhook.id);
+    if (!delivery) {
+      return res.status(404).json({
         success: false,
-        error: 'Task must be at least 3 characters.'
+        error: 'Delivery not found.'
       });
     }
+    pokeWorker();
 
-    let todo;
-    if (req.dbType === 'mongodb') {
-      const updates = {};
-      if (task !== undefined) updates.task = task.trim();
-      if (description !== undefined) updates.description = description.trim();
-      if (completed !== undefined) updates.completed = completed;
-      if (priority !== undefined) updates.priority = priority;
-      if (dueDate !== undefined) updates.dueDate = dueDate ? new Date(dueDate) : null;
-      if (tags !== undefined) updates.tags = Array.isArray(tags) ? tags.map(tag => tag.trim()) : [];
+    res.status(202).json({
+      success: true,
+      message: 'Delivery queued again.',
+      data: delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-      todo = await Todo.findOneAndUpdate(
-        { _id: id, user: userId },
-        updates,
-        { new: true, runValidators: true }
-      ).lean();
-    } else {
-      const updates = {};
-      if (task !== undefined) updates.task = task.trim();
-      if (description !== undefined) updates.description = description.trim();
-      if (completed !== undefined) updates.completed = completed;
-      if (priority !== undefined) updates.priority = priority;
-      if (dueDate !== undefined) updates.dueDate = dueDate;
-      if (tags !== undefined) updates.tags = tags;
+// ======================
+// NOTIFICATION ROUTES (PROTECTED)
+// ======================
 
-      todo = await sqliteDB.updateTodo(id, userId, updates);
-    }
+// Get Notifications (?unread=true for unread only, newest first)
+app.get('/api/notifications', protect, async (req, res, next) => {
+  try {
+    const unread = req.query.unread === 'true';
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
 
-    if (!todo) {
-      return res.status(404).json({
-        success: false,
-        error: 'Todo not found or you do not have permission to update it.'
-      });
-    }
+    const [notifications, unreadCount] = await Promise.all([
+      db.notifications.findForUser(req.user.id, { unread, limit }),
+      db.notifications.countUnread(req.user.id)
+    ]);
 
     res.json({
       success: true,
-      message: 'Todo updated successfully.',
-      data: todo
+      count: notifications.length,
+      unread: unreadCount,
+      data: notifications
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Delete Todo
-app.delete('/api/todos/:id', protect, async (req, res, next) => {
+// Mark All Notifications Read (registered before /:id)
+app.post('/api/notifications/read-all', protect, async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const userId = req.user._id || req.user.id;
+    const marked = await db.notifications.markAllRead(req.user.id);
 
-    let deleted;
-    if (req.dbType === 'mongodb') {
-      const todo = await Todo.findOneAndDelete({ _id: id, user: userId }).lean();
-      deleted = !!todo;
-    } else {
-      deleted = await sqliteDB.deleteTodo(id, userId);
-    }
+    res.json({
+      success: true,
+      message: `${marked} notification${marked === 1 ? '' : 's'} marked as read.`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    if (!deleted) {
+// Mark Notification Read
+app.post('/api/notifications/:id/read', protect, async (req, res, next) => {
+  try {
+    const notification = await db.notifications.markRead(req.params.id, req.user.id);
+
+    if (!notification) {
       return res.status(404).json({
         success: false,
-        error: 'Todo not found or you do not have permission to delete it.'
+        error: 'Notification not found.'
       });
     }
 
     res.json({
       success: true,
-      message: 'Todo deleted successfully.'
+      data: notification
     });
   } catch (error) {
     next(error);
@@ -887,86 +2938,125 @@ app.delete('/api/todos/:id', protect, async (req, res, next) => {
 });
 
 // ======================
-// STATISTICS & ANALYTICS
+// ADMIN ROUTES
 // ======================
 
-// Get Todo Statistics
-app.get('/api/todos/stats', protect, async (req, res, next) => {
+// Get All Users, newest first (Admin only); ?page=&limit= or ?cursor=
+app.get('/api/admin/users', protect, authorize('admin'), async (req, res, next) => {
   try {
-    const userId = req.user._id || req.user.id;
-
-    let stats;
-    if (req.dbType === 'mongodb') {
-      const result = await Todo.aggregate([
-        { $match: { user: userId } },
-        {
-          $group: {
-            _id: null,
-            total: { $sum: 1 },
-            completed: { $sum: { $cond: ['$completed', 1, 0] } },
-            pending: { $sum: { $cond: ['$completed', 0, 1] } },
-            highPriority: { $sum: { $cond: [{ $eq: ['$priority', 'high'] }, 1, 0] } },
-            mediumPriority: { $sum: { $cond: [{ $eq: ['$priority', 'medium'] }, 1, 0] } },
-            lowPriority: { $sum: { $cond: [{ $eq: ['$priority', 'low'] }, 1, 0] } }
-          }
-        }
-      ]);
+    const { page, limit, cursor } = req.query;
+    const result = await db.users.list({ page, limit, cursor });
 
-      stats = result[0] || {
-        total: 0, completed: 0, pending: 0,
-        highPriority: 0, mediumPriority: 0, lowPriority: 0
-      };
-    } else {
-      stats = await sqliteDB.getTodoStats(userId);
+    res.json({
+      success: true,
+      count: result.users.length,
+      data: result.users,
+      pagination: pageInfo({ page, limit, cursor }, result, { defaultLimit: 50 })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update User: activation and role (Admin only)
+app.patch('/api/admin/users/:id', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const { isActive, role } = req.body;
+
+    if (isActive === undefined && role === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide isActive and/or role to update.'
+      });
+    }
+
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'isActive must be true or false.'
+      });
+    }
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${ROLES.join(', ')}.`
+      });
+    }
+
+    const user = await db.users.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found.'
+      });
+    }
+
+    const losesAdmin = (role !== undefined && role !== 'admin') || isActive === false;
+    if (losesAdmin && await removesLastAdmin(user)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot demote or deactivate the last remaining admin.'
+      });
+    }
+
+    const updatedUser = await db.users.update(user.id, { isActive, role });
+
+    // A deactivated account loses every session right away
+    if (isActive === false) {
+      await db.refreshTokens.revokeAllForUser(user.id);
     }
 
     res.json({
       success: true,
-      data: stats
+      message: 'User updated successfully.',
+      data: updatedUser
     });
   } catch (error) {
     next(error);
   }
 });
 
-// ======================
-// ADMIN ROUTES
-// ======================
-
-// Get All Users (Admin only)
-app.get('/api/admin/users', protect, authorize('admin'), async (req, res, next) => {
+// Delete User and all of their todos (Admin only)
+app.delete('/api/admin/users/:id', protect, authorize('admin'), async (req, res, next) => {
   try {
-    let users;
-    if (req.dbType === 'mongodb') {
-      users = await User.find().select('-password -__v').sort({ createdAt: -1 }).lean();
-    } else {
-      users = await sqliteDB.getAllUsers();
+    const user = await db.users.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found.'
+      });
+    }
+
+    if (await removesLastAdmin(user)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot delete the last remaining admin.'
+      });
     }
 
+    await db.users.delete(user.id);
+
     res.json({
       success: true,
-      count: users.length,
-      data: users
+      message: 'User and all of their todos deleted successfully.'
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Get All Todos (Admin only)
+// Get All Todos, newest first (Admin only); ?page=&limit= or ?cursor=
 app.get('/api/admin/todos', protect, authorize('admin'), async (req, res, next) => {
   try {
-    let todos;
-    if (req.dbType === 'mongodb') {
-      todos = await Todo.find().populate('user', 'name email').sort({ createdAt: -1 }).lean();
-    } else {
-      todos = await sqliteDB.getAllTodos();
-    }
+    const { page, limit, cursor } = req.query;
+    const result = await db.todos.listAll({ page, limit, cursor });
 
     res.json({
       success: true,
-      count: todos.length,
-      data: todos
+      count: result.todos.length,
+      data: result.todos,
+      pagination: pageInfo({ page, limit, cursor }, result, { defaultLimit: 50 })
     });
   } catch (error) {
     next(error);
@@ -1019,26 +3109,100 @@ app.get('/api/status', (req, res) => {
         'User Authentication (JWT)',
         'Todo CRUD Operations',
         'User-specific Data',
-        'Pagination & Filtering',
-        'Statistics & Analytics',
+        'Cursor & Page Pagination',
+        'Rich Filtering (due ranges, overdue, tags, dates)',
+        'Full-text Search (ranked, with highlights)',
+        'Bulk Operations',
+        'CSV, JSON & todo.txt Import / Export',
+        'Trash with Restore & Automatic Purge',
+        'Change History, Activity Feed & Revert',
+        'Checklist Items & Progress',
+        'Lists / Projects',
+        'Tag Management (rename, merge, counts)',
+        'Sharing & Permissions',
+        'Recurring Todos (RRULE)',
+        'Due-date Reminders & Notifications',
+        'Outgoing Webhooks (HMAC signed)',
+        'Real-time Updates (Server-Sent Events)',
+        'iCalendar Feed (subscribable, VEVENT / VTODO)',
+        'Statistics & Productivity Analytics (trends, streaks, overdue history)',
         'Admin Dashboard',
+        'OpenAPI 3 Spec & Interactive Docs',
         'CORS Enabled',
         'Rate Limiting',
         'Security Headers'
       ],
-      endpoints: {
-        auth: ['/api/auth/register', '/api/auth/login', '/api/auth/profile'],
-        todos: ['/api/todos', '/api/todos/:id', '/api/todos/stats'],
-        admin: ['/api/admin/users', '/api/admin/todos']
-      },
-      documentation: 'See README for API documentation'
+      endpoints: Object.fromEntries(endpointGroups(openApiDocument(app)).map(({ key, endpoints }) => [
+        key,
+        [...new Set(endpoints.map(endpoint => endpoint.path))]
+      ])),
+      documentation: {
+        openapi: '/api/openapi.json',
+        docs: '/api/docs'
+      }
     }
   });
 });
 
+// OpenAPI Document (see openapi.js)
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument(app, { serverUrl: apiUrl(req, '/').replace(/\/$/, '') }));
+});
+
+// Interactive API Docs: Swagger UI (the pinned swagger-ui-dist package,
+// served from here) over /api/openapi.json
+const SWAGGER_UI_PATH = '/api/docs/assets';
+app.use(SWAGGER_UI_PATH, express.static(swaggerUiDist.getAbsoluteFSPath()));
+
+app.get('/api/docs', (req, res) => {
+  // Only the Swagger UI bundle and the page's own inline script may run
+  const nonce = crypto.randomBytes(16).toString('base64');
+  res.set('Content-Security-Policy', [
+    "default-src 'self'",
+    `script-src 'nonce-${nonce}' ${apiUrl(req, `${SWAGGER_UI_PATH}/swagger-ui-bundle.js`)}`,
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' data:",
+    `connect-src 'self' ${new URL(apiUrl(req, '/')).origin}`
+  ].join('; '));
+  res.send(`<!DOCTYPE html>
+<html>
+<head>
+  <title>Todo API Docs</title>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <link rel="stylesheet" href="${SWAGGER_UI_PATH}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI_PATH}/swagger-ui-bundle.js"></script>
+  <script nonce="${nonce}">
+    window.ui = SwaggerUIBundle({
+      url: '/api/openapi.json',
+      dom_id: '#swagger-ui',
+      deepLinking: true,
+      persistAuthorization: true
+    });
+  </script>
+</body>
+</html>`);
+});
+
 // ======================
 // HOMEPAGE
 // ======================
+
+// One card per endpoint group of the OpenAPI document
+const endpointCards = (groups) => groups.map(({ title, endpoints }) => `
+          <div class="card">
+            <h3>${title}</h3>
+            <ul class="endpoint-list">${endpoints.map(({ method, path }) => `
+              <li>
+                <span class="method ${method.toLowerCase()}">${method}</span>
+                <span class="endpoint">${path}</span>
+              </li>`).join('')}
+            </ul>
+          </div>`).join('\n');
+
 app.get('/', (req, res) => {
   const dbStatus = canUseDB();
   res.send(`
@@ -1129,6 +3293,7 @@ app.get('/', (req, res) => {
         .get { background: #10b981; }
         .post { background: #f59e0b; }
         .put { background: #3b82f6; }
+        .patch { background: #8b5cf6; }
         .delete { background: #ef4444; }
         .endpoint {
           color: #fbbf24;
@@ -1171,83 +3336,15 @@ app.get('/', (req, res) => {
           <div class="status-badge">Status: ${dbStatus.connected ? `✅ Connected to ${dbStatus.type}` : '⚠️ Database Unavailable'}</div>
         </header>
 
-        <div class="grid">
-          <div class="card">
-            <h3>🔐 Authentication</h3>
-            <ul class="endpoint-list">
-              <li>
-                <span class="method post">POST</span>
-                <span class="endpoint">/api/auth/register</span>
-              </li>
-              <li>
-                <span class="method post">POST</span>
-                <span class="endpoint">/api/auth/login</span>
-              </li>
-              <li>
-                <span class="method get">GET</span>
-                <span class="endpoint">/api/auth/profile</span>
-              </li>
-              <li>
-                <span class="method put">PUT</span>
-                <span class="endpoint">/api/auth/profile</span>
-              </li>
-              <li>
-                <span class="method post">POST</span>
-                <span class="endpoint">/api/auth/logout</span>
-              </li>
-            </ul>
-          </div>
-
-          <div class="card">
-            <h3>✅ Todo Management</h3>
-            <ul class="endpoint-list">
-              <li>
-                <span class="method get">GET</span>
-                <span class="endpoint">/api/todos</span>
-              </li>
-              <li>
-                <span class="method post">POST</span>
-                <span class="endpoint">/api/todos</span>
-              </li>
-              <li>
-                <span class="method get">GET</span>
-                <span class="endpoint">/api/todos/:id</span>
-              </li>
-              <li>
-                <span class="method put">PUT</span>
-                <span class="endpoint">/api/todos/:id</span>
-              </li>
-              <li>
-                <span class="method delete">DELETE</span>
-                <span class="endpoint">/api/todos/:id</span>
-              </li>
-              <li>
-                <span class="method get">GET</span>
-                <span class="endpoint">/api/todos/stats</span>
-              </li>
-            </ul>
-          </div>
+        <div class="grid">${endpointCards(endpointGroups(openApiDocument(app)))}
+        </div>
 
-          <div class="card">
-            <h3>📊 Admin & System</h3>
-            <ul class="endpoint-list">
-              <li>
-                <span class="method get">GET</span>
-                <span class="endpoint">/api/admin/users</span>
-              </li>
-              <li>
-                <span class="method get">GET</span>
-                <span class="endpoint">/api/admin/todos</span>
-              </li>
-              <li>
-                <span class="method get">GET</span>
-                <span class="endpoint">/api/health</span>
-              </li>
-              <li>
-                <span class="method get">GET</span>
-                <span class="endpoint">/api/status</span>
-              </li>
-            </ul>
+        <div class="deploy-section">
+          <h2>📖 API Documentation</h2>
+          <p>Every endpoint with its parameters, request bodies and responses.</p>
+          <div>
+            <a href="/api/docs" class="btn">Interactive Docs</a>
+            <a href="/api/openapi.json" class="btn">OpenAPI Spec (JSON)</a>
           </div>
         </div>
 
@@ -1271,7 +3368,23 @@ app.get('/', (req, res) => {
             <pre style="background: rgba(0,0,0,0.5); padding: 15px; border-radius: 5px;">
 MONGODB_URI=your_mongodb_connection_string
 JWT_SECRET=your_super_secret_jwt_key
-JWT_EXPIRE=7d
+JWT_EXPIRE=15m
+REFRESH_TOKEN_EXPIRE_DAYS=30
+SMTP_HOST=smtp.your-provider.com
+SMTP_USER=your_smtp_user
+SMTP_PASS=your_smtp_password
+MAIL_FROM="Todo API &lt;no-reply@your-domain.com&gt;"
+API_URL=https://your-api.onrender.com
+UNVERIFIED_POLICY=read-only
+UNVERIFIED_GRACE_HOURS=24
+REMINDER_CHANNELS=email,in-app
+REMINDER_OFFSETS=1440,0
+REMINDER_WEBHOOK_URL=https://hooks.your-chat.com/...
+WEBHOOK_MAX_ATTEMPTS=6
+WEBHOOK_RETRY_BASE_SECONDS=30
+WEBHOOK_ALLOW_PRIVATE_HOSTS=false
+STREAM_HEARTBEAT_SECONDS=25
+TRASH_RETENTION_DAYS=30
 NODE_ENV=production
 PORT=10000
 FRONTEND_URL=https://your-frontend.vercel.app
@@ -1327,12 +3440,23 @@ const startServer = async () => {
 
     const dbStatus = canUseDB();
     console.log(`✅ Database: ${dbStatus.type.toUpperCase()} (${dbStatus.connected ? 'Connected' : 'Disconnected'})`);
+
+    // Due-date reminders, webhook deliveries and trash purging
+    const reminderScheduler = dbConnected
+      ? startReminderScheduler(db, { todoUrl: (todo) => appUrl(`/todos/${todo.id}`) })
+      : null;
+    const webhookWorker = dbConnected ? startWebhookWorker(db) : null;
+    const trashPurger = dbConnected ? startTrashPurger(db) : null;
+
+    // Build the OpenAPI document now so undescribed routes are reported at startup
+    openApiDocument(app);
     
     // Start server
     const server = app.listen(PORT, () => {
       console.log(`✅ Server running on port ${PORT}`);
       console.log(`🌐 Environment: ${NODE_ENV}`);
       console.log(`🔗 Local: http://localhost:${PORT}`);
+      console.log(`📖 API Docs: http://localhost:${PORT}/api/docs`);
       console.log(`🔐 Authentication: JWT Enabled`);
       console.log(`🛡️  CORS: Enabled for frontend`);
       console.log(`📊 Database: ${dbStatus.type} ${dbStatus.connected ? 'Connected' : 'Disconnected'}`);
@@ -1342,18 +3466,29 @@ const startServer = async () => {
     // Graceful shutdown
     const shutdown = (signal) => {
       console.log(`\n🔄 Received ${signal}. Shutting down gracefully...`);
+
+      // Open event streams would keep server.close() waiting
+      stream.closeAll();
+
+      // No new reminder / webhook / purge runs; a run in progress finishes before the DB closes
+      const workersStopped = Promise.all([
+        reminderScheduler && reminderScheduler.stop(),
+        webhookWorker && webhookWorker.stop(),
+        trashPurger && trashPurger.stop()
+      ]);
+
       server.close(() => {
         console.log('✅ Server closed');
-        if (mongoose.connection.readyState === 1) {
-          mongoose.connection.close(false, () => {
-            console.log('✅ MongoDB connection closed');
-          });
-        }
-        if (sqliteDB) {
-          sqliteDB.close();
-          console.log('✅ SQLite connection closed');
-        }
-        setTimeout(() => process.exit(0), 1000);
+        workersStopped.then(() => {
+          closeMailer();
+          if (db) {
+            const dbType = db.type;
+            db.close()
+              .then(() => console.log(`✅ ${dbType === 'mongodb' ? 'MongoDB' : 'SQLite'} connection closed`))
+              .catch((err) => console.error('❌ Error closing database:', err.message));
+          }
+          setTimeout(() => process.exit(0), 1000);
+        });
       });
 
       // Force shutdown after 10 seconds
@@ -1382,5 +3517,9 @@ const startServer = async () => {
   }
 };
 
-// Start the application
-startServer();
+// Start the application (the tests load the app without starting it)
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { app, connectDB };
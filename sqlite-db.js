@@ -1,402 +1,1961 @@
 // sqlite-db.js
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
-const bcrypt = require('bcrypt');
+const {
+    ConflictError,
+    ValidationError,
+    normalizeEmail,
+    toDate,
+    normalizeTodoInput,
+    normalizeListInput,
+    normalizeShareInput,
+    normalizeWebhookInput,
+    highestPermission,
+    normalizeItemInput,
+    assertItemOrder,
+    normalizeListOptions,
+    normalizePageOptions,
+    pageWithCursors,
+    SEARCH_MARK_START,
+    SEARCH_MARK_END,
+    markedToHtml,
+    matchingTags
+} = require('./repositories');
 
-class SQLiteDB {
-    constructor() {
-        this.db = new sqlite3.Database(path.join(__dirname, 'database.sqlite'));
-        this.initDatabase();
+const now = () => new Date().toISOString();
+const toISO = (date) => (date ? toDate(date).toISOString() : null);
+
+// ======================
+// PAGINATION
+// ======================
+
+// Rows after [value, id] when reading in the given direction; NULLs come
+// first in ascending order, as in ORDER BY
+const seekCondition = (column, idColumn, [value, id], ascending) => {
+    if (value === null) {
+        return ascending
+            ? { sql: `(${column} IS NOT NULL OR ${idColumn} > ?)`, params: [id] }
+            : { sql: `(${column} IS NULL AND ${idColumn} < ?)`, params: [id] };
     }
+    const beyond = ascending ? `${column} > ?` : `(${column} < ? OR ${column} IS NULL)`;
+    return {
+        sql: `(${beyond} OR (${column} = ? AND ${idColumn} ${ascending ? '>' : '<'} ?))`,
+        params: [value, value, id]
+    };
+};
 
-    async initDatabase() {
-        return new Promise((resolve, reject) => {
-            this.db.serialize(() => {
-                // Users table
-                this.db.run(`
-                    CREATE TABLE IF NOT EXISTS users (
-                        id INTEGER PRIMARY KEY AUTOINCREMENT,
-                        name TEXT NOT NULL,
-                        email TEXT UNIQUE NOT NULL,
-                        password TEXT NOT NULL,
-                        role TEXT DEFAULT 'user',
-                        isActive BOOLEAN DEFAULT 1,
-                        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-                        lastLogin DATETIME
-                    )
-                `, (err) => {
-                    if (err) reject(err);
-                });
-
-                // Todos table
-                this.db.run(`
-                    CREATE TABLE IF NOT EXISTS todos (
-                        id INTEGER PRIMARY KEY AUTOINCREMENT,
-                        task TEXT NOT NULL,
-                        description TEXT,
-                        completed BOOLEAN DEFAULT 0,
-                        priority TEXT DEFAULT 'medium',
-                        dueDate DATETIME,
-                        userId INTEGER NOT NULL,
-                        tags TEXT,
-                        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-                        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-                        FOREIGN KEY(userId) REFERENCES users(id) ON DELETE CASCADE
-                    )
-                `, (err) => {
-                    if (err) reject(err);
-                });
-
-                // Create indexes
-                this.db.run('CREATE INDEX IF NOT EXISTS idx_todos_user ON todos(userId)');
-                this.db.run('CREATE INDEX IF NOT EXISTS idx_todos_completed ON todos(completed)');
-                this.db.run('CREATE INDEX IF NOT EXISTS idx_todos_priority ON todos(priority)');
-                
-                console.log('✅ SQLite database initialized');
-                resolve();
-            });
-        });
+// One page of `select FROM from WHERE where` ordered by column, then id.
+// `sort` is [field, order] as named in cursors; `order` defaults to its
+// order. See pageWithCursors() for keyOf and the result.
+const readPage = async (db, { select, from, where = '', params = [], column, idColumn, sort, order = sort[1], keyOf, paging }) => {
+    const { limit, skip, cursor } = paging;
+    if (cursor && (cursor.sort[0] !== sort[0] || cursor.sort[1] !== sort[1])) {
+        throw new ValidationError('Invalid cursor.');
     }
 
-    // ======================
-    // USER METHODS
-    // ======================
+    const backwards = Boolean(cursor && cursor.before);
+    const ascending = (order === 'asc') !== backwards;
+    const conditions = where ? [where] : [];
+    const values = [...params];
+    const keyset = Boolean(keyOf && cursor);
+    if (keyset) {
+        const seek = seekCondition(column, idColumn, cursor.after || cursor.before, ascending);
+        conditions.push(seek.sql);
+        values.push(...seek.params);
+    }
 
-    async createUser(userData) {
-        return new Promise((resolve, reject) => {
-            const { name, email, password, role = 'user' } = userData;
-            this.db.run(
-                'INSERT INTO users (name, email, password, role) VALUES (?, ?, ?, ?)',
-                [name, email, password, role],
-                function(err) {
-                    if (err) {
-                        // Handle duplicate email
-                        if (err.message.includes('UNIQUE constraint failed')) {
-                            reject(new Error('User with this email already exists.'));
-                        } else {
-                            reject(err);
-                        }
-                    } else {
-                        resolve({ 
-                            id: this.lastID, 
-                            name, 
-                            email, 
-                            role, 
-                            isActive: true,
-                            createdAt: new Date()
-                        });
-                    }
-                }
+    const direction = ascending ? 'ASC' : 'DESC';
+    const rows = await db.all(
+        `${select} FROM ${from}
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY ${column} ${direction}, ${idColumn} ${direction} LIMIT ? OFFSET ?`,
+        [...values, limit + 1, keyset ? 0 : skip]
+    );
+    return pageWithCursors(rows, { limit, skip, cursor, sort, keyOf });
+};
+
+// ======================
+// ROW MAPPERS
+// ======================
+
+// Ids leave the repositories as strings, as they do from MongoDB
+const toId = (id) => (id === null || id === undefined ? null : String(id));
+
+const toUser = (row) => {
+    if (!row) return null;
+    return {
+        id: toId(row.id),
+        name: row.name,
+        email: row.email,
+        role: row.role,
+        isActive: Boolean(row.isActive),
+        emailVerified: Boolean(row.emailVerified),
+        createdAt: toDate(row.createdAt),
+        lastLogin: toDate(row.lastLogin)
+    };
+};
+
+const toTodo = (row) => {
+    if (!row) return null;
+    return {
+        id: toId(row.id),
+        task: row.task,
+        description: row.description || null,
+        completed: Boolean(row.completed),
+        priority: row.priority,
+        dueDate: toDate(row.dueDate),
+        tags: row.tags ? JSON.parse(row.tags) : [],
+        autoComplete: Boolean(row.autoComplete),
+        progress: {
+            completed: row.itemsCompleted || 0,
+            total: row.itemsTotal || 0
+        },
+        listId: toId(row.listId),
+        recurrence: row.recurrence || null,
+        occurrence: row.occurrence || 1,
+        reminders: row.reminders ? JSON.parse(row.reminders) : null,
+        userId: toId(row.userId),
+        completedAt: toDate(row.completedAt),
+        deletedAt: toDate(row.deletedAt),
+        createdAt: toDate(row.createdAt),
+        updatedAt: toDate(row.updatedAt)
+    };
+};
+
+const toItem = (row) => {
+    if (!row) return null;
+    return {
+        id: toId(row.id),
+        text: row.text,
+        completed: Boolean(row.completed),
+        position: row.position
+    };
+};
+
+const toList = (row) => {
+    if (!row) return null;
+    return {
+        id: toId(row.id),
+        name: row.name,
+        color: row.color,
+        archived: Boolean(row.archived),
+        userId: toId(row.userId),
+        createdAt: toDate(row.createdAt),
+        updatedAt: toDate(row.updatedAt)
+    };
+};
+
+const toShare = (row) => {
+    if (!row) return null;
+    return {
+        id: toId(row.id),
+        resourceType: row.resourceType,
+        resourceId: toId(row.resourceType === 'todo' ? row.todoId : row.listId),
+        ownerId: toId(row.ownerId),
+        userId: toId(row.userId),
+        permission: row.permission,
+        createdAt: toDate(row.createdAt),
+        updatedAt: toDate(row.updatedAt)
+    };
+};
+
+const toNotification = (row) => {
+    if (!row) return null;
+    return {
+        id: toId(row.id),
+        userId: toId(row.userId),
+        todoId: toId(row.todoId),
+        type: row.type,
+        title: row.title,
+        body: row.body,
+        read: Boolean(row.readAt),
+        readAt: toDate(row.readAt),
+        createdAt: toDate(row.createdAt)
+    };
+};
+
+// Rows joined with the acting user as actorName / actorEmail
+const toRevision = (row) => {
+    if (!row) return null;
+    return {
+        id: toId(row.id),
+        todoId: toId(row.todoId),
+        userId: toId(row.userId),
+        actor: { id: toId(row.actorId), name: row.actorName || null, email: row.actorEmail || null },
+        revision: row.revision,
+        action: row.action,
+        changes: JSON.parse(row.changes),
+        snapshot: JSON.parse(row.snapshot),
+        revertedTo: row.revertedTo || null,
+        createdAt: toDate(row.createdAt)
+    };
+};
+
+const toWebhook = (row) => {
+    if (!row) return null;
+    return {
+        id: toId(row.id),
+        userId: toId(row.userId),
+        url: row.url,
+        events: JSON.parse(row.events),
+        description: row.description || null,
+        active: Boolean(row.active),
+        createdAt: toDate(row.createdAt),
+        updatedAt: toDate(row.updatedAt)
+    };
+};
+
+const toDelivery = (row) => {
+    if (!row) return null;
+    return {
+        id: toId(row.id),
+        webhookId: toId(row.webhookId),
+        event: row.event,
+        payload: row.payload,
+        status: row.status,
+        attempts: row.attempts,
+        nextAttemptAt: toDate(row.nextAttemptAt),
+        responseStatus: row.responseStatus || null,
+        error: row.error || null,
+        createdAt: toDate(row.createdAt),
+        updatedAt: toDate(row.updatedAt)
+    };
+};
+
+const toRefreshToken = (row) => {
+    if (!row) return null;
+    return {
+        id: toId(row.id),
+        userId: toId(row.userId),
+        family: row.family,
+        tokenHash: row.tokenHash,
+        expiresAt: toDate(row.expiresAt),
+        revokedAt: toDate(row.revokedAt),
+        replacedBy: toId(row.replacedBy),
+        createdAt: toDate(row.createdAt)
+    };
+};
+
+const toAuthToken = (row) => {
+    if (!row) return null;
+    return {
+        id: toId(row.id),
+        userId: toId(row.userId),
+        type: row.type,
+        tokenHash: row.tokenHash,
+        expiresAt: toDate(row.expiresAt),
+        usedAt: toDate(row.usedAt),
+        createdAt: toDate(row.createdAt)
+    };
+};
+
+const toCalendarFeed = (row) => {
+    if (!row) return null;
+    return {
+        id: toId(row.id),
+        userId: toId(row.userId),
+        tokenHash: row.tokenHash,
+        createdAt: toDate(row.createdAt),
+        lastAccessedAt: toDate(row.lastAccessedAt)
+    };
+};
+
+// ======================
+// USER REPOSITORY
+// ======================
+
+class SQLiteUserRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async findById(id) {
+        const row = await this.db.get('SELECT * FROM users WHERE id = ?', [id]);
+        return toUser(row);
+    }
+
+    async findByEmail(email, { withPassword = false } = {}) {
+        const row = await this.db.get('SELECT * FROM users WHERE email = ?', [normalizeEmail(email)]);
+        if (!row) return null;
+        const user = toUser(row);
+        if (withPassword) user.password = row.password;
+        return user;
+    }
+
+    async create({ name, email, password, role = 'user' }) {
+        try {
+            const { lastID } = await this.db.run(
+                'INSERT INTO users (name, email, password, role, emailVerified, createdAt) VALUES (?, ?, ?, ?, 0, ?)',
+                [name.trim(), normalizeEmail(email), password, role, now()]
             );
+            return this.findById(lastID);
+        } catch (err) {
+            // Handle duplicate email
+            if (err.message.includes('UNIQUE constraint failed')) {
+                throw new ConflictError('User with this email already exists.');
+            }
+            throw err;
+        }
+    }
+
+    async update(id, fields) {
+        const columns = [];
+        const values = [];
+
+        if (fields.name !== undefined) {
+            columns.push('name = ?');
+            values.push(fields.name.trim());
+        }
+        if (fields.role !== undefined) {
+            columns.push('role = ?');
+            values.push(fields.role);
+        }
+        if (fields.isActive !== undefined) {
+            columns.push('isActive = ?');
+            values.push(fields.isActive ? 1 : 0);
+        }
+        if (fields.password !== undefined) {
+            columns.push('password = ?');
+            values.push(fields.password);
+        }
+        if (fields.emailVerified !== undefined) {
+            columns.push('emailVerified = ?');
+            values.push(fields.emailVerified ? 1 : 0);
+        }
+
+        if (columns.length > 0) {
+            values.push(id);
+            await this.db.run(`UPDATE users SET ${columns.join(', ')} WHERE id = ?`, values);
+        }
+        return this.findById(id);
+    }
+
+    async recordLogin(id) {
+        await this.db.run('UPDATE users SET lastLogin = ? WHERE id = ?', [now(), id]);
+    }
+
+    async list(options = {}) {
+        const paging = normalizePageOptions(options, { defaultLimit: 50 });
+        const { rows, nextCursor, prevCursor } = await readPage(this.db, {
+            select: 'SELECT *',
+            from: 'users',
+            column: 'createdAt',
+            idColumn: 'id',
+            sort: ['createdAt', 'desc'],
+            keyOf: row => [row.createdAt, row.id],
+            paging
         });
+        const { total } = await this.db.get('SELECT COUNT(*) AS total FROM users');
+
+        return { users: rows.map(toUser), total, nextCursor, prevCursor };
     }
 
-    async findUserByEmail(email) {
-        return new Promise((resolve, reject) => {
-            this.db.get(
-                'SELECT * FROM users WHERE email = ? AND isActive = 1',
-                [email],
-                (err, row) => {
-                    if (err) reject(err);
-                    else resolve(row);
-                }
-            );
+    async countActiveAdmins() {
+        const { count } = await this.db.get(
+            "SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND isActive = 1"
+        );
+        return count;
+    }
+
+    // Todos and tokens go with the user through ON DELETE CASCADE
+    async delete(id) {
+        const { changes } = await this.db.run('DELETE FROM users WHERE id = ?', [id]);
+        return changes > 0;
+    }
+}
+
+// ======================
+// TODO REPOSITORY
+// ======================
+
+// Todo rows carry their checklist progress
+const TODO_COLUMNS = `todos.*,
+    (SELECT COUNT(*) FROM todo_items i WHERE i.todoId = todos.id) AS itemsTotal,
+    (SELECT COUNT(*) FROM todo_items i WHERE i.todoId = todos.id AND i.completed = 1) AS itemsCompleted`;
+const TODO_SELECT = `SELECT ${TODO_COLUMNS} FROM todos`;
+
+// SET clause for completedAt when `completed` changes; completing keeps the
+// time of a todo that already was completed and takes one parameter (now)
+const completedAtChange = (completed) => (completed
+    ? 'completedAt = CASE WHEN completed = 1 THEN completedAt ELSE ? END'
+    : 'completedAt = NULL');
+
+// FTS5 query where every term must match; terms are quoted so user input
+// cannot use FTS5 syntax
+const ftsQuery = (terms) => terms
+    .map(term => `"${term.text.replace(/"/g, '""')}"${term.prefix ? '*' : ''}`)
+    .join(' ');
+
+// FROM / WHERE conditions for the todo list filters of one user; searches join the
+// full-text index
+const todoFilter = (userId, options) => {
+    const filters = normalizeListOptions(options);
+    const { completed, priorities, list, tags, tagMatch, excludeTags, search } = filters;
+
+    let from = 'todos';
+    const conditions = ['todos.userId = ?', 'todos.deletedAt IS NULL'];
+    const params = [userId];
+    const where = (condition, ...values) => {
+        conditions.push(condition);
+        params.push(...values);
+    };
+    const placeholders = (values) => values.map(() => '?').join(', ');
+    const tagsMatching = (values) => `(SELECT COUNT(DISTINCT value) FROM json_each(todos.tags) WHERE value IN (${placeholders(values)}))`;
+
+    if (search) {
+        from += ' JOIN todos_fts ON todos_fts.rowid = todos.id';
+        where('todos_fts MATCH ?', ftsQuery(search));
+    }
+    if (completed !== undefined) where('todos.completed = ?', completed ? 1 : 0);
+    if (priorities) where(`todos.priority IN (${placeholders(priorities)})`, ...priorities);
+    if (list === null) where('todos.listId IS NULL');
+    else if (list !== undefined) where('todos.listId = ?', list);
+    if (tags && tagMatch === 'all') where(`${tagsMatching(tags)} = ?`, ...tags, tags.length);
+    else if (tags) where(`${tagsMatching(tags)} > 0`, ...tags);
+    if (excludeTags) where(`${tagsMatching(excludeTags)} = 0`, ...excludeTags);
+
+    // Dates are stored as ISO strings, which compare in time order
+    if (filters.dueFrom) where('todos.dueDate >= ?', toISO(filters.dueFrom));
+    if (filters.dueTo) where('todos.dueDate < ?', toISO(filters.dueTo));
+    if (filters.noDueDate !== undefined) where(`todos.dueDate IS ${filters.noDueDate ? '' : 'NOT '}NULL`);
+    if (filters.overdue !== undefined) {
+        const overdue = 'todos.completed = 0 AND todos.dueDate IS NOT NULL AND todos.dueDate < ?';
+        where(filters.overdue ? `(${overdue})` : `NOT (${overdue})`, toISO(filters.now));
+    }
+    if (filters.createdAfter) where('todos.createdAt > ?', toISO(filters.createdAfter));
+    if (filters.updatedAfter) where('todos.updatedAt > ?', toISO(filters.updatedAfter));
+
+    return { from, where: conditions.join(' AND '), params };
+};
+
+// bm25() weights for task, description, tags
+const SEARCH_COLUMNS = `
+    bm25(todos_fts, 10.0, 2.0, 5.0) AS searchRank,
+    highlight(todos_fts, 0, '${SEARCH_MARK_START}', '${SEARCH_MARK_END}') AS taskMarked,
+    snippet(todos_fts, 1, '${SEARCH_MARK_START}', '${SEARCH_MARK_END}', '…', 16) AS descriptionMarked`;
+
+const toSearchResult = (row, terms) => {
+    const todo = toTodo(row);
+    return {
+        ...todo,
+        search: {
+            // bm25() is lower for better matches
+            score: -row.searchRank,
+            highlights: {
+                task: markedToHtml(row.taskMarked),
+                description: markedToHtml(row.descriptionMarked),
+                tags: matchingTags(todo.tags, terms)
+            }
+        }
+    };
+};
+
+class SQLiteTodoRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async create(userId, input, { createdAt = null, completedAt = null } = {}) {
+        const todo = normalizeTodoInput(input);
+        const timestamp = now();
+        const { lastID } = await this.db.run(
+            `INSERT INTO todos (task, description, completed, priority, dueDate, userId, tags, autoComplete, listId,
+                                recurrence, occurrence, reminders, completedAt, createdAt, updatedAt)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                todo.task,
+                todo.description,
+                todo.completed ? 1 : 0,
+                todo.priority,
+                toISO(todo.dueDate),
+                userId,
+                JSON.stringify(todo.tags),
+                todo.autoComplete ? 1 : 0,
+                todo.listId,
+                todo.recurrence,
+                todo.occurrence,
+                todo.reminders ? JSON.stringify(todo.reminders) : null,
+                todo.completed ? toISO(completedAt) || timestamp : null,
+                toISO(createdAt) || timestamp,
+                timestamp
+            ]
+        );
+        return this.findById(lastID, userId);
+    }
+
+    async findForUser(userId, options = {}) {
+        const paging = normalizeListOptions(options);
+        const { sortBy, sortOrder, search } = paging;
+        const { from, where, params } = todoFilter(userId, options);
+
+        // Relevance pages by offset, bm25() is lower for better matches
+        const byRelevance = sortBy === 'relevance';
+        const { rows, nextCursor, prevCursor } = await readPage(this.db, {
+            select: `SELECT ${TODO_COLUMNS}${search ? `, ${SEARCH_COLUMNS}` : ''}`,
+            from,
+            where,
+            params,
+            column: byRelevance ? 'searchRank' : `todos.${sortBy}`,
+            idColumn: 'todos.id',
+            sort: [sortBy, sortOrder],
+            order: byRelevance ? 'asc' : sortOrder,
+            keyOf: byRelevance ? null : row => [row[sortBy], row.id],
+            paging
         });
+        const { total } = await this.db.get(`SELECT COUNT(*) AS total FROM ${from} WHERE ${where}`, params);
+
+        return {
+            todos: rows.map(row => (search ? toSearchResult(row, search) : toTodo(row))),
+            total,
+            nextCursor,
+            prevCursor
+        };
     }
 
-    async findUserById(id) {
-        return new Promise((resolve, reject) => {
-            this.db.get(
-                'SELECT id, name, email, role, isActive, createdAt, lastLogin FROM users WHERE id = ? AND isActive = 1',
-                [id],
-                (err, row) => {
-                    if (err) reject(err);
-                    else resolve(row);
-                }
-            );
+    async findIdsForUser(userId, filters = {}) {
+        const { from, where, params } = todoFilter(userId, filters);
+        const rows = await this.db.all(
+            `SELECT todos.id FROM ${from} WHERE ${where} ORDER BY todos.createdAt ASC, todos.id ASC`,
+            params
+        );
+        return rows.map(row => toId(row.id));
+    }
+
+    async listForUser(userId) {
+        const rows = await this.db.all(
+            `${TODO_SELECT} WHERE userId = ? AND deletedAt IS NULL ORDER BY createdAt ASC, id ASC`,
+            [userId]
+        );
+        const items = await this.db.all(
+            `SELECT i.* FROM todo_items i JOIN todos t ON t.id = i.todoId
+             WHERE t.userId = ? AND t.deletedAt IS NULL ORDER BY i.position ASC`,
+            [userId]
+        );
+        return rows.map(row => ({
+            ...toTodo(row),
+            items: items.filter(item => item.todoId === row.id).map(toItem)
+        }));
+    }
+
+    async findById(id, userId) {
+        const row = await this.db.get(`${TODO_SELECT} WHERE id = ? AND userId = ? AND deletedAt IS NULL`, [id, userId]);
+        if (!row) return null;
+        return { ...toTodo(row), items: await this.itemsOf(row.id) };
+    }
+
+    async update(id, userId, input) {
+        const updates = normalizeTodoInput(input, { partial: true });
+        const columns = [];
+        const values = [];
+
+        for (const [field, value] of Object.entries(updates)) {
+            columns.push(`${field} = ?`);
+            if (field === 'completed' || field === 'autoComplete') values.push(value ? 1 : 0);
+            else if (field === 'dueDate') values.push(toISO(value));
+            else if (field === 'tags') values.push(JSON.stringify(value));
+            else if (field === 'reminders') values.push(value ? JSON.stringify(value) : null);
+            else values.push(value);
+        }
+        if (updates.completed !== undefined) {
+            columns.push(completedAtChange(updates.completed));
+            if (updates.completed) values.push(now());
+        }
+
+        columns.push('updatedAt = ?');
+        values.push(now(), id, userId);
+
+        const { changes } = await this.db.run(
+            `UPDATE todos SET ${columns.join(', ')} WHERE id = ? AND userId = ? AND deletedAt IS NULL`,
+            values
+        );
+        if (changes === 0) return null;
+        return this.findById(id, userId);
+    }
+
+    async delete(id, userId) {
+        const { changes } = await this.db.run(
+            'UPDATE todos SET deletedAt = ? WHERE id = ? AND userId = ? AND deletedAt IS NULL',
+            [now(), id, userId]
+        );
+        return changes > 0;
+    }
+
+    async findTrash(userId, options = {}) {
+        const paging = normalizePageOptions(options);
+        const { rows, nextCursor, prevCursor } = await readPage(this.db, {
+            select: `SELECT ${TODO_COLUMNS}`,
+            from: 'todos',
+            where: 'todos.userId = ? AND todos.deletedAt IS NOT NULL',
+            params: [userId],
+            column: 'todos.deletedAt',
+            idColumn: 'todos.id',
+            sort: ['deletedAt', 'desc'],
+            keyOf: row => [row.deletedAt, row.id],
+            paging
         });
+        const { total } = await this.db.get(
+            'SELECT COUNT(*) AS total FROM todos WHERE userId = ? AND deletedAt IS NOT NULL',
+            [userId]
+        );
+
+        return { todos: rows.map(toTodo), total, nextCursor, prevCursor };
     }
 
-    async updateUserLastLogin(userId) {
-        return new Promise((resolve, reject) => {
-            this.db.run(
-                'UPDATE users SET lastLogin = CURRENT_TIMESTAMP WHERE id = ?',
-                [userId],
-                (err) => {
-                    if (err) reject(err);
-                    else resolve();
+    async restore(id, userId) {
+        const { changes } = await this.db.run(
+            'UPDATE todos SET deletedAt = NULL, updatedAt = ? WHERE id = ? AND userId = ? AND deletedAt IS NOT NULL',
+            [now(), id, userId]
+        );
+        if (changes === 0) return null;
+        return this.findById(id, userId);
+    }
+
+    async purge({ userId, id, deletedBefore } = {}) {
+        const conditions = ['deletedAt IS NOT NULL'];
+        const params = [];
+        if (userId !== undefined) {
+            conditions.push('userId = ?');
+            params.push(userId);
+        }
+        if (id !== undefined) {
+            conditions.push('id = ?');
+            params.push(id);
+        }
+        if (deletedBefore) {
+            conditions.push('deletedAt < ?');
+            params.push(toISO(deletedBefore));
+        }
+
+        const { changes } = await this.db.run(`DELETE FROM todos WHERE ${conditions.join(' AND ')}`, params);
+        return changes;
+    }
+
+    async bulkUpdate(targets, { set = {}, addTags = [], removeTags = [] }) {
+        const updates = normalizeTodoInput(set, { partial: true });
+
+        const updatedIds = await this.db.transaction(async (tx) => {
+            const ids = [];
+            for (const { id, userId } of targets) {
+                const row = await tx.get(
+                    'SELECT tags FROM todos WHERE id = ? AND userId = ? AND deletedAt IS NULL',
+                    [id, userId]
+                );
+                if (!row) continue;
+
+                const columns = ['updatedAt = ?'];
+                const values = [now()];
+                if (updates.completed !== undefined) {
+                    columns.push('completed = ?', completedAtChange(updates.completed));
+                    values.push(updates.completed ? 1 : 0);
+                    if (updates.completed) values.push(now());
                 }
-            );
+                if (updates.priority !== undefined) {
+                    columns.push('priority = ?');
+                    values.push(updates.priority);
+                }
+                if (addTags.length > 0 || removeTags.length > 0) {
+                    const tags = row.tags ? JSON.parse(row.tags) : [];
+                    columns.push('tags = ?');
+                    values.push(JSON.stringify(
+                        [...new Set([...tags, ...addTags])].filter(tag => !removeTags.includes(tag))
+                    ));
+                }
+
+                await tx.run(`UPDATE todos SET ${columns.join(', ')} WHERE id = ?`, [...values, id]);
+                ids.push(id);
+            }
+            return ids;
         });
+
+        const todos = [];
+        for (const id of updatedIds) {
+            const { userId } = targets.find(target => String(target.id) === String(id));
+            todos.push(await this.findById(id, userId));
+        }
+        return todos;
     }
 
-    async updateUserName(userId, name) {
-        return new Promise((resolve, reject) => {
-            this.db.run(
-                'UPDATE users SET name = ? WHERE id = ?',
-                [name, userId],
-                function(err) {
-                    if (err) reject(err);
-                    else resolve(this.changes > 0);
-                }
-            );
+    async bulkDelete(targets) {
+        const timestamp = now();
+        return this.db.transaction(async (tx) => {
+            const ids = [];
+            for (const { id, userId } of targets) {
+                const { changes } = await tx.run(
+                    'UPDATE todos SET deletedAt = ? WHERE id = ? AND userId = ? AND deletedAt IS NULL',
+                    [timestamp, id, userId]
+                );
+                if (changes > 0) ids.push(id);
+            }
+            return ids;
         });
     }
 
-    // ======================
-    // TODO METHODS
-    // ======================
+    async stats(userId, { listId } = {}) {
+        let where = 'WHERE userId = ? AND deletedAt IS NULL';
+        const params = [userId];
+        if (listId === null) {
+            where += ' AND listId IS NULL';
+        } else if (listId !== undefined) {
+            where += ' AND listId = ?';
+            params.push(listId);
+        }
 
-    async createTodo(todoData) {
-        return new Promise((resolve, reject) => {
-            const { task, description, priority, dueDate, userId, tags } = todoData;
-            this.db.run(
-                `INSERT INTO todos (task, description, priority, dueDate, userId, tags) 
-                 VALUES (?, ?, ?, ?, ?, ?)`,
-                [
-                    task, 
-                    description || null, 
-                    priority || 'medium', 
-                    dueDate || null, 
-                    userId, 
-                    tags ? JSON.stringify(tags) : null
-                ],
-                function(err) {
-                    if (err) reject(err);
-                    else {
-                        resolve({ 
-                            id: this.lastID, 
-                            ...todoData,
-                            completed: false,
-                            createdAt: new Date(),
-                            updatedAt: new Date()
-                        });
-                    }
-                }
+        const row = await this.db.get(
+            `SELECT
+                COUNT(*) AS total,
+                COALESCE(SUM(completed = 1), 0) AS completed,
+                COALESCE(SUM(completed = 0), 0) AS pending,
+                COALESCE(SUM(priority = 'high'), 0) AS highPriority,
+                COALESCE(SUM(priority = 'medium'), 0) AS mediumPriority,
+                COALESCE(SUM(priority = 'low'), 0) AS lowPriority
+             FROM todos ${where}`,
+            params
+        );
+        return { ...row };
+    }
+
+    async statsByList(userId) {
+        const rows = await this.db.all(
+            `SELECT
+                listId,
+                COUNT(*) AS total,
+                COALESCE(SUM(completed = 1), 0) AS completed,
+                COALESCE(SUM(completed = 0), 0) AS pending
+             FROM todos WHERE userId = ? AND deletedAt IS NULL
+             GROUP BY listId`,
+            [userId]
+        );
+        return rows.map(row => ({ ...row, listId: toId(row.listId) }));
+    }
+
+    async analytics(userId, { periods, from, to, now: at = new Date(), listId } = {}) {
+        let where = 'userId = ? AND deletedAt IS NULL';
+        const params = [userId];
+        if (listId === null) {
+            where += ' AND listId IS NULL';
+        } else if (listId !== undefined) {
+            where += ' AND listId = ?';
+            params.push(listId);
+        }
+
+        // One row per period; overdue is counted where the period ends, or now
+        const bounds = periods.map(({ start, end }) => [toISO(start), toISO(end), toISO(end < at ? end : at)]);
+        const series = await this.db.all(
+            `WITH periods(start, end, cutoff) AS (VALUES ${bounds.map(() => '(?, ?, ?)').join(', ')})
+             SELECT
+                (SELECT COUNT(*) FROM todos WHERE ${where}
+                    AND createdAt >= periods.start AND createdAt < periods.end) AS created,
+                (SELECT COUNT(*) FROM todos WHERE ${where}
+                    AND completedAt >= periods.start AND completedAt < periods.end) AS completed,
+                (SELECT COUNT(*) FROM todos WHERE ${where}
+                    AND dueDate < periods.cutoff AND createdAt < periods.cutoff
+                    AND (completedAt IS NULL OR completedAt >= periods.cutoff)) AS overdue
+             FROM periods
+             ORDER BY periods.start`,
+            [...bounds.flat(), ...params, ...params, ...params]
+        );
+
+        const timeToComplete = await this.db.all(
+            `SELECT priority, COUNT(*) AS count,
+                AVG((julianday(completedAt) - julianday(createdAt)) * 24) AS averageHours
+             FROM todos
+             WHERE ${where} AND completedAt >= ? AND completedAt < ?
+             GROUP BY priority`,
+            [...params, toISO(from), toISO(to)]
+        );
+
+        const days = await this.db.all(
+            `SELECT DISTINCT substr(completedAt, 1, 10) AS day FROM todos
+             WHERE ${where} AND completedAt IS NOT NULL
+             ORDER BY day`,
+            params
+        );
+
+        return {
+            series: series.map(row => ({ ...row })),
+            timeToComplete: timeToComplete.map(row => ({ ...row })),
+            completionDays: days.map(row => row.day)
+        };
+    }
+
+    async tagCounts(userId) {
+        const rows = await this.db.all(
+            `SELECT tag.value AS name, COUNT(*) AS count, COALESCE(SUM(todos.completed = 0), 0) AS open
+             FROM todos, json_each(todos.tags) AS tag
+             WHERE todos.userId = ? AND todos.deletedAt IS NULL
+             GROUP BY tag.value
+             ORDER BY count DESC, name ASC`,
+            [userId]
+        );
+        return rows.map(row => ({ ...row }));
+    }
+
+    async replaceTags(userId, tags, replacement) {
+        const placeholders = tags.map(() => '?').join(', ');
+        const ids = await this.db.transaction(async (tx) => {
+            const rows = await tx.all(
+                `SELECT id, tags FROM todos
+                 WHERE userId = ? AND deletedAt IS NULL AND EXISTS (SELECT 1 FROM json_each(todos.tags) WHERE value IN (${placeholders}))`,
+                [userId, ...tags]
             );
+            const timestamp = now();
+            for (const row of rows) {
+                // Keeps the tag order; the replacement takes the first replaced tag's place
+                const updated = [...new Set(JSON.parse(row.tags).map(tag => (tags.includes(tag) ? replacement : tag)))]
+                    .filter(tag => tag !== null);
+                await tx.run('UPDATE todos SET tags = ?, updatedAt = ? WHERE id = ?', [JSON.stringify(updated), timestamp, row.id]);
+            }
+            return rows.map(row => row.id);
         });
+
+        const todos = [];
+        for (const id of ids) {
+            todos.push(await this.findById(id, userId));
+        }
+        return todos;
     }
 
-    async getTodosByUser(userId, filters = {}) {
-        return new Promise((resolve, reject) => {
-            const { page = 1, limit = 10, completed, priority, sortBy = 'createdAt', sortOrder = 'DESC', search } = filters;
-            const offset = (page - 1) * limit;
-            
-            let query = 'SELECT * FROM todos WHERE userId = ?';
-            const params = [userId];
-            
-            // Apply filters
-            if (completed !== undefined) {
-                query += ' AND completed = ?';
-                params.push(completed === 'true' ? 1 : 0);
-            }
-            if (priority) {
-                query += ' AND priority = ?';
-                params.push(priority);
-            }
-            if (search) {
-                query += ' AND task LIKE ?';
-                params.push(`%${search}%`);
-            }
-            
-            // Add sorting
-            const validSortColumns = ['createdAt', 'dueDate', 'priority', 'task'];
-            const sortColumn = validSortColumns.includes(sortBy) ? sortBy : 'createdAt';
-            query += ` ORDER BY ${sortColumn} ${sortOrder.toUpperCase()}`;
-            
-            // Add pagination
-            query += ' LIMIT ? OFFSET ?';
-            params.push(limit, offset);
-            
-            this.db.all(query, params, (err, rows) => {
-                if (err) reject(err);
-                else {
-                    // Parse tags from JSON
-                    const todos = rows.map(todo => ({
-                        ...todo,
-                        tags: todo.tags ? JSON.parse(todo.tags) : [],
-                        completed: Boolean(todo.completed)
-                    }));
-                    resolve(todos);
-                }
-            });
+    async reassignList(userId, fromListId, toListId) {
+        const { changes } = await this.db.run(
+            'UPDATE todos SET listId = ?, updatedAt = ? WHERE userId = ? AND listId = ? AND deletedAt IS NULL',
+            [toListId || null, now(), userId, fromListId]
+        );
+        return changes;
+    }
+
+    async deleteInList(userId, listId) {
+        const { changes } = await this.db.run(
+            'UPDATE todos SET deletedAt = ? WHERE userId = ? AND listId = ? AND deletedAt IS NULL',
+            [now(), userId, listId]
+        );
+        return changes;
+    }
+
+    async listAll(options = {}) {
+        const paging = normalizePageOptions(options, { defaultLimit: 50 });
+        const { rows, nextCursor, prevCursor } = await readPage(this.db, {
+            select: `SELECT ${TODO_COLUMNS}, u.name AS userName, u.email AS userEmail`,
+            from: 'todos LEFT JOIN users u ON todos.userId = u.id',
+            where: 'todos.deletedAt IS NULL',
+            column: 'todos.createdAt',
+            idColumn: 'todos.id',
+            sort: ['createdAt', 'desc'],
+            keyOf: row => [row.createdAt, row.id],
+            paging
         });
+        const { total } = await this.db.get('SELECT COUNT(*) AS total FROM todos WHERE deletedAt IS NULL');
+
+        return {
+            todos: rows.map(row => ({
+                ...toTodo(row),
+                user: { id: toId(row.userId), name: row.userName, email: row.userEmail }
+            })),
+            total,
+            nextCursor,
+            prevCursor
+        };
     }
 
-    async getTodoById(id, userId) {
-        return new Promise((resolve, reject) => {
-            this.db.get(
-                'SELECT * FROM todos WHERE id = ? AND userId = ?',
-                [id, userId],
-                (err, row) => {
-                    if (err) reject(err);
-                    else if (row) {
-                        // Parse tags from JSON
-                        row.tags = row.tags ? JSON.parse(row.tags) : [];
-                        row.completed = Boolean(row.completed);
-                        resolve(row);
-                    } else {
-                        resolve(null);
-                    }
-                }
+    async listDueBetween(from, to) {
+        const rows = await this.db.all(
+            `SELECT ${TODO_COLUMNS}, u.name AS userName, u.email AS userEmail, u.isActive AS userActive
+             FROM todos
+             JOIN users u ON todos.userId = u.id
+             WHERE todos.completed = 0 AND todos.deletedAt IS NULL AND todos.dueDate > ? AND todos.dueDate <= ?
+             ORDER BY todos.dueDate ASC`,
+            [toISO(from), toISO(to)]
+        );
+        return rows.map(row => ({
+            ...toTodo(row),
+            user: { id: toId(row.userId), name: row.userName, email: row.userEmail, isActive: Boolean(row.userActive) }
+        }));
+    }
+
+    async ownerOf(id) {
+        const row = await this.db.get('SELECT id, userId, listId FROM todos WHERE id = ? AND deletedAt IS NULL', [id]);
+        return row ? { id: toId(row.id), userId: toId(row.userId), listId: toId(row.listId) } : null;
+    }
+
+    // ======================
+    // CHECKLIST ITEMS
+    // ======================
+
+    async itemsOf(todoId) {
+        const rows = await this.db.all(
+            'SELECT * FROM todo_items WHERE todoId = ? ORDER BY position ASC, id ASC',
+            [todoId]
+        );
+        return rows.map(toItem);
+    }
+
+    async ownsTodo(todoId, userId) {
+        const row = await this.db.get(
+            'SELECT id FROM todos WHERE id = ? AND userId = ? AND deletedAt IS NULL',
+            [todoId, userId]
+        );
+        return Boolean(row);
+    }
+
+    async touch(todoId) {
+        await this.db.run('UPDATE todos SET updatedAt = ? WHERE id = ?', [now(), todoId]);
+    }
+
+    async listItems(todoId, userId) {
+        if (!(await this.ownsTodo(todoId, userId))) return null;
+        return this.itemsOf(todoId);
+    }
+
+    async addItem(todoId, userId, input) {
+        const item = normalizeItemInput(input);
+        if (!(await this.ownsTodo(todoId, userId))) return null;
+
+        const { count } = await this.db.get('SELECT COUNT(*) AS count FROM todo_items WHERE todoId = ?', [todoId]);
+        const position = item.position === undefined ? count : Math.min(item.position, count);
+
+        // Make room when inserting in the middle
+        await this.db.run(
+            'UPDATE todo_items SET position = position + 1 WHERE todoId = ? AND position >= ?',
+            [todoId, position]
+        );
+        const timestamp = now();
+        const { lastID } = await this.db.run(
+            `INSERT INTO todo_items (todoId, text, completed, position, createdAt, updatedAt)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [todoId, item.text, item.completed ? 1 : 0, position, timestamp, timestamp]
+        );
+        await this.touch(todoId);
+        return toItem(await this.db.get('SELECT * FROM todo_items WHERE id = ?', [lastID]));
+    }
+
+    async updateItem(todoId, userId, itemId, input) {
+        const updates = normalizeItemInput(input, { partial: true });
+        if (!(await this.ownsTodo(todoId, userId))) return null;
+
+        const columns = [];
+        const values = [];
+        if (updates.text !== undefined) {
+            columns.push('text = ?');
+            values.push(updates.text);
+        }
+        if (updates.completed !== undefined) {
+            columns.push('completed = ?');
+            values.push(updates.completed ? 1 : 0);
+        }
+        columns.push('updatedAt = ?');
+        values.push(now(), itemId, todoId);
+
+        const { changes } = await this.db.run(
+            `UPDATE todo_items SET ${columns.join(', ')} WHERE id = ? AND todoId = ?`,
+            values
+        );
+        if (changes === 0) return null;
+        await this.touch(todoId);
+        return toItem(await this.db.get('SELECT * FROM todo_items WHERE id = ?', [itemId]));
+    }
+
+    async removeItem(todoId, userId, itemId) {
+        if (!(await this.ownsTodo(todoId, userId))) return false;
+
+        const item = await this.db.get('SELECT * FROM todo_items WHERE id = ? AND todoId = ?', [itemId, todoId]);
+        if (!item) return false;
+
+        await this.db.run('DELETE FROM todo_items WHERE id = ?', [itemId]);
+        await this.db.run(
+            'UPDATE todo_items SET position = position - 1 WHERE todoId = ? AND position > ?',
+            [todoId, item.position]
+        );
+        await this.touch(todoId);
+        return true;
+    }
+
+    async reorderItems(todoId, userId, itemIds) {
+        if (!(await this.ownsTodo(todoId, userId))) return null;
+
+        const current = await this.itemsOf(todoId);
+        const order = assertItemOrder(current.map(item => item.id), itemIds);
+
+        for (const [position, itemId] of order.entries()) {
+            await this.db.run('UPDATE todo_items SET position = ? WHERE id = ? AND todoId = ?', [position, itemId, todoId]);
+        }
+        await this.touch(todoId);
+        return this.itemsOf(todoId);
+    }
+}
+
+// ======================
+// LIST REPOSITORY
+// ======================
+
+class SQLiteListRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async create(userId, input) {
+        const list = normalizeListInput(input);
+        const timestamp = now();
+        const { lastID } = await this.db.run(
+            'INSERT INTO lists (name, color, archived, userId, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?)',
+            [list.name, list.color, list.archived ? 1 : 0, userId, timestamp, timestamp]
+        );
+        return this.findById(lastID, userId);
+    }
+
+    async findForUser(userId, { archived } = {}) {
+        let query = 'SELECT * FROM lists WHERE userId = ?';
+        const params = [userId];
+        if (archived !== undefined) {
+            query += ' AND archived = ?';
+            params.push(archived ? 1 : 0);
+        }
+        const rows = await this.db.all(`${query} ORDER BY name COLLATE NOCASE ASC, id ASC`, params);
+        return rows.map(toList);
+    }
+
+    async findById(id, userId) {
+        const row = await this.db.get('SELECT * FROM lists WHERE id = ? AND userId = ?', [id, userId]);
+        return toList(row);
+    }
+
+    async update(id, userId, input) {
+        const updates = normalizeListInput(input, { partial: true });
+        const columns = [];
+        const values = [];
+
+        for (const [field, value] of Object.entries(updates)) {
+            columns.push(`${field} = ?`);
+            values.push(field === 'archived' ? (value ? 1 : 0) : value);
+        }
+
+        columns.push('updatedAt = ?');
+        values.push(now(), id, userId);
+
+        const { changes } = await this.db.run(
+            `UPDATE lists SET ${columns.join(', ')} WHERE id = ? AND userId = ?`,
+            values
+        );
+        if (changes === 0) return null;
+        return this.findById(id, userId);
+    }
+
+    async delete(id, userId) {
+        const { changes } = await this.db.run('DELETE FROM lists WHERE id = ? AND userId = ?', [id, userId]);
+        return changes > 0;
+    }
+
+    async ownerOf(id) {
+        const row = await this.db.get('SELECT id, userId FROM lists WHERE id = ?', [id]);
+        return row ? { id: toId(row.id), userId: toId(row.userId) } : null;
+    }
+}
+
+// ======================
+// SHARE REPOSITORY
+// ======================
+
+// Shares point at either a todo or a list, so deleting either cascades
+const shareColumn = (resourceType) => (resourceType === 'todo' ? 'todoId' : 'listId');
+
+class SQLiteShareRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async grant({ resourceType, resourceId, ownerId, userId, permission }) {
+        const share = normalizeShareInput({ resourceType, permission });
+        const column = shareColumn(share.resourceType);
+        const timestamp = now();
+
+        const existing = await this.db.get(
+            `SELECT id FROM shares WHERE ${column} = ? AND userId = ?`,
+            [resourceId, userId]
+        );
+        if (existing) {
+            await this.db.run(
+                'UPDATE shares SET permission = ?, updatedAt = ? WHERE id = ?',
+                [share.permission, timestamp, existing.id]
             );
+            return toShare(await this.db.get('SELECT * FROM shares WHERE id = ?', [existing.id]));
+        }
+
+        const { lastID } = await this.db.run(
+            `INSERT INTO shares (resourceType, ${column}, ownerId, userId, permission, createdAt, updatedAt)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [share.resourceType, resourceId, ownerId, userId, share.permission, timestamp, timestamp]
+        );
+        return toShare(await this.db.get('SELECT * FROM shares WHERE id = ?', [lastID]));
+    }
+
+    async revoke(resourceType, resourceId, userId) {
+        const { changes } = await this.db.run(
+            `DELETE FROM shares WHERE ${shareColumn(resourceType)} = ? AND userId = ?`,
+            [resourceId, userId]
+        );
+        return changes > 0;
+    }
+
+    async permissionFor(userId, { todoId, listId }) {
+        const rows = await this.db.all(
+            'SELECT permission FROM shares WHERE userId = ? AND (todoId = ? OR listId = ?)',
+            [userId, todoId || null, listId || null]
+        );
+        return highestPermission(rows.map(row => row.permission));
+    }
+
+    async listForResource(resourceType, resourceId) {
+        const rows = await this.db.all(
+            `SELECT s.*, u.name AS userName, u.email AS userEmail
+             FROM shares s JOIN users u ON s.userId = u.id
+             WHERE s.${shareColumn(resourceType)} = ?
+             ORDER BY s.createdAt ASC, s.id ASC`,
+            [resourceId]
+        );
+        return rows.map(row => ({
+            ...toShare(row),
+            user: { id: toId(row.userId), name: row.userName, email: row.userEmail }
+        }));
+    }
+
+    async listForUser(userId) {
+        const rows = await this.db.all(
+            `SELECT s.*, u.name AS ownerName, u.email AS ownerEmail
+             FROM shares s JOIN users u ON s.ownerId = u.id
+             WHERE s.userId = ?
+             ORDER BY s.createdAt DESC, s.id DESC`,
+            [userId]
+        );
+        return rows.map(row => ({
+            ...toShare(row),
+            owner: { id: toId(row.ownerId), name: row.ownerName, email: row.ownerEmail }
+        }));
+    }
+
+    async listByOwner(userId) {
+        const rows = await this.db.all(
+            'SELECT * FROM shares WHERE ownerId = ? ORDER BY createdAt ASC, id ASC',
+            [userId]
+        );
+        return rows.map(toShare);
+    }
+}
+
+// ======================
+// REFRESH TOKEN REPOSITORY
+// ======================
+
+class SQLiteRefreshTokenRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async create({ userId, family, tokenHash, expiresAt }) {
+        const { lastID } = await this.db.run(
+            'INSERT INTO refresh_tokens (userId, family, tokenHash, expiresAt, createdAt) VALUES (?, ?, ?, ?, ?)',
+            [userId, family, tokenHash, toISO(expiresAt), now()]
+        );
+        return toRefreshToken(await this.db.get('SELECT * FROM refresh_tokens WHERE id = ?', [lastID]));
+    }
+
+    async findByHash(tokenHash) {
+        const row = await this.db.get('SELECT * FROM refresh_tokens WHERE tokenHash = ?', [tokenHash]);
+        return toRefreshToken(row);
+    }
+
+    async markUsed(id, replacedBy) {
+        // Only one caller can win the revokedAt IS NULL race
+        const { changes } = await this.db.run(
+            'UPDATE refresh_tokens SET revokedAt = ?, replacedBy = ? WHERE id = ? AND revokedAt IS NULL',
+            [now(), replacedBy || null, id]
+        );
+        return changes > 0;
+    }
+
+    async revokeFamily(family) {
+        await this.db.run(
+            'UPDATE refresh_tokens SET revokedAt = ? WHERE family = ? AND revokedAt IS NULL',
+            [now(), family]
+        );
+    }
+
+    async revokeAllForUser(userId) {
+        await this.db.run(
+            'UPDATE refresh_tokens SET revokedAt = ? WHERE userId = ? AND revokedAt IS NULL',
+            [now(), userId]
+        );
+    }
+
+    async isFamilyActive(family) {
+        const row = await this.db.get(
+            'SELECT 1 FROM refresh_tokens WHERE family = ? AND revokedAt IS NULL AND expiresAt > ? LIMIT 1',
+            [family, now()]
+        );
+        return Boolean(row);
+    }
+
+    async purgeExpired() {
+        await this.db.run('DELETE FROM refresh_tokens WHERE expiresAt <= ?', [now()]);
+    }
+
+    async listForUser(userId) {
+        const rows = await this.db.all('SELECT * FROM refresh_tokens WHERE userId = ? ORDER BY createdAt ASC', [userId]);
+        return rows.map(toRefreshToken);
+    }
+}
+
+// ======================
+// AUTH TOKEN REPOSITORY (password reset, email verification)
+// ======================
+
+class SQLiteAuthTokenRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async create({ userId, type, tokenHash, expiresAt }) {
+        const { lastID } = await this.db.run(
+            'INSERT INTO auth_tokens (userId, type, tokenHash, expiresAt, createdAt) VALUES (?, ?, ?, ?, ?)',
+            [userId, type, tokenHash, toISO(expiresAt), now()]
+        );
+        return toAuthToken(await this.db.get('SELECT * FROM auth_tokens WHERE id = ?', [lastID]));
+    }
+
+    async consume(tokenHash, type) {
+        const timestamp = now();
+        const { changes } = await this.db.run(
+            `UPDATE auth_tokens SET usedAt = ?
+             WHERE tokenHash = ? AND type = ? AND usedAt IS NULL AND expiresAt > ?`,
+            [timestamp, tokenHash, type, timestamp]
+        );
+        if (changes === 0) return null;
+        return toAuthToken(await this.db.get('SELECT * FROM auth_tokens WHERE tokenHash = ?', [tokenHash]));
+    }
+
+    async invalidateForUser(userId, type) {
+        await this.db.run(
+            'UPDATE auth_tokens SET usedAt = ? WHERE userId = ? AND type = ? AND usedAt IS NULL',
+            [now(), userId, type]
+        );
+    }
+
+    async listForUser(userId) {
+        const rows = await this.db.all('SELECT * FROM auth_tokens WHERE userId = ? ORDER BY createdAt ASC', [userId]);
+        return rows.map(toAuthToken);
+    }
+}
+
+// ======================
+// CALENDAR FEED REPOSITORY
+// ======================
+
+class SQLiteCalendarFeedRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async rotate(userId, tokenHash) {
+        await this.db.run(
+            `INSERT INTO calendar_feeds (userId, tokenHash, createdAt) VALUES (?, ?, ?)
+             ON CONFLICT(userId) DO UPDATE SET
+                tokenHash = excluded.tokenHash, createdAt = excluded.createdAt, lastAccessedAt = NULL`,
+            [userId, tokenHash, now()]
+        );
+        return this.findForUser(userId);
+    }
+
+    async findByHash(tokenHash) {
+        return toCalendarFeed(await this.db.get('SELECT * FROM calendar_feeds WHERE tokenHash = ?', [tokenHash]));
+    }
+
+    async findForUser(userId) {
+        return toCalendarFeed(await this.db.get('SELECT * FROM calendar_feeds WHERE userId = ?', [userId]));
+    }
+
+    async recordAccess(id) {
+        await this.db.run('UPDATE calendar_feeds SET lastAccessedAt = ? WHERE id = ?', [now(), id]);
+    }
+
+    async delete(userId) {
+        const { changes } = await this.db.run('DELETE FROM calendar_feeds WHERE userId = ?', [userId]);
+        return changes > 0;
+    }
+}
+
+// ======================
+// REMINDER LOG
+// ======================
+
+class SQLiteReminderRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // The UNIQUE constraint makes this safe to race
+    async claim({ todoId, userId, offset, dueDate }) {
+        const { changes } = await this.db.run(
+            `INSERT OR IGNORE INTO reminder_log (todoId, userId, offsetMinutes, dueDate, sentAt)
+             VALUES (?, ?, ?, ?, ?)`,
+            [todoId, userId, offset, toISO(dueDate), now()]
+        );
+        return changes > 0;
+    }
+}
+
+// ======================
+// NOTIFICATION REPOSITORY
+// ======================
+
+class SQLiteNotificationRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async create({ userId, todoId = null, type, title, body = null }) {
+        const { lastID } = await this.db.run(
+            'INSERT INTO notifications (userId, todoId, type, title, body, createdAt) VALUES (?, ?, ?, ?, ?, ?)',
+            [userId, todoId, type, title, body, now()]
+        );
+        return toNotification(await this.db.get('SELECT * FROM notifications WHERE id = ?', [lastID]));
+    }
+
+    async findForUser(userId, { unread = false, limit = 50 } = {}) {
+        const rows = await this.db.all(
+            `SELECT * FROM notifications WHERE userId = ? ${unread ? 'AND readAt IS NULL' : ''}
+             ORDER BY createdAt DESC, id DESC LIMIT ?`,
+            [userId, limit]
+        );
+        return rows.map(toNotification);
+    }
+
+    async countUnread(userId) {
+        const row = await this.db.get(
+            'SELECT COUNT(*) AS count FROM notifications WHERE userId = ? AND readAt IS NULL',
+            [userId]
+        );
+        return row.count;
+    }
+
+    async markRead(id, userId) {
+        await this.db.run(
+            'UPDATE notifications SET readAt = ? WHERE id = ? AND userId = ? AND readAt IS NULL',
+            [now(), id, userId]
+        );
+        return toNotification(await this.db.get('SELECT * FROM notifications WHERE id = ? AND userId = ?', [id, userId]));
+    }
+
+    async markAllRead(userId) {
+        const { changes } = await this.db.run(
+            'UPDATE notifications SET readAt = ? WHERE userId = ? AND readAt IS NULL',
+            [now(), userId]
+        );
+        return changes;
+    }
+}
+
+// ======================
+// HISTORY REPOSITORY
+// ======================
+
+const REVISION_COLUMNS = 'r.*, a.name AS actorName, a.email AS actorEmail';
+const REVISION_FROM = 'todo_revisions r LEFT JOIN users a ON a.id = r.actorId';
+const REVISION_SELECT = `SELECT ${REVISION_COLUMNS} FROM ${REVISION_FROM}`;
+
+class SQLiteHistoryRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async record({ todoId, userId, actorId = null, action, changes, snapshot, revertedTo = null }) {
+        // Numbered in the same statement, so two changes cannot share a number
+        const { lastID } = await this.db.run(
+            `INSERT INTO todo_revisions (todoId, userId, actorId, revision, action, changes, snapshot, revertedTo, createdAt)
+             SELECT ?, ?, ?, COALESCE(MAX(revision), 0) + 1, ?, ?, ?, ?, ?
+             FROM todo_revisions WHERE todoId = ?`,
+            [todoId, userId, actorId, action, JSON.stringify(changes), JSON.stringify(snapshot), revertedTo, now(), todoId]
+        );
+        return toRevision(await this.db.get(`${REVISION_SELECT} WHERE r.id = ?`, [lastID]));
+    }
+
+    async latest(todoId) {
+        return toRevision(await this.db.get(
+            `${REVISION_SELECT} WHERE r.todoId = ? ORDER BY r.revision DESC LIMIT 1`,
+            [todoId]
+        ));
+    }
+
+    async findRevision(todoId, revision) {
+        return toRevision(await this.db.get(
+            `${REVISION_SELECT} WHERE r.todoId = ? AND r.revision = ?`,
+            [todoId, revision]
+        ));
+    }
+
+    async listForTodo(todoId, options = {}) {
+        return this.page('r.todoId = ?', [todoId], options);
+    }
+
+    async listForUser(userId, options = {}) {
+        return this.page('(r.userId = ? OR r.actorId = ?)', [userId, userId], options);
+    }
+
+    async page(where, params, options) {
+        const paging = normalizePageOptions(options, { defaultLimit: 20 });
+        const { rows, nextCursor, prevCursor } = await readPage(this.db, {
+            select: `SELECT ${REVISION_COLUMNS}`,
+            from: REVISION_FROM,
+            where,
+            params,
+            column: 'r.createdAt',
+            idColumn: 'r.id',
+            sort: ['createdAt', 'desc'],
+            keyOf: row => [row.createdAt, row.id],
+            paging
         });
+        const { total } = await this.db.get(`SELECT COUNT(*) AS total FROM todo_revisions r WHERE ${where}`, params);
+
+        return { revisions: rows.map(toRevision), total, nextCursor, prevCursor };
     }
+}
 
-    async updateTodo(id, userId, updates) {
-        return new Promise((resolve, reject) => {
-            const { task, description, completed, priority, dueDate, tags } = updates;
-            const fields = [];
-            const values = [];
-            
-            if (task !== undefined) {
-                fields.push('task = ?');
-                values.push(task);
-            }
-            if (description !== undefined) {
-                fields.push('description = ?');
-                values.push(description);
-            }
-            if (completed !== undefined) {
-                fields.push('completed = ?');
-                values.push(completed ? 1 : 0);
-            }
-            if (priority !== undefined) {
-                fields.push('priority = ?');
-                values.push(priority);
-            }
-            if (dueDate !== undefined) {
-                fields.push('dueDate = ?');
-                values.push(dueDate);
-            }
-            if (tags !== undefined) {
-                fields.push('tags = ?');
-                values.push(JSON.stringify(tags));
-            }
-            
-            fields.push('updatedAt = CURRENT_TIMESTAMP');
-            
-            if (fields.length === 0) {
-                resolve(null);
-                return;
+// ======================
+// WEBHOOK REPOSITORIES
+// ======================
+
+class SQLiteWebhookRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async create(userId, input) {
+        const webhook = normalizeWebhookInput(input);
+        const timestamp = now();
+        const { lastID } = await this.db.run(
+            `INSERT INTO webhooks (userId, url, events, description, active, secret, createdAt, updatedAt)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                userId,
+                webhook.url,
+                JSON.stringify(webhook.events),
+                webhook.description,
+                webhook.active ? 1 : 0,
+                input.secret,
+                timestamp,
+                timestamp
+            ]
+        );
+        return { ...(await this.findById(lastID, userId)), secret: input.secret };
+    }
+
+    async findForUser(userId) {
+        const rows = await this.db.all('SELECT * FROM webhooks WHERE userId = ? ORDER BY createdAt ASC, id ASC', [userId]);
+        return rows.map(toWebhook);
+    }
+
+    async findById(id, userId) {
+        const row = await this.db.get('SELECT * FROM webhooks WHERE id = ? AND userId = ?', [id, userId]);
+        return toWebhook(row);
+    }
+
+    async update(id, userId, input) {
+        const updates = normalizeWebhookInput(input, { partial: true });
+        const columns = [];
+        const values = [];
+
+        for (const [field, value] of Object.entries(updates)) {
+            columns.push(`${field} = ?`);
+            if (field === 'events') values.push(JSON.stringify(value));
+            else if (field === 'active') values.push(value ? 1 : 0);
+            else values.push(value);
+        }
+
+        columns.push('updatedAt = ?');
+        values.push(now(), id, userId);
+
+        const { changes } = await this.db.run(
+            `UPDATE webhooks SET ${columns.join(', ')} WHERE id = ? AND userId = ?`,
+            values
+        );
+        if (changes === 0) return null;
+        return this.findById(id, userId);
+    }
+
+    async delete(id, userId) {
+        const { changes } = await this.db.run('DELETE FROM webhooks WHERE id = ? AND userId = ?', [id, userId]);
+        return changes > 0;
+    }
+
+    async findForEvent(userId, event) {
+        const rows = await this.db.all('SELECT * FROM webhooks WHERE userId = ? AND active = 1', [userId]);
+        return rows
+            .map(row => ({ ...toWebhook(row), secret: row.secret }))
+            .filter(webhook => webhook.events.includes(event));
+    }
+}
+
+class SQLiteWebhookDeliveryRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async create({ webhookId, event, payload }) {
+        const timestamp = now();
+        const { lastID } = await this.db.run(
+            `INSERT INTO webhook_deliveries (webhookId, event, payload, status, attempts, nextAttemptAt, createdAt, updatedAt)
+             VALUES (?, ?, ?, 'pending', 0, ?, ?, ?)`,
+            [webhookId, event, payload, timestamp, timestamp, timestamp]
+        );
+        return toDelivery(await this.db.get('SELECT * FROM webhook_deliveries WHERE id = ?', [lastID]));
+    }
+
+    async findDue(date, limit = 20) {
+        const rows = await this.db.all(
+            `SELECT d.*, w.url AS webhookUrl, w.secret AS webhookSecret, w.active AS webhookActive
+             FROM webhook_deliveries d JOIN webhooks w ON d.webhookId = w.id
+             WHERE d.status = 'pending' AND d.nextAttemptAt <= ?
+             ORDER BY d.nextAttemptAt ASC, d.id ASC
+             LIMIT ?`,
+            [toISO(date), limit]
+        );
+        return rows.map(row => ({
+            ...toDelivery(row),
+            webhook: { url: row.webhookUrl, secret: row.webhookSecret, active: Boolean(row.webhookActive) }
+        }));
+    }
+
+    async recordAttempt(id, { status, attempts, nextAttemptAt = null, responseStatus = null, error = null }) {
+        await this.db.run(
+            `UPDATE webhook_deliveries
+             SET status = ?, attempts = ?, nextAttemptAt = ?, responseStatus = ?, error = ?, updatedAt = ?
+             WHERE id = ?`,
+            [status, attempts, toISO(nextAttemptAt), responseStatus, error, now(), id]
+        );
+    }
+
+    async listForWebhook(webhookId, { limit = 50 } = {}) {
+        const rows = await this.db.all(
+            'SELECT * FROM webhook_deliveries WHERE webhookId = ? ORDER BY createdAt DESC, id DESC LIMIT ?',
+            [webhookId, limit]
+        );
+        return rows.map(toDelivery);
+    }
+
+    async requeue(id, webhookId) {
+        const timestamp = now();
+        const { changes } = await this.db.run(
+            `UPDATE webhook_deliveries SET status = 'pending', nextAttemptAt = ?, updatedAt = ?
+             WHERE id = ? AND webhookId = ?`,
+            [timestamp, timestamp, id, webhookId]
+        );
+        if (changes === 0) return null;
+        return toDelivery(await this.db.get('SELECT * FROM webhook_deliveries WHERE id = ?', [id]));
+    }
+
+    async purgeOlderThan(date) {
+        await this.db.run('DELETE FROM webhook_deliveries WHERE createdAt < ?', [toISO(date)]);
+    }
+}
+
+// ======================
+// CONNECTION
+// ======================
+
+class SQLiteDB {
+    constructor() {
+        this.type = 'sqlite';
+        this.db = new sqlite3.Database(process.env.SQLITE_PATH || path.join(__dirname, 'database.sqlite'));
+        this.queue = Promise.resolve();
+        this.users = new SQLiteUserRepository(this);
+        this.todos = new SQLiteTodoRepository(this);
+        this.lists = new SQLiteListRepository(this);
+        this.shares = new SQLiteShareRepository(this);
+        this.reminders = new SQLiteReminderRepository(this);
+        this.notifications = new SQLiteNotificationRepository(this);
+        this.webhooks = new SQLiteWebhookRepository(this);
+        this.webhookDeliveries = new SQLiteWebhookDeliveryRepository(this);
+        this.history = new SQLiteHistoryRepository(this);
+        this.refreshTokens = new SQLiteRefreshTokenRepository(this);
+        this.authTokens = new SQLiteAuthTokenRepository(this);
+        this.calendarFeeds = new SQLiteCalendarFeedRepository(this);
+        this.ready = this.initDatabase();
+    }
+
+    async initDatabase() {
+        await this.run('PRAGMA foreign_keys = ON');
+
+        // Users table
+        await this.run(`
+            CREATE TABLE IF NOT EXISTS users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                email TEXT UNIQUE NOT NULL,
+                password TEXT NOT NULL,
+                role TEXT DEFAULT 'user',
+                isActive BOOLEAN DEFAULT 1,
+                emailVerified BOOLEAN DEFAULT 0,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                lastLogin DATETIME
+            )
+        `);
+        // Accounts created before verification existed count as verified
+        await this.ensureColumn('users', 'emailVerified', 'BOOLEAN DEFAULT 1');
+
+        // Lists (projects) that group todos
+        await this.run(`
+            CREATE TABLE IF NOT EXISTS lists (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                color TEXT DEFAULT '#667eea',
+                archived BOOLEAN DEFAULT 0,
+                userId INTEGER NOT NULL,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY(userId) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+
+        // Todos table
+        await this.run(`
+            CREATE TABLE IF NOT EXISTS todos (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                task TEXT NOT NULL,
+                description TEXT,
+                completed BOOLEAN DEFAULT 0,
+                priority TEXT DEFAULT 'medium',
+                dueDate DATETIME,
+                userId INTEGER NOT NULL,
+                tags TEXT,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                autoComplete BOOLEAN DEFAULT 0,
+                listId INTEGER REFERENCES lists(id) ON DELETE SET NULL,
+                recurrence TEXT,
+                occurrence INTEGER DEFAULT 1,
+                reminders TEXT,
+                completedAt DATETIME,
+                deletedAt DATETIME,
+                FOREIGN KEY(userId) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+        await this.ensureColumn('todos', 'autoComplete', 'BOOLEAN DEFAULT 0');
+        await this.ensureColumn('todos', 'listId', 'INTEGER REFERENCES lists(id) ON DELETE SET NULL');
+        await this.ensureColumn('todos', 'recurrence', 'TEXT');
+        await this.ensureColumn('todos', 'occurrence', 'INTEGER DEFAULT 1');
+        await this.ensureColumn('todos', 'reminders', 'TEXT');
+        if (await this.ensureColumn('todos', 'completedAt', 'DATETIME')) {
+            // Best guess for todos completed before completedAt existed
+            await this.run('UPDATE todos SET completedAt = updatedAt WHERE completed = 1');
+        }
+        await this.ensureColumn('todos', 'deletedAt', 'DATETIME');
+
+        // Full-text index over task, description and tags, kept in sync by triggers
+        const ftsExists = await this.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'todos_fts'");
+        await this.run(`
+            CREATE VIRTUAL TABLE IF NOT EXISTS todos_fts USING fts5(
+                task, description, tags,
+                content = 'todos', content_rowid = 'id',
+                tokenize = 'unicode61 remove_diacritics 2', prefix = '2 3'
+            )
+        `);
+        await this.run(`
+            CREATE TRIGGER IF NOT EXISTS todos_fts_insert AFTER INSERT ON todos BEGIN
+                INSERT INTO todos_fts (rowid, task, description, tags)
+                VALUES (new.id, new.task, new.description, new.tags);
+            END
+        `);
+        await this.run(`
+            CREATE TRIGGER IF NOT EXISTS todos_fts_delete AFTER DELETE ON todos BEGIN
+                INSERT INTO todos_fts (todos_fts, rowid, task, description, tags)
+                VALUES ('delete', old.id, old.task, old.description, old.tags);
+            END
+        `);
+        await this.run(`
+            CREATE TRIGGER IF NOT EXISTS todos_fts_update AFTER UPDATE OF task, description, tags ON todos BEGIN
+                INSERT INTO todos_fts (todos_fts, rowid, task, description, tags)
+                VALUES ('delete', old.id, old.task, old.description, old.tags);
+                INSERT INTO todos_fts (rowid, task, description, tags)
+                VALUES (new.id, new.task, new.description, new.tags);
+            END
+        `);
+        // Index the todos of databases created before the search existed
+        if (!ftsExists) {
+            await this.run("INSERT INTO todos_fts (todos_fts) VALUES ('rebuild')");
+        }
+
+        // Checklist items inside a todo, ordered by position
+        await this.run(`
+            CREATE TABLE IF NOT EXISTS todo_items (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                todoId INTEGER NOT NULL,
+                text TEXT NOT NULL,
+                completed BOOLEAN DEFAULT 0,
+                position INTEGER NOT NULL DEFAULT 0,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY(todoId) REFERENCES todos(id) ON DELETE CASCADE
+            )
+        `);
+
+        // Todos and lists shared with other users (exactly one of todoId / listId is set)
+        await this.run(`
+            CREATE TABLE IF NOT EXISTS shares (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                resourceType TEXT NOT NULL,
+                todoId INTEGER,
+                listId INTEGER,
+                ownerId INTEGER NOT NULL,
+                userId INTEGER NOT NULL,
+                permission TEXT NOT NULL DEFAULT 'viewer',
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY(todoId) REFERENCES todos(id) ON DELETE CASCADE,
+                FOREIGN KEY(listId) REFERENCES lists(id) ON DELETE CASCADE,
+                FOREIGN KEY(ownerId) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY(userId) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+
+        // Reminders already sent, one row per todo / offset / due date
+        await this.run(`
+            CREATE TABLE IF NOT EXISTS reminder_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                todoId INTEGER NOT NULL,
+                userId INTEGER NOT NULL,
+                offsetMinutes INTEGER NOT NULL,
+                dueDate DATETIME NOT NULL,
+                sentAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(todoId, offsetMinutes, dueDate),
+                FOREIGN KEY(todoId) REFERENCES todos(id) ON DELETE CASCADE,
+                FOREIGN KEY(userId) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+
+        // In-app notifications
+        await this.run(`
+            CREATE TABLE IF NOT EXISTS notifications (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL,
+                todoId INTEGER REFERENCES todos(id) ON DELETE SET NULL,
+                type TEXT NOT NULL,
+                title TEXT NOT NULL,
+                body TEXT,
+                readAt DATETIME,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY(userId) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+
+        // Outgoing webhooks and their delivery log
+        await this.run(`
+            CREATE TABLE IF NOT EXISTS webhooks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL,
+                url TEXT NOT NULL,
+                events TEXT NOT NULL,
+                description TEXT,
+                active BOOLEAN DEFAULT 1,
+                secret TEXT NOT NULL,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY(userId) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+
+        await this.run(`
+            CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                webhookId INTEGER NOT NULL,
+                event TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                attempts INTEGER NOT NULL DEFAULT 0,
+                nextAttemptAt DATETIME,
+                responseStatus INTEGER,
+                error TEXT,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY(webhookId) REFERENCES webhooks(id) ON DELETE CASCADE
+            )
+        `);
+
+        // Todo change history (revisions go with the todo; a deleted actor is kept as null)
+        await this.run(`
+            CREATE TABLE IF NOT EXISTS todo_revisions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                todoId INTEGER NOT NULL,
+                userId INTEGER NOT NULL,
+                actorId INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                revision INTEGER NOT NULL,
+                action TEXT NOT NULL,
+                changes TEXT NOT NULL,
+                snapshot TEXT NOT NULL,
+                revertedTo INTEGER,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(todoId, revision),
+                FOREIGN KEY(todoId) REFERENCES todos(id) ON DELETE CASCADE,
+                FOREIGN KEY(userId) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+
+        // Refresh tokens table (one row per issued token, grouped by login family)
+        await this.run(`
+            CREATE TABLE IF NOT EXISTS refresh_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL,
+                family TEXT NOT NULL,
+                tokenHash TEXT UNIQUE NOT NULL,
+                expiresAt DATETIME NOT NULL,
+                revokedAt DATETIME,
+                replacedBy TEXT,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY(userId) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+
+        // Single-use tokens mailed to users (password reset, email verification)
+        await this.run(`
+            CREATE TABLE IF NOT EXISTS auth_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL,
+                type TEXT NOT NULL,
+                tokenHash TEXT UNIQUE NOT NULL,
+                expiresAt DATETIME NOT NULL,
+                usedAt DATETIME,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY(userId) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+
+        // Calendar feeds (one per user, only the hash of the secret token is stored)
+        await this.run(`
+            CREATE TABLE IF NOT EXISTS calendar_feeds (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER UNIQUE NOT NULL,
+                tokenHash TEXT UNIQUE NOT NULL,
+                createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                lastAccessedAt DATETIME,
+                FOREIGN KEY(userId) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+
+        // Create indexes
+        await this.run('CREATE INDEX IF NOT EXISTS idx_todos_user ON todos(userId)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_todos_completed ON todos(completed)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_todos_priority ON todos(priority)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_todo_items_todo ON todo_items(todoId, position)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_todos_list ON todos(userId, listId)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_lists_user ON lists(userId)');
+        await this.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_shares_todo ON shares(todoId, userId) WHERE todoId IS NOT NULL');
+        await this.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_shares_list ON shares(listId, userId) WHERE listId IS NOT NULL');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_shares_user ON shares(userId)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_todos_due ON todos(completed, dueDate)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_todos_deleted ON todos(deletedAt)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_todo_revisions_user ON todo_revisions(userId, createdAt)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_todo_revisions_actor ON todo_revisions(actorId, createdAt)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(userId, createdAt)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_webhooks_user ON webhooks(userId)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, nextAttemptAt)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhookId, createdAt)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(userId)');
+        await this.run('CREATE INDEX IF NOT EXISTS idx_auth_tokens_user ON auth_tokens(userId, type)');
+
+        console.log('✅ SQLite database initialized');
+    }
+
+    // Add a column to a table created by an older version of this file;
+    // resolves to true when it was missing
+    async ensureColumn(table, column, definition) {
+        const columns = await this.all(`PRAGMA table_info(${table})`);
+        if (columns.some(c => c.name === column)) return false;
+        await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        return true;
+    }
+
+    // ======================
+    // QUERY HELPERS
+    // ======================
+
+    // There is a single connection, so statements and transactions take
+    // turns: each one is chained onto the queue before anything is awaited,
+    // and a statement never runs while a transaction is open
+    exclusive(work) {
+        const result = this.queue.then(work);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    run(sql, params = []) {
+        return this.exclusive(() => this.rawRun(sql, params));
+    }
+
+    get(sql, params = []) {
+        return this.exclusive(() => this.rawGet(sql, params));
+    }
+
+    all(sql, params = []) {
+        return this.exclusive(() => this.rawAll(sql, params));
+    }
+
+    // Run `work(tx)` in a transaction; tx has run / get / all. Rolls back
+    // and rethrows when work fails. `work` must only use tx: the queue is
+    // held until it settles.
+    transaction(work) {
+        const tx = {
+            run: (sql, params) => this.rawRun(sql, params),
+            get: (sql, params) => this.rawGet(sql, params),
+            all: (sql, params) => this.rawAll(sql, params)
+        };
+        return this.exclusive(async () => {
+            await this.rawRun('BEGIN IMMEDIATE');
+            try {
+                const result = await work(tx);
+                await this.rawRun('COMMIT');
+                return result;
+            } catch (err) {
+                await this.rawRun('ROLLBACK').catch(() => {});
+                throw err;
             }
-            
-            const query = `UPDATE todos SET ${fields.join(', ')} WHERE id = ? AND userId = ?`;
-            values.push(id, userId);
-            
-            this.db.run(query, values, function(err) {
-                if (err) reject(err);
-                else if (this.changes === 0) {
-                    resolve(null);
-                } else {
-                    this.db.get(
-                        'SELECT * FROM todos WHERE id = ?',
-                        [id],
-                        (err, row) => {
-                            if (err) reject(err);
-                            else if (row) {
-                                row.tags = row.tags ? JSON.parse(row.tags) : [];
-                                row.completed = Boolean(row.completed);
-                                resolve(row);
-                            } else {
-                                resolve(null);
-                            }
-                        }
-                    );
-                }
-            });
         });
     }
 
-    async deleteTodo(id, userId) {
+    rawRun(sql, params = []) {
         return new Promise((resolve, reject) => {
-            this.db.run(
-                'DELETE FROM todos WHERE id = ? AND userId = ?',
-                [id, userId],
-                function(err) {
-                    if (err) reject(err);
-                    else resolve(this.changes > 0);
-                }
-            );
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve({ lastID: this.lastID, changes: this.changes });
+            });
         });
     }
 
-    async getTodoStats(userId) {
+    rawGet(sql, params = []) {
         return new Promise((resolve, reject) => {
-            const queries = [
-                'SELECT COUNT(*) as total FROM todos WHERE userId = ?',
-                'SELECT COUNT(*) as completed FROM todos WHERE userId = ? AND completed = 1',
-                'SELECT COUNT(*) as pending FROM todos WHERE userId = ? AND completed = 0',
-                'SELECT COUNT(*) as highPriority FROM todos WHERE userId = ? AND priority = "high"',
-                'SELECT COUNT(*) as mediumPriority FROM todos WHERE userId = ? AND priority = "medium"',
-                'SELECT COUNT(*) as lowPriority FROM todos WHERE userId = ? AND priority = "low"'
-            ];
-            
-            Promise.all(
-                queries.map(query => 
-                    new Promise((res, rej) => {
-                        this.db.get(query, [userId], (err, row) => {
-                            if (err) rej(err);
-                            else res(Object.values(row)[0]);
-                        });
-                    })
-                )
-            ).then(results => {
-                resolve({
-                    total: results[0],
-                    completed: results[1],
-                    pending: results[2],
-                    highPriority: results[3],
-                    mediumPriority: results[4],
-                    lowPriority: results[5]
-                });
-            }).catch(reject);
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
         });
     }
 
-    async getAllUsers() {
+    rawAll(sql, params = []) {
         return new Promise((resolve, reject) => {
-            this.db.all(
-                'SELECT id, name, email, role, isActive, createdAt, lastLogin FROM users ORDER BY createdAt DESC',
-                [],
-                (err, rows) => {
-                    if (err) reject(err);
-                    else resolve(rows);
-                }
-            );
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
         });
     }
 
-    async getAllTodos() {
-        return new Promise((resolve, reject) => {
-            this.db.all(
-                `SELECT t.*, u.name as userName, u.email as userEmail 
-                 FROM todos t 
-                 LEFT JOIN users u ON t.userId = u.id 
-                 ORDER BY t.createdAt DESC`,
-                [],
-                (err, rows) => {
-                    if (err) reject(err);
-                    else {
-                        const todos = rows.map(todo => ({
-                            ...todo,
-                            tags: todo.tags ? JSON.parse(todo.tags) : [],
-                            completed: Boolean(todo.completed),
-                            user: {
-                                name: todo.userName,
-                                email: todo.userEmail
-                            }
-                        }));
-                        resolve(todos);
-                    }
-                }
-            );
-        });
+    isConnected() {
+        return true;
     }
 
-    // Close database connection
+    // Close database connection (after the statements already queued)
     close() {
-        this.db.close();
+        return this.exclusive(() => new Promise((resolve, reject) => {
+            this.db.close((err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        }));
     }
 }
 
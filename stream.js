@@ -0,0 +1,151 @@
+// stream.js
+// Real-time updates over Server-Sent Events: every open GET /api/stream
+// connection receives the todo events (todo.created, todo.updated,
+// todo.completed, todo.deleted, todo.restored) of the todos its user can see.
+//
+// Event ids look like "<boot id>-<sequence>". A reconnecting EventSource sends
+// the last one it saw as Last-Event-ID and gets the events it missed replayed
+// from a small in-memory buffer. When that is not possible (the server
+// restarted, or the client was away for too long) it receives a `reset` event
+// instead and should reload its todos.
+//
+// The hub lives in this process; with several instances behind a load
+// balancer a client only hears about changes made through its own instance.
+const crypto = require('crypto');
+
+const readConfig = () => ({
+  heartbeatMs: (parseFloat(process.env.STREAM_HEARTBEAT_SECONDS) || 25) * 1000,
+  // Reconnection delay suggested to EventSource clients
+  retryMs: 3000,
+  bufferSize: 500,
+  maxPerUser: parseInt(process.env.STREAM_MAX_CONNECTIONS_PER_USER) || 10
+});
+
+const config = readConfig();
+const bootId = crypto.randomBytes(4).toString('hex');
+
+let sequence = 0;
+// Recent events, oldest first: { seq, id, event, data, userIds }
+const buffer = [];
+// userId -> Set of open connections
+const clients = new Map();
+
+const format = ({ id, event, data }) => `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// ======================
+// PUBLISHING
+// ======================
+
+// Send `event` to every open connection of the given users
+const publish = (userIds, event, data) => {
+  const recipients = [...new Set(userIds.filter(Boolean).map(String))];
+  if (recipients.length === 0) return null;
+
+  sequence++;
+  const entry = { seq: sequence, id: `${bootId}-${sequence}`, event, data, userIds: recipients };
+  buffer.push(entry);
+  if (buffer.length > config.bufferSize) buffer.shift();
+
+  const message = format(entry);
+  for (const userId of recipients) {
+    for (const client of clients.get(userId) || []) {
+      client.res.write(message);
+    }
+  }
+  return entry.id;
+};
+
+// Buffered events for `userId` after `lastEventId`, or null when the gap
+// cannot be filled
+const missedSince = (userId, lastEventId) => {
+  const [boot, seqText] = String(lastEventId).split('-');
+  const seq = parseInt(seqText, 10);
+  if (boot !== bootId || !Number.isInteger(seq) || seq > sequence) return null;
+  if (seq < sequence && (buffer.length === 0 || buffer[0].seq > seq + 1)) return null;
+
+  return buffer.filter(entry => entry.seq > seq && entry.userIds.includes(userId));
+};
+
+// ======================
+// CONNECTIONS
+// ======================
+
+const connectionCount = (userId) => (clients.get(String(userId)) || new Set()).size;
+
+// Turn `res` into an event stream for `userId`. `stillValid` is checked on
+// every heartbeat and ends the stream when it resolves to false (logout,
+// deactivated account); the stream also ends at `expiresAt` so the client
+// reconnects with a fresh access token.
+const subscribe = (req, res, { userId, lastEventId, expiresAt, stillValid = async () => true }) => {
+  const key = String(userId);
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  req.socket.setTimeout(0);
+  req.socket.setNoDelay(true);
+
+  res.write(`retry: ${config.retryMs}\n\n`);
+  if (lastEventId) {
+    const missed = missedSince(key, lastEventId);
+    if (missed) {
+      missed.forEach(entry => res.write(format(entry)));
+    } else {
+      res.write(format({ id: `${bootId}-${sequence}`, event: 'reset', data: { reason: 'Missed events are no longer available.' } }));
+    }
+  } else {
+    res.write(format({ id: `${bootId}-${sequence}`, event: 'ready', data: { userId: key } }));
+  }
+
+  const client = { res };
+  if (!clients.has(key)) clients.set(key, new Set());
+  clients.get(key).add(client);
+
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    const own = clients.get(key);
+    if (own) {
+      own.delete(client);
+      if (own.size === 0) clients.delete(key);
+    }
+    res.end();
+  };
+  client.close = close;
+
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!(await stillValid())) return close();
+    } catch (err) {
+      console.error('❌ Stream session check failed:', err.message);
+    }
+    if (!closed) res.write(': heartbeat\n\n');
+  }, config.heartbeatMs);
+  const expiry = expiresAt ? setTimeout(close, Math.max(expiresAt - Date.now(), 0)) : null;
+
+  req.on('close', close);
+  return close;
+};
+
+// End every open stream (graceful shutdown; clients reconnect elsewhere)
+const closeAll = () => {
+  for (const own of [...clients.values()]) {
+    for (const client of [...own]) client.close();
+  }
+};
+
+module.exports = {
+  publish,
+  subscribe,
+  connectionCount,
+  closeAll,
+  maxConnectionsPerUser: config.maxPerUser
+};
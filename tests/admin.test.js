@@ -0,0 +1,57 @@
+// Admin user management
+const { startApp } = require('./helpers');
+
+let ctx;
+let admin;
+let user;
+
+const patchUser = (id, body, as = admin) => ctx.api().patch(`/api/admin/users/${id}`).set(as.auth).send(body);
+
+beforeAll(async () => {
+  ctx = await startApp();
+  admin = await ctx.register('admin');
+  user = await ctx.register('user');
+  await ctx.db.users.update(admin.user.id, { role: 'admin', emailVerified: true });
+  await ctx.api().post('/api/todos').set(user.auth).send({ task: 'User todo' });
+});
+
+afterAll(() => ctx.close());
+
+test('only admins get in', async () => {
+  expect((await ctx.api().get('/api/admin/users').set(user.auth)).status).toBe(403);
+  expect((await ctx.api().get('/api/admin/users').set(admin.auth)).body.count).toBe(2);
+  expect((await ctx.api().get('/api/admin/todos').set(admin.auth)).body.count).toBe(1);
+});
+
+test('the last admin cannot demote or delete themselves', async () => {
+  const res = await patchUser(admin.user.id, { role: 'user' });
+  expect(res.status).toBe(409);
+  expect((await ctx.api().delete(`/api/admin/users/${admin.user.id}`).set(admin.auth)).status).toBe(409);
+});
+
+test('rejects unknown roles and users', async () => {
+  expect((await patchUser(user.user.id, { role: 'boss' })).status).toBe(400);
+  expect((await patchUser('999999', { role: 'admin' })).status).toBe(404);
+});
+
+test('a deactivated user is locked out until reactivated', async () => {
+  const res = await patchUser(user.user.id, { isActive: false });
+  expect(res.body.data.isActive).toBe(false);
+  expect((await ctx.api().get('/api/todos').set(user.auth)).status).toBe(401);
+  expect((await ctx.api().post('/api/auth/login').send({ email: 'user@example.com', password: 'secret1' })).status).toBe(401);
+
+  await patchUser(user.user.id, { isActive: true });
+  const login = await ctx.api().post('/api/auth/login').send({ email: 'user@example.com', password: 'secret1' });
+  expect(login.status).toBe(200);
+  user = { ...login.body.data, auth: { Authorization: `Bearer ${login.body.data.token}` } };
+});
+
+test('role changes and deleting a user with their todos', async () => {
+  expect((await patchUser(user.user.id, { role: 'admin' })).body.data.role).toBe('admin');
+  expect((await patchUser(admin.user.id, { role: 'user' })).status).toBe(200);
+  expect((await ctx.api().get('/api/admin/users').set(admin.auth)).status).toBe(403);
+
+  const res = await ctx.api().delete(`/api/admin/users/${admin.user.id}`).set(user.auth);
+  expect(res.status).toBe(200);
+  expect((await ctx.api().get('/api/admin/users').set(user.auth)).body.count).toBe(1);
+});
@@ -0,0 +1,91 @@
+// Productivity analytics (GET /api/todos/analytics) and completion timestamps
+const { startApp } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let ctx;
+let ann;
+const now = Date.now();
+
+const daysAgo = (days) => new Date(now - days * DAY_MS).toISOString();
+const analytics = (user, query = '') => ctx.api().get(`/api/todos/analytics?${query}`).set(user.auth);
+const backdate = (id, fields) => ctx.db.run(
+  `UPDATE todos SET ${Object.keys(fields).map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+  [...Object.values(fields), id]
+);
+
+beforeAll(async () => {
+  ctx = await startApp();
+  ann = await ctx.register('ann');
+});
+
+afterAll(() => ctx.close());
+
+test('completedAt is set once on completion and cleared on reopening', async () => {
+  const todo = await ctx.createTodo(ann, { task: 'Stamp me' });
+  const done = await ctx.api().put(`/api/todos/${todo.id}`).set(ann.auth).send({ completed: true });
+  expect(done.body.data.completedAt).toEqual(expect.any(String));
+
+  await new Promise(resolve => setTimeout(resolve, 20));
+  const again = await ctx.api().put(`/api/todos/${todo.id}`).set(ann.auth).send({ completed: true, priority: 'high' });
+  expect(again.body.data.completedAt).toBe(done.body.data.completedAt);
+
+  const reopened = await ctx.api().put(`/api/todos/${todo.id}`).set(ann.auth).send({ completed: false });
+  expect(reopened.body.data.completedAt).toBeNull();
+  await ctx.api().delete(`/api/todos/${todo.id}`).set(ann.auth);
+});
+
+test('counts per day, overdue todos and completion streaks', async () => {
+  const todos = [];
+  for (let i = 0; i < 5; i++) todos.push(await ctx.createTodo(ann, { task: `Task ${i}`, priority: i % 2 ? 'high' : 'low' }));
+  await ctx.api().post('/api/todos/bulk').set(ann.auth).send({ operation: 'complete', ids: todos.map(todo => todo.id) });
+
+  // Completed today, 1, 2 and 3 days ago, and once more 10 days ago
+  await backdate(todos[1].id, { createdAt: daysAgo(5), completedAt: daysAgo(3) });
+  await backdate(todos[2].id, { completedAt: daysAgo(2) });
+  await backdate(todos[3].id, { completedAt: daysAgo(1) });
+  await backdate(todos[4].id, { completedAt: daysAgo(10) });
+
+  const late = await ctx.createTodo(ann, { task: 'Late one', dueDate: daysAgo(4) });
+  await backdate(late.id, { createdAt: daysAgo(8) });
+
+  const res = await analytics(ann, `from=${daysAgo(9).slice(0, 10)}`);
+  expect(res.status).toBe(200);
+  const { series, totals, streaks, timeToComplete } = res.body.data;
+  expect(series).toHaveLength(10);
+  expect(series[series.length - 1].overdue).toBe(1);
+  expect(totals.completed).toBe(4);
+  expect(streaks).toEqual({ current: 4, longest: 4, lastCompletedOn: new Date(now).toISOString().slice(0, 10) });
+  expect(timeToComplete.count).toBe(4);
+  expect(timeToComplete.byPriority.medium).toEqual({ count: 0, averageHours: null });
+});
+
+test('weekly periods default to twelve weeks', async () => {
+  const res = await analytics(ann, 'interval=week');
+  expect(res.body.data.series).toHaveLength(12);
+  expect(res.body.data.range.interval).toBe('week');
+});
+
+test.each([
+  'interval=month',
+  'from=2026-02-01&to=2026-01-01',
+  'from=2020-01-01&to=2026-01-01',
+  'from=nope',
+  'list=999999'
+])('?%s is rejected', async (query) => {
+  expect((await analytics(ann, query)).status).toBe(400);
+});
+
+test('a list shared with you can be analysed', async () => {
+  const bob = await ctx.register('bob');
+  const list = await ctx.createList(ann, { name: 'Team' });
+  const todo = await ctx.createTodo(ann, { task: 'Team task', listId: list.id });
+  await ctx.api().put(`/api/todos/${todo.id}`).set(ann.auth).send({ completed: true });
+  expect((await analytics(bob, `list=${list.id}`)).status).toBe(400);
+
+  await ctx.api().post(`/api/lists/${list.id}/shares`).set(ann.auth).send({ email: 'bob@example.com' });
+  const res = await analytics(bob, `list=${list.id}`);
+  expect(res.status).toBe(200);
+  expect(res.body.data.totals).toEqual({ created: 1, completed: 1 });
+  expect((await analytics(bob, 'list=none')).body.data.totals).toEqual({ created: 0, completed: 0 });
+});
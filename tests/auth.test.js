@@ -0,0 +1,163 @@
+// Sessions, tokens and the account itself
+const { startApp } = require('./helpers');
+
+let ctx;
+
+const login = async (name, password = 'secret1') => (await ctx.api().post('/api/auth/login')
+  .send({ email: `${name}@example.com`, password })).body.data;
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+const refresh = (refreshToken) => ctx.api().post('/api/auth/refresh').send({ refreshToken });
+
+beforeAll(async () => {
+  ctx = await startApp();
+});
+
+afterAll(() => ctx.close());
+
+describe('refresh tokens', () => {
+  test('rotate on every refresh', async () => {
+    const ann = await ctx.register('ann');
+    expect(ann.refreshToken).toEqual(expect.any(String));
+
+    const res = await refresh(ann.refreshToken);
+    expect(res.status).toBe(200);
+    expect(res.body.data.refreshToken).not.toBe(ann.refreshToken);
+    expect((await ctx.api().get('/api/auth/profile').set(bearer(res.body.data.token))).status).toBe(200);
+  });
+
+  test('reusing a rotated token revokes the whole family', async () => {
+    const bob = await ctx.register('bob');
+    const rotated = (await refresh(bob.refreshToken)).body.data;
+
+    const reuse = await refresh(bob.refreshToken);
+    expect(reuse.status).toBe(401);
+    expect((await ctx.api().get('/api/auth/profile').set(bearer(rotated.token))).status).toBe(401);
+    expect((await refresh(rotated.refreshToken)).status).toBe(401);
+  });
+
+  test('garbage is refused', async () => {
+    expect((await refresh('not-a-token')).status).toBe(401);
+    expect((await ctx.api().post('/api/auth/refresh').send({})).status).toBe(400);
+  });
+});
+
+describe('logout', () => {
+  test('ends this session only, or every session with allDevices', async () => {
+    await ctx.register('cat');
+    const first = await login('cat');
+    const second = await login('cat');
+
+    expect((await ctx.api().post('/api/auth/logout').set(bearer(first.token))).status).toBe(200);
+    expect((await ctx.api().get('/api/todos').set(bearer(first.token))).status).toBe(401);
+    expect((await refresh(first.refreshToken)).status).toBe(401);
+    expect((await ctx.api().get('/api/todos').set(bearer(second.token))).status).toBe(200);
+
+    await ctx.api().post('/api/auth/logout').set(bearer(second.token)).send({ allDevices: true });
+    expect((await ctx.api().get('/api/todos').set(bearer(second.token))).status).toBe(401);
+    expect((await refresh(second.refreshToken)).status).toBe(401);
+  });
+});
+
+describe('password reset', () => {
+  const forgot = (email) => ctx.api().post('/api/auth/forgot-password').send({ email });
+  const reset = (token, password) => ctx.api().post('/api/auth/reset-password')
+    .send({ token, password, confirmPassword: password });
+
+  test('answers the same whether or not the account exists', async () => {
+    const sent = ctx.outbox.length;
+    const unknown = await forgot('nobody@example.com');
+    expect(unknown.status).toBe(200);
+    expect(ctx.outbox).toHaveLength(sent);
+    expect((await forgot('not an email')).status).toBe(400);
+  });
+
+  test('the mailed token sets a new password once and ends every session', async () => {
+    const dan = await ctx.register('dan');
+    const res = await forgot('DAN@example.com');
+    expect(res.body.message).toBe((await forgot('nobody@example.com')).body.message);
+    const token = ctx.mailedToken('dan@example.com');
+
+    expect((await reset('bad', 'newpass1')).status).toBe(400);
+    expect((await reset(token, 'newpass1')).status).toBe(200);
+    expect((await reset(token, 'newpass2')).status).toBe(400);
+
+    expect((await ctx.api().get('/api/auth/profile').set(dan.auth)).status).toBe(401);
+    expect((await refresh(dan.refreshToken)).status).toBe(401);
+    expect(await login('dan')).toBeUndefined();
+    expect((await login('dan', 'newpass1')).token).toEqual(expect.any(String));
+  });
+
+  test('expired tokens are refused', async () => {
+    await ctx.register('eve');
+    await forgot('eve@example.com');
+    const token = ctx.mailedToken('eve@example.com');
+    await ctx.db.run('UPDATE auth_tokens SET expiresAt = ?', [new Date(Date.now() - 1000).toISOString()]);
+
+    const res = await reset(token, 'newpass1');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Reset token is invalid or has expired.');
+  });
+});
+
+describe('email verification', () => {
+  const verify = (token) => ctx.api().get(`/api/auth/verify-email?token=${token}`);
+
+  test('registering mails a link that verifies the address once', async () => {
+    const fay = await ctx.register('fay');
+    expect(fay.user.emailVerified).toBe(false);
+
+    const token = ctx.mailedToken('fay@example.com');
+    const res = await verify(token);
+    expect(res.status).toBe(200);
+    expect(res.body.data.emailVerified).toBe(true);
+    expect((await verify(token)).status).toBe(400);
+  });
+
+  test('after the grace period unverified accounts are read-only until they verify', async () => {
+    const gus = await ctx.register('gus');
+    await ctx.db.run('UPDATE users SET createdAt = ? WHERE id = ?', [new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString(), gus.user.id]);
+
+    expect((await ctx.api().get('/api/todos').set(gus.auth)).status).toBe(200);
+    const blocked = await ctx.api().post('/api/todos').set(gus.auth).send({ task: 'Not yet' });
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.error).toBe('Please verify your email address to make changes.');
+
+    const sent = ctx.outbox.length;
+    expect((await ctx.api().post('/api/auth/resend-verification').send({ email: 'gus@example.com' })).status).toBe(200);
+    expect(ctx.outbox).toHaveLength(sent + 1);
+    await verify(ctx.mailedToken('gus@example.com'));
+
+    expect((await ctx.api().post('/api/todos').set(gus.auth).send({ task: 'Now it works' })).status).toBe(201);
+    await ctx.api().post('/api/auth/resend-verification').send({ email: 'gus@example.com' });
+    expect(ctx.outbox).toHaveLength(sent + 1);
+  });
+});
+
+describe('your own data', () => {
+  test('export is one archive of your records without token hashes', async () => {
+    const hal = await ctx.register('hal');
+    await ctx.api().post('/api/todos').set(hal.auth).send({ task: 'First one' });
+    await ctx.api().post('/api/lists').set(hal.auth).send({ name: 'Work' });
+
+    const res = await ctx.api().get('/api/auth/export').set(hal.auth);
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="todo-api-export-.*\.json"$/);
+    expect(res.body.data.profile.email).toBe('hal@example.com');
+    expect(res.body.data.todos.map(todo => todo.task)).toEqual(['First one']);
+    expect(res.body.data.lists.map(list => list.name)).toEqual(['Work']);
+    expect(res.body.data.sessions).toHaveLength(1);
+    expect(res.text).not.toMatch(/tokenHash|password/);
+  });
+
+  test('deleting the account needs the password and removes everything', async () => {
+    const ivy = await ctx.register('ivy');
+    const todo = await ctx.createTodo(ivy, { task: 'Gone soon' });
+
+    expect((await ctx.api().delete('/api/auth/account').set(ivy.auth).send({})).status).toBe(400);
+    expect((await ctx.api().delete('/api/auth/account').set(ivy.auth).send({ password: 'nope' })).status).toBe(401);
+    expect((await ctx.api().delete('/api/auth/account').set(ivy.auth).send({ password: 'secret1' })).status).toBe(200);
+
+    expect((await ctx.api().get('/api/todos').set(ivy.auth)).status).toBe(401);
+    expect(await login('ivy')).toBeUndefined();
+    expect(await ctx.db.todos.ownerOf(todo.id)).toBeNull();
+  });
+});
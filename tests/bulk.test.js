@@ -0,0 +1,99 @@
+// POST /api/todos/bulk and SQLite transactions
+const { startApp } = require('./helpers');
+
+let ctx;
+let ann;
+let bob;
+
+const bulk = (user, body) => ctx.api().post('/api/todos/bulk').set(user.auth).send(body);
+
+beforeAll(async () => {
+  ctx = await startApp();
+  ann = await ctx.register('ann');
+  bob = await ctx.register('bob');
+});
+
+afterAll(() => ctx.close());
+
+test('rejects unknown operations, missing targets and invalid values', async () => {
+  const todo = await ctx.createTodo(ann, { task: 'Validate me' });
+  expect((await bulk(ann, { operation: 'explode', ids: [todo.id] })).status).toBe(400);
+  expect((await bulk(ann, { operation: 'complete' })).status).toBe(400);
+  expect((await bulk(ann, { operation: 'priority', value: 'urgent', ids: [todo.id] })).status).toBe(400);
+});
+
+test('reports a result per todo, including ones that are not yours', async () => {
+  const mine = await ctx.createTodo(ann, { task: 'Mine to finish' });
+  const recurring = await ctx.createTodo(ann, { task: 'Repeat me', recurrence: 'FREQ=DAILY', dueDate: '2030-01-01T09:00:00Z' });
+  const bobs = await ctx.createTodo(bob, { task: 'Bob only' });
+
+  const res = await bulk(ann, { operation: 'complete', ids: [mine.id, bobs.id, '999999', recurring.id] });
+  expect(res.status).toBe(200);
+  expect(res.body.data).toEqual(expect.objectContaining({ matched: 4, succeeded: 2, failed: 2 }));
+  expect(res.body.data.results.map(result => result.success)).toEqual([true, false, false, true]);
+  expect(res.body.data.results[3].next.dueDate).toBe('2030-01-02T09:00:00.000Z');
+});
+
+test('changes the todos a filter matches', async () => {
+  const user = await ctx.register('cat');
+  await ctx.createTodo(user, { task: 'Low one', priority: 'low', tags: ['a'] });
+  await ctx.createTodo(user, { task: 'Low two', priority: 'low' });
+  await ctx.createTodo(user, { task: 'High one', priority: 'high' });
+
+  let res = await bulk(user, { operation: 'addTags', value: ['x', 'a'], filter: { priority: 'low' } });
+  expect(res.body.data.matched).toBe(2);
+  expect(res.body.data.results.map(result => result.data.tags)).toEqual([['a', 'x'], ['x', 'a']]);
+
+  res = await bulk(user, { operation: 'delete', filter: { tags: 'x' } });
+  expect(res.body.data.succeeded).toBe(2);
+  const left = await ctx.api().get('/api/todos').set(user.auth);
+  expect(left.body.data.map(todo => todo.task)).toEqual(['High one']);
+});
+
+test('editors of a shared todo can change it but not delete it', async () => {
+  const shared = await ctx.createTodo(ann, { task: 'Shared with Bob' });
+  await ctx.api().post(`/api/todos/${shared.id}/shares`).set(ann.auth).send({ email: 'bob@example.com', permission: 'editor' });
+
+  expect((await bulk(bob, { operation: 'complete', ids: [shared.id] })).body.data.succeeded).toBe(1);
+  expect((await bulk(bob, { operation: 'delete', ids: [shared.id] })).body.data.succeeded).toBe(0);
+});
+
+test('parallel bulk requests all succeed and every change is committed', async () => {
+  const user = await ctx.register('dan');
+  const todos = [];
+  for (let i = 0; i < 6; i++) todos.push(await ctx.createTodo(user, { task: `Parallel ${i}` }));
+
+  const responses = await Promise.all([
+    ...todos.map(todo => bulk(user, { operation: 'priority', value: 'high', ids: [todo.id] })),
+    ...todos.map(todo => bulk(user, { operation: 'addTags', value: ['busy'], ids: [todo.id] })),
+    ctx.api().post('/api/todos').set(user.auth).send({ task: 'Created meanwhile' }),
+    ctx.api().get('/api/todos/stats').set(user.auth)
+  ]);
+  expect(responses.map(res => res.status)).toEqual([...todos.map(() => 200), ...todos.map(() => 200), 201, 200]);
+
+  const { body } = await ctx.api().get('/api/todos?limit=20&sortBy=createdAt&sortOrder=asc').set(user.auth);
+  const parallel = body.data.filter(todo => todo.task.startsWith('Parallel'));
+  expect(parallel.every(todo => todo.priority === 'high' && todo.tags.includes('busy'))).toBe(true);
+  expect(body.data).toHaveLength(7);
+});
+
+test('a failed transaction rolls back only its own changes', async () => {
+  const user = await ctx.db.users.create({ name: 'Eve', email: 'eve@example.com', password: 'hash' });
+  const todo = await ctx.db.todos.create(user.id, { task: 'Rollback target' });
+
+  const failing = ctx.db.transaction(async (tx) => {
+    await tx.run('UPDATE todos SET task = ? WHERE id = ?', ['Never saved', todo.id]);
+    throw new Error('boom');
+  });
+  const succeeding = ctx.db.transaction(async (tx) => {
+    await tx.run('UPDATE todos SET priority = ? WHERE id = ?', ['high', todo.id]);
+  });
+  const plain = ctx.db.get('SELECT task FROM todos WHERE id = ?', [todo.id]);
+
+  await expect(failing).rejects.toThrow('boom');
+  await succeeding;
+  expect((await plain).task).toBe('Rollback target');
+
+  const saved = await ctx.db.todos.findById(todo.id, user.id);
+  expect(saved).toEqual(expect.objectContaining({ task: 'Rollback target', priority: 'high' }));
+});
@@ -0,0 +1,127 @@
+// calendar.js: iCalendar feeds
+const { buildCalendar } = require('../calendar');
+
+const now = new Date('2030-01-01T12:00:00Z');
+const todo = (fields) => ({
+  id: '1',
+  task: 'Write report',
+  priority: 'medium',
+  tags: [],
+  completed: false,
+  createdAt: new Date('2030-01-01T08:00:00Z'),
+  updatedAt: new Date('2030-01-01T09:30:00Z'),
+  ...fields
+});
+
+// The content lines between BEGIN:<component> and END:<component>
+const entry = (ics, component = 'VEVENT') => {
+  const lines = ics.split('\r\n');
+  return lines.slice(lines.indexOf(`BEGIN:${component}`), lines.indexOf(`END:${component}`) + 1);
+};
+
+test('a whole feed', () => {
+  const ics = buildCalendar([
+    todo({ dueDate: new Date('2030-01-31T00:00:00Z') }),
+    todo({ id: '2', task: 'No due date' })
+  ], { name: 'Work', domain: 'todo.example.com', now });
+
+  expect(ics).toBe([
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Todo API//Todo Feed//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Work',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    'BEGIN:VEVENT',
+    'UID:todo-1@todo.example.com',
+    'DTSTAMP:20300101T093000Z',
+    'SUMMARY:Write report',
+    'PRIORITY:5',
+    'CREATED:20300101T080000Z',
+    'LAST-MODIFIED:20300101T093000Z',
+    'DTSTART;VALUE=DATE:20300131',
+    'DTEND;VALUE=DATE:20300201',
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT',
+    'END:VCALENDAR',
+    ''
+  ].join('\r\n'));
+});
+
+describe('DTSTART and DUE', () => {
+  test.each([
+    ['event', 'all day', '2030-01-31T00:00:00Z', ['DTSTART;VALUE=DATE:20300131', 'DTEND;VALUE=DATE:20300201']],
+    ['event', 'timed', '2030-01-31T17:00:00Z', ['DTSTART:20300131T170000Z']],
+    ['event', 'all day at the end of the year', '2030-12-31T00:00:00Z', ['DTSTART;VALUE=DATE:20301231', 'DTEND;VALUE=DATE:20310101']],
+    ['todo', 'all day', '2030-01-31T00:00:00Z', ['DUE;VALUE=DATE:20300131']],
+    ['todo', 'timed', '2030-01-31T17:00:00Z', ['DUE:20300131T170000Z']]
+  ])('%s, %s', (type, _, dueDate, expected) => {
+    const lines = entry(buildCalendar([todo({ dueDate: new Date(dueDate) })], { type, now }), type === 'event' ? 'VEVENT' : 'VTODO');
+    expect(lines.filter(line => /^(DTSTART|DTEND|DUE)[;:]/.test(line))).toEqual(expected);
+  });
+});
+
+test('TEXT values escape backslashes, semicolons, commas and line breaks', () => {
+  const ics = buildCalendar([todo({
+    task: 'Buy milk, eggs; bread \\ jam',
+    description: 'First line\r\nsecond line\nthird',
+    tags: ['a,b', 'c;d'],
+    dueDate: new Date('2030-01-31T17:00:00Z')
+  })], { name: 'Home, garden', now });
+
+  expect(ics).toContain('\r\nX-WR-CALNAME:Home\\, garden\r\n');
+  expect(entry(ics)).toEqual(expect.arrayContaining([
+    'SUMMARY:Buy milk\\, eggs\\; bread \\\\ jam',
+    'DESCRIPTION:First line\\nsecond line\\nthird',
+    'CATEGORIES:a\\,b,c\\;d'
+  ]));
+});
+
+describe('folding', () => {
+  test('lines longer than 75 octets continue on lines starting with a space', () => {
+    const task = 'a'.repeat(150);
+    const lines = entry(buildCalendar([todo({ task, dueDate: new Date('2030-01-31T17:00:00Z') })], { now }));
+    const start = lines.findIndex(line => line.startsWith('SUMMARY:'));
+
+    expect(lines.slice(start, start + 3)).toEqual([
+      `SUMMARY:${'a'.repeat(67)}`,
+      ` ${'a'.repeat(74)}`,
+      ` ${'a'.repeat(9)}`
+    ]);
+  });
+
+  test('multi-byte characters are never split', () => {
+    const task = `${'é'.repeat(40)}${'🙂'.repeat(20)}`;
+    const ics = buildCalendar([todo({ task, dueDate: new Date('2030-01-31T17:00:00Z') })], { now });
+
+    for (const line of ics.split('\r\n')) {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+      expect(line).not.toContain('�');
+    }
+    expect(ics.replace(/\r\n /g, '')).toContain(`\r\nSUMMARY:${task}\r\n`);
+    expect(ics.split('\r\n').find(line => line.startsWith('SUMMARY:'))).toBe(`SUMMARY:${'é'.repeat(33)}`);
+  });
+});
+
+test('completed todos and reminders', () => {
+  const done = todo({
+    completed: true,
+    completedAt: new Date('2030-01-30T10:00:00Z'),
+    reminders: [60],
+    dueDate: new Date('2030-01-31T17:00:00Z')
+  });
+  const open = todo({ reminders: [60, -30], dueDate: new Date('2030-01-31T17:00:00Z') });
+
+  expect(entry(buildCalendar([done], { now }))).toContain('SUMMARY:✓ Write report');
+  expect(entry(buildCalendar([done], { type: 'todo', now }), 'VTODO')).toEqual(expect.arrayContaining([
+    'STATUS:COMPLETED',
+    'PERCENT-COMPLETE:100',
+    'COMPLETED:20300130T100000Z'
+  ]));
+  expect(buildCalendar([done], { now })).not.toContain('VALARM');
+
+  const triggers = buildCalendar([open], { now }).split('\r\n').filter(line => line.startsWith('TRIGGER:'));
+  expect(triggers).toEqual(['TRIGGER:-PT60M', 'TRIGGER:PT30M']);
+});
@@ -0,0 +1,83 @@
+// Checklist items and autoComplete
+const { startApp } = require('./helpers');
+
+let ctx;
+let ann;
+
+const updateItem = (user, todoId, itemId, body) => ctx.api().put(`/api/todos/${todoId}/items/${itemId}`).set(user.auth).send(body);
+const history = async (user, id) => (await ctx.api().get(`/api/todos/${id}/history`).set(user.auth)).body.data;
+
+beforeAll(async () => {
+  ctx = await startApp();
+  ann = await ctx.register('ann');
+});
+
+afterAll(() => ctx.close());
+
+test('autoComplete follows the checklist', async () => {
+  const todo = await ctx.createTodo(ann, { task: 'Pack bags', autoComplete: true, items: ['Socks', 'Shirts'] });
+  expect(todo.progress).toEqual({ completed: 0, total: 2 });
+  const [socks, shirts] = todo.items;
+
+  await updateItem(ann, todo.id, socks.id, { completed: true });
+  let res = await updateItem(ann, todo.id, shirts.id, { completed: true });
+  expect(res.body.data.todo.completed).toBe(true);
+
+  res = await updateItem(ann, todo.id, shirts.id, { completed: false });
+  expect(res.body.data.todo.completed).toBe(false);
+  expect((await history(ann, todo.id)).map(entry => entry.action)).toEqual(['reopened', 'completed', 'created']);
+});
+
+test('items can be inserted, reordered and removed', async () => {
+  const todo = await ctx.createTodo(ann, { task: 'Cook dinner', items: ['Shop', 'Cook'] });
+  const path = `/api/todos/${todo.id}/items`;
+
+  const added = await ctx.api().post(path).set(ann.auth).send({ text: 'Plan menu', position: 0 });
+  expect(added.status).toBe(201);
+  expect(added.body.data.todo.items.map(item => item.text)).toEqual(['Plan menu', 'Shop', 'Cook']);
+
+  const ids = added.body.data.todo.items.map(item => item.id);
+  expect((await ctx.api().put(`${path}/reorder`).set(ann.auth).send({ itemIds: ids.slice(1) })).status).toBe(400);
+  const reordered = await ctx.api().put(`${path}/reorder`).set(ann.auth).send({ itemIds: [ids[2], ids[0], ids[1]] });
+  expect(reordered.body.data.todo.items.map(item => item.text)).toEqual(['Cook', 'Plan menu', 'Shop']);
+
+  const removed = await ctx.api().delete(`${path}/${ids[0]}`).set(ann.auth);
+  expect(removed.body.data.todo.items.map(item => item.text)).toEqual(['Cook', 'Shop']);
+  expect((await ctx.api().delete(`${path}/${ids[0]}`).set(ann.auth)).status).toBe(404);
+});
+
+test('finishing the checklist of a recurring todo records and announces the next occurrence', async () => {
+  const hook = (await ctx.api().post('/api/webhooks').set(ann.auth).send({ url: 'https://93.184.216.34/hook' })).body.data;
+  const todo = await ctx.createTodo(ann, {
+    task: 'Water plants',
+    autoComplete: true,
+    recurrence: 'FREQ=WEEKLY',
+    dueDate: '2030-01-07T09:00:00Z',
+    items: ['Kitchen']
+  });
+
+  const res = await updateItem(ann, todo.id, todo.items[0].id, { completed: true });
+  const { todo: completed, next } = res.body.data;
+  expect(completed).toEqual(expect.objectContaining({ completed: true, recurrence: null }));
+  expect(next).toEqual(expect.objectContaining({ occurrence: 2, dueDate: '2030-01-14T09:00:00.000Z', completed: false }));
+  expect(next.items.map(item => item.text)).toEqual(['Kitchen']);
+
+  expect((await history(ann, todo.id)).map(entry => entry.action)).toEqual(['completed', 'created']);
+  expect((await history(ann, next.id)).map(entry => entry.action)).toEqual(['created']);
+
+  const deliveries = (await ctx.api().get(`/api/webhooks/${hook.id}/deliveries`).set(ann.auth)).body.data;
+  expect(deliveries.map(delivery => delivery.event).reverse())
+    .toEqual(['todo.created', 'todo.updated', 'todo.completed', 'todo.created']);
+});
+
+test('a recurring todo created with a finished checklist starts its series', async () => {
+  const res = await ctx.api().post('/api/todos').set(ann.auth).send({
+    task: 'Already done',
+    autoComplete: true,
+    recurrence: 'FREQ=DAILY',
+    dueDate: '2030-01-01T09:00:00Z',
+    items: [{ text: 'Only step', completed: true }]
+  });
+  expect(res.body.data.completed).toBe(true);
+  expect(res.body.next).toEqual(expect.objectContaining({ occurrence: 2, dueDate: '2030-01-02T09:00:00.000Z' }));
+});
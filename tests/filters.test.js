@@ -0,0 +1,81 @@
+// Todo list filters: due-date ranges, overdue, priorities, tags and timestamps
+const { startApp } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let ctx;
+let ann;
+let far;
+const now = Date.now();
+
+const fromNow = (ms) => new Date(now + ms).toISOString();
+const tasks = async (query) => {
+  const res = await ctx.api().get(`/api/todos?limit=50&${query}`).set(ann.auth);
+  expect(res.status).toBe(200);
+  return res.body.data.map(todo => todo.task).sort();
+};
+
+beforeAll(async () => {
+  ctx = await startApp();
+  ann = await ctx.register('ann');
+
+  await ctx.createTodo(ann, { task: 'Late one', dueDate: fromNow(-2 * DAY_MS), priority: 'high', tags: ['a', 'b'] });
+  const lateDone = await ctx.createTodo(ann, { task: 'Late done', dueDate: fromNow(-2 * DAY_MS), priority: 'low', tags: ['a'] });
+  await ctx.api().put(`/api/todos/${lateDone.id}`).set(ann.auth).send({ completed: true });
+  await ctx.createTodo(ann, { task: 'Soon one', dueDate: fromNow(60 * 1000), tags: ['b'] });
+  far = await ctx.createTodo(ann, { task: 'Far one', dueDate: fromNow(40 * DAY_MS), priority: 'high' });
+  await ctx.createTodo(ann, { task: 'No date', tags: ['c'] });
+});
+
+afterAll(() => ctx.close());
+
+test.each([
+  ['overdue=true', ['Late one']],
+  ['overdue=false', ['Far one', 'Late done', 'No date', 'Soon one']],
+  ['noDueDate=true', ['No date']],
+  ['noDueDate=false', ['Far one', 'Late done', 'Late one', 'Soon one']],
+  [`dueAfter=${fromNow(0)}`, ['Far one', 'Soon one']],
+  [`dueBefore=${fromNow(0)}`, ['Late done', 'Late one']],
+  ['priority=high,low', ['Far one', 'Late done', 'Late one']],
+  ['tags=a,b&tagMatch=all', ['Late one']],
+  ['tags=b&excludeTags=a', ['Soon one']],
+  ['excludeTags=a,b', ['Far one', 'No date']],
+  [`createdAfter=${fromNow(-60 * 1000)}`, ['Far one', 'Late done', 'Late one', 'No date', 'Soon one']],
+  [`createdAfter=${fromNow(DAY_MS)}`, []]
+])('?%s', async (query, expected) => {
+  expect(await tasks(query)).toEqual(expected);
+});
+
+test('due=thisWeek covers the coming days only', async () => {
+  const thisWeek = await tasks('due=thisWeek');
+  expect(thisWeek).not.toContain('Far one');
+  expect(thisWeek).not.toContain('No date');
+});
+
+test('updatedAfter finds recently changed todos', async () => {
+  const since = new Date().toISOString();
+  await new Promise(resolve => setTimeout(resolve, 20));
+  await ctx.api().put(`/api/todos/${far.id}`).set(ann.auth).send({ priority: 'low' });
+  expect(await tasks(`updatedAfter=${since}`)).toEqual(['Far one']);
+});
+
+test.each([
+  'dueBefore=yesterday',
+  'overdue=maybe',
+  'priority=high,urgent',
+  'due=someday',
+  'completed=yes',
+  'createdAfter=2025-13-45',
+  'dueAfter=2025-02-01&dueBefore=2025-01-01'
+])('?%s is rejected', async (query) => {
+  const res = await ctx.api().get(`/api/todos?${query}`).set(ann.auth);
+  expect(res.status).toBe(400);
+  expect(res.body.success).toBe(false);
+});
+
+test('bulk filters accept the same conditions', async () => {
+  const res = await ctx.api().post('/api/todos/bulk').set(ann.auth)
+    .send({ operation: 'complete', filter: { overdue: true } });
+  expect(res.body.data.matched).toBe(1);
+  expect(await tasks('overdue=true')).toEqual([]);
+});
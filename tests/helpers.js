@@ -0,0 +1,55 @@
+// tests/helpers.js
+// The API on a fresh in-memory SQLite database. Every test file runs in its
+// own module registry, so each one gets its own app and database; set any
+// extra environment variables before calling startApp(). Mail is kept in
+// ctx.outbox instead of being sent.
+const request = require('supertest');
+const { registerTransport } = require('../mailer');
+
+const startApp = async (env = {}) => {
+  const outbox = [];
+  registerTransport('outbox', () => ({
+    send: async (message) => {
+      outbox.push(message);
+      return { accepted: [message.to] };
+    }
+  }));
+
+  Object.assign(process.env, {
+    MONGODB_URI: '',
+    SQLITE_PATH: ':memory:',
+    MAIL_TRANSPORT: 'outbox',
+    ...env
+  });
+  const { app, connectDB } = require('../server');
+  await connectDB();
+  const db = require('../sqlite-db').getInstance();
+
+  // Registers a user and returns { user, token, refreshToken, auth }
+  // (`auth` is the Authorization header for supertest's .set())
+  const register = async (name, extra = {}) => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ name, email: `${name}@example.com`, password: 'secret1', confirmPassword: 'secret1', ...extra });
+    if (res.status !== 201) throw new Error(`Registering ${name} failed: ${JSON.stringify(res.body)}`);
+    return { ...res.body.data, auth: { Authorization: `Bearer ${res.body.data.token}` } };
+  };
+
+  // The created todo / list (the response's data) for a registered user
+  const createTodo = async (user, body) => (await request(app).post('/api/todos').set(user.auth).send(body)).body.data;
+  const createList = async (user, body) => (await request(app).post('/api/lists').set(user.auth).send(body)).body.data;
+
+  // The token in the link of the last mail sent to `email`
+  const mailedToken = (email) => {
+    const message = [...outbox].reverse().find(mail => mail.to === email);
+    const match = message && /token=([\w-]+)/.exec(message.text);
+    if (!match) throw new Error(`No mailed token for ${email}`);
+    return match[1];
+  };
+
+  const close = () => db.close();
+
+  return { app, db, api: () => request(app), register, createTodo, createList, outbox, mailedToken, close };
+};
+
+module.exports = { startApp };
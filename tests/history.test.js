@@ -0,0 +1,99 @@
+// Change history, activity feed and revert
+const { startApp } = require('./helpers');
+
+let ctx;
+let ann;
+let bob;
+let cat;
+
+const updateTodo = (user, id, body) => ctx.api().put(`/api/todos/${id}`).set(user.auth).send(body);
+const history = async (user, id, query = '') => (await ctx.api().get(`/api/todos/${id}/history${query}`).set(user.auth)).body;
+const revert = (user, id, revision) => ctx.api().post(`/api/todos/${id}/revert`).set(user.auth).send({ revision });
+
+beforeAll(async () => {
+  ctx = await startApp();
+  ann = await ctx.register('ann');
+  bob = await ctx.register('bob');
+  cat = await ctx.register('cat');
+});
+
+afterAll(() => ctx.close());
+
+test('records who changed which fields', async () => {
+  const todo = await ctx.createTodo(ann, { task: 'Write report', dueDate: '2030-01-01' });
+  await updateTodo(ann, todo.id, { task: 'Write the report', priority: 'high' });
+  await updateTodo(ann, todo.id, { completed: true });
+  await updateTodo(ann, todo.id, { completed: true }); // no change, no revision
+  await ctx.api().post(`/api/todos/${todo.id}/shares`).set(ann.auth).send({ email: 'bob@example.com', permission: 'editor' });
+  await updateTodo(bob, todo.id, { completed: false });
+
+  const { data } = await history(ann, todo.id);
+  expect(data.map(entry => [entry.revision, entry.action, entry.actor.name])).toEqual([
+    [4, 'reopened', 'bob'],
+    [3, 'completed', 'ann'],
+    [2, 'updated', 'ann'],
+    [1, 'created', 'ann']
+  ]);
+  expect(data[2].changes).toEqual([
+    { field: 'task', from: 'Write report', to: 'Write the report' },
+    { field: 'priority', from: 'medium', to: 'high' }
+  ]);
+  expect(data[3].snapshot.dueDate).toBe('2030-01-01T00:00:00.000Z');
+
+  expect((await ctx.api().get(`/api/todos/${todo.id}/history`).set(cat.auth)).status).toBe(404);
+
+  const first = await history(ann, todo.id, '?limit=2');
+  const second = await history(ann, todo.id, `?limit=2&cursor=${first.pagination.nextCursor}`);
+  expect(second.data.map(entry => entry.revision)).toEqual([2, 1]);
+});
+
+test('the activity feed shows your todos and your changes to shared ones', async () => {
+  const res = await ctx.api().get('/api/activity').set(bob.auth);
+  expect(res.body.data.map(entry => entry.action)).toEqual(['reopened']);
+  expect((await ctx.api().get('/api/activity').set(cat.auth)).body.data).toEqual([]);
+});
+
+test('revert sets the fields back and records a reverted revision', async () => {
+  const todo = await ctx.createTodo(ann, { task: 'Plan trip' });
+  await updateTodo(ann, todo.id, { task: 'Plan the trip', priority: 'high', description: 'Flights' });
+
+  expect((await revert(ann, todo.id, 'x')).status).toBe(400);
+  expect((await revert(ann, todo.id, 99)).status).toBe(404);
+
+  const res = await revert(ann, todo.id, 1);
+  expect(res.status).toBe(200);
+  expect(res.body.data).toEqual(expect.objectContaining({ task: 'Plan trip', priority: 'medium', description: null }));
+
+  const [latest] = (await history(ann, todo.id, '?limit=1')).data;
+  expect(latest).toEqual(expect.objectContaining({ revision: 3, action: 'reverted', revertedTo: 1 }));
+});
+
+test('viewers cannot revert', async () => {
+  const todo = await ctx.createTodo(bob, { task: 'Bob only' });
+  await ctx.api().post(`/api/todos/${todo.id}/shares`).set(bob.auth).send({ email: 'ann@example.com', permission: 'viewer' });
+  expect((await revert(ann, todo.id, 1)).status).toBe(403);
+});
+
+test('reverting a completed recurring todo does not repeat its next occurrence', async () => {
+  const todo = await ctx.createTodo(ann, { task: 'Weekly report', recurrence: 'FREQ=WEEKLY', dueDate: '2030-01-07T09:00:00Z' });
+  const completed = await updateTodo(ann, todo.id, { completed: true });
+  expect(completed.body.next).toEqual(expect.objectContaining({ occurrence: 2 }));
+
+  // Back to the open, still recurring revision 1, then complete it again
+  const reverted = await revert(ann, todo.id, 1);
+  expect(reverted.body.data).toEqual(expect.objectContaining({ completed: false, recurrence: null }));
+  const again = await updateTodo(ann, todo.id, { completed: true });
+  expect(again.body.next).toBeUndefined();
+
+  const { body } = await ctx.api().get('/api/todos?search=weekly&limit=10').set(ann.auth);
+  expect(body.data.map(entry => entry.occurrence).sort()).toEqual([1, 2]);
+});
+
+test('purging a todo removes its history', async () => {
+  const user = await ctx.register('dan');
+  const todo = await ctx.createTodo(user, { task: 'Short lived' });
+  await ctx.api().delete(`/api/todos/${todo.id}`).set(user.auth);
+  await ctx.api().delete('/api/todos/trash').set(user.auth);
+
+  expect((await ctx.api().get('/api/activity').set(user.auth)).body.pagination.total).toBe(0);
+});
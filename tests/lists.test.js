@@ -0,0 +1,69 @@
+// Lists, list filters and per-list statistics
+const { startApp } = require('./helpers');
+
+let ctx;
+let ann;
+let bob;
+let work;
+let home;
+
+const stats = (user, query = '') => ctx.api().get(`/api/todos/stats${query}`).set(user.auth);
+
+beforeAll(async () => {
+  ctx = await startApp();
+  ann = await ctx.register('ann');
+  bob = await ctx.register('bob');
+
+  work = await ctx.createList(ann, { name: 'Work', color: '#FF0000' });
+  home = await ctx.createList(ann, { name: 'Home' });
+  await ctx.createTodo(ann, { task: 'Write report', listId: work.id });
+  const done = await ctx.createTodo(ann, { task: 'Email boss', listId: work.id });
+  await ctx.api().put(`/api/todos/${done.id}`).set(ann.auth).send({ completed: true });
+  await ctx.createTodo(ann, { task: 'Dishes', listId: home.id });
+  await ctx.createTodo(ann, { task: 'Loose end' });
+});
+
+afterAll(() => ctx.close());
+
+test('lists are validated and todos can only be filed in your own', async () => {
+  expect(work).toEqual(expect.objectContaining({ color: '#ff0000', archived: false }));
+  expect((await ctx.api().post('/api/lists').set(ann.auth).send({ name: 'x', color: 'red' })).status).toBe(400);
+  expect((await ctx.api().post('/api/todos').set(bob.auth).send({ task: 'Steal', listId: work.id })).status).toBe(400);
+});
+
+test('?list= filters todos to one list or to none', async () => {
+  expect((await ctx.api().get(`/api/todos?list=${work.id}`).set(ann.auth)).body.pagination.total).toBe(2);
+  expect((await ctx.api().get('/api/todos?list=none').set(ann.auth)).body.pagination.total).toBe(1);
+  expect((await ctx.api().get(`/api/todos?list=${work.id}`).set(bob.auth)).status).toBe(400);
+});
+
+test('stats count per list', async () => {
+  let res = await stats(ann);
+  expect(res.body.data).toEqual(expect.objectContaining({ total: 4, completed: 1 }));
+  expect(res.body.data.lists.map(list => [list.name, list.total])).toEqual([['Home', 1], ['Work', 2], [null, 1]]);
+
+  res = await stats(ann, `?list=${work.id}`);
+  expect(res.body.data).toEqual(expect.objectContaining({ total: 2, completed: 1, pending: 1 }));
+  expect((await stats(ann, '?list=none')).body.data.total).toBe(1);
+});
+
+test('stats for a list shared with you count the owner\'s todos in it', async () => {
+  expect((await stats(bob, `?list=${work.id}`)).status).toBe(400);
+
+  await ctx.api().post(`/api/lists/${work.id}/shares`).set(ann.auth).send({ email: 'bob@example.com', permission: 'viewer' });
+  const res = await stats(bob, `?list=${work.id}`);
+  expect(res.status).toBe(200);
+  expect(res.body.data).toEqual(expect.objectContaining({ total: 2, completed: 1, pending: 1 }));
+});
+
+test('deleting a list moves, deletes or unassigns its todos', async () => {
+  expect((await ctx.api().delete(`/api/lists/${home.id}?todos=move&moveTo=${home.id}`).set(ann.auth)).status).toBe(400);
+  let res = await ctx.api().delete(`/api/lists/${home.id}?todos=move&moveTo=${work.id}`).set(ann.auth);
+  expect(res.body.data.affected).toBe(1);
+
+  const tmp = await ctx.createList(ann, { name: 'Tmp' });
+  await ctx.createTodo(ann, { task: 'Keep me', listId: tmp.id });
+  res = await ctx.api().delete(`/api/lists/${tmp.id}`).set(ann.auth);
+  expect(res.body.data.todos).toBe('unassign');
+  expect((await ctx.api().get('/api/todos?list=none').set(ann.auth)).body.pagination.total).toBe(2);
+});
@@ -0,0 +1,78 @@
+// The OpenAPI document, the Swagger UI page and the status endpoint list
+const { startApp } = require('./helpers');
+
+let ctx;
+let doc;
+let operations;
+const warnings = [];
+
+beforeAll(async () => {
+  ctx = await startApp();
+  jest.spyOn(console, 'warn').mockImplementation((message) => warnings.push(message));
+  doc = (await ctx.api().get('/api/openapi.json')).body;
+  operations = Object.entries(doc.paths).flatMap(([path, methods]) => Object.entries(methods)
+    .map(([method, operation]) => ({ key: `${method.toUpperCase()} ${path}`, path, operation })));
+});
+
+afterAll(() => {
+  console.warn.mockRestore();
+  return ctx.close();
+});
+
+test('every registered route is described, and nothing else', () => {
+  expect(warnings).toEqual([]);
+  expect(doc.openapi).toMatch(/^3\.0\./);
+  expect(doc.servers[0].url).toMatch(/^http:\/\/127\.0\.0\.1/);
+  expect(operations.map(({ key }) => key)).toEqual(expect.arrayContaining([
+    'GET /api/todos',
+    'POST /api/todos/{id}/shares',
+    'DELETE /api/lists/{id}/shares/{userId}',
+    'GET /api/calendar/{token}.ics',
+    'PATCH /api/admin/users/{id}'
+  ]));
+});
+
+test('operations have summaries, unique ids and their path parameters', () => {
+  for (const { path, operation } of operations) {
+    expect(operation.summary).toBeTruthy();
+    for (const [, name] of path.matchAll(/\{(\w+)\}/g)) {
+      expect(operation.parameters).toEqual(expect.arrayContaining([expect.objectContaining({ in: 'path', name })]));
+    }
+  }
+  const ids = operations.map(({ operation }) => operation.operationId);
+  expect(new Set(ids).size).toBe(ids.length);
+});
+
+test('every schema reference resolves', () => {
+  for (const [, name] of JSON.stringify(doc).matchAll(/#\/components\/schemas\/(\w+)/g)) {
+    expect(doc.components.schemas).toHaveProperty(name);
+  }
+});
+
+test('public routes opt out of the bearer token', () => {
+  expect(doc.paths['/api/auth/login'].post.security).toEqual([]);
+  expect(doc.paths['/api/todos'].get.security).toBeUndefined();
+  expect(doc.security).toEqual([{ bearerAuth: [] }]);
+});
+
+test('the docs page only runs its own nonce-tagged script', async () => {
+  const res = await ctx.api().get('/api/docs');
+  expect(res.headers['content-type']).toMatch(/text\/html/);
+  const nonce = /nonce-([^']+)/.exec(res.headers['content-security-policy'])[1];
+  expect(res.text).toContain(`nonce="${nonce}"`);
+  expect(res.headers['content-security-policy']).toMatch(/script-src 'nonce-[^']+' http:\/\/127\.0\.0\.1:\d+\/api\/docs\/assets\/swagger-ui-bundle\.js;/);
+
+  // Swagger UI comes from the pinned swagger-ui-dist package, not a CDN
+  expect(res.text).toContain('<script src="/api/docs/assets/swagger-ui-bundle.js">');
+  const bundle = await ctx.api().get('/api/docs/assets/swagger-ui-bundle.js');
+  expect(bundle.status).toBe(200);
+  expect(bundle.headers['content-type']).toMatch(/javascript/);
+});
+
+test('the status endpoint lists the documented routes by group', async () => {
+  const { data } = (await ctx.api().get('/api/status')).body;
+  expect(data.endpoints.todos).toContain('/api/todos/:id');
+  expect(data.endpoints.calendar).toContain('/api/calendar/:token.ics');
+  expect(data.endpoints.sharing).toContain('/api/lists/:id/shares/:userId');
+  expect(data.documentation).toEqual({ openapi: '/api/openapi.json', docs: '/api/docs' });
+});
@@ -0,0 +1,79 @@
+// Cursor pagination of todo listings
+const { startApp } = require('./helpers');
+
+let ctx;
+let admin;
+
+const page = async (query, path = '/api/todos') => {
+  const res = await ctx.api().get(`${path}?${query}`).set(admin.auth);
+  expect(res.status).toBe(200);
+  return res.body;
+};
+const tasks = (body) => body.data.map(todo => todo.task);
+
+// Every task, following nextCursor from the first page to the last
+const walk = async (query) => {
+  const seen = [];
+  let cursor = '';
+  do {
+    const body = await page(`${query}${cursor ? `&cursor=${cursor}` : ''}`);
+    seen.push(...tasks(body));
+    cursor = body.pagination.nextCursor;
+  } while (cursor);
+  return seen;
+};
+
+beforeAll(async () => {
+  ctx = await startApp();
+  admin = await ctx.register('admin');
+  await ctx.db.users.update(admin.user.id, { role: 'admin', emailVerified: true });
+  for (let i = 0; i < 7; i++) {
+    const dueDate = i % 2 ? new Date(Date.now() + i * 24 * 60 * 60 * 1000).toISOString() : undefined;
+    await ctx.api().post('/api/todos').set(admin.auth).send({ task: `Task ${i}`, dueDate });
+  }
+});
+
+afterAll(() => ctx.close());
+
+test('cursors keep their place when todos are added while scrolling', async () => {
+  const first = await page('limit=3');
+  expect(tasks(first)).toEqual(['Task 6', 'Task 5', 'Task 4']);
+  expect(first.pagination.page).toBe(1);
+  expect(first.pagination.prevCursor).toBeNull();
+
+  await ctx.api().post('/api/todos').set(admin.auth).send({ task: 'Newer' });
+  const second = await page(`limit=3&cursor=${first.pagination.nextCursor}`);
+  expect(tasks(second)).toEqual(['Task 3', 'Task 2', 'Task 1']);
+  expect(second.pagination.page).toBeUndefined();
+
+  const last = await page(`limit=3&cursor=${second.pagination.nextCursor}`);
+  expect(tasks(last)).toEqual(['Task 0']);
+  expect(last.pagination.nextCursor).toBeNull();
+
+  // Going back reaches the todo added after the first page was read
+  const back = await page(`limit=3&cursor=${second.pagination.prevCursor}`);
+  expect(tasks(back)).toEqual(['Task 6', 'Task 5', 'Task 4']);
+  const newest = await page(`limit=3&cursor=${back.pagination.prevCursor}`);
+  expect(tasks(newest)).toEqual(['Newer']);
+  expect(newest.pagination.prevCursor).toBeNull();
+});
+
+test('sorting by due date pages through todos without one too', async () => {
+  const ascending = await walk('limit=2&sortBy=dueDate&sortOrder=asc');
+  expect(new Set(ascending).size).toBe(8);
+  expect(await walk('limit=3&sortBy=dueDate&sortOrder=desc')).toEqual([...ascending].reverse());
+});
+
+test.each([
+  ['garbage'],
+  [Buffer.from(JSON.stringify({ sort: ['relevance', 'desc'], offset: 0 })).toString('base64url')]
+])('cursor %s is rejected', async (cursor) => {
+  expect((await ctx.api().get(`/api/todos?cursor=${cursor}`).set(admin.auth)).status).toBe(400);
+});
+
+test('the admin todo listing pages with cursors too', async () => {
+  const first = await page('limit=5', '/api/admin/todos');
+  expect(first.count).toBe(5);
+  expect(first.pagination.total).toBe(8);
+  expect((await page(`limit=5&cursor=${first.pagination.nextCursor}`, '/api/admin/todos')).count).toBe(3);
+});
@@ -0,0 +1,75 @@
+// recurrence.js: RRULE parsing and next occurrences (2030-01-07 is a Monday)
+const { RecurrenceError, normalizeRule, nextOccurrence } = require('../recurrence');
+
+describe('nextOccurrence', () => {
+  test.each([
+    // rule, from, occurrence, expected
+    ['daily', '2030-01-01T09:00:00Z', 1, '2030-01-02T09:00:00.000Z'],
+    ['FREQ=DAILY;INTERVAL=3', '2030-01-01T09:00:00Z', 1, '2030-01-04T09:00:00.000Z'],
+    ['FREQ=DAILY;BYDAY=MO,WE,FR', '2030-01-04T09:00:00Z', 1, '2030-01-07T09:00:00.000Z'],
+    ['weekly', '2030-01-07T09:00:00Z', 1, '2030-01-14T09:00:00.000Z'],
+    ['FREQ=WEEKLY;BYDAY=MO,TH', '2030-01-07T09:00:00Z', 1, '2030-01-10T09:00:00.000Z'],
+    ['FREQ=WEEKLY;BYDAY=MO,TH', '2030-01-10T09:00:00Z', 1, '2030-01-14T09:00:00.000Z'],
+    ['FREQ=WEEKLY;BYDAY=SU', '2030-01-07T09:00:00Z', 1, '2030-01-13T09:00:00.000Z'],
+    ['FREQ=WEEKLY;INTERVAL=2;BYDAY=MO', '2030-01-07T09:00:00Z', 1, '2030-01-21T09:00:00.000Z'],
+    ['monthly', '2030-01-15T09:00:00Z', 1, '2030-02-15T09:00:00.000Z'],
+    ['FREQ=MONTHLY;INTERVAL=3', '2030-01-10T09:00:00Z', 1, '2030-04-10T09:00:00.000Z'],
+    ['FREQ=MONTHLY;BYMONTHDAY=1,15', '2030-01-01T09:00:00Z', 1, '2030-01-15T09:00:00.000Z'],
+    ['FREQ=MONTHLY;BYMONTHDAY=1,15', '2030-01-15T09:00:00Z', 1, '2030-02-01T09:00:00.000Z'],
+    // Month ends
+    ['FREQ=MONTHLY', '2030-01-31T09:00:00Z', 1, '2030-03-31T09:00:00.000Z'],
+    ['FREQ=MONTHLY;BYMONTHDAY=-1', '2030-01-31T09:00:00Z', 1, '2030-02-28T09:00:00.000Z'],
+    ['FREQ=MONTHLY;BYMONTHDAY=-1', '2030-02-28T09:00:00Z', 1, '2030-03-31T09:00:00.000Z'],
+    ['FREQ=MONTHLY;BYMONTHDAY=-1', '2032-01-31T09:00:00Z', 1, '2032-02-29T09:00:00.000Z'],
+    ['FREQ=MONTHLY;BYMONTHDAY=-1', '2030-12-31T09:00:00Z', 1, '2031-01-31T09:00:00.000Z'],
+    // February 29th
+    ['yearly', '2030-06-01T09:00:00Z', 1, '2031-06-01T09:00:00.000Z'],
+    ['FREQ=YEARLY', '2028-02-29T09:00:00Z', 1, '2032-02-29T09:00:00.000Z'],
+    // COUNT and UNTIL end the series
+    ['FREQ=DAILY;COUNT=3', '2030-01-02T09:00:00Z', 2, '2030-01-03T09:00:00.000Z'],
+    ['FREQ=DAILY;COUNT=3', '2030-01-03T09:00:00Z', 3, null],
+    ['FREQ=DAILY;UNTIL=20300102', '2030-01-01T09:00:00Z', 1, '2030-01-02T09:00:00.000Z'],
+    ['FREQ=DAILY;UNTIL=20300102', '2030-01-02T09:00:00Z', 1, null],
+    ['FREQ=DAILY;UNTIL=20300102T080000Z', '2030-01-01T09:00:00Z', 1, null],
+    ['RRULE:freq=weekly;byday=fr', '2030-01-07T09:00:00Z', 1, '2030-01-11T09:00:00.000Z']
+  ])('%s from %s (occurrence %i)', (rule, from, occurrence, expected) => {
+    const next = nextOccurrence(rule, new Date(from), { occurrence });
+    expect(next && next.toISOString()).toBe(expected);
+  });
+});
+
+describe('validation', () => {
+  test.each([
+    [' ', 'Recurrence must be a preset (daily, weekly, monthly, yearly) or an RRULE.'],
+    ['hourly', 'Unsupported recurrence part "HOURLY".'],
+    ['FREQ=HOURLY', 'FREQ must be one of: DAILY, WEEKLY, MONTHLY, YEARLY.'],
+    ['INTERVAL=2', 'Recurrence needs a FREQ.'],
+    ['FREQ=DAILY;INTERVAL=0', 'INTERVAL must be a positive integer.'],
+    ['FREQ=DAILY;COUNT=x', 'COUNT must be a positive integer.'],
+    ['FREQ=DAILY;COUNT=2;UNTIL=20301231', 'Use either COUNT or UNTIL, not both.'],
+    ['FREQ=DAILY;UNTIL=2030-01-01', 'UNTIL must look like 20251231 or 20251231T170000Z.'],
+    ['FREQ=DAILY;UNTIL=20300230', 'UNTIL is not a valid date.'],
+    ['FREQ=WEEKLY;BYDAY=1MO', 'BYDAY values must be among: SU, MO, TU, WE, TH, FR, SA.'],
+    ['FREQ=MONTHLY;BYDAY=MO', 'BYDAY is only supported with FREQ=DAILY or FREQ=WEEKLY.'],
+    ['FREQ=MONTHLY;BYMONTHDAY=0', 'BYMONTHDAY values must be between 1 and 31 (or -31 and -1).'],
+    ['FREQ=MONTHLY;BYMONTHDAY=32', 'BYMONTHDAY values must be between 1 and 31 (or -31 and -1).'],
+    ['FREQ=WEEKLY;BYMONTHDAY=1', 'BYMONTHDAY is only supported with FREQ=MONTHLY.'],
+    ['FREQ=DAILY;BYSETPOS=1', 'Unsupported recurrence part "BYSETPOS".']
+  ])('rejects %j', (rule, message) => {
+    expect(() => normalizeRule(rule)).toThrow(new RecurrenceError(message));
+    expect(() => nextOccurrence(rule, new Date())).toThrow(RecurrenceError);
+  });
+});
+
+describe('normalizeRule', () => {
+  test.each([
+    ['weekly', 'FREQ=WEEKLY'],
+    ['RRULE:freq=weekly;byday=th,mo,th;interval=1', 'FREQ=WEEKLY;BYDAY=MO,TH'],
+    ['FREQ=MONTHLY;INTERVAL=2;BYMONTHDAY=15,-1', 'FREQ=MONTHLY;INTERVAL=2;BYMONTHDAY=15,-1'],
+    ['FREQ=DAILY;UNTIL=20301231', 'FREQ=DAILY;UNTIL=20301231T235959Z'],
+    ['', null],
+    [null, null]
+  ])('%j is stored as %j', (rule, expected) => {
+    expect(normalizeRule(rule)).toBe(expected);
+  });
+});
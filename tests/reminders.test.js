@@ -0,0 +1,84 @@
+// Due-date reminders and in-app notifications
+const { startApp } = require('./helpers');
+const { registerChannel, startReminderScheduler, describeDue } = require('../reminders');
+
+const MINUTE_MS = 60 * 1000;
+
+let ctx;
+let ann;
+const sent = [];
+
+const fromNow = (minutes) => new Date(Date.now() + minutes * MINUTE_MS).toISOString();
+
+// One scheduler run, as the server's would do it
+const runReminders = async () => {
+  const scheduler = startReminderScheduler(ctx.db);
+  await scheduler.runOnce();
+  await scheduler.stop();
+};
+
+beforeAll(async () => {
+  registerChannel('test', () => ({ send: async (reminder) => { sent.push(reminder); } }));
+  ctx = await startApp({ REMINDER_CHANNELS: 'in-app,test', REMINDER_OFFSETS: '1440,0' });
+  ann = await ctx.register('ann');
+});
+
+afterAll(() => ctx.close());
+
+test.each([
+  [0, 'is due now'],
+  [45, 'is due in 45 minutes'],
+  [1, 'is due in 1 minute'],
+  [180, 'is due in 3 hours'],
+  [3 * 1440, 'is due in 3 days'],
+  [-90, 'was due 90 minutes ago'],
+  [-2 * 1440, 'was due 2 days ago']
+])('describeDue(%i minutes)', (minutes, text) => {
+  const now = Date.UTC(2030, 0, 1);
+  expect(describeDue(new Date(now + minutes * MINUTE_MS), now)).toBe(text);
+});
+
+test('reminder offsets are validated', async () => {
+  expect((await ctx.api().post('/api/todos').set(ann.auth).send({ task: 'Bad one', reminders: ['x'] })).status).toBe(400);
+  expect((await ctx.createTodo(ann, { task: 'Sorted', reminders: [10, 60, 10] })).reminders).toEqual([60, 10]);
+});
+
+test('due reminders are sent once per channel, todo and offset', async () => {
+  await ctx.createTodo(ann, { task: 'Soon one', dueDate: fromNow(30), reminders: [60, 10] });
+  const late = await ctx.createTodo(ann, { task: 'Late one', dueDate: fromNow(-5) });
+  await ctx.createTodo(ann, { task: 'Far one', dueDate: fromNow(3 * 1440) });
+  await ctx.createTodo(ann, { task: 'Muted one', dueDate: fromNow(-5), reminders: [] });
+
+  await runReminders();
+  expect(sent.map(reminder => [reminder.todo.task, reminder.offset])).toEqual(
+    expect.arrayContaining([['Soon one', 60], ['Late one', 0]])
+  );
+  expect(sent).toHaveLength(2);
+
+  let res = await ctx.api().get('/api/notifications').set(ann.auth);
+  expect(res.body).toEqual(expect.objectContaining({ count: 2, unread: 2 }));
+  expect(res.body.data.map(notification => notification.title)).toEqual(
+    expect.arrayContaining(['"Soon one" is due in 30 minutes', '"Late one" was due 5 minutes ago'])
+  );
+
+  await runReminders();
+  expect(sent).toHaveLength(2);
+
+  // A new due date re-arms the reminders
+  await ctx.api().put(`/api/todos/${late.id}`).set(ann.auth).send({ dueDate: fromNow(-1) });
+  await runReminders();
+  expect(sent).toHaveLength(3);
+
+  res = await ctx.api().get('/api/notifications?unread=true').set(ann.auth);
+  expect(res.body.count).toBe(3);
+});
+
+test('notifications can be marked as read', async () => {
+  const { body } = await ctx.api().get('/api/notifications').set(ann.auth);
+  const read = await ctx.api().post(`/api/notifications/${body.data[0].id}/read`).set(ann.auth);
+  expect(read.body.data.read).toBe(true);
+
+  await ctx.api().post('/api/notifications/read-all').set(ann.auth);
+  expect((await ctx.api().get('/api/notifications').set(ann.auth)).body.unread).toBe(0);
+  expect((await ctx.api().post('/api/notifications/999999/read').set(ann.auth)).status).toBe(404);
+});
@@ -0,0 +1,133 @@
+// The shared repository contract (repositories.js) against the SQLite backend
+process.env.SQLITE_PATH = ':memory:';
+
+const { getInstance } = require('../sqlite-db');
+const { ConflictError, ValidationError } = require('../repositories');
+
+const USER_KEYS = ['id', 'name', 'email', 'role', 'isActive', 'emailVerified', 'createdAt', 'lastLogin'];
+const TODO_KEYS = [
+  'id', 'task', 'description', 'completed', 'priority', 'dueDate', 'tags', 'autoComplete', 'progress',
+  'listId', 'recurrence', 'occurrence', 'reminders', 'userId', 'completedAt', 'deletedAt', 'createdAt', 'updatedAt'
+];
+
+let db;
+let user;
+
+beforeAll(async () => {
+  db = getInstance();
+  await db.ready;
+  user = await db.users.create({ name: 'Ann', email: 'Ann@Example.com', password: 'hash' });
+});
+
+afterAll(() => db.close());
+
+describe('users', () => {
+  test('create returns a User with a string id and a normalized email', () => {
+    expect(Object.keys(user).sort()).toEqual([...USER_KEYS].sort());
+    expect(typeof user.id).toBe('string');
+    expect(user.email).toBe('ann@example.com');
+    expect(user.role).toBe('user');
+    expect(user.isActive).toBe(true);
+    expect(user.createdAt).toBeInstanceOf(Date);
+  });
+
+  test('a taken email is a ConflictError', async () => {
+    await expect(db.users.create({ name: 'Ann 2', email: 'ann@example.com', password: 'hash' }))
+      .rejects.toBeInstanceOf(ConflictError);
+  });
+
+  test('findByEmail only returns the password hash when asked to', async () => {
+    expect((await db.users.findByEmail('ANN@example.com')).password).toBeUndefined();
+    expect((await db.users.findByEmail('ann@example.com', { withPassword: true })).password).toBe('hash');
+  });
+
+  test('unknown ids resolve to null', async () => {
+    expect(await db.users.findById('999999')).toBeNull();
+    expect(await db.users.update('999999', { name: 'Nobody' })).toBeNull();
+    expect(await db.todos.findById('999999', user.id)).toBeNull();
+  });
+
+  test('update and list', async () => {
+    const updated = await db.users.update(user.id, { name: 'Ann B' });
+    expect(updated.name).toBe('Ann B');
+
+    const { users, total } = await db.users.list({ page: 1, limit: 10 });
+    expect(total).toBe(1);
+    expect(users[0].id).toBe(user.id);
+  });
+});
+
+describe('todos', () => {
+  test('create normalizes its input and returns a Todo', async () => {
+    const todo = await db.todos.create(user.id, {
+      task: '  Write report ',
+      priority: 'high',
+      tags: [' a ', 'b', 'a', ''],
+      dueDate: '2030-01-31'
+    });
+
+    expect(Object.keys(todo)).toEqual(expect.arrayContaining(TODO_KEYS));
+    expect(typeof todo.id).toBe('string');
+    expect(todo.userId).toBe(user.id);
+    expect(todo.task).toBe('Write report');
+    expect(todo.tags).toEqual(['a', 'b']);
+    expect(todo.completed).toBe(false);
+    expect(todo.dueDate).toEqual(new Date('2030-01-31T00:00:00Z'));
+    expect(todo.progress).toEqual({ completed: 0, total: 0 });
+    expect(todo.listId).toBeNull();
+  });
+
+  test('invalid input is a ValidationError', async () => {
+    await expect(db.todos.create(user.id, { task: 'Write report', priority: 'urgent' }))
+      .rejects.toBeInstanceOf(ValidationError);
+    await expect(db.todos.create(user.id, { task: 'ab' })).rejects.toBeInstanceOf(ValidationError);
+  });
+
+  test('list ids are strings too', async () => {
+    const list = await db.lists.create(user.id, { name: 'Work' });
+    const todo = await db.todos.create(user.id, { task: 'Filed todo', listId: list.id });
+    expect(typeof list.id).toBe('string');
+    expect(todo.listId).toBe(list.id);
+    expect(await db.todos.ownerOf(todo.id)).toEqual({ id: todo.id, userId: user.id, listId: list.id });
+  });
+
+  test('findForUser pages and filters', async () => {
+    const other = await db.users.create({ name: 'Bob', email: 'bob@example.com', password: 'hash' });
+    await db.todos.create(other.id, { task: 'Not yours' });
+
+    const all = await db.todos.findForUser(user.id, { page: 1, limit: 1 });
+    expect(all.total).toBe(2);
+    expect(all.todos).toHaveLength(1);
+    expect(all.nextCursor).toEqual(expect.any(String));
+
+    const next = await db.todos.findForUser(user.id, { cursor: all.nextCursor, limit: 1 });
+    expect(next.todos).toHaveLength(1);
+    expect(next.todos[0].id).not.toBe(all.todos[0].id);
+
+    const high = await db.todos.findForUser(user.id, { priority: 'high' });
+    expect(high.todos.map(todo => todo.task)).toEqual(['Write report']);
+  });
+
+  test('update sets completedAt and only touches the owner\'s todo', async () => {
+    const todo = await db.todos.create(user.id, { task: 'Finish me' });
+    const other = await db.users.findByEmail('bob@example.com');
+    expect(await db.todos.update(todo.id, other.id, { completed: true })).toBeNull();
+
+    const done = await db.todos.update(todo.id, user.id, { completed: true });
+    expect(done.completed).toBe(true);
+    expect(done.completedAt).toBeInstanceOf(Date);
+    expect((await db.todos.update(todo.id, user.id, { completed: false })).completedAt).toBeNull();
+  });
+
+  test('stats count the user\'s todos', async () => {
+    const stats = await db.todos.stats(user.id);
+    expect(stats).toEqual(expect.objectContaining({ total: 3, completed: 0, pending: 3 }));
+  });
+
+  test('delete moves the todo to the trash', async () => {
+    const todo = await db.todos.create(user.id, { task: 'Throw away' });
+    expect(await db.todos.delete(todo.id, user.id)).toBe(true);
+    expect(await db.todos.findById(todo.id, user.id)).toBeNull();
+    expect((await db.todos.findTrash(user.id)).todos.map(entry => entry.id)).toEqual([todo.id]);
+  });
+});
@@ -0,0 +1,65 @@
+// Full-text search (?search=) across task, description and tags
+const { startApp } = require('./helpers');
+
+let ctx;
+let ann;
+let cafe;
+
+const search = async (query, user = ann) => (await ctx.api().get(`/api/todos?search=${encodeURIComponent(query)}`).set(user.auth)).body;
+
+beforeAll(async () => {
+  ctx = await startApp();
+  ann = await ctx.register('ann');
+  const bob = await ctx.register('bob');
+
+  await ctx.createTodo(ann, { task: 'Write weekly report', description: 'Summarise the <b>project</b> status', tags: ['work'] });
+  await ctx.createTodo(ann, { task: 'Buy milk', description: 'And a report on cheese prices', tags: ['shopping', 'report'] });
+  await ctx.createTodo(ann, { task: 'Report weekly numbers', tags: ['work'] });
+  cafe = await ctx.createTodo(ann, { task: 'Café visit', description: 'projector repair' });
+  await ctx.createTodo(bob, { task: 'Bob report' });
+});
+
+afterAll(() => ctx.close());
+
+test('matches words in any field of your own todos, best match first', async () => {
+  const { data, pagination } = await search('report');
+  expect(pagination.total).toBe(3);
+  expect(data.every(todo => todo.search.score > 0)).toBe(true);
+  expect(data.map(todo => todo.search.score)).toEqual([...data.map(todo => todo.search.score)].sort((a, b) => b - a));
+  expect(data.find(todo => todo.task === 'Buy milk').search.highlights.description).toBe('And a <mark>report</mark> on cheese prices');
+});
+
+test.each([
+  ['"weekly report"', 1],
+  ['proj*', 2],
+  ['cafe', 1],
+  ['report weekly', 2]
+])('%s finds %i', async (query, total) => {
+  expect((await search(query)).pagination.total).toBe(total);
+});
+
+test('highlights are HTML-escaped', async () => {
+  const { data } = await search('project');
+  expect(data[0].search.highlights.description).toBe('Summarise the &lt;b&gt;<mark>project</mark>&lt;/b&gt; status');
+});
+
+test('queries without words are rejected', async () => {
+  expect((await ctx.api().get('/api/todos?search=***').set(ann.auth)).status).toBe(400);
+});
+
+test('the index follows updates and deletes', async () => {
+  await ctx.api().put(`/api/todos/${cafe.id}`).set(ann.auth).send({ task: 'Tea visit', tags: ['report'] });
+  expect((await search('cafe')).pagination.total).toBe(0);
+  expect((await search('report')).pagination.total).toBe(4);
+
+  await ctx.api().delete(`/api/todos/${cafe.id}`).set(ann.auth);
+  expect((await search('tea')).pagination.total).toBe(0);
+});
+
+test('bulk filters can search too', async () => {
+  const res = await ctx.api().post('/api/todos/bulk').set(ann.auth)
+    .send({ operation: 'addTags', value: 'found', filter: { search: 'weekly' } });
+  expect(res.body.data.matched).toBe(2);
+  expect((await search('found')).pagination.total).toBe(2);
+  expect((await ctx.api().get('/api/todos').set(ann.auth)).body.data[0].search).toBeUndefined();
+});
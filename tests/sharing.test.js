@@ -0,0 +1,91 @@
+// Sharing todos and lists with viewer / editor / owner permissions
+const { startApp } = require('./helpers');
+
+let ctx;
+let ann;
+let bob;
+let cat;
+
+const share = (user, path, body) => ctx.api().post(`${path}/shares`).set(user.auth).send(body);
+
+beforeAll(async () => {
+  ctx = await startApp();
+  ann = await ctx.register('ann');
+  bob = await ctx.register('bob');
+  cat = await ctx.register('cat');
+});
+
+afterAll(() => ctx.close());
+
+test('only the owner shares, with a known user and permission', async () => {
+  const todo = await ctx.createTodo(ann, { task: 'Plan trip' });
+  const path = `/api/todos/${todo.id}`;
+
+  expect((await share(bob, path, { email: 'bob@example.com' })).status).toBe(404);
+  expect((await share(ann, path, { email: 'bob@example.com', permission: 'boss' })).status).toBe(400);
+  expect((await share(ann, path, { email: 'nobody@example.com' })).status).toBe(404);
+  expect((await share(ann, path, { email: 'ann@example.com' })).status).toBe(400);
+
+  const res = await share(ann, path, { email: 'bob@example.com' });
+  expect(res.status).toBe(201);
+  expect(res.body.data.permission).toBe('viewer');
+});
+
+test('viewers read, editors change, only owners delete', async () => {
+  const todo = await ctx.createTodo(ann, { task: 'Plan trip', items: ['Book'] });
+  const path = `/api/todos/${todo.id}`;
+  expect((await ctx.api().get(path).set(bob.auth)).status).toBe(404);
+
+  await share(ann, path, { email: 'bob@example.com', permission: 'viewer' });
+  const viewed = await ctx.api().get(path).set(bob.auth);
+  expect(viewed.body.data.permission).toBe('viewer');
+  expect((await ctx.api().put(path).set(bob.auth).send({ task: 'Hack trip' })).status).toBe(403);
+  expect((await ctx.api().post(`${path}/items`).set(bob.auth).send({ text: 'Pack' })).status).toBe(403);
+
+  await share(ann, path, { email: 'bob@example.com', permission: 'editor' });
+  const shares = await ctx.api().get(`${path}/shares`).set(ann.auth);
+  expect(shares.body.data.map(entry => [entry.user.email, entry.permission])).toEqual([['bob@example.com', 'editor']]);
+  expect((await ctx.api().put(path).set(bob.auth).send({ task: 'Plan big trip' })).body.data.task).toBe('Plan big trip');
+  expect((await ctx.api().post(`${path}/items`).set(bob.auth).send({ text: 'Pack' })).status).toBe(201);
+  expect((await ctx.api().delete(path).set(bob.auth)).status).toBe(403);
+  expect((await share(bob, path, { email: 'cat@example.com' })).status).toBe(403);
+
+  const shared = await ctx.api().get('/api/shared').set(bob.auth);
+  expect(shared.body.data.todos.map(entry => entry.sharedBy.email)).toContain('ann@example.com');
+  expect((await ctx.api().get('/api/todos').set(bob.auth)).body.pagination.total).toBe(0);
+});
+
+test('a shared list shares its todos', async () => {
+  const list = await ctx.createList(ann, { name: 'Team' });
+  const path = `/api/lists/${list.id}`;
+  const todo = await ctx.createTodo(ann, { task: 'Team task', listId: list.id });
+
+  await share(ann, path, { email: 'cat@example.com', permission: 'viewer' });
+  expect((await ctx.api().get(`/api/todos/${todo.id}`).set(cat.auth)).status).toBe(200);
+  expect((await ctx.api().get(`/api/todos?list=${list.id}`).set(cat.auth)).body.pagination.total).toBe(1);
+  expect((await ctx.api().post('/api/todos').set(cat.auth).send({ task: 'Cat adds', listId: list.id })).status).toBe(400);
+
+  await share(ann, path, { email: 'cat@example.com', permission: 'editor' });
+  const added = await ctx.api().post('/api/todos').set(cat.auth).send({ task: 'Cat adds', listId: list.id });
+  expect(added.status).toBe(201);
+  expect(added.body.data.userId).toBe(ann.user.id);
+  expect((await ctx.api().put(`/api/todos/${todo.id}`).set(cat.auth).send({ listId: null })).status).toBe(403);
+  expect((await ctx.api().delete(path).set(cat.auth)).status).toBe(403);
+
+  // Co-owners may share further; anyone may leave
+  await share(ann, path, { email: 'cat@example.com', permission: 'owner' });
+  expect((await share(cat, path, { email: 'bob@example.com' })).status).toBe(201);
+  expect((await ctx.api().delete(`${path}/shares/${bob.user.id}`).set(bob.auth)).status).toBe(200);
+  expect((await ctx.api().get(path).set(bob.auth)).status).toBe(404);
+  expect((await ctx.api().delete(`/api/todos/${todo.id}`).set(cat.auth)).status).toBe(200);
+});
+
+test('deleting the owner\'s account ends their shares', async () => {
+  const dan = await ctx.register('dan');
+  const todo = await ctx.createTodo(dan, { task: 'Dan shares' });
+  await share(dan, `/api/todos/${todo.id}`, { email: 'cat@example.com' });
+  expect((await ctx.api().get(`/api/todos/${todo.id}`).set(cat.auth)).status).toBe(200);
+
+  await ctx.api().delete('/api/auth/account').set(dan.auth).send({ password: 'secret1' });
+  expect((await ctx.api().get(`/api/todos/${todo.id}`).set(cat.auth)).status).toBe(404);
+});
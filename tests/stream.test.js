@@ -0,0 +1,124 @@
+// Real-time todo events over Server-Sent Events (GET /api/stream)
+const { startApp } = require('./helpers');
+
+let ctx;
+let server;
+let base;
+let ann;
+let bob;
+let cid;
+const streams = [];
+
+// Poll until `check` returns something truthy
+const waitFor = async (check) => {
+  for (let i = 0; i < 100; i++) {
+    const result = check();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('Timed out waiting');
+};
+
+// An open stream collecting what it receives; `events()` parses it so far
+const openStream = async (user, { lastEventId, via = 'query' } = {}) => {
+  const controller = new AbortController();
+  const headers = {};
+  if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+  if (via === 'header') headers.Authorization = `Bearer ${user.token}`;
+  const query = via === 'query' ? `?token=${user.token}` : '';
+  const res = await fetch(`${base}/api/stream${query}`, { headers, signal: controller.signal });
+
+  const stream = { status: res.status, text: '', ended: false, close: () => controller.abort() };
+  streams.push(stream);
+  if (res.status !== 200) return stream;
+
+  (async () => {
+    const decoder = new TextDecoder();
+    try {
+      for await (const chunk of res.body) stream.text += decoder.decode(chunk);
+    } catch (err) {
+      // Aborted by close()
+    }
+    stream.ended = true;
+  })();
+  stream.events = () => stream.text.split('\n\n')
+    .filter(block => block.includes('event: '))
+    .map(block => Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(': ')), line.slice(line.indexOf(': ') + 2)])));
+  stream.names = () => stream.events().map(entry => entry.event);
+  return stream;
+};
+
+beforeAll(async () => {
+  ctx = await startApp({ STREAM_HEARTBEAT_SECONDS: '0.2' });
+  server = await new Promise(resolve => {
+    const listening = ctx.app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  base = `http://127.0.0.1:${server.address().port}`;
+  ann = await ctx.register('ann');
+  bob = await ctx.register('bob');
+  cid = await ctx.register('cid');
+});
+
+afterAll(async () => {
+  streams.forEach(stream => stream.close());
+  await new Promise(resolve => server.close(resolve));
+  await ctx.close();
+});
+
+test('needs a valid token', async () => {
+  expect((await openStream({ token: 'nope' })).status).toBe(401);
+});
+
+test('each user hears about the todos they can see, and can catch up after reconnecting', async () => {
+  const annStream = await openStream(ann, { via: 'header' });
+  const bobStream = await openStream(bob);
+  const cidStream = await openStream(cid);
+  await waitFor(() => [annStream, bobStream, cidStream].every(stream => stream.names().includes('ready')));
+
+  const todo = await ctx.createTodo(ann, { task: 'Live' });
+  await ctx.api().post(`/api/todos/${todo.id}/shares`).set(ann.auth).send({ email: 'bob@example.com', permission: 'editor' });
+  await ctx.api().put(`/api/todos/${todo.id}`).set(bob.auth).send({ task: 'Live 2' });
+
+  await waitFor(() => annStream.names().length === 3 && bobStream.names().length === 2);
+  expect(annStream.names()).toEqual(['ready', 'todo.created', 'todo.updated']);
+  expect(bobStream.names()).toEqual(['ready', 'todo.updated']);
+  expect(JSON.parse(bobStream.events()[1].data).todo.task).toBe('Live 2');
+  expect(cidStream.names()).toEqual(['ready']);
+
+  // Missed events are replayed after Last-Event-ID
+  const lastSeen = annStream.events()[1].id;
+  annStream.close();
+  await ctx.api().delete(`/api/todos/${todo.id}`).set(ann.auth);
+  await waitFor(() => bobStream.names().includes('todo.deleted'));
+
+  const again = await openStream(ann, { lastEventId: lastSeen });
+  await waitFor(() => again.names().length === 2);
+  expect(again.names()).toEqual(['todo.updated', 'todo.deleted']);
+
+  // Unknown ids (another server boot) ask the client to reload
+  const stale = await openStream(ann, { lastEventId: 'deadbeef-3' });
+  await waitFor(() => stale.names().length === 1);
+  expect(stale.names()).toEqual(['reset']);
+  expect(stale.text.startsWith('retry: 3000')).toBe(true);
+});
+
+test('finishing an autoComplete checklist streams the completion', async () => {
+  const eve = await ctx.register('eve');
+  const stream = await openStream(eve);
+  await waitFor(() => stream.names().includes('ready'));
+
+  const todo = await ctx.createTodo(eve, { task: 'Pack bags', autoComplete: true, items: ['Socks'] });
+  await ctx.api().put(`/api/todos/${todo.id}/items/${todo.items[0].id}`).set(eve.auth).send({ completed: true });
+
+  await waitFor(() => stream.names().includes('todo.completed'));
+  expect(stream.names()).toEqual(['ready', 'todo.created', 'todo.updated', 'todo.completed']);
+});
+
+test('heartbeats keep the stream open until the session ends', async () => {
+  const dan = await ctx.register('dan');
+  const stream = await openStream(dan);
+  await waitFor(() => stream.text.includes(': heartbeat'));
+
+  await ctx.api().post('/api/auth/logout').set(dan.auth);
+  await waitFor(() => stream.ended);
+});
@@ -0,0 +1,58 @@
+// Tag management: usage counts, rename, merge and delete
+const { startApp } = require('./helpers');
+
+let ctx;
+let ann;
+let bob;
+
+const tags = async (user) => (await ctx.api().get('/api/tags').set(user.auth)).body.data;
+const todoTags = async (query) => (await ctx.api().get(`/api/todos?${query}&sortBy=task&sortOrder=asc`).set(ann.auth)).body.data
+  .map(todo => todo.tags);
+
+beforeAll(async () => {
+  ctx = await startApp();
+  ann = await ctx.register('ann');
+  bob = await ctx.register('bob');
+
+  await ctx.createTodo(ann, { task: 'One', tags: ['work', 'urgnet', 'home'] });
+  await ctx.createTodo(ann, { task: 'Two', tags: ['work', 'urgent'] });
+  const three = await ctx.createTodo(ann, { task: 'Three', tags: ['home'] });
+  await ctx.api().put(`/api/todos/${three.id}`).set(ann.auth).send({ completed: true });
+  await ctx.createTodo(bob, { task: 'Bobs', tags: ['work'] });
+});
+
+afterAll(() => ctx.close());
+
+test('lists your tags by how many todos, and open todos, use them', async () => {
+  expect(await tags(ann)).toEqual([
+    { name: 'home', count: 2, open: 1 },
+    { name: 'work', count: 2, open: 2 },
+    { name: 'urgent', count: 1, open: 1 },
+    { name: 'urgnet', count: 1, open: 1 }
+  ]);
+});
+
+test('todos filter by any or all of several tags', async () => {
+  expect(await todoTags('tags=urgent,urgnet')).toHaveLength(2);
+  expect(await todoTags('tags=work,home&tagMatch=all')).toEqual([['work', 'urgnet', 'home']]);
+  expect((await ctx.api().get('/api/todos?tags=work&tagMatch=some').set(ann.auth)).status).toBe(400);
+});
+
+test('renaming refuses to clash, merging combines', async () => {
+  expect((await ctx.api().put('/api/tags/urgnet').set(ann.auth).send({ name: 'urgent' })).status).toBe(409);
+  expect((await ctx.api().put('/api/tags/nope').set(ann.auth).send({ name: 'x' })).status).toBe(404);
+
+  const merged = await ctx.api().post('/api/tags/merge').set(ann.auth).send({ tags: ['urgnet'], into: 'urgent' });
+  expect(merged.body.data.todosUpdated).toBe(1);
+  expect(await todoTags('tags=urgent')).toEqual([['work', 'urgent', 'home'], ['work', 'urgent']]);
+
+  const renamed = await ctx.api().put('/api/tags/work').set(ann.auth).send({ name: 'job' });
+  expect(renamed.body.data.todosUpdated).toBe(2);
+  expect((await tags(bob)).map(tag => tag.name)).toEqual(['work']);
+});
+
+test('deleting a tag removes it from every todo', async () => {
+  expect((await ctx.api().delete('/api/tags/home').set(ann.auth)).body.data.todosUpdated).toBe(2);
+  expect((await ctx.api().delete('/api/tags/home').set(ann.auth)).status).toBe(404);
+  expect((await tags(ann)).map(tag => tag.name)).toEqual(['job', 'urgent']);
+});
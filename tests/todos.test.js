@@ -0,0 +1,58 @@
+// Todo CRUD through the API
+const { startApp } = require('./helpers');
+
+let ctx;
+let ann;
+
+beforeAll(async () => {
+  ctx = await startApp();
+  ann = await ctx.register('ann');
+});
+
+afterAll(() => ctx.close());
+
+test('login is case-insensitive on the email', async () => {
+  const res = await ctx.api().post('/api/auth/login').send({ email: 'ANN@example.com', password: 'secret1' });
+  expect(res.status).toBe(200);
+  expect(res.body.data.user).toEqual(expect.objectContaining({ id: ann.user.id, name: 'ann' }));
+});
+
+test('protected routes need a token', async () => {
+  expect((await ctx.api().get('/api/todos')).status).toBe(401);
+});
+
+test('create, read, update and delete a todo', async () => {
+  let res = await ctx.api().post('/api/todos').set(ann.auth)
+    .send({ task: 'Write report', priority: 'urgent' });
+  expect(res.status).toBe(400);
+
+  res = await ctx.api().post('/api/todos').set(ann.auth)
+    .send({ task: 'Write report', priority: 'high', tags: ['work'], dueDate: '2030-11-01' });
+  expect(res.status).toBe(201);
+  const { id } = res.body.data;
+  expect(typeof id).toBe('string');
+
+  res = await ctx.api().get(`/api/todos/${id}`).set(ann.auth);
+  expect(res.body.data).toEqual(expect.objectContaining({ id, task: 'Write report', tags: ['work'], completed: false }));
+
+  res = await ctx.api().put(`/api/todos/${id}`).set(ann.auth).send({ completed: true });
+  expect(res.body.data.completed).toBe(true);
+
+  res = await ctx.api().get('/api/todos/stats').set(ann.auth);
+  expect(res.body.data).toEqual(expect.objectContaining({ total: 1, completed: 1, pending: 0 }));
+
+  expect((await ctx.api().delete(`/api/todos/${id}`).set(ann.auth)).status).toBe(200);
+  expect((await ctx.api().get(`/api/todos/${id}`).set(ann.auth)).status).toBe(404);
+});
+
+test('todos are private to their owner', async () => {
+  const bob = await ctx.register('bob');
+  const res = await ctx.api().post('/api/todos').set(ann.auth).send({ task: 'Private todo' });
+
+  expect((await ctx.api().get(`/api/todos/${res.body.data.id}`).set(bob.auth)).status).toBe(404);
+  expect((await ctx.api().get('/api/todos').set(bob.auth)).body.data).toEqual([]);
+});
+
+test('admin routes need the admin role', async () => {
+  expect((await ctx.api().get('/api/admin/users').set(ann.auth)).status).toBe(403);
+});
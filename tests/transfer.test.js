@@ -0,0 +1,291 @@
+// transfer.js: CSV and todo.txt import / export
+const { ValidationError } = require('../repositories');
+const {
+  EXPORT_COLUMNS,
+  parseCsv,
+  csvRecords,
+  csvHeader,
+  csvRow,
+  exportRecord,
+  importInput,
+  todoTxtRecord,
+  todoTxtRecords,
+  todoTxtLine
+} = require('../transfer');
+const { startApp } = require('./helpers');
+
+describe('parseCsv', () => {
+  test.each([
+    ['plain cells', 'a,b\r\nc,d\r\n', [['a', 'b'], ['c', 'd']]],
+    ['bare line feeds', 'a,b\nc,d', [['a', 'b'], ['c', 'd']]],
+    ['quoted commas', 'a,"b, c"\n', [['a', 'b, c']]],
+    ['quoted line breaks', '"one\r\ntwo",x\n', [['one\r\ntwo', 'x']]],
+    ['doubled quotes', '"say ""hi""",""\n', [['say "hi"', '']]],
+    ['empty cells', ',,\n', [['', '', '']]],
+    ['a byte order mark', '\uFEFFtask\nWrite', [['task'], ['Write']]],
+    ['blank lines', 'task\n\n  \nWrite\n', [['task'], ['Write']]]
+  ])('reads %s', (_, text, rows) => {
+    expect(parseCsv(text)).toEqual(rows);
+  });
+
+  test('an unterminated quote is a ValidationError', () => {
+    expect(() => parseCsv('task\n"open')).toThrow(new ValidationError('CSV has an unterminated quoted value.'));
+  });
+});
+
+describe('csvRecords', () => {
+  test('keys cells by case-insensitive header and drops empty and unknown ones', () => {
+    expect(csvRecords('Task,PRIORITY,colour,dueDate\nWrite,high,red,\n')).toEqual([
+      { task: 'Write', priority: 'high' }
+    ]);
+  });
+
+  test('needs a task column', () => {
+    expect(() => csvRecords('title\nWrite')).toThrow(ValidationError);
+    expect(() => csvRecords('')).toThrow(ValidationError);
+  });
+});
+
+describe('importInput', () => {
+  test('turns string cells into todo input', () => {
+    expect(importInput({
+      task: 'Write',
+      priority: ' HIGH ',
+      tags: 'a, b,,',
+      reminders: '60,10',
+      completed: 'yes',
+      autoComplete: '0',
+      list: ' Work ',
+      createdAt: '2030-01-01T09:00:00.000Z'
+    })).toEqual({
+      input: {
+        task: 'Write',
+        description: undefined,
+        priority: 'high',
+        dueDate: undefined,
+        tags: ['a', 'b'],
+        recurrence: undefined,
+        completed: true,
+        autoComplete: false,
+        reminders: ['60', '10']
+      },
+      list: 'Work',
+      dates: { createdAt: new Date('2030-01-01T09:00:00Z'), completedAt: null }
+    });
+  });
+
+  test.each([
+    [5, 'Each todo must be an object.'],
+    [[], 'Each todo must be an object.'],
+    [{ task: 'Write', completed: 'maybe' }, 'Completed must be true or false.'],
+    [{ task: 'Write', createdAt: 'yesterday' }, 'CreatedAt is not a valid date.']
+  ])('rejects %j', (record, message) => {
+    expect(() => importInput(record)).toThrow(new ValidationError(message));
+  });
+});
+
+test('an exported CSV row imports as the same todo', () => {
+  const todo = {
+    id: '7',
+    task: 'Quote "this", please\nsecond line',
+    description: 'a, b; c',
+    completed: true,
+    priority: 'high',
+    dueDate: new Date('2030-02-03T10:00:00Z'),
+    tags: ['work', 'q1'],
+    listId: '3',
+    recurrence: 'FREQ=WEEKLY',
+    reminders: [60, 10],
+    autoComplete: false,
+    createdAt: new Date('2030-01-01T09:00:00Z'),
+    completedAt: new Date('2030-01-02T09:00:00Z'),
+    updatedAt: new Date('2030-01-02T09:00:00Z')
+  };
+  const csv = csvHeader() + csvRow(exportRecord(todo, new Map([['3', 'Work']])));
+  expect(parseCsv(csv)[0]).toEqual(EXPORT_COLUMNS);
+
+  const [record] = csvRecords(csv);
+  expect(importInput(record)).toEqual({
+    input: {
+      task: todo.task,
+      description: todo.description,
+      priority: 'high',
+      dueDate: '2030-02-03T10:00:00.000Z',
+      tags: ['work', 'q1'],
+      recurrence: 'FREQ=WEEKLY',
+      completed: true,
+      autoComplete: false,
+      reminders: ['60', '10']
+    },
+    list: 'Work',
+    dates: { createdAt: todo.createdAt, completedAt: todo.completedAt }
+  });
+});
+
+test.each([
+  '=HYPERLINK("http://evil.example","x")',
+  '+1 call',
+  '-5 degrees',
+  '@home',
+  '\tindented'
+])('%j is exported as text and imported unchanged', (task) => {
+  const csv = csvHeader() + csvRow(exportRecord({ task, priority: 'low', tags: [] }, new Map()));
+  expect(parseCsv(csv)[1][EXPORT_COLUMNS.indexOf('task')]).toBe(`'${task}`);
+  expect(csvRecords(csv)[0].task).toBe(task);
+});
+
+describe('todoTxtRecord', () => {
+  test.each([
+    ['Call Mom', { completed: false, tags: [], task: 'Call Mom' }],
+    ['x Call Mom', { completed: true, tags: [], task: 'Call Mom' }],
+    ['x 2030-01-31 Call Mom', { completed: true, completedAt: '2030-01-31', tags: [], task: 'Call Mom' }],
+    [
+      'x 2030-01-31 2030-01-02 Call Mom +family @phone due:2030-02-01 pri:A',
+      {
+        completed: true,
+        completedAt: '2030-01-31',
+        createdAt: '2030-01-02',
+        priority: 'high',
+        dueDate: '2030-02-01',
+        tags: ['family', '@phone'],
+        task: 'Call Mom +family @phone'
+      }
+    ],
+    ['(A) 2030-01-02 Book flights', { completed: false, priority: 'high', createdAt: '2030-01-02', tags: [], task: 'Book flights' }],
+    ['(B) Water plants', { completed: false, priority: 'medium', tags: [], task: 'Water plants' }],
+    ['(D) Someday', { completed: false, priority: 'low', tags: [], task: 'Someday' }],
+    ['(Z) Maybe never', { completed: false, priority: 'low', tags: [], task: 'Maybe never' }],
+    ['Keep pri:abc and due:', { completed: false, tags: [], task: 'Keep pri:abc and due:' }],
+    ['  Spaced   out  ', { completed: false, tags: [], task: 'Spaced out' }]
+  ])('reads %j', (line, record) => {
+    expect(todoTxtRecord(line)).toEqual(record);
+  });
+
+  test('todoTxtRecords skips blank lines', () => {
+    expect(todoTxtRecords('One\r\n\n  \nTwo\n').map(record => record.task)).toEqual(['One', 'Two']);
+  });
+});
+
+describe('todoTxtLine', () => {
+  const createdAt = new Date('2030-01-02T08:00:00Z');
+
+  test.each([
+    [
+      'an open todo',
+      { task: 'Book   flights', priority: 'medium', createdAt, tags: [] },
+      '(B) 2030-01-02 Book flights\n'
+    ],
+    [
+      'a completed todo, keeping its priority as pri:',
+      {
+        task: 'Call Mom +family',
+        completed: true,
+        priority: 'high',
+        createdAt,
+        completedAt: new Date('2030-01-31T15:00:00Z'),
+        dueDate: new Date('2030-02-01T00:00:00Z'),
+        tags: ['family', '@phone', 'home office']
+      },
+      'x 2030-01-31 2030-01-02 Call Mom +family @phone +home-office due:2030-02-01 pri:A\n'
+    ],
+    [
+      'a completed todo without a completion date',
+      { task: 'Done', completed: true, priority: 'low', createdAt, tags: [] },
+      'x Done pri:C\n'
+    ]
+  ])('writes %s', (_, todo, line) => {
+    expect(todoTxtLine(todo)).toBe(line);
+  });
+
+  test('an exported line imports as the same todo', () => {
+    const todo = {
+      task: 'Call Mom @phone',
+      completed: true,
+      priority: 'low',
+      createdAt,
+      completedAt: new Date('2030-01-31T00:00:00Z'),
+      dueDate: new Date('2030-02-01T00:00:00Z'),
+      tags: ['@phone', 'family']
+    };
+    const { input, dates } = importInput(todoTxtRecord(todoTxtLine(todo)));
+
+    expect(input).toEqual(expect.objectContaining({
+      task: 'Call Mom @phone +family',
+      completed: true,
+      priority: 'low',
+      dueDate: '2030-02-01',
+      tags: ['@phone', 'family']
+    }));
+    expect(dates).toEqual({ createdAt: new Date('2030-01-02T00:00:00Z'), completedAt: todo.completedAt });
+  });
+});
+
+describe('through the API', () => {
+  let ctx;
+
+  beforeAll(async () => {
+    ctx = await startApp();
+  });
+
+  afterAll(() => ctx.close());
+
+  test('a CSV export imports into another account', async () => {
+    const ann = await ctx.register('ann');
+    const bob = await ctx.register('bob');
+    const work = await ctx.createList(ann, { name: 'Work' });
+    await ctx.api().post('/api/lists').set(bob.auth).send({ name: 'work' });
+    await ctx.api().post('/api/todos').set(ann.auth).send({
+      task: 'Quote "this", please\nsecond line',
+      listId: work.id,
+      tags: ['a', 'b'],
+      dueDate: '2030-02-03T10:00:00Z',
+      reminders: [60, 10],
+      recurrence: 'weekly'
+    });
+    await ctx.api().post('/api/todos').set(ann.auth).send({ task: 'Plain one' });
+
+    const exported = await ctx.api().get('/api/todos/export').set(ann.auth);
+    expect(exported.headers['content-type']).toMatch(/text\/csv/);
+
+    const dryRun = await ctx.api().post('/api/todos/import?dryRun=true').set(bob.auth)
+      .set('Content-Type', 'text/csv').send(exported.text);
+    expect(dryRun.body.data.valid).toBe(2);
+    expect((await ctx.api().get('/api/todos').set(bob.auth)).body.data).toEqual([]);
+
+    const imported = await ctx.api().post('/api/todos/import').set(bob.auth)
+      .set('Content-Type', 'text/csv').send(exported.text);
+    expect(imported.body.data.created).toBe(2);
+
+    const { body } = await ctx.api().get('/api/todos?search=quote').set(bob.auth);
+    expect(body.data[0]).toEqual(expect.objectContaining({
+      task: 'Quote "this", please\nsecond line',
+      tags: ['a', 'b'],
+      dueDate: '2030-02-03T10:00:00.000Z',
+      reminders: [60, 10],
+      recurrence: 'FREQ=WEEKLY'
+    }));
+    expect(body.data[0].listId).not.toBeNull();
+  });
+
+  test('a todo.txt export imports as plain text', async () => {
+    const cat = await ctx.register('cat');
+    const dan = await ctx.register('dan');
+    const todo = (await ctx.api().post('/api/todos').set(cat.auth)
+      .send({ task: 'Call Mom @phone', priority: 'high', tags: ['family'], dueDate: '2030-02-01' })).body.data;
+    await ctx.api().put(`/api/todos/${todo.id}`).set(cat.auth).send({ completed: true });
+
+    const exported = await ctx.api().get('/api/todos/export?format=todotxt').set(cat.auth);
+    expect(exported.text).toMatch(/^x \d{4}-\d{2}-\d{2} \d{4}-\d{2}-\d{2} Call Mom @phone \+family due:2030-02-01 pri:A\n$/);
+
+    const imported = await ctx.api().post('/api/todos/import').set(dan.auth)
+      .set('Content-Type', 'text/plain').send(exported.text);
+    expect(imported.body.data.created).toBe(1);
+    const [copy] = (await ctx.api().get('/api/todos').set(dan.auth)).body.data;
+    expect(copy).toEqual(expect.objectContaining({
+      completed: true,
+      priority: 'high',
+      dueDate: '2030-02-01T00:00:00.000Z',
+      tags: ['@phone', 'family']
+    }));
+  });
+});
@@ -0,0 +1,81 @@
+// The trash: deleted todos can be restored until they are purged
+const { startApp } = require('./helpers');
+
+let ctx;
+let ann;
+let bob;
+
+const trash = async (user = ann) => (await ctx.api().get('/api/todos/trash').set(user.auth)).body;
+
+beforeAll(async () => {
+  ctx = await startApp({ TRASH_RETENTION_DAYS: '7' });
+  ann = await ctx.register('ann');
+  bob = await ctx.register('bob');
+});
+
+afterAll(() => ctx.close());
+
+test('deleted todos disappear everywhere but the trash, and come back with their shares', async () => {
+  const todo = await ctx.createTodo(ann, { task: 'First task', tags: ['x'] });
+  const path = `/api/todos/${todo.id}`;
+  await ctx.api().post(`${path}/shares`).set(ann.auth).send({ email: 'bob@example.com' });
+
+  expect((await ctx.api().delete(path).set(ann.auth)).status).toBe(200);
+  expect((await ctx.api().get(path).set(ann.auth)).status).toBe(404);
+  expect((await ctx.api().get(path).set(bob.auth)).status).toBe(404);
+  expect((await ctx.api().put(path).set(ann.auth).send({ task: 'Edited' })).status).toBe(404);
+  expect((await ctx.api().delete(path).set(ann.auth)).status).toBe(404);
+  expect((await ctx.api().get('/api/todos/stats').set(ann.auth)).body.data.total).toBe(0);
+  expect((await ctx.api().get('/api/tags').set(ann.auth)).body.data).toEqual([]);
+
+  const { data } = await trash();
+  expect(data.map(entry => entry.id)).toEqual([todo.id]);
+  const deletedAt = new Date(data[0].deletedAt).getTime();
+  expect(new Date(data[0].purgeAt).getTime() - deletedAt).toBe(7 * 24 * 60 * 60 * 1000);
+  expect((await trash(bob)).data).toEqual([]);
+
+  expect((await ctx.api().post(`${path}/restore`).set(bob.auth)).status).toBe(404);
+  const restored = await ctx.api().post(`${path}/restore`).set(ann.auth);
+  expect(restored.body.data.deletedAt).toBeNull();
+  expect((await ctx.api().get(path).set(bob.auth)).status).toBe(200);
+  expect((await ctx.api().post(`${path}/restore`).set(ann.auth)).status).toBe(404);
+  await ctx.api().delete(path).set(ann.auth);
+  await ctx.api().delete('/api/todos/trash').set(ann.auth);
+});
+
+test('todos of a deleted list are restored without it', async () => {
+  const list = await ctx.createList(ann, { name: 'Work' });
+  const todo = await ctx.createTodo(ann, { task: 'Listed task', listId: list.id });
+
+  expect((await ctx.api().delete(`/api/lists/${list.id}?todos=delete`).set(ann.auth)).body.data.affected).toBe(1);
+  const restored = await ctx.api().post(`/api/todos/${todo.id}/restore`).set(ann.auth);
+  expect(restored.body.data.listId).toBeNull();
+  await ctx.api().delete(`/api/todos/${todo.id}`).set(ann.auth);
+  await ctx.api().delete('/api/todos/trash').set(ann.auth);
+});
+
+test('trash can be purged one todo at a time or all at once', async () => {
+  const todos = [await ctx.createTodo(ann, { task: 'One' }), await ctx.createTodo(ann, { task: 'Two' }), await ctx.createTodo(ann, { task: 'Three' })];
+  const bulk = await ctx.api().post('/api/todos/bulk').set(ann.auth).send({ operation: 'delete', ids: todos.map(todo => todo.id) });
+  expect(bulk.body.data.succeeded).toBe(3);
+
+  expect((await ctx.api().delete(`/api/todos/trash/${todos[0].id}`).set(ann.auth)).status).toBe(200);
+  expect((await ctx.api().delete(`/api/todos/trash/${todos[0].id}`).set(ann.auth)).status).toBe(404);
+  expect((await ctx.api().delete('/api/todos/trash').set(ann.auth)).body.data.purged).toBe(2);
+  expect((await trash()).pagination.total).toBe(0);
+});
+
+test('the purger removes todos trashed longer than the retention period', async () => {
+  // Required here so it reads TRASH_RETENTION_DAYS as set by startApp()
+  const { startTrashPurger } = require('../trash');
+  const old = await ctx.createTodo(ann, { task: 'Old' });
+  const recent = await ctx.createTodo(ann, { task: 'Recent' });
+  await ctx.api().delete(`/api/todos/${old.id}`).set(ann.auth);
+  await ctx.api().delete(`/api/todos/${recent.id}`).set(ann.auth);
+  await ctx.db.run('UPDATE todos SET deletedAt = ? WHERE id = ?', [new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString(), old.id]);
+
+  const purger = startTrashPurger(ctx.db);
+  expect(await purger.runOnce()).toBe(1);
+  await purger.stop();
+  expect((await trash()).data.map(todo => todo.task)).toEqual(['Recent']);
+});
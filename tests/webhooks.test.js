@@ -0,0 +1,196 @@
+// Outgoing webhooks: registration, destination checks and signed delivery
+const http = require('http');
+const crypto = require('crypto');
+const dns = require('dns');
+const { startApp } = require('./helpers');
+const { checkDestination, startWebhookWorker } = require('../webhooks');
+
+let ctx;
+let ann;
+
+const register = (user, body) => ctx.api().post('/api/webhooks').set(user.auth).send(body);
+const deliveries = async (user, id) => (await ctx.api().get(`/api/webhooks/${id}/deliveries`).set(user.auth)).body.data;
+
+// Poll until `check` returns something truthy
+const waitFor = async (check) => {
+  for (let i = 0; i < 100; i++) {
+    const result = await check();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('Timed out waiting');
+};
+
+beforeAll(async () => {
+  ctx = await startApp({ WEBHOOK_ALLOW_PRIVATE_HOSTS: '' });
+  ann = await ctx.register('ann');
+});
+
+afterAll(() => ctx.close());
+
+describe('checkDestination', () => {
+  test.each([
+    'http://127.0.0.1:3000/hook',
+    'http://localhost/hook',
+    'http://10.1.2.3/hook',
+    'http://172.16.0.1/hook',
+    'http://192.168.1.1/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://100.64.0.1/hook',
+    'http://0.0.0.0/hook',
+    'http://2130706433/hook',
+    'http://[::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[fe80::1]/hook'
+  ])('refuses %s', async (url) => {
+    expect(await checkDestination(url, {})).toBe('Webhook url must point to a public address.');
+  });
+
+  test('accepts public addresses', async () => {
+    expect(await checkDestination('https://93.184.216.34/hook', {})).toBeNull();
+    expect(await checkDestination('https://[2606:4700::1]/hook', {})).toBeNull();
+  });
+
+  test('refuses hosts that do not resolve', async () => {
+    expect(await checkDestination('https://nowhere.invalid/hook', {}))
+      .toBe('Webhook host nowhere.invalid could not be resolved.');
+  });
+
+  test('WEBHOOK_ALLOW_PRIVATE_HOSTS lifts the check', async () => {
+    expect(await checkDestination('http://127.0.0.1/hook', { allowPrivateHosts: true })).toBeNull();
+  });
+});
+
+test('private and reserved destinations cannot be registered', async () => {
+  let res = await register(ann, { url: 'http://169.254.169.254/latest/meta-data' });
+  expect(res.status).toBe(400);
+  expect(res.body.error).toBe('Webhook url must point to a public address.');
+  expect((await register(ann, { url: 'http://localhost:3000/hook' })).status).toBe(400);
+  expect((await register(ann, { url: 'ftp://example.com' })).status).toBe(400);
+
+  // Spellings that new URL() reads as http urls to the same hosts
+  for (const url of ['http:127.0.0.1:3000/x', ' http://127.0.0.1/', 'http:\\\\169.254.169.254/latest']) {
+    res = await register(ann, { url });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Webhook url must point to a public address.');
+  }
+
+  res = await register(ann, { url: 'https://93.184.216.34/hook' });
+  expect(res.status).toBe(201);
+  const update = await ctx.api().put(`/api/webhooks/${res.body.data.id}`).set(ann.auth).send({ url: 'http://10.0.0.1/hook' });
+  expect(update.status).toBe(400);
+  await ctx.api().delete(`/api/webhooks/${res.body.data.id}`).set(ann.auth);
+});
+
+test('the destination is checked again before every delivery', async () => {
+  const user = await ctx.register('bob');
+  const hook = (await register(user, { url: 'https://93.184.216.34/hook' })).body.data;
+  // As if its DNS now pointed at the private network
+  await ctx.db.webhooks.update(hook.id, user.user.id, { url: 'http://127.0.0.1:9/hook' });
+
+  const worker = startWebhookWorker(ctx.db);
+  try {
+    await ctx.createTodo(user, { task: 'Sneaky' });
+    const [delivery] = await waitFor(async () => {
+      const log = await deliveries(user, hook.id);
+      return log.length > 0 && log[0].attempts > 0 && log;
+    });
+    expect(delivery).toEqual(expect.objectContaining({
+      status: 'pending',
+      responseStatus: null,
+      error: 'Webhook url must point to a public address.'
+    }));
+  } finally {
+    await worker.stop();
+  }
+});
+
+test('deliveries connect to the address that was checked', async () => {
+  const user = await ctx.register('dan');
+  const received = [];
+  const local = http.createServer((req, res) => {
+    received.push(req.url);
+    res.end();
+  });
+  await new Promise(resolve => local.listen(0, '127.0.0.1', resolve));
+
+  // The check sees a public address, any later lookup the local server
+  const checked = jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+  const rebound = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => (
+    options.all ? callback(null, [{ address: '127.0.0.1', family: 4 }]) : callback(null, '127.0.0.1', 4)
+  ));
+  const worker = startWebhookWorker(ctx.db);
+  try {
+    const hook = (await register(user, { url: `http://rebind.example:${local.address().port}/hook` })).body.data;
+    await ctx.createTodo(user, { task: 'Rebound' });
+    const [delivery] = await waitFor(async () => {
+      const log = await deliveries(user, hook.id);
+      return log.length > 0 && log[0].attempts > 0 && log;
+    });
+    expect(delivery.status).toBe('pending');
+    expect(delivery.responseStatus).toBeNull();
+    expect(received).toEqual([]);
+  } finally {
+    await worker.stop();
+    checked.mockRestore();
+    rebound.mockRestore();
+    await new Promise(resolve => local.close(resolve));
+  }
+});
+
+describe('delivery', () => {
+  const received = [];
+  let failures = 1;
+  let receiver;
+  let worker;
+
+  beforeAll(async () => {
+    process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+    process.env.WEBHOOK_RETRY_BASE_SECONDS = '0.05';
+    process.env.WEBHOOK_POLL_SECONDS = '0.05';
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        if (failures > 0) {
+          failures--;
+          res.statusCode = 500;
+        }
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    worker = startWebhookWorker(ctx.db);
+  });
+
+  afterAll(async () => {
+    await worker.stop();
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  test('signs each event and retries failed attempts', async () => {
+    const user = await ctx.register('cat');
+    const res = await register(user, { url: `http://127.0.0.1:${receiver.address().port}/hook`, events: ['todo.created'] });
+    expect(res.status).toBe(201);
+    const hook = res.body.data;
+    expect(hook.secret).toMatch(/^whsec_/);
+    expect((await ctx.api().get(`/api/webhooks/${hook.id}`).set(user.auth)).body.data.secret).toBeUndefined();
+
+    await ctx.createTodo(user, { task: 'Hooked' });
+    const [delivery] = await waitFor(async () => {
+      const log = await deliveries(user, hook.id);
+      return log.length > 0 && log[0].status === 'succeeded' && log;
+    });
+    expect(delivery).toEqual(expect.objectContaining({ event: 'todo.created', attempts: 2, responseStatus: 200 }));
+
+    const last = received[received.length - 1];
+    const signature = crypto.createHmac('sha256', hook.secret)
+      .update(`${last.headers['x-webhook-timestamp']}.${last.body}`)
+      .digest('hex');
+    expect(last.headers['x-webhook-signature']).toBe(`sha256=${signature}`);
+    expect(last.headers['x-webhook-delivery']).toBe(delivery.id);
+    expect(JSON.parse(last.body).data.todo.task).toBe('Hooked');
+  });
+});
@@ -0,0 +1,59 @@
+// worker.js: the shared polling loop
+const { startWorker } = require('../worker');
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+};
+
+test('runs right away, never twice at once, and stop() waits for the current run', async () => {
+  const gate = deferred();
+  const run = jest.fn(() => gate.promise);
+  const worker = startWorker('Test run', 60 * 1000, run);
+
+  expect(run).toHaveBeenCalledTimes(1);
+  const joined = worker.runOnce();
+  expect(run).toHaveBeenCalledTimes(1);
+
+  let stopped = false;
+  const stopping = worker.stop().then(() => { stopped = true; });
+  await Promise.resolve();
+  expect(stopped).toBe(false);
+
+  gate.resolve(3);
+  expect(await joined).toBe(3);
+  await stopping;
+  expect(stopped).toBe(true);
+});
+
+test('a failed run is logged and the loop carries on', async () => {
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const run = jest.fn()
+    .mockRejectedValueOnce(new Error('boom'))
+    .mockResolvedValue(1);
+  const worker = startWorker('Test run', 60 * 1000, run, { enabled: false });
+
+  expect(run).not.toHaveBeenCalled();
+  expect(await worker.runOnce()).toBe(0);
+  expect(error).toHaveBeenCalledWith('❌ Test run failed:', 'boom');
+  expect(await worker.runOnce()).toBe(1);
+
+  await worker.stop();
+  error.mockRestore();
+});
+
+test('poke() during a run runs again right after it', async () => {
+  const gate = deferred();
+  const run = jest.fn()
+    .mockReturnValueOnce(gate.promise)
+    .mockResolvedValue(0);
+  const worker = startWorker('Test run', 60 * 1000, run);
+
+  worker.poke();
+  gate.resolve(0);
+  await new Promise(resolve => setTimeout(resolve, 10));
+  expect(run).toHaveBeenCalledTimes(2);
+
+  await worker.stop();
+});
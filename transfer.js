@@ -0,0 +1,311 @@
+// transfer.js
+// Moving todos in and out of the API as CSV, JSON or todo.txt files.
+//
+// CSV and JSON carry the same fields (EXPORT_COLUMNS). In CSV, tags and
+// reminders are comma-separated inside their cell and `list` is the list's
+// name; JSON uses arrays for tags and reminders. An exported file can be
+// imported again as it is: id and updatedAt are ignored on import,
+// createdAt and completedAt are kept, and a todo is only filed under a list
+// when the importing user has one with that name. todo.txt: see TODO.TXT.
+const { ValidationError } = require('./repositories');
+
+const EXPORT_FORMATS = ['csv', 'json', 'todotxt'];
+const IMPORT_MAX_ROWS = 1000;
+const EXPORT_COLUMNS = [
+  'id', 'task', 'description', 'completed', 'priority', 'dueDate', 'tags', 'list',
+  'recurrence', 'reminders', 'autoComplete', 'createdAt', 'completedAt', 'updatedAt'
+];
+
+const toISO = (value) => (value ? new Date(value).toISOString() : null);
+
+// YYYY-MM-DD in UTC
+const toDay = (value) => toISO(value).slice(0, 10);
+
+// ======================
+// CSV
+// ======================
+
+// Spreadsheets run cells starting with these as formulas; such cells are
+// exported with a leading ' (shown as text) that csvRecords strips again
+const FORMULA_START = /^[=+\-@\t\r]/;
+const ESCAPED_FORMULA = /^'[=+\-@\t\r]/;
+
+// RFC 4180: quote cells containing a comma, quote or line break
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+// Rows of cells; quoted cells may contain commas, doubled quotes and line breaks
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new ValidationError('CSV has an unterminated quoted value.');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank lines are skipped
+  return rows.filter(cells => cells.length > 1 || cells[0].trim() !== '');
+};
+
+// One object per data row, keyed by the (case-insensitive) header names
+const csvRecords = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  const columns = (header || []).map(name => name.trim());
+  const known = new Map(EXPORT_COLUMNS.map(name => [name.toLowerCase(), name]));
+  if (!columns.some(name => known.get(name.toLowerCase()) === 'task')) {
+    throw new ValidationError('CSV needs a header row with at least a "task" column.');
+  }
+
+  return rows.map(cells => {
+    const record = {};
+    columns.forEach((name, index) => {
+      const field = known.get(name.toLowerCase());
+      const cell = cells[index];
+      if (field && cell !== undefined && cell !== '') record[field] = ESCAPED_FORMULA.test(cell) ? cell.slice(1) : cell;
+    });
+    return record;
+  });
+};
+
+// ======================
+// EXPORT
+// ======================
+
+// A todo as an export record; `listNames` maps list ids to names
+const exportRecord = (todo, listNames) => ({
+  id: todo.id,
+  task: todo.task,
+  description: todo.description || null,
+  completed: Boolean(todo.completed),
+  priority: todo.priority,
+  dueDate: toISO(todo.dueDate),
+  tags: todo.tags || [],
+  list: (todo.listId && listNames.get(todo.listId)) || null,
+  recurrence: todo.recurrence || null,
+  reminders: todo.reminders || null,
+  autoComplete: Boolean(todo.autoComplete),
+  createdAt: toISO(todo.createdAt),
+  completedAt: toISO(todo.completedAt),
+  updatedAt: toISO(todo.updatedAt)
+});
+
+const csvHeader = () => csvLine(EXPORT_COLUMNS);
+
+const csvRow = (record) => csvLine(EXPORT_COLUMNS.map(column => {
+  const value = record[column];
+  return Array.isArray(value) ? value.join(',') : value;
+}));
+
+// ======================
+// IMPORT
+// ======================
+
+const splitList = (value) => (Array.isArray(value)
+  ? value
+  : String(value).split(',').map(part => part.trim()).filter(Boolean));
+
+const parseFlag = (name, value) => {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', '1', 'x'].includes(text)) return true;
+  if (['false', 'no', '0', ''].includes(text)) return false;
+  throw new ValidationError(`${name} must be true or false.`);
+};
+
+const parseTimestamp = (name, value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${name} is not a valid date.`);
+  }
+  return date;
+};
+
+// Todo input (for normalizeTodoInput), the list name and the dates to keep
+// (for db.todos.create) from an import record; CSV cells and todo.txt
+// values are strings, JSON values may already be typed
+const importInput = (record) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    throw new ValidationError('Each todo must be an object.');
+  }
+  const input = {
+    task: typeof record.task === 'string' ? record.task : '',
+    description: record.description,
+    priority: record.priority ? String(record.priority).trim().toLowerCase() : undefined,
+    dueDate: record.dueDate,
+    tags: record.tags === undefined || record.tags === null ? [] : splitList(record.tags),
+    recurrence: record.recurrence
+  };
+  if (record.completed !== undefined && record.completed !== null) {
+    input.completed = parseFlag('Completed', record.completed);
+  }
+  if (record.autoComplete !== undefined && record.autoComplete !== null) {
+    input.autoComplete = parseFlag('AutoComplete', record.autoComplete);
+  }
+  if (record.reminders !== undefined && record.reminders !== null) {
+    input.reminders = splitList(record.reminders);
+  }
+  const list = record.list === undefined || record.list === null ? '' : String(record.list).trim();
+  const dates = {
+    createdAt: parseTimestamp('CreatedAt', record.createdAt),
+    completedAt: parseTimestamp('CompletedAt', record.completedAt)
+  };
+  return { input, list: list || null, dates };
+};
+
+// ======================
+// TODO.TXT
+// ======================
+// One todo per line, as in https://github.com/todotxt/todo.txt:
+//
+//   x 2025-01-31 2025-01-02 Call Mom +family @phone due:2025-02-01 pri:A
+//   (B) 2025-01-02 Book flights +travel
+//
+// `x` marks a completed todo, followed by its completion and creation dates;
+// an open todo starts with its priority and creation date. Priorities A / B /
+// C are high / medium / low (D-Z count as low); completed todos keep theirs
+// as pri:. +project and @context words stay in the task and also become tags
+// (projects without the +, contexts with their @). Tags that are not in the
+// task are added to the end on export, spaces turned into dashes. due: is
+// the due date; todo.txt dates have no time of day. Descriptions, lists,
+// reminders and recurrence have no place in todo.txt.
+
+const TODOTXT_PRIORITIES = { A: 'high', B: 'medium', C: 'low' };
+const TODOTXT_LETTERS = { high: 'A', medium: 'B', low: 'C' };
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const priorityFromLetter = (letter) => TODOTXT_PRIORITIES[letter] || 'low';
+
+// An import record (see importInput) for one todo.txt line
+const todoTxtRecord = (line) => {
+  const words = line.trim().split(/\s+/);
+  const record = { completed: false, tags: [] };
+  const takeDay = () => (DAY_PATTERN.test(words[0]) ? words.shift() : undefined);
+
+  if (words[0] === 'x') {
+    words.shift();
+    record.completed = true;
+    record.completedAt = takeDay();
+    if (record.completedAt) record.createdAt = takeDay();
+  } else {
+    const priority = /^\(([A-Z])\)$/.exec(words[0]);
+    if (priority) {
+      words.shift();
+      record.priority = priorityFromLetter(priority[1]);
+    }
+    record.createdAt = takeDay();
+  }
+
+  const text = [];
+  for (const word of words) {
+    const pair = /^(due|pri):(\S+)$/.exec(word);
+    if (pair && pair[1] === 'due') {
+      record.dueDate = pair[2];
+    } else if (pair && /^[A-Z]$/.test(pair[2])) {
+      record.priority = priorityFromLetter(pair[2]);
+    } else {
+      text.push(word);
+      if (/^\+\S/.test(word)) record.tags.push(word.slice(1));
+      if (/^@\S/.test(word)) record.tags.push(word);
+    }
+  }
+  record.task = text.join(' ');
+  return record;
+};
+
+// Import records for the non-blank lines of a todo.txt file
+const todoTxtRecords = (text) => text
+  .split(/\r?\n/)
+  .filter(line => line.trim() !== '')
+  .map(todoTxtRecord);
+
+const todoTxtLine = (todo) => {
+  const letter = TODOTXT_LETTERS[todo.priority];
+  const created = todo.createdAt ? toDay(todo.createdAt) : null;
+  const parts = [];
+
+  if (todo.completed) {
+    parts.push('x');
+    // A creation date is only recognised after a completion date
+    if (todo.completedAt) parts.push(toDay(todo.completedAt), ...(created ? [created] : []));
+  } else {
+    if (letter) parts.push(`(${letter})`);
+    if (created) parts.push(created);
+  }
+
+  const task = todo.task.replace(/\s+/g, ' ').trim();
+  const words = new Set(task.split(' '));
+  parts.push(task);
+  for (const tag of todo.tags || []) {
+    const name = tag.replace(/\s+/g, '-');
+    const word = name.startsWith('@') ? name : `+${name}`;
+    if (!words.has(word)) parts.push(word);
+  }
+  if (todo.dueDate) parts.push(`due:${toDay(todo.dueDate)}`);
+  if (todo.completed && letter) parts.push(`pri:${letter}`);
+
+  return `${parts.join(' ')}\n`;
+};
+
+// Todos with the same task (ignoring case and spacing) and due date count
+// as duplicates
+const duplicateKey = ({ task, dueDate }) => JSON.stringify([
+  String(task).trim().replace(/\s+/g, ' ').toLowerCase(),
+  toISO(dueDate)
+]);
+
+module.exports = {
+  EXPORT_FORMATS,
+  IMPORT_MAX_ROWS,
+  EXPORT_COLUMNS,
+  parseCsv,
+  csvRecords,
+  exportRecord,
+  csvHeader,
+  csvRow,
+  todoTxtRecord,
+  todoTxtRecords,
+  todoTxtLine,
+  importInput,
+  parseFlag,
+  duplicateKey
+};
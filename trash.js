@@ -0,0 +1,44 @@
+// trash.js
+// Deleted todos go to the trash first (db.todos.delete sets deletedAt) and can
+// be restored from there. This small in-process job removes the ones that
+// have been in the trash for longer than TRASH_RETENTION_DAYS for good;
+// 0 keeps them until they are purged by hand.
+const { startWorker } = require('./worker');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const readConfig = () => {
+  const days = parseFloat(process.env.TRASH_RETENTION_DAYS);
+  return {
+    retentionDays: Number.isFinite(days) && days >= 0 ? days : 30,
+    intervalMs: (parseFloat(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60) * 60 * 1000
+  };
+};
+
+const config = readConfig();
+
+// When a trashed todo will be purged, or null if it is kept
+const purgeAt = (todo) => {
+  if (!todo.deletedAt || config.retentionDays === 0) return null;
+  return new Date(todo.deletedAt.getTime() + config.retentionDays * DAY_MS);
+};
+
+const purgeExpired = async (db) => {
+  const purged = await db.todos.purge({ deletedBefore: new Date(Date.now() - config.retentionDays * DAY_MS) });
+  if (purged > 0) console.log(`🗑️  Purged ${purged} todo${purged === 1 ? '' : 's'} from the trash`);
+  return purged;
+};
+
+// Start purging expired trash (see worker.js for the returned handle)
+const startTrashPurger = (db) => startWorker(
+  'Trash purge',
+  config.intervalMs,
+  () => purgeExpired(db),
+  { enabled: config.retentionDays !== 0 }
+);
+
+module.exports = {
+  purgeAt,
+  startTrashPurger,
+  retentionDays: config.retentionDays
+};
@@ -0,0 +1,261 @@
+// webhooks.js
+// Outgoing webhooks: todo events are queued as one delivery per subscribed
+// webhook, and a small in-process worker POSTs them, retrying failures with
+// exponential backoff. Deliveries live in the database (db.webhookDeliveries),
+// so pending retries survive a restart and double as the delivery log.
+//
+// Every request carries
+//   X-Webhook-Event        todo.created, ..., or ping
+//   X-Webhook-Delivery     delivery id (stable across retries)
+//   X-Webhook-Timestamp    unix seconds of this attempt
+//   X-Webhook-Signature    sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+// Receivers verify the signature with the webhook's secret and should reject
+// old timestamps to stop replays.
+//
+// Webhook hosts must resolve to public addresses only, checked when a webhook
+// is registered and again before every delivery, so the server cannot be
+// pointed at itself, the private network or cloud metadata endpoints. A
+// delivery connects to the addresses it checked rather than resolving the
+// host again, so a DNS answer that changes in between cannot get past it.
+// WEBHOOK_ALLOW_PRIVATE_HOSTS=true lifts this for local development.
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { startWorker } = require('./worker');
+
+const readConfig = () => ({
+  pollMs: (parseFloat(process.env.WEBHOOK_POLL_SECONDS) || 5) * 1000,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  // 30s, 1m, 2m, 4m, 8m between the default six attempts
+  retryBaseMs: (parseFloat(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30) * 1000,
+  timeoutMs: 10 * 1000,
+  logDays: parseInt(process.env.WEBHOOK_LOG_DAYS) || 30,
+  allowPrivateHosts: process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true'
+});
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const sign = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+let activeWorker = null;
+
+// ======================
+// QUEUEING
+// ======================
+
+// The payload is stored as the exact text that is signed and sent
+const queueDelivery = (db, webhookId, event, data) => {
+  const payload = JSON.stringify({ event, createdAt: new Date().toISOString(), data });
+  return db.webhookDeliveries.create({ webhookId, event, payload });
+};
+
+// Queue `event` for every active webhook of the user subscribed to it
+const emitEvent = async (db, userId, event, data) => {
+  const webhooks = await db.webhooks.findForEvent(userId, event);
+  for (const webhook of webhooks) {
+    await queueDelivery(db, webhook.id, event, data);
+  }
+  if (webhooks.length > 0 && activeWorker) activeWorker.poke();
+  return webhooks.length;
+};
+
+// Wake the worker for deliveries queued outside emitEvent (ping, redeliver)
+const pokeWorker = () => {
+  if (activeWorker) activeWorker.poke();
+};
+
+// ======================
+// DESTINATIONS
+// ======================
+
+// Loopback, private, link-local (incl. 169.254.169.254), CGNAT, multicast,
+// documentation and other reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.88.99.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  // IPv4-mapped addresses are checked against the IPv4 ranges by BlockList;
+  // NAT64 and 6to4 ones could still reach them, so they are refused outright
+  ['::', 127], ['64:ff9b::', 96], ['2002::', 16],
+  ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// The addresses `url` may be delivered to ({ addresses: [{ address, family }] },
+// or { addresses: null } when any will do), or { error } saying why none
+const resolveDestination = async (url, config = readConfig()) => {
+  if (config.allowPrivateHosts) return { addresses: null };
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+  } catch (err) {
+    return { error: 'Webhook url is not a valid URL.' };
+  }
+
+  let addresses = [{ address: hostname, family: net.isIP(hostname) }];
+  if (!net.isIP(hostname)) {
+    try {
+      addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+    } catch (err) {
+      return { error: `Webhook host ${hostname} could not be resolved.` };
+    }
+  }
+
+  return addresses.every(({ address }) => isPublicAddress(address))
+    ? { addresses }
+    : { error: 'Webhook url must point to a public address.' };
+};
+
+// Resolves to why `url` may not receive webhooks, or null when it may
+const checkDestination = async (url, config) => (await resolveDestination(url, config)).error || null;
+
+// ======================
+// DELIVERY
+// ======================
+
+// A DNS lookup that answers with the already checked addresses
+const pinnedLookup = (addresses) => (hostname, options, callback) => {
+  if (options.all) return callback(null, addresses);
+  callback(null, addresses[0].address, addresses[0].family);
+};
+
+// POST `body` to `url` without following redirects; resolves to the status
+const post = (url, { headers, body, timeoutMs, addresses }) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const request = (target.protocol === 'https:' ? https : http).request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    ...(addresses && { lookup: pinnedLookup(addresses) })
+  }, (response) => {
+    response.resume();
+    response.on('end', () => resolve(response.statusCode));
+    response.on('error', reject);
+  });
+
+  const timer = setTimeout(() => request.destroy(new Error('Request timed out.')), timeoutMs);
+  request.on('close', () => clearTimeout(timer));
+  request.on('error', reject);
+  request.end(body);
+});
+
+const attempt = async (delivery, config) => {
+  const { addresses, error } = await resolveDestination(delivery.webhook.url, config);
+  if (error) return { ok: false, error };
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const status = await post(delivery.webhook.url, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'TodoAPI-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${sign(delivery.webhook.secret, timestamp, delivery.payload)}`
+      },
+      body: delivery.payload,
+      timeoutMs: config.timeoutMs,
+      addresses
+    });
+    return status >= 200 && status < 300
+      ? { ok: true, responseStatus: status }
+      : { ok: false, responseStatus: status, error: `Endpoint answered ${status}.` };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+};
+
+const processDelivery = async (db, delivery, config) => {
+  if (!delivery.webhook.active) {
+    await db.webhookDeliveries.recordAttempt(delivery.id, {
+      status: 'failed',
+      attempts: delivery.attempts,
+      error: 'Webhook is disabled.'
+    });
+    return;
+  }
+
+  const result = await attempt(delivery, config);
+  const attempts = delivery.attempts + 1;
+
+  if (result.ok) {
+    await db.webhookDeliveries.recordAttempt(delivery.id, {
+      status: 'succeeded',
+      attempts,
+      responseStatus: result.responseStatus
+    });
+    return;
+  }
+
+  const giveUp = attempts >= config.maxAttempts;
+  await db.webhookDeliveries.recordAttempt(delivery.id, {
+    status: giveUp ? 'failed' : 'pending',
+    attempts,
+    nextAttemptAt: giveUp ? null : new Date(Date.now() + config.retryBaseMs * 2 ** (attempts - 1)),
+    responseStatus: result.responseStatus || null,
+    error: result.error
+  });
+};
+
+// Send everything that is due; resolves to the number of attempts made
+const runDueDeliveries = async (db, config) => {
+  const batchSize = 20;
+  let processed = 0;
+  let batch;
+  do {
+    batch = await db.webhookDeliveries.findDue(new Date(), batchSize);
+    for (const delivery of batch) {
+      await processDelivery(db, delivery, config);
+      processed++;
+    }
+  } while (batch.length === batchSize);
+
+  await db.webhookDeliveries.purgeOlderThan(new Date(Date.now() - config.logDays * 24 * 60 * 60 * 1000));
+  return processed;
+};
+
+// ======================
+// WORKER
+// ======================
+
+// Start polling for due deliveries (see worker.js for the returned handle);
+// emitEvent and pokeWorker wake the latest one started
+const startWebhookWorker = (db) => {
+  const config = readConfig();
+  const loop = startWorker('Webhook delivery run', config.pollMs, () => runDueDeliveries(db, config));
+
+  const worker = {
+    ...loop,
+    stop: () => {
+      if (activeWorker === worker) activeWorker = null;
+      return loop.stop();
+    }
+  };
+
+  activeWorker = worker;
+  return worker;
+};
+
+module.exports = {
+  generateSecret,
+  sign,
+  queueDelivery,
+  emitEvent,
+  pokeWorker,
+  checkDestination,
+  startWebhookWorker
+};
@@ -0,0 +1,60 @@
+// worker.js
+// The polling loop behind the in-process background jobs (reminders, webhook
+// deliveries, trash purging): `run` is called right away and then every
+// intervalMs, never twice at the same time, and a failed run is logged
+// instead of ending the loop.
+
+// Start polling; returns { poke(), runOnce(), stop() }. runOnce() joins a run
+// in progress, poke() runs again now (or right after the current run) and
+// stop() resolves once a run in progress has finished. With enabled: false
+// nothing is scheduled, but runOnce() still works.
+const startWorker = (name, intervalMs, run, { enabled = true } = {}) => {
+  let timer = null;
+  let running = null;
+  let stopped = !enabled;
+  let again = false;
+
+  const runOnce = () => {
+    if (!running) {
+      running = new Promise(resolve => resolve(run()))
+        .catch(err => {
+          console.error(`❌ ${name} failed:`, err.message);
+          return 0;
+        })
+        .finally(() => { running = null; });
+    }
+    return running;
+  };
+
+  const schedule = (delay) => {
+    clearTimeout(timer);
+    if (stopped) return;
+    timer = setTimeout(tick, delay);
+    timer.unref();
+  };
+
+  const tick = async () => {
+    do {
+      again = false;
+      await runOnce();
+    } while (again && !stopped);
+    schedule(intervalMs);
+  };
+
+  if (!stopped) tick();
+
+  return {
+    poke: () => {
+      if (running) again = true;
+      else schedule(0);
+    },
+    runOnce,
+    stop: async () => {
+      stopped = true;
+      clearTimeout(timer);
+      if (running) await running;
+    }
+  };
+};
+
+module.exports = { startWorker };